@@ -51,6 +51,13 @@ export default class AccountCategoryMappingService {
         return [...this.#mappings];
     }
 
+    /** Replaces every mapping at once (rule import); the mappings must already be validated. */
+    replaceMappings(mappings) {
+        this.#mappings = [...mappings];
+        console.info(`🏷️ Replaced account→category mappings (${this.#mappings.length} mappings)`);
+        return this.saveMappings();
+    }
+
     validateMapping(mappingData) {
         const errors = [];
         if (!mappingData) errors.push('Mapping data is required');
@@ -250,6 +257,7 @@ export default class AccountCategoryMappingService {
                     category: mapping.targetCategory,
                     reason: `Matched account "${mapping.accountName}" via ${side}`,
                     autoRule: 'account_category_mapping',
+                    mappingId: mapping.id,
                     mappingName: mapping.name,
                     accountName: mapping.accountName,
                     accountId: mapping.accountId
@@ -5,16 +5,33 @@ import OpenAiService from "./OpenAiService.js";
 import WordMappingService from "./WordMappingService.js";
 import FailedTransactionService from "./FailedTransactionService.js";
 import AutoCategorizationService from "./AutoCategorizationService.js";
-import CategoryMappingService from "./CategoryMappingService.js";
+import CategoryMappingService, { CategoryMappingException } from "./CategoryMappingService.js";
 import AccountCategoryMappingService from "./AccountCategoryMappingService.js";
 import TransactionExtractionService from "./TransactionExtractionService.js";
+import { StatementProfileException } from "./StatementProfileService.js";
+import { CsvProfileException } from "./CsvProfileService.js";
+import { ProfileException } from "./profiles.js";
 import HistoryAnalysisService from "./HistoryAnalysisService.js";
 import PendingReviewService from "./PendingReviewService.js";
+import WebhookSignatureVerifier from "./WebhookSignatureVerifier.js";
+import SimilarityIndexService from "./SimilarityIndexService.js";
+import DryRunService from "./DryRunService.js";
+import UsageService, { SpendCapException, UsageException } from "./UsageService.js";
+import ClassificationCacheService from "./ClassificationCacheService.js";
+import FeedbackService from "./FeedbackService.js";
+import RuleBacktestService from "./RuleBacktestService.js";
+import RuleBundleService, { RULE_BUNDLE_SECTIONS, RuleBundleException } from "./RuleBundleService.js";
+import RuleAuditService, { RuleAuditException } from "./RuleAuditService.js";
+import DecisionRecordService, { hashPrompt } from "./DecisionRecordService.js";
+import ConfidencePolicyService, { ConfidencePolicyException, worstBand } from "./ConfidencePolicyService.js";
+import AuthService, { AuthException, hasRole, requiredRoleFor, parseAllowedOrigins, isOriginAllowed } from "./AuthService.js";
 import multer from 'multer';
 import {Server} from "socket.io";
 import * as http from "http";
 import Queue from "queue";
 import JobList from "./JobList.js";
+import BatchCheckpointStore from "./BatchCheckpointStore.js";
+import { STATEMENT_IMPORT_TAG, importDateRange, matchStatementItems } from "./statementImport.js";
 import { computeExtractionSum, computeExtractionDisplaySum, buildExtractionTotals, markSettlementLines, isSettlementLine, itemsForPreview, hiddenSettlementItems } from "./extractionSum.js";
 
 /** Always applied to split child transactions created by the credit card splitter. */
@@ -22,12 +39,27 @@ const CREDITCARD_SPLIT_TAG = 'creditcard-split';
 /** Max days after the last statement line date a settlement charge may post (batch matching). */
 const STATEMENT_BILLING_MAX_DAYS_AFTER = 21;
 const CREDIT_CARD_LINK_TAG_RE = /^credit-card-statement(?:-created-on-|$)/i;
+/**
+ * Batch types that only fill in missing categories. An import batch categorizes the transactions it just
+ * created; once resumed, any of them may have been categorized by hand in the meantime.
+ */
+const UNCATEGORIZED_ONLY_BATCHES = new Set(['uncategorized', 'import']);
+/** Jobs and batch jobs sent to a Socket.IO client when it connects. */
+const RECENT_JOBS_ON_CONNECT = 100;
 /** Bumped when API behavior changes (failed-tx enrich, etc.). */
 const API_VERSION = '1.1.0';
 
+/** Extracts the token from an `Authorization: Bearer <token>` header value. */
+function bearerToken(authorizationHeader) {
+    const match = /^Bearer\s+(.+)$/i.exec(String(authorizationHeader || '').trim());
+    return match ? match[1].trim() : null;
+}
+
 export default class App {
     #PORT;
     #ENABLE_UI;
+    #CORS_ALLOWED_ORIGINS;
+    #BATCH_CONCURRENCY;
 
     #firefly;
     #openAi;
@@ -39,6 +71,16 @@ export default class App {
     #transactionExtractionService;
     #historyAnalysisService;
     #pendingReviewService;
+    #similarityIndexService;
+    #dryRunService;
+    #confidencePolicyService;
+    #usageService;
+    #classificationCacheService;
+    #feedbackService;
+    #ruleAuditService;
+    #decisionRecordService;
+    #webhookVerifier;
+    #authService;
 
     #server;
     #io;
@@ -46,11 +88,14 @@ export default class App {
 
     #queue;
     #jobList;
+    #checkpointStore;
 
 
     constructor() {
         this.#PORT = getConfigVariable("PORT", '3000');
         this.#ENABLE_UI = getConfigVariable("ENABLE_UI", 'false') === 'true';
+        this.#CORS_ALLOWED_ORIGINS = parseAllowedOrigins(getConfigVariable("CORS_ALLOWED_ORIGINS", ''));
+        this.#BATCH_CONCURRENCY = Math.max(1, Number(getConfigVariable("BATCH_CONCURRENCY", '4')) || 1);
     }
 
     static createForTest(deps = {}) {
@@ -73,16 +118,103 @@ export default class App {
         if (deps.pendingReviewService != null) {
             app.#pendingReviewService = deps.pendingReviewService;
         }
+        if (deps.similarityIndexService != null) {
+            app.#similarityIndexService = deps.similarityIndexService;
+        }
+        if (deps.dryRunService != null) app.#dryRunService = deps.dryRunService;
+        if (deps.failedTransactionService != null) app.#failedTransactionService = deps.failedTransactionService;
+        if (deps.confidencePolicyService != null) app.#confidencePolicyService = deps.confidencePolicyService;
+        if (deps.usageService != null) app.#usageService = deps.usageService;
+        if (deps.classificationCacheService != null) app.#classificationCacheService = deps.classificationCacheService;
+        if (deps.feedbackService != null) app.#feedbackService = deps.feedbackService;
+        if (deps.ruleAuditService != null) app.#ruleAuditService = deps.ruleAuditService;
+        if (deps.decisionRecordService != null) app.#decisionRecordService = deps.decisionRecordService;
+        if (deps.webhookVerifier != null) app.#webhookVerifier = deps.webhookVerifier;
+        if (deps.authService != null) app.#authService = deps.authService;
+        if (deps.transactionExtractionService != null) app.#transactionExtractionService = deps.transactionExtractionService;
+        if (deps.jobList != null) app.#jobList = deps.jobList;
+        if (deps.checkpointStore != null) app.#checkpointStore = deps.checkpointStore;
+        if (deps.batchConcurrency != null) app.#BATCH_CONCURRENCY = deps.batchConcurrency;
         return app;
     }
 
-    async resolveCategoryForTest(transaction, categories) {
-        return this.#resolveCategory(transaction, categories);
+    async resolveCategoryForTest(transaction, categories, options) {
+        return this.#resolveCategory(transaction, categories, options);
+    }
+
+    async resolveSplitCategoriesForTest(transaction, categories, options) {
+        return this.#resolveSplitCategories(transaction, categories, options);
+    }
+
+    async proposeTransactionForTest(transaction, categories, options) {
+        return this.#proposeTransaction(transaction, categories, options);
+    }
+
+    async applyDryRunForTest(runId, proposalIds) {
+        return this.#applyDryRunProposals(runId, proposalIds);
+    }
+
+    /** Runs a statement import and waits for the categorization batch it starts. */
+    async importStatementForTest(accountId, items, options) {
+        const result = await this.#importStatementItems(accountId, items, options);
+        await result.categorization;
+        return result;
+    }
+
+    async proposeExtractionCategoriesForTest(items, categories, original) {
+        return this.#proposeExtractionCategories(items, categories, original);
+    }
+
+    async extractionLineCategoryForTest(item, categories, original, proposing) {
+        return this.#extractionLineCategory(item, categories, original, proposing);
+    }
+
+    /** Handles a webhook delivery and runs the job it queues. */
+    async handleWebhookForTest(body) {
+        const jobs = [];
+        const queue = this.#queue;
+        this.#queue = { push: job => jobs.push(job) };
+        try {
+            this.#handleWebhook({ body }, null);
+        } finally {
+            this.#queue = queue;
+        }
+        for (const job of jobs) await job();
+    }
+
+    async runBatchForTest(type, transactions, categories, options) {
+        return this.#startBatch(type, transactions, categories, options);
+    }
+
+    async resumeBatchJobForTest(batchJobId) {
+        const batchJob = this.#jobList.getBatchJobs().get(batchJobId);
+        const checkpoint = await this.#checkpointStore.load(batchJobId);
+        this.#jobList.reopenBatchJob(batchJobId);
+        return this.#resumeBatchFromCheckpoint(batchJob, checkpoint);
+    }
+
+    async explainPipelineForTest(transaction, categories, options) {
+        return this.#explainPipeline(transaction, categories, options);
+    }
+
+    async updateTransactionCategoriesForTest(body) {
+        let payload;
+        await this.#updateTransactionCategories({ body }, { json: data => { payload = data; } });
+        return payload;
+    }
+
+    async backtestRulesForTest(options) {
+        return this.#backtestRules(options);
+    }
+
+    async authorizeForTest(method, path, authorizationHeader) {
+        return this.#authorize(method, path, authorizationHeader);
     }
 
     async run() {
         this.#firefly = new FireflyService();
-        this.#openAi = new OpenAiService();
+        this.#usageService = new UsageService();
+        this.#openAi = new OpenAiService({ usageService: this.#usageService });
         this.#wordMapping = new WordMappingService();
         this.#failedTransactionService = new FailedTransactionService();
         this.#autoCategorizationService = new AutoCategorizationService();
@@ -91,6 +223,21 @@ export default class App {
         this.#transactionExtractionService = new TransactionExtractionService();
         this.#historyAnalysisService = new HistoryAnalysisService();
         this.#pendingReviewService = new PendingReviewService();
+        this.#similarityIndexService = new SimilarityIndexService({ openAi: this.#openAi });
+        this.#dryRunService = new DryRunService();
+        this.#confidencePolicyService = new ConfidencePolicyService();
+        this.#classificationCacheService = new ClassificationCacheService();
+        this.#feedbackService = new FeedbackService();
+        this.#ruleAuditService = new RuleAuditService({ ruleSets: this.#auditedRuleSets() });
+        this.#decisionRecordService = new DecisionRecordService();
+        this.#webhookVerifier = new WebhookSignatureVerifier();
+        if (!this.#webhookVerifier.isEnabled()) {
+            console.warn('⚠️ WEBHOOK_SECRET is not set: /webhook accepts unsigned deliveries');
+        }
+        this.#authService = new AuthService();
+        if (!this.#authService.isEnabled()) {
+            console.warn('⚠️ AUTH_ENABLED is not set: /api routes and the UI are open to anyone who can reach the port');
+        }
 
         this.#queue = new Queue({
             timeout: 30 * 1000,
@@ -105,26 +252,39 @@ export default class App {
 
         this.#express = express();
         this.#server = http.createServer(this.#express)
-        this.#io = new Server(this.#server)
+        this.#io = new Server(this.#server, this.#CORS_ALLOWED_ORIGINS.length > 0
+            ? { cors: { origin: this.#CORS_ALLOWED_ORIGINS.includes('*') ? '*' : this.#CORS_ALLOWED_ORIGINS } }
+            : {})
 
         this.#jobList = new JobList();
+        this.#checkpointStore = new BatchCheckpointStore();
         this.#jobList.on('job created', data => this.#io.emit('job created', data));
         this.#jobList.on('job updated', data => this.#io.emit('job updated', data));
         this.#jobList.on('batch job created', data => this.#io.emit('batch job created', data));
         this.#jobList.on('batch job updated', data => this.#io.emit('batch job updated', data));
 
-        this.#express.use(express.json());
+        // Keep the raw body: webhook signatures are computed over the exact bytes Firefly sent
+        this.#express.use(express.json({
+            verify: (req, res, buf) => {
+                req.rawBody = buf;
+            }
+        }));
         const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 10 * 1024 * 1024 } });
 
-        if (this.#ENABLE_UI) {
-        // Basic CORS for cross-origin frontends (no external dep)
+        // CORS only for origins listed in CORS_ALLOWED_ORIGINS (same-origin UI needs none)
         this.#express.use((req, res, next) => {
-            res.setHeader('Access-Control-Allow-Origin', '*');
-            res.setHeader('Access-Control-Allow-Methods', 'GET,POST,PUT,PATCH,DELETE,OPTIONS');
-            res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+            const origin = req.get('Origin');
+            if (origin && isOriginAllowed(origin, this.#CORS_ALLOWED_ORIGINS)) {
+                res.setHeader('Access-Control-Allow-Origin', this.#CORS_ALLOWED_ORIGINS.includes('*') ? '*' : origin);
+                res.setHeader('Vary', 'Origin');
+                res.setHeader('Access-Control-Allow-Methods', 'GET,POST,PUT,PATCH,DELETE,OPTIONS');
+                res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+            }
             if (req.method === 'OPTIONS') return res.sendStatus(204);
             next();
         });
+
+        if (this.#ENABLE_UI) {
             this.#express.use('/', (req, res, next) => {
                 if (req.path === '/' || req.path === '/index.html') {
                     res.setHeader('Cache-Control', 'no-store, no-cache, must-revalidate');
@@ -136,6 +296,34 @@ export default class App {
         }
 
         this.#express.post('/webhook', this.#onWebhook.bind(this))
+
+        // Authentication and role checks for every /api route
+        this.#express.use('/api', async (req, res, next) => {
+            try {
+                const result = await this.#authorize(req.method, req.baseUrl + req.path, req.get('Authorization'));
+                if (!result.ok) {
+                    return res.status(result.status).json({ success: false, error: result.error });
+                }
+                req.auth = result.auth;
+                next();
+            } catch (e) {
+                console.error('Auth error:', e);
+                res.status(500).json({ success: false, error: e.message });
+            }
+        });
+
+        // Auth endpoints
+        this.#express.get('/api/auth/status', this.#onAuthStatus.bind(this))
+        this.#express.post('/api/auth/login', this.#onAuthLogin.bind(this))
+        this.#express.post('/api/auth/logout', this.#onAuthLogout.bind(this))
+        this.#express.get('/api/auth/me', this.#onAuthMe.bind(this))
+        this.#express.get('/api/auth/users', this.#onGetAuthUsers.bind(this))
+        this.#express.post('/api/auth/users', this.#onAddAuthUser.bind(this))
+        this.#express.delete('/api/auth/users/:id', this.#onDeleteAuthUser.bind(this))
+        this.#express.get('/api/auth/tokens', this.#onGetAuthTokens.bind(this))
+        this.#express.post('/api/auth/tokens', this.#onCreateAuthToken.bind(this))
+        this.#express.delete('/api/auth/tokens/:id', this.#onRevokeAuthToken.bind(this))
+
         this.#express.post('/api/process-uncategorized', this.#onProcessUncategorized.bind(this))
         this.#express.post('/api/process-all', this.#onProcessAll.bind(this))
         this.#express.post('/api/test-webhook', this.#onTestWebhook.bind(this))
@@ -150,57 +338,116 @@ export default class App {
         });
 
         // Extraction endpoints
-        this.#express.post('/api/extraction/upload', upload.single('file'), this.#onExtractionUpload.bind(this))
-        this.#express.post('/api/extraction/confirm', this.#onExtractionConfirm.bind(this))
-        this.#express.post('/api/extraction/upload-batch', upload.array('files'), this.#onExtractionUploadBatch.bind(this))
-        this.#express.post('/api/extraction/confirm-batch', this.#onExtractionConfirmBatch.bind(this))
+        this.#express.post('/api/extraction/upload', upload.single('file'), this.#withUsage('extraction', this.#onExtractionUpload))
+        this.#express.post('/api/extraction/confirm', this.#withUsage('extraction', this.#onExtractionConfirm))
+        this.#express.post('/api/extraction/upload-batch', upload.array('files'), this.#withUsage('extraction', this.#onExtractionUploadBatch))
+        this.#express.post('/api/extraction/confirm-batch', this.#withUsage('extraction', this.#onExtractionConfirmBatch))
+        this.#express.post('/api/extraction/import/preview', upload.single('file'), this.#withUsage('extraction', this.#onStatementImportPreview))
+        this.#express.post('/api/extraction/import/confirm', this.#onStatementImportConfirm.bind(this))
         this.#express.get('/api/extraction/revert-preview', this.#onExtractionRevertPreview.bind(this))
         this.#express.post('/api/extraction/revert', this.#onExtractionRevert.bind(this))
         this.#express.get('/api/extraction/config', this.#onGetExtractionConfig.bind(this))
         this.#express.post('/api/extraction/config', this.#onUpdateExtractionConfig.bind(this))
+        this.#express.get('/api/extraction/profiles', this.#onGetStatementProfiles.bind(this))
+        this.#express.post('/api/extraction/profiles', this.#onSaveStatementProfile.bind(this))
+        this.#express.put('/api/extraction/profiles/:id', this.#onSaveStatementProfile.bind(this))
+        this.#express.delete('/api/extraction/profiles/:id', this.#onDeleteStatementProfile.bind(this))
+        this.#express.get('/api/extraction/csv-profiles', this.#onGetCsvProfiles.bind(this))
+        this.#express.post('/api/extraction/csv-profiles', this.#onSaveCsvProfile.bind(this))
+        this.#express.put('/api/extraction/csv-profiles/:id', this.#onSaveCsvProfile.bind(this))
+        this.#express.delete('/api/extraction/csv-profiles/:id', this.#onDeleteCsvProfile.bind(this))
         
         // Word mapping endpoints
         this.#express.get('/api/word-mappings', this.#onGetWordMappings.bind(this))
-        this.#express.post('/api/word-mappings', this.#onAddWordMapping.bind(this))
-        this.#express.delete('/api/word-mappings/:fromWord', this.#onDeleteWordMapping.bind(this))
+        this.#express.post('/api/word-mappings', this.#withRuleAudit(['wordMappings'], this.#onAddWordMapping))
+        this.#express.delete('/api/word-mappings/:fromWord', this.#withRuleAudit(['wordMappings'], this.#onDeleteWordMapping))
         this.#express.get('/api/version', this.#onApiVersion.bind(this))
+
+        // Confidence policy (auto-apply / review / reject bands)
+        this.#express.get('/api/confidence-policy', this.#onGetConfidencePolicy.bind(this))
+        this.#express.post('/api/confidence-policy', this.#onUpdateConfidencePolicy.bind(this))
+
+        // Similarity (nearest-neighbour) index endpoints
+        this.#express.post('/api/similarity/rebuild', this.#onRebuildSimilarityIndex.bind(this))
+        this.#express.get('/api/similarity/stats', this.#onGetSimilarityStats.bind(this))
+
+        // LLM provider endpoints
+        this.#express.get('/api/llm/provider', this.#onGetLlmProvider.bind(this))
+        this.#express.get('/api/llm/models', this.#onGetLlmModels.bind(this))
+        this.#express.get('/api/llm/health', this.#onGetLlmHealth.bind(this))
+        this.#express.get('/api/llm/rate-limit', this.#onGetLlmRateLimit.bind(this))
+        this.#express.get('/api/usage', this.#onGetUsage.bind(this))
+        this.#express.post('/api/usage/cap', this.#onSetUsageCap.bind(this))
+        this.#express.post('/api/pipeline/explain', this.#withUsage('explain', this.#onExplainPipeline));
+        this.#express.get('/api/classification-cache/stats', this.#onGetClassificationCacheStats.bind(this))
+        this.#express.delete('/api/classification-cache', this.#onClearClassificationCache.bind(this))
         this.#express.get('/api/failed-transactions', this.#onGetFailedTransactions.bind(this))
         this.#express.post('/api/failed-transactions/refresh', this.#onRefreshFailedTransactions.bind(this))
         this.#express.post('/api/failed-transactions/enrich', this.#onEnrichFailedTransactions.bind(this))
         this.#express.delete('/api/failed-transactions/:id', this.#onDeleteFailedTransaction.bind(this))
         this.#express.post('/api/failed-transactions/cleanup', this.#onCleanupFailedTransactions.bind(this))
 
+        // Job history endpoints
+        this.#express.get('/api/jobs', this.#onGetJobHistory.bind(this))
+        this.#express.get('/api/batch-jobs', this.#onGetBatchJobHistory.bind(this))
+
         // Batch job control endpoints
         this.#express.post('/api/batch-jobs/:id/pause', this.#onPauseBatchJob.bind(this))
         this.#express.post('/api/batch-jobs/:id/resume', this.#onResumeBatchJob.bind(this))
         this.#express.post('/api/batch-jobs/:id/cancel', this.#onCancelBatchJob.bind(this))
+        this.#express.post('/api/batch-jobs/:id/resume-from-checkpoint', this.#onResumeBatchJobFromCheckpoint.bind(this))
+
+        // Dry-run endpoints (proposals from batch runs that wrote nothing)
+        this.#express.get('/api/dry-runs', this.#onGetDryRuns.bind(this))
+        this.#express.get('/api/dry-runs/:id', this.#onGetDryRun.bind(this))
+        this.#express.get('/api/dry-runs/:id/export', this.#onExportDryRun.bind(this))
+        this.#express.post('/api/dry-runs/:id/apply', this.#onApplyDryRun.bind(this))
+        this.#express.delete('/api/dry-runs/:id', this.#onDeleteDryRun.bind(this))
 
         // Auto-categorization endpoints
         this.#express.get('/api/auto-categorization/config', this.#onGetAutoCategorizationConfig.bind(this))
-        this.#express.post('/api/auto-categorization/config', this.#onUpdateAutoCategorizationConfig.bind(this))
-        this.#express.post('/api/auto-categorization/keywords', this.#onAddForeignKeyword.bind(this))
-        this.#express.delete('/api/auto-categorization/keywords/:keyword', this.#onRemoveForeignKeyword.bind(this))
+        this.#express.post('/api/auto-categorization/config', this.#withRuleAudit(['autoCategorization'], this.#onUpdateAutoCategorizationConfig))
+        this.#express.post('/api/auto-categorization/keywords', this.#withRuleAudit(['autoCategorization'], this.#onAddForeignKeyword))
+        this.#express.delete('/api/auto-categorization/keywords/:keyword', this.#withRuleAudit(['autoCategorization'], this.#onRemoveForeignKeyword))
 
         // Category mapping endpoints
         this.#express.get('/api/category-mappings', this.#onGetCategoryMappings.bind(this))
-        this.#express.post('/api/category-mappings', this.#onAddCategoryMapping.bind(this))
-        this.#express.put('/api/category-mappings/:id', this.#onUpdateCategoryMapping.bind(this))
-        this.#express.delete('/api/category-mappings/:id', this.#onDeleteCategoryMapping.bind(this))
-        this.#express.patch('/api/category-mappings/:id/toggle', this.#onToggleCategoryMapping.bind(this))
+        this.#express.post('/api/category-mappings', this.#withRuleAudit(['categoryMappings'], this.#onAddCategoryMapping))
+        this.#express.put('/api/category-mappings/:id', this.#withRuleAudit(['categoryMappings'], this.#onUpdateCategoryMapping))
+        this.#express.delete('/api/category-mappings/:id', this.#withRuleAudit(['categoryMappings'], this.#onDeleteCategoryMapping))
+        this.#express.patch('/api/category-mappings/:id/toggle', this.#withRuleAudit(['categoryMappings'], this.#onToggleCategoryMapping))
+        this.#express.post('/api/category-mappings/backtest', this.#onBacktestCategoryMappings.bind(this))
+
+        // Rule bundle export/import
+        this.#express.get('/api/rules/export', this.#onExportRules.bind(this))
+        this.#express.post('/api/rules/import', this.#withRuleAudit(RULE_BUNDLE_SECTIONS, this.#onImportRules))
+
+        // Rule change audit log
+        this.#express.get('/api/rules/audit', this.#onGetRuleAudit.bind(this))
+        this.#express.post('/api/rules/audit/:id/restore', this.#onRestoreRuleVersion.bind(this))
+
+        // Per-transaction categorization decisions
+        this.#express.get('/api/decisions/:transactionId', this.#onGetDecisions.bind(this))
         
         // Account → category mapping endpoints
         this.#express.get('/api/account-category-mappings', this.#onGetAccountCategoryMappings.bind(this))
-        this.#express.post('/api/account-category-mappings', this.#onAddAccountCategoryMapping.bind(this))
-        this.#express.post('/api/account-category-mappings/bulk', this.#onBulkAssignAccountCategoryMappings.bind(this))
-        this.#express.put('/api/account-category-mappings/:id', this.#onUpdateAccountCategoryMapping.bind(this))
-        this.#express.delete('/api/account-category-mappings/:id', this.#onDeleteAccountCategoryMapping.bind(this))
-        this.#express.patch('/api/account-category-mappings/:id/toggle', this.#onToggleAccountCategoryMapping.bind(this))
+        this.#express.post('/api/account-category-mappings', this.#withRuleAudit(['accountCategoryMappings'], this.#onAddAccountCategoryMapping))
+        this.#express.post('/api/account-category-mappings/bulk', this.#withRuleAudit(['accountCategoryMappings'], this.#onBulkAssignAccountCategoryMappings))
+        this.#express.put('/api/account-category-mappings/:id', this.#withRuleAudit(['accountCategoryMappings'], this.#onUpdateAccountCategoryMapping))
+        this.#express.delete('/api/account-category-mappings/:id', this.#withRuleAudit(['accountCategoryMappings'], this.#onDeleteAccountCategoryMapping))
+        this.#express.patch('/api/account-category-mappings/:id/toggle', this.#withRuleAudit(['accountCategoryMappings'], this.#onToggleAccountCategoryMapping))
 
         // Review queue endpoints (US-0004)
         this.#express.get('/api/reviews', this.#onGetReviews.bind(this));
         this.#express.post('/api/reviews/:id/accept', this.#onAcceptReview.bind(this));
         this.#express.post('/api/reviews/:id/reject', this.#onRejectReview.bind(this));
 
+        // Feedback from manual corrections and the rules it suggests
+        this.#express.get('/api/feedback/events', this.#onGetFeedbackEvents.bind(this));
+        this.#express.get('/api/feedback/suggestions', this.#onGetRuleSuggestions.bind(this));
+        this.#express.post('/api/feedback/suggestions/:id/accept', this.#withRuleAudit(['categoryMappings', 'accountCategoryMappings'], this.#onAcceptRuleSuggestion));
+        this.#express.post('/api/feedback/suggestions/:id/dismiss', this.#onDismissRuleSuggestion.bind(this));
+
         // Transaction management endpoints
         this.#express.get('/api/transactions/list', this.#getTransactionsList.bind(this));
         this.#express.post('/api/transactions/update-categories', this.#updateTransactionCategories.bind(this));
@@ -225,10 +472,26 @@ export default class App {
             console.log(`Application running on port ${this.#PORT} (host 0.0.0.0)`);
         });
 
+        // Socket.IO clients authenticate with the same session/API token as the REST API
+        this.#io.use(async (socket, next) => {
+            try {
+                const auth = await this.#authService.authenticate(socket.handshake.auth?.token);
+                if (!auth) {
+                    console.warn(`🚫 Socket.IO connection rejected from ${socket.handshake.address}: unauthorized`);
+                    return next(new Error('unauthorized'));
+                }
+                socket.data.auth = auth;
+                next();
+            } catch (e) {
+                next(e);
+            }
+        });
+
         this.#io.on('connection', socket => {
             console.log('connected');
-            socket.emit('jobs', Array.from(this.#jobList.getJobs().values()));
-            socket.emit('batch jobs', Array.from(this.#jobList.getBatchJobs().values()));
+            // Only the recent part of the persisted history; older entries are available via /api/jobs
+            socket.emit('jobs', this.#jobList.queryJobs({ limit: RECENT_JOBS_ON_CONNECT }).items);
+            socket.emit('batch jobs', this.#jobList.queryBatchJobs({ limit: RECENT_JOBS_ON_CONNECT }).items);
         })
     }
     async #getTags(req, res) {
@@ -258,7 +521,7 @@ export default class App {
 
     async #getAccounts(req, res) {
         try {
-            const types = ['expense', 'revenue'];
+            const types = req.query?.types ? String(req.query.types).split(',').map(t => t.trim()).filter(Boolean) : ['expense', 'revenue'];
             const lists = await Promise.all(types.map(t => this.#firefly.listAccountsBasicByType(t)));
             const accounts = lists.flat().sort((a, b) => {
                 const ta = String(a.type || '').localeCompare(String(b.type || ''));
@@ -273,6 +536,12 @@ export default class App {
     }
 
     #onWebhook(req, res) {
+        const verification = this.#webhookVerifier.verify(req.get('Signature'), req.rawBody);
+        if (!verification.valid) {
+            console.warn(`🚫 Webhook rejected from ${req.ip}: ${verification.reason}`);
+            return res.status(401).send(`Webhook rejected: ${verification.reason}`);
+        }
+
         try {
             console.info("Webhook triggered");
             this.#handleWebhook(req, res);
@@ -284,8 +553,6 @@ export default class App {
     }
 
     #handleWebhook(req, res) {
-        // TODO: validate auth
-
         if (req.body?.trigger !== "STORE_TRANSACTION") {
             throw new WebhookException("trigger is not STORE_TRANSACTION. Request will not be processed");
         }
@@ -306,8 +573,10 @@ export default class App {
             throw new WebhookException("content.transactions[0].type has to be 'withdrawal' or 'deposit'. Transaction will be ignored.");
         }
         
-        if (req.body.content.transactions[0].category_id !== null && req.body.content.transactions[0].category_id !== "") {
-            throw new WebhookException("content.transactions[0].category_id is already set. Transaction will be ignored.");
+        // Split groups are processed while at least one split is still uncategorized
+        const hasCategory = t => t.category_id !== null && t.category_id !== "";
+        if (req.body.content.transactions.every(hasCategory)) {
+            throw new WebhookException("content.transactions[].category_id is already set. Transaction will be ignored.");
         }
 
         if (!req.body.content.transactions[0].description) {
@@ -337,12 +606,21 @@ export default class App {
             transactionId: req.body.content.id,
         });
 
-        this.#queue.push(async () => {
+        this.#queue.push(() => this.#trackUsage({
+            source: 'webhook',
+            onUsage: entry => this.#jobList.addJobUsage(job.id, entry),
+        }, async () => {
             this.#jobList.setJobInProgress(job.id);
 
             const categories = await this.#firefly.getCategories();
+            if (req.body.content.transactions.length > 1) {
+                await this.#handleSplitWebhook(req.body.content, job, categories);
+                return;
+            }
+
             const tx0 = req.body.content.transactions[0];
             const fakeTransaction = {
+                id: req.body.content.id,
                 attributes: {
                     transactions: [{
                         type: transactionType,
@@ -351,6 +629,8 @@ export default class App {
                         source_name: tx0.source_name,
                         source_id: tx0.source_id,
                         destination_id: tx0.destination_id,
+                        amount: tx0.amount,
+                        notes: tx0.notes,
                         currency_code: tx0.currency_code,
                         foreign_currency_code: tx0.foreign_currency_code,
                         foreign_amount: tx0.foreign_amount,
@@ -358,7 +638,15 @@ export default class App {
                 },
             };
 
-            const resolved = await this.#resolveCategory(fakeTransaction, categories);
+            let resolved;
+            try {
+                resolved = await this.#resolveCategory(fakeTransaction, categories);
+            } catch (error) {
+                if (!(error instanceof SpendCapException)) throw error;
+                // Ends up in Failed Transactions and can be retried once the cap allows it
+                console.warn(`💸 ${error.message}`);
+                resolved = { category: null, prompt: '', response: error.message, autoRule: null };
+            }
             
             // US-0004: Handle queued for review
             if (resolved.queuedForReview) {
@@ -380,6 +668,8 @@ export default class App {
                 console.info(`🏷️ Account mapped: "${description}" → "${category}"`);
             } else if (category && autoRule === 'category_mapping_hint') {
                 console.info(`🔍 AI categorized with keyword hint: "${description}" → "${category}"`);
+            } else if (category && autoRule === 'classification_cache') {
+                console.info(`🗃️ Categorized from cache: "${description}" → "${category}"`);
             } else if (category) {
                 console.info(`✅ Categorized: "${description}" → "${category}"`);
             }
@@ -393,7 +683,14 @@ export default class App {
             this.#jobList.updateJobData(job.id, newData);
 
             if (category) {
-                await this.#firefly.setCategory(req.body.content.id, req.body.content.transactions, categories.get(category));
+                const note = this.#decisionNote(category, resolved.decision, 'webhook');
+                await this.#firefly.setCategory(req.body.content.id, req.body.content.transactions, categories.get(category), ...(note ? [{ note }] : []));
+                await this.#recordDecisions(req.body.content.id, [{
+                    journalId: tx0.transaction_journal_id,
+                    category,
+                    description,
+                    decision: resolved.decision,
+                }], { source: 'webhook' });
                 
                 // Remove from failed transactions if it was successfully categorized
                 this.#failedTransactionService.removeFailedTransactionByProperties(description, destinationName);
@@ -414,17 +711,67 @@ export default class App {
                     })
                 );
             }
-        });
+        }));
+    }
+
+    /** Webhook path for split groups: every uncategorized split is classified and written on its own. */
+    async #handleSplitWebhook(content, job, categories) {
+        const transaction = {
+            id: content.id,
+            attributes: {
+                group_title: content.group_title || null,
+                transactions: content.transactions,
+            },
+        };
+        // Like the single path: a reached spend cap ends up in Failed Transactions instead of failing the job
+        const splitResults = await this.#resolveSplitCategories(transaction, categories, { onlyUncategorized: true, failOnSpendCap: true });
+
+        const newData = Object.assign({}, job.data);
+        newData.splits = splitResults;
+        const assigned = splitResults.filter(r => !r.skipped && r.category);
+        newData.category = assigned.length ? [...new Set(assigned.map(r => r.category))].join(', ') : null;
+        newData.autoRule = 'split';
+        this.#jobList.updateJobData(job.id, newData);
+
+        if (assigned.length) {
+            const categoryIds = content.transactions.map((t, index) => {
+                const result = splitResults[index];
+                return !result.skipped && result.category ? categories.get(result.category) : null;
+            });
+            const notes = splitResults.map(r => (!r.skipped && r.category ? this.#decisionNote(r.category, r.decision, 'webhook') : null));
+            await this.#firefly.setSplitCategories(content.id, content.transactions, categoryIds, ...(notes.some(Boolean) ? [{ notes }] : []));
+            await this.#recordDecisions(content.id, this.#splitDecisionEntries(splitResults), { source: 'webhook' });
+        }
+
+        const failed = splitResults.filter(r => !r.skipped && !r.category);
+        if (failed.length === 0) {
+            this.#failedTransactionService.removeFailedTransactionByFireflyId(content.id);
+        } else {
+            const first = failed[0];
+            this.#failedTransactionService.addFailedTransaction(
+                this.#buildFailedTransactionRecord(content.transactions[first.index], {
+                    id: job.id,
+                    created: job.created,
+                    prompt: first.prompt,
+                    response: first.response,
+                    transactionId: content.id,
+                })
+            );
+        }
+        console.info(`✂️ Split transaction ${content.id}: ${assigned.length} categorized, ${failed.length} failed`);
+
+        this.#jobList.setJobFinished(job.id);
     }
 
     #onProcessUncategorized(req, res) {
         try {
             const scope = req.body?.scope || null;
-            console.info("Manual processing of uncategorized transactions triggered", scope ? `(scope: ${scope})` : '');
-            this.#processUncategorizedTransactions(scope).catch(err => {
+            const dryRun = req.body?.dryRun === true;
+            console.info(`Manual ${dryRun ? 'dry run' : 'processing'} of uncategorized transactions triggered`, scope ? `(scope: ${scope})` : '');
+            this.#processUncategorizedTransactions(scope, { dryRun }).catch(err => {
                 console.error("processUncategorizedTransactions failed:", err);
             });
-            res.json({ success: true, message: "Processing started" });
+            res.json({ success: true, message: dryRun ? "Dry run started" : "Processing started", dryRun });
         } catch (e) {
             console.error(e);
             res.status(500).json({ success: false, error: e.message });
@@ -434,11 +781,12 @@ export default class App {
     #onProcessAll(req, res) {
         try {
             const scope = req.body?.scope || null;
-            console.info("Manual processing of all transactions triggered", scope ? `(scope: ${scope})` : '');
-            this.#processAllTransactions(scope).catch(err => {
+            const dryRun = req.body?.dryRun === true;
+            console.info(`Manual ${dryRun ? 'dry run' : 'processing'} of all transactions triggered`, scope ? `(scope: ${scope})` : '');
+            this.#processAllTransactions(scope, { dryRun }).catch(err => {
                 console.error("processAllTransactions failed:", err);
             });
-            res.json({ success: true, message: "Processing started" });
+            res.json({ success: true, message: dryRun ? "Dry run started" : "Processing started", dryRun });
         } catch (e) {
             console.error(e);
             res.status(500).json({ success: false, error: e.message });
@@ -625,202 +973,667 @@ export default class App {
         return !ft?.transactionDate || !this.#failedTxHasValidAmount(ft) || !ft?.currencyCode;
     }
 
-    #onApiVersion(req, res) {
+    /**
+     * Resolves the caller from `Authorization: Bearer <session or API token>` and
+     * checks the role the route needs (see requiredRoleFor in AuthService).
+     */
+    async #authorize(method, path, authorizationHeader) {
+        const requiredRole = requiredRoleFor(method, path);
+        const auth = await this.#authService.authenticate(bearerToken(authorizationHeader));
+
+        if (requiredRole === 'public') return { ok: true, auth };
+        if (!auth) {
+            return { ok: false, status: 401, error: 'Authentication required' };
+        }
+        if (!hasRole(auth.role, requiredRole)) {
+            console.warn(`🚫 ${auth.username} (${auth.role}) denied ${method} ${path}: requires ${requiredRole}`);
+            return { ok: false, status: 403, error: `Requires role '${requiredRole}'` };
+        }
+        return { ok: true, auth };
+    }
+
+    #onAuthStatus(req, res) {
         res.json({
             success: true,
-            apiVersion: API_VERSION,
-            capabilities: { failedTransactionEnrich: true },
+            enabled: this.#authService.isEnabled(),
+            user: req.auth && req.auth.type !== 'anonymous' ? { username: req.auth.username, role: req.auth.role } : null,
         });
     }
 
-    #failedTxEnrichSnapshot(ft) {
-        return JSON.stringify({
-            transactionId: ft?.transactionId != null ? String(ft.transactionId) : null,
-            amount: ft?.amount ?? null,
-            currencyCode: ft?.currencyCode ?? null,
-            transactionDate: ft?.transactionDate ?? null,
-        });
+    async #onAuthLogin(req, res) {
+        try {
+            if (!this.#authService.isEnabled()) {
+                return res.status(400).json({ success: false, error: 'Authentication is not enabled' });
+            }
+            const { username, password } = req.body || {};
+            const session = await this.#authService.login(username, password);
+            if (!session) {
+                console.warn(`🚫 Failed login for '${String(username || '')}' from ${req.ip}`);
+                return res.status(401).json({ success: false, error: 'Invalid username or password' });
+            }
+            console.info(`🔐 ${session.user.username} logged in`);
+            res.json({ success: true, ...session });
+        } catch (e) {
+            console.error('Login error:', e);
+            res.status(500).json({ success: false, error: e.message });
+        }
     }
 
-    async #runFailedTransactionsEnrich(limit = 50) {
-        const cap = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 100);
-        const all = this.#collectFailedTransactionsForApi();
-        const needsEnrich = all.filter(ft => this.#failedTxNeedsEnrich(ft));
-        const batch = needsEnrich.slice(0, cap);
-        let enriched = 0;
-        let staleResolved = 0;
-        let notFound = 0;
-        let unchanged = 0;
-
-        console.info(`📋 Enriching ${batch.length}/${needsEnrich.length} failed transactions from Firefly…`);
+    #onAuthLogout(req, res) {
+        this.#authService.logout(bearerToken(req.get('Authorization')));
+        res.json({ success: true });
+    }
 
-        for (const ft of batch) {
-            const before = this.#failedTxEnrichSnapshot(ft);
-            const { record, status } = await this.#enrichFailedTransactionFromFirefly(ft);
-            const after = this.#failedTxEnrichSnapshot(record);
+    #onAuthMe(req, res) {
+        res.json({ success: true, user: { username: req.auth.username, role: req.auth.role, type: req.auth.type } });
+    }
 
-            if (status === 'updated') enriched++;
-            else if (status === 'stale_resolved') staleResolved++;
-            else if (status === 'not_found' || status === 'error') notFound++;
-            else if (before === after) unchanged++;
-            else if (!this.#failedTxNeedsEnrich(record)) enriched++;
-            else unchanged++;
+    async #onGetAuthUsers(req, res) {
+        try {
+            res.json({ success: true, users: await this.#authService.listUsers() });
+        } catch (e) {
+            console.error('Error listing users:', e);
+            res.status(500).json({ success: false, error: e.message });
         }
-
-        const stillNeed = this.#collectFailedTransactionsForApi().filter(ft => this.#failedTxNeedsEnrich(ft)).length;
-
-        return {
-            processed: batch.length,
-            enriched,
-            staleResolved,
-            notFound,
-            unchanged,
-            remaining: stillNeed,
-            needsTotal: needsEnrich.length,
-        };
     }
 
-    async #runFailedTransactionsEnrichPasses(limit = 100, maxPasses = 8) {
-        const totals = {
-            passes: 0,
-            processed: 0,
-            enriched: 0,
-            staleResolved: 0,
-            notFound: 0,
-            unchanged: 0,
-            remaining: 0,
-            needsTotal: 0,
-        };
-
-        for (let pass = 0; pass < maxPasses; pass++) {
-            const stats = await this.#runFailedTransactionsEnrich(limit);
-            totals.passes++;
-            totals.processed += stats.processed;
-            totals.enriched += stats.enriched;
-            totals.staleResolved += stats.staleResolved;
-            totals.notFound += stats.notFound;
-            totals.unchanged += stats.unchanged;
-            totals.remaining = stats.remaining;
-            totals.needsTotal = stats.needsTotal;
-
-            const progress = stats.enriched + stats.staleResolved;
-            if (stats.remaining === 0 || progress === 0) {
-                break;
-            }
+    async #onAddAuthUser(req, res) {
+        try {
+            const user = await this.#authService.addUser(req.body || {});
+            console.info(`🔐 ${req.auth.username} created user '${user.username}' (${user.role})`);
+            res.json({ success: true, user });
+        } catch (e) {
+            if (e instanceof AuthException) return res.status(400).json({ success: false, error: e.message });
+            console.error('Error adding user:', e);
+            res.status(500).json({ success: false, error: e.message });
         }
-
-        return totals;
     }
 
-    async #onGetFailedTransactions(req, res) {
+    async #onDeleteAuthUser(req, res) {
         try {
-            const enrichParam = Array.isArray(req.query.enrich) ? req.query.enrich[0] : req.query.enrich;
-            const explicitEnrich =
-                req.get('X-Enrich-Failed') === '1' ||
-                enrichParam === '1' ||
-                enrichParam === 'true';
-
-            const all = this.#collectFailedTransactionsForApi();
-            const needsTotal = all.filter(ft => this.#failedTxNeedsEnrich(ft)).length;
-            const cap = explicitEnrich ? 100 : 25;
-
-            let enrich = { processed: 0, enriched: 0, remaining: needsTotal, needsTotal };
-            if (needsTotal > 0) {
-                enrich = explicitEnrich
-                    ? await this.#runFailedTransactionsEnrichPasses(req.query.limit ?? cap, 8)
-                    : await this.#runFailedTransactionsEnrich(req.query.limit ?? cap);
-            }
+            const deleted = await this.#authService.deleteUser(req.params.id);
+            if (!deleted) return res.status(404).json({ success: false, error: 'User not found' });
+            res.json({ success: true });
+        } catch (e) {
+            if (e instanceof AuthException) return res.status(400).json({ success: false, error: e.message });
+            console.error('Error deleting user:', e);
+            res.status(500).json({ success: false, error: e.message });
+        }
+    }
 
-            res.json({
-                success: true,
-                apiVersion: API_VERSION,
-                capabilities: { failedTransactionEnrich: true },
-                failedTransactions: this.#collectFailedTransactionsForApi(),
-                enrich,
-            });
+    async #onGetAuthTokens(req, res) {
+        try {
+            res.json({ success: true, tokens: await this.#authService.listTokens() });
         } catch (e) {
-            console.error(e);
+            console.error('Error listing API tokens:', e);
             res.status(500).json({ success: false, error: e.message });
         }
     }
 
-    async #onRefreshFailedTransactions(req, res) {
+    async #onCreateAuthToken(req, res) {
         try {
-            const limit = Math.min(Math.max(parseInt(req.body?.limit ?? 100, 10) || 100, 1), 100);
-            const enrich = await this.#runFailedTransactionsEnrichPasses(limit, 8);
-            res.json({
-                success: true,
-                apiVersion: API_VERSION,
-                capabilities: { failedTransactionEnrich: true },
-                failedTransactions: this.#collectFailedTransactionsForApi(),
-                enrich,
-            });
+            const token = await this.#authService.createToken(req.body || {}, req.auth.username);
+            console.info(`🔐 ${req.auth.username} created API token '${token.name}' (${token.role})`);
+            res.json({ success: true, ...token });
         } catch (e) {
-            console.error('Refresh failed transactions error:', e);
+            if (e instanceof AuthException) return res.status(400).json({ success: false, error: e.message });
+            console.error('Error creating API token:', e);
             res.status(500).json({ success: false, error: e.message });
         }
     }
 
-    async #onEnrichFailedTransactions(req, res) {
+    async #onRevokeAuthToken(req, res) {
         try {
-            const enrich = await this.#runFailedTransactionsEnrich(req.body?.limit ?? req.query?.limit ?? 50);
-            res.json({ success: true, ...enrich });
+            const revoked = await this.#authService.revokeToken(req.params.id);
+            if (!revoked) return res.status(404).json({ success: false, error: 'Token not found' });
+            res.json({ success: true });
         } catch (e) {
-            console.error('Enrich failed transactions error:', e);
+            console.error('Error revoking API token:', e);
             res.status(500).json({ success: false, error: e.message });
         }
     }
 
-    #onPauseBatchJob(req, res) {
+    #onApiVersion(req, res) {
+        res.json({
+            success: true,
+            apiVersion: API_VERSION,
+            capabilities: { failedTransactionEnrich: true },
+        });
+    }
+
+    #onRebuildSimilarityIndex(req, res) {
         try {
-            const { id } = req.params;
-            const success = this.#jobList.pauseBatchJob(id);
-            
-            if (success) {
-                res.json({ success: true, message: 'Batch job paused successfully' });
-            } else {
-                res.status(400).json({ success: false, error: 'Could not pause batch job' });
+            if (this.#similarityIndexService.isBuilding()) {
+                return res.status(409).json({ success: false, error: 'Rebuild already in progress' });
             }
+            this.#similarityIndexService
+                .rebuild(() => this.#firefly.getAllTransactions())
+                .catch(err => console.error('Similarity index rebuild failed:', err));
+            res.json({ success: true, message: 'Rebuild started' });
         } catch (e) {
             console.error(e);
             res.status(500).json({ success: false, error: e.message });
         }
     }
 
-    #onResumeBatchJob(req, res) {
+    #onGetConfidencePolicy(req, res) {
         try {
-            const { id } = req.params;
-            const success = this.#jobList.resumeBatchJob(id);
-            
-            if (success) {
-                res.json({ success: true, message: 'Batch job resumed successfully' });
-            } else {
-                res.status(400).json({ success: false, error: 'Could not resume batch job' });
-            }
+            res.json({ success: true, policy: this.#confidencePolicyService.getConfig() });
         } catch (e) {
             console.error(e);
             res.status(500).json({ success: false, error: e.message });
         }
     }
 
-    #onCancelBatchJob(req, res) {
+    async #onUpdateConfidencePolicy(req, res) {
         try {
-            const { id } = req.params;
-            const success = this.#jobList.cancelBatchJob(id);
-            
-            if (success) {
-                res.json({ success: true, message: 'Batch job cancelled successfully' });
-            } else {
-                res.status(400).json({ success: false, error: 'Could not cancel batch job' });
-            }
+            const policy = await this.#confidencePolicyService.updateConfig(req.body?.policy || {});
+            res.json({ success: true, policy });
         } catch (e) {
+            if (e instanceof ConfidencePolicyException) {
+                return res.status(400).json({ success: false, error: e.message });
+            }
             console.error(e);
             res.status(500).json({ success: false, error: e.message });
         }
     }
 
-    async #processUncategorizedTransactions(scope = null) {
-        let transactions = await this.#firefly.getAllUncategorizedTransactions();
+    #onGetSimilarityStats(req, res) {
+        try {
+            res.json({ success: true, stats: this.#similarityIndexService.getStats() });
+        } catch (e) {
+            console.error(e);
+            res.status(500).json({ success: false, error: e.message });
+        }
+    }
+
+    #onGetLlmProvider(req, res) {
+        try {
+            res.json({ success: true, ...this.#openAi.getProviderInfo() });
+        } catch (e) {
+            console.error(e);
+            res.status(500).json({ success: false, error: e.message });
+        }
+    }
+
+    async #onGetLlmModels(req, res) {
+        try {
+            const models = await this.#openAi.listModels();
+            res.json({ success: true, ...this.#openAi.getProviderInfo(), models });
+        } catch (e) {
+            console.error('List LLM models error:', e);
+            res.status(500).json({ success: false, error: e.message });
+        }
+    }
+
+    async #onGetLlmHealth(req, res) {
+        try {
+            const health = await this.#openAi.healthCheck();
+            res.status(health.ok ? 200 : 503).json({ success: health.ok, ...health });
+        } catch (e) {
+            console.error('LLM health check error:', e);
+            res.status(500).json({ success: false, error: e.message });
+        }
+    }
+
+    #onGetLlmRateLimit(req, res) {
+        try {
+            res.json({ success: true, batchConcurrency: this.#BATCH_CONCURRENCY, ...this.#openAi.getRateLimiterStats() });
+        } catch (e) {
+            console.error(e);
+            res.status(500).json({ success: false, error: e.message });
+        }
+    }
+
+    #onGetUsage(req, res) {
+        try {
+            const { from, to } = req.query;
+            res.json({ success: true, ...this.#usageService.getUsage({ from, to }) });
+        } catch (e) {
+            console.error(e);
+            res.status(500).json({ success: false, error: e.message });
+        }
+    }
+
+    async #onSetUsageCap(req, res) {
+        try {
+            const monthlyCap = await this.#usageService.setMonthlyCap(req.body?.monthlyCap);
+            console.info(`💰 Monthly LLM spend cap set to ${monthlyCap || 'none'}`);
+            res.json({ success: true, currentMonth: this.#usageService.getUsage().currentMonth });
+        } catch (e) {
+            if (e instanceof UsageException) {
+                return res.status(400).json({ success: false, error: e.message });
+            }
+            console.error(e);
+            res.status(500).json({ success: false, error: e.message });
+        }
+    }
+
+    /**
+     * `{ transactionId }` (optionally `splitIndex`) or raw fields `{ description, destinationName, sourceName,
+     * sourceId, destinationId, type, amount, currencyCode, foreignAmount, notes }`; `runLlm` calls the LLM.
+     */
+    async #onExplainPipeline(req, res) {
+        try {
+            const body = req.body || {};
+            let transaction;
+            let split = null;
+            if (body.transactionId) {
+                const found = await this.#firefly.getTransaction(body.transactionId);
+                transaction = found?.data;
+                const splits = transaction?.attributes?.transactions || [];
+                const splitIndex = Number(body.splitIndex ?? 0);
+                if (!splits[splitIndex]) {
+                    return res.status(404).json({ success: false, error: 'Transaction or split not found' });
+                }
+                if (splits.length > 1) {
+                    split = this.#splitContext(transaction, splitIndex);
+                    transaction = this.#splitView(transaction, splitIndex);
+                }
+            } else if (body.description || body.destinationName) {
+                transaction = {
+                    id: null,
+                    attributes: {
+                        transactions: [{
+                            type: body.type || 'withdrawal',
+                            description: body.description || '',
+                            destination_name: body.destinationName || '',
+                            destination_id: body.destinationId ?? null,
+                            source_name: body.sourceName || '',
+                            source_id: body.sourceId ?? null,
+                            amount: body.amount != null ? String(body.amount) : null,
+                            currency_code: body.currencyCode || null,
+                            foreign_amount: body.foreignAmount ?? null,
+                            notes: body.notes || null,
+                        }],
+                    },
+                };
+            } else {
+                return res.status(400).json({ success: false, error: 'transactionId or description/destinationName is required' });
+            }
+
+            const categories = await this.#firefly.getCategories();
+            const trace = await this.#explainPipeline(transaction, categories, { runLlm: body.runLlm === true, split });
+            res.json({ success: true, ...trace });
+        } catch (e) {
+            if (e instanceof SpendCapException) {
+                return res.status(409).json({ success: false, error: e.message });
+            }
+            console.error(e);
+            res.status(e.code === 404 ? 404 : 500).json({ success: false, error: e.message });
+        }
+    }
+
+    #onGetClassificationCacheStats(req, res) {
+        try {
+            res.json({ success: true, ...this.#classificationCacheService.getStats() });
+        } catch (e) {
+            console.error(e);
+            res.status(500).json({ success: false, error: e.message });
+        }
+    }
+
+    async #onClearClassificationCache(req, res) {
+        try {
+            const removed = await this.#classificationCacheService.clear();
+            res.json({ success: true, removed });
+        } catch (e) {
+            console.error(e);
+            res.status(500).json({ success: false, error: e.message });
+        }
+    }
+
+    /** Runs `fn` in a usage scope so its LLM requests are attributed (no-op without a UsageService, e.g. in tests). */
+    #trackUsage(scope, fn) {
+        return this.#usageService ? this.#usageService.track(scope, fn) : fn();
+    }
+
+    /** Express handler whose LLM requests are booked under `source`. */
+    #withUsage(source, handler) {
+        return (req, res) => this.#trackUsage({ source }, () => handler.call(this, req, res));
+    }
+
+    /** Logs every rule of `ruleSets` the handler changed, with the caller and route (see RuleAuditService). */
+    #withRuleAudit(ruleSets, handler) {
+        return async (req, res) => {
+            const before = this.#ruleAuditService?.capture(ruleSets);
+            await handler.call(this, req, res);
+            if (!before) return;
+            try {
+                await this.#ruleAuditService.recordChanges(before, this.#auditContext(req));
+            } catch (e) {
+                console.error('Error recording rule audit:', e);
+            }
+        };
+    }
+
+    #auditContext(req) {
+        return { actor: req.auth?.username || 'anonymous', method: req.method, route: req.originalUrl.split('?')[0] };
+    }
+
+    /** The rule sets the audit log tracks, under the same names as the rule bundle sections. */
+    #auditedRuleSets() {
+        return {
+            wordMappings: {
+                list: () => this.#wordMapping.getAllMappings(),
+                key: mapping => mapping.from,
+                restore: mappings => this.#wordMapping.replaceMappings(mappings),
+            },
+            categoryMappings: {
+                list: () => this.#categoryMappingService.getAllMappings(),
+                key: mapping => mapping.id,
+                restore: mappings => this.#categoryMappingService.replaceMappings(mappings),
+            },
+            accountCategoryMappings: {
+                list: () => this.#accountCategoryMappingService.getAllMappings(),
+                key: mapping => mapping.id,
+                restore: mappings => this.#accountCategoryMappingService.replaceMappings(mappings),
+            },
+            autoCategorization: {
+                config: () => this.#autoCategorizationService.getConfig(),
+                restore: config => this.#autoCategorizationService.updateConfig(config),
+            },
+            dominance: {
+                config: () => this.#historyAnalysisService.getConfig(),
+                restore: config => this.#historyAnalysisService.updateConfig(config),
+            },
+        };
+    }
+
+    async #onGetRuleAudit(req, res) {
+        try {
+            const { ruleSet, ruleId, limit } = req.query;
+            const entries = await this.#ruleAuditService.getEntries({ ruleSet, ruleId, limit });
+            res.json({ success: true, entries });
+        } catch (e) {
+            console.error(e);
+            res.status(500).json({ success: false, error: e.message });
+        }
+    }
+
+    /** Body: `{ version: 'after' | 'before' }`, the value the rule had after (default) or before the entry. */
+    async #onRestoreRuleVersion(req, res) {
+        try {
+            const result = await this.#ruleAuditService.restore(req.params.id, {
+                version: req.body?.version || 'after',
+                ...this.#auditContext(req),
+            });
+            console.info(`⏪ ${result.entry.ruleSet} rule "${result.entry.label}" restored to its ${result.version} version of ${result.entry.timestamp}`);
+            res.json({ success: true, ...result });
+        } catch (e) {
+            if (e instanceof RuleAuditException) {
+                return res.status(e.status).json({ success: false, error: e.message });
+            }
+            console.error(e);
+            res.status(500).json({ success: false, error: e.message });
+        }
+    }
+
+    /** "Why is transaction X in category Y?" — `?category=` narrows the answer to one category. */
+    async #onGetDecisions(req, res) {
+        try {
+            const result = await this.#decisionRecordService.explain(req.params.transactionId, req.query.category || null);
+            if (!result) {
+                return res.status(404).json({ success: false, error: 'No decision recorded for this transaction' });
+            }
+            res.json({ success: true, ...result });
+        } catch (e) {
+            console.error(e);
+            res.status(500).json({ success: false, error: e.message });
+        }
+    }
+
+    #failedTxEnrichSnapshot(ft) {
+        return JSON.stringify({
+            transactionId: ft?.transactionId != null ? String(ft.transactionId) : null,
+            amount: ft?.amount ?? null,
+            currencyCode: ft?.currencyCode ?? null,
+            transactionDate: ft?.transactionDate ?? null,
+        });
+    }
+
+    async #runFailedTransactionsEnrich(limit = 50) {
+        const cap = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 100);
+        const all = this.#collectFailedTransactionsForApi();
+        const needsEnrich = all.filter(ft => this.#failedTxNeedsEnrich(ft));
+        const batch = needsEnrich.slice(0, cap);
+        let enriched = 0;
+        let staleResolved = 0;
+        let notFound = 0;
+        let unchanged = 0;
+
+        console.info(`📋 Enriching ${batch.length}/${needsEnrich.length} failed transactions from Firefly…`);
+
+        for (const ft of batch) {
+            const before = this.#failedTxEnrichSnapshot(ft);
+            const { record, status } = await this.#enrichFailedTransactionFromFirefly(ft);
+            const after = this.#failedTxEnrichSnapshot(record);
+
+            if (status === 'updated') enriched++;
+            else if (status === 'stale_resolved') staleResolved++;
+            else if (status === 'not_found' || status === 'error') notFound++;
+            else if (before === after) unchanged++;
+            else if (!this.#failedTxNeedsEnrich(record)) enriched++;
+            else unchanged++;
+        }
+
+        const stillNeed = this.#collectFailedTransactionsForApi().filter(ft => this.#failedTxNeedsEnrich(ft)).length;
+
+        return {
+            processed: batch.length,
+            enriched,
+            staleResolved,
+            notFound,
+            unchanged,
+            remaining: stillNeed,
+            needsTotal: needsEnrich.length,
+        };
+    }
+
+    async #runFailedTransactionsEnrichPasses(limit = 100, maxPasses = 8) {
+        const totals = {
+            passes: 0,
+            processed: 0,
+            enriched: 0,
+            staleResolved: 0,
+            notFound: 0,
+            unchanged: 0,
+            remaining: 0,
+            needsTotal: 0,
+        };
+
+        for (let pass = 0; pass < maxPasses; pass++) {
+            const stats = await this.#runFailedTransactionsEnrich(limit);
+            totals.passes++;
+            totals.processed += stats.processed;
+            totals.enriched += stats.enriched;
+            totals.staleResolved += stats.staleResolved;
+            totals.notFound += stats.notFound;
+            totals.unchanged += stats.unchanged;
+            totals.remaining = stats.remaining;
+            totals.needsTotal = stats.needsTotal;
+
+            const progress = stats.enriched + stats.staleResolved;
+            if (stats.remaining === 0 || progress === 0) {
+                break;
+            }
+        }
+
+        return totals;
+    }
+
+    async #onGetFailedTransactions(req, res) {
+        try {
+            const enrichParam = Array.isArray(req.query.enrich) ? req.query.enrich[0] : req.query.enrich;
+            const explicitEnrich =
+                req.get('X-Enrich-Failed') === '1' ||
+                enrichParam === '1' ||
+                enrichParam === 'true';
+
+            const all = this.#collectFailedTransactionsForApi();
+            const needsTotal = all.filter(ft => this.#failedTxNeedsEnrich(ft)).length;
+            const cap = explicitEnrich ? 100 : 25;
+
+            let enrich = { processed: 0, enriched: 0, remaining: needsTotal, needsTotal };
+            if (needsTotal > 0) {
+                enrich = explicitEnrich
+                    ? await this.#runFailedTransactionsEnrichPasses(req.query.limit ?? cap, 8)
+                    : await this.#runFailedTransactionsEnrich(req.query.limit ?? cap);
+            }
+
+            res.json({
+                success: true,
+                apiVersion: API_VERSION,
+                capabilities: { failedTransactionEnrich: true },
+                failedTransactions: this.#collectFailedTransactionsForApi(),
+                enrich,
+            });
+        } catch (e) {
+            console.error(e);
+            res.status(500).json({ success: false, error: e.message });
+        }
+    }
+
+    async #onRefreshFailedTransactions(req, res) {
+        try {
+            const limit = Math.min(Math.max(parseInt(req.body?.limit ?? 100, 10) || 100, 1), 100);
+            const enrich = await this.#runFailedTransactionsEnrichPasses(limit, 8);
+            res.json({
+                success: true,
+                apiVersion: API_VERSION,
+                capabilities: { failedTransactionEnrich: true },
+                failedTransactions: this.#collectFailedTransactionsForApi(),
+                enrich,
+            });
+        } catch (e) {
+            console.error('Refresh failed transactions error:', e);
+            res.status(500).json({ success: false, error: e.message });
+        }
+    }
+
+    async #onEnrichFailedTransactions(req, res) {
+        try {
+            const enrich = await this.#runFailedTransactionsEnrich(req.body?.limit ?? req.query?.limit ?? 50);
+            res.json({ success: true, ...enrich });
+        } catch (e) {
+            console.error('Enrich failed transactions error:', e);
+            res.status(500).json({ success: false, error: e.message });
+        }
+    }
+
+    #onGetJobHistory(req, res) {
+        try {
+            const { status, autoRule, from, to, offset, limit } = req.query;
+            const page = this.#jobList.queryJobs({ status, autoRule, from, to, offset, limit });
+            res.json({ success: true, total: page.total, offset: page.offset, limit: page.limit, jobs: page.items });
+        } catch (e) {
+            console.error(e);
+            res.status(500).json({ success: false, error: e.message });
+        }
+    }
+
+    #onGetBatchJobHistory(req, res) {
+        try {
+            const { status, type, from, to, offset, limit } = req.query;
+            const page = this.#jobList.queryBatchJobs({ status, type, from, to, offset, limit });
+            res.json({ success: true, total: page.total, offset: page.offset, limit: page.limit, batchJobs: page.items });
+        } catch (e) {
+            console.error(e);
+            res.status(500).json({ success: false, error: e.message });
+        }
+    }
+
+    #onPauseBatchJob(req, res) {
+        try {
+            const { id } = req.params;
+            const success = this.#jobList.pauseBatchJob(id);
+            
+            if (success) {
+                res.json({ success: true, message: 'Batch job paused successfully' });
+            } else {
+                res.status(400).json({ success: false, error: 'Could not pause batch job' });
+            }
+        } catch (e) {
+            console.error(e);
+            res.status(500).json({ success: false, error: e.message });
+        }
+    }
+
+    #onResumeBatchJob(req, res) {
+        try {
+            const { id } = req.params;
+            const success = this.#jobList.resumeBatchJob(id);
+            
+            if (success) {
+                res.json({ success: true, message: 'Batch job resumed successfully' });
+            } else {
+                res.status(400).json({ success: false, error: 'Could not resume batch job' });
+            }
+        } catch (e) {
+            console.error(e);
+            res.status(500).json({ success: false, error: e.message });
+        }
+    }
+
+    #onCancelBatchJob(req, res) {
+        try {
+            const { id } = req.params;
+            const success = this.#jobList.cancelBatchJob(id);
+            
+            if (success) {
+                res.json({ success: true, message: 'Batch job cancelled successfully' });
+            } else {
+                res.status(400).json({ success: false, error: 'Could not cancel batch job' });
+            }
+        } catch (e) {
+            console.error(e);
+            res.status(500).json({ success: false, error: e.message });
+        }
+    }
+
+    /** Continues an `interrupted` batch job (e.g. after a restart) from its checkpoint; runs in the background. */
+    async #onResumeBatchJobFromCheckpoint(req, res) {
+        try {
+            const { id } = req.params;
+            const batchJob = this.#jobList.getBatchJobs().get(id);
+            if (!batchJob) {
+                return res.status(404).json({ success: false, error: 'Batch job not found' });
+            }
+            if (batchJob.status !== 'interrupted') {
+                return res.status(409).json({ success: false, error: `Batch job is ${batchJob.status}, only interrupted batch jobs can be resumed` });
+            }
+            const checkpoint = await this.#checkpointStore.load(id);
+            if (!checkpoint) {
+                return res.status(404).json({ success: false, error: 'No checkpoint found for this batch job' });
+            }
+            // Re-running a process-all batch needs the same role as starting one
+            if (checkpoint.type === 'all' && req.auth && !hasRole(req.auth.role, 'admin')) {
+                return res.status(403).json({ success: false, error: 'Resuming this batch job requires the admin role' });
+            }
+
+            // Reopened synchronously so a second request gets 409 instead of starting a parallel loop
+            this.#jobList.reopenBatchJob(id);
+            this.#resumeBatchFromCheckpoint(batchJob, checkpoint).catch(error => {
+                console.error(`Error resuming batch job ${id}:`, error);
+                this.#jobList.updateBatchJobProgress(id, { errors: 1, errorDetails: `Resume failed: ${error.message}` });
+                this.#jobList.finishBatchJob(id);
+            });
+
+            const cursor = batchJob.cursor ?? batchJob.processedCount ?? 0;
+            res.json({
+                success: true,
+                message: 'Batch job resumed from checkpoint',
+                cursor,
+                remaining: Math.max(checkpoint.transactionIds.length - cursor, 0),
+            });
+        } catch (e) {
+            console.error(e);
+            res.status(500).json({ success: false, error: e.message });
+        }
+    }
+
+    async #processUncategorizedTransactions(scope = null, { dryRun = false } = {}) {
+        let transactions = await this.#firefly.getAllUncategorizedTransactions();
         
         // Apply scope filter (US-0005 / DEC-0016)
         if (scope === 'withdrawals') {
@@ -849,80 +1662,11 @@ export default class App {
         // scope === 'both' or null: process all transactions — no automatic skip
         
         const categories = await this.#firefly.getCategories();
-        const batchJob = this.#jobList.createBatchJob('uncategorized', transactions.length);
-        
         console.info(`Found ${transactions.length} uncategorized transactions to process`);
-
-        let processedCount = 0;
-        let successCount = 0;
-        let errorCount = 0;
-
-        // Intelligente Batch-Verarbeitung mit dynamischen Delays
-        const batchSize = 10; // Process 10 transactions, then pause
-        const baseDelay = 1000; // 1 Sekunde zwischen Requests
-        let currentDelay = baseDelay;
-
-        for (let i = 0; i < transactions.length; i++) {
-            const transaction = transactions[i];
-            
-            // Check if batch job is paused or cancelled
-            let batchJobStatus = this.#jobList.getBatchJobStatus(batchJob.id);
-            if (batchJobStatus === 'cancelled') {
-                console.info(`❌ Batch job ${batchJob.id} cancelled, stopping processing`);
-                break;
-            }
-            
-            while (batchJobStatus === 'paused') {
-                console.info(`⏸️ Batch job ${batchJob.id} paused, waiting...`);
-                await new Promise(resolve => setTimeout(resolve, 1000));
-                // Re-check status after wait
-                batchJobStatus = this.#jobList.getBatchJobStatus(batchJob.id);
-                if (batchJobStatus !== 'paused') {
-                    break;
-                }
-            }
-            
-            try {
-                const success = await this.#processTransaction(transaction, categories, batchJob.id);
-                if (success) {
-                    successCount++;
-                    // Successful request - reduce delay slightly
-                    currentDelay = Math.max(baseDelay * 0.8, 500);
-                }
-            } catch (error) {
-                console.error(`Error processing transaction ${transaction.id}:`, error);
-                errorCount++;
-                
-                // For rate limit errors: exponentially longer pauses
-                if (error.code === 429) {
-                    currentDelay = Math.min(currentDelay * 2, 30000); // Max 30 Sekunden
-                    console.warn(`⏳ Rate limit detected, increasing delay to ${currentDelay/1000}s`);
-                }
-                
-                this.#jobList.updateBatchJobProgress(
-                    batchJob.id, 
-                    { errors: 1, errorDetails: `Transaction ${transaction.id}: ${error.message}` }
-                );
-            }
-            
-            processedCount++;
-            this.#jobList.updateBatchJobProgress(batchJob.id, { processed: 1 });
-            
-            // Adaptive Pausen basierend auf Performance
-            if (processedCount % batchSize === 0) {
-                console.info(`⏸️ Processed ${processedCount}/${transactions.length}, pausing ${currentDelay/1000}s...`);
-                await new Promise(resolve => setTimeout(resolve, currentDelay));
-            } else {
-                // Kurze Pause zwischen einzelnen Requests
-                await new Promise(resolve => setTimeout(resolve, Math.min(currentDelay, 2000)));
-            }
-        }
-
-        this.#jobList.finishBatchJob(batchJob.id);
-        console.info(`Batch processing completed. Processed: ${processedCount}, Success: ${successCount}, Errors: ${errorCount}`);
+        await this.#startBatch('uncategorized', transactions, categories, { scope, dryRun });
     }
 
-    async #processAllTransactions(scope = null) {
+    async #processAllTransactions(scope = null, { dryRun = false } = {}) {
         let transactions = await this.#firefly.getAllTransactions();
         
         // Apply scope filter (US-0005 / DEC-0016)
@@ -952,74 +1696,144 @@ export default class App {
         // scope === 'both' or null: process all transactions — no automatic skip
         
         const categories = await this.#firefly.getCategories();
-        const batchJob = this.#jobList.createBatchJob('all', transactions.length);
-        
         console.info(`Found ${transactions.length} transactions (withdrawals and deposits) to process`);
+        await this.#startBatch('all', transactions, categories, { scope, dryRun });
+    }
+
+    /** Creates the batch job and its checkpoint, then runs the loop from the first transaction. */
+    async #startBatch(type, transactions, categories, { scope = null, dryRun = false } = {}) {
+        const dryRunRecord = dryRun
+            ? await this.#dryRunService.createRun({ type, scope, totalCount: transactions.length })
+            : null;
+        const batchJob = this.#jobList.createBatchJob(type, transactions.length, {
+            scope,
+            cursor: 0,
+            ...(dryRunRecord ? { dryRun: true, dryRunId: dryRunRecord.id } : {}),
+        });
+        await this.#checkpointStore.save(batchJob.id, {
+            type,
+            scope,
+            dryRunId: dryRunRecord?.id ?? null,
+            transactionIds: transactions.map(t => t.id),
+        });
+        await this.#runBatchLoop(batchJob, transactions, categories, { dryRunId: dryRunRecord?.id ?? null });
+    }
+
+    /**
+     * Continues an `interrupted` batch job at its saved cursor. Transactions are re-fetched and matched to the
+     * checkpointed ids; ids that no longer qualify (e.g. categorized in the meantime) count as processed.
+     */
+    async #resumeBatchFromCheckpoint(batchJob, checkpoint) {
+        const source = UNCATEGORIZED_ONLY_BATCHES.has(checkpoint.type)
+            ? await this.#firefly.getAllUncategorizedTransactions()
+            : await this.#firefly.getAllTransactions();
+        const byId = new Map(source.map(t => [String(t.id), t]));
+        const transactions = checkpoint.transactionIds.map(id => byId.get(id) ?? null);
+        const categories = await this.#firefly.getCategories();
+        const startIndex = Math.min(batchJob.cursor ?? batchJob.processedCount ?? 0, transactions.length);
+
+        if (checkpoint.dryRunId) await this.#dryRunService.reopenRun(checkpoint.dryRunId);
+        console.info(`▶️ Resuming batch job ${batchJob.id} at ${startIndex}/${transactions.length} from checkpoint`);
+        await this.#runBatchLoop(batchJob, transactions, categories, {
+            startIndex,
+            finishedAhead: batchJob.finishedAhead || [],
+            dryRunId: checkpoint.dryRunId,
+        });
+    }
+
+    /**
+     * The batch loop shared by new and resumed batch jobs. `BATCH_CONCURRENCY` workers take the next
+     * transaction in order; pacing and 429 handling come from the RateLimiter shared by all LLM calls.
+     * The checkpoint is the cursor (index of the first transaction not finished yet) plus the indexes
+     * already finished behind it (`finishedAhead`); a resumed loop skips both, so only transactions
+     * that were in flight run again.
+     * `transactions` entries may be null for checkpointed ids that are no longer available.
+     */
+    async #runBatchLoop(batchJob, transactions, categories, { startIndex = 0, finishedAhead = [], dryRunId = null } = {}) {
+        const options = UNCATEGORIZED_ONLY_BATCHES.has(batchJob.type) ? { onlyUncategorized: true } : {};
 
         let processedCount = 0;
         let successCount = 0;
         let errorCount = 0;
 
-        // For "all transactions" - even more conservative limits
-        const batchSize = 10; // Process 10 transactions, then pause
-        const baseDelay = 1000; // 1 Sekunde zwischen Requests
-        let currentDelay = baseDelay;
+        let next = startIndex;
+        let cursor = startIndex;
+        // Transactions stopped by the spend cap; taken again first once the batch is resumed
+        const requeued = [];
+        const finished = new Set(finishedAhead.filter(index => index >= startIndex));
+        const markFinished = (index) => {
+            finished.add(index);
+            while (finished.has(cursor)) finished.delete(cursor++);
+            this.#jobList.updateBatchJobProgress(batchJob.id, { processed: 1, cursor, finishedAhead: [...finished] });
+        };
 
-        for (let i = 0; i < transactions.length; i++) {
-            const transaction = transactions[i];
-            
-            // Check if batch job is paused or cancelled
-            let batchJobStatus = this.#jobList.getBatchJobStatus(batchJob.id);
-            if (batchJobStatus === 'cancelled') {
-                console.info(`❌ Batch job ${batchJob.id} cancelled, stopping processing`);
-                break;
-            }
-            
-            while (batchJobStatus === 'paused') {
-                console.info(`⏸️ Batch job ${batchJob.id} paused, waiting...`);
-                await new Promise(resolve => setTimeout(resolve, 1000));
-                // Re-check status after wait
-                batchJobStatus = this.#jobList.getBatchJobStatus(batchJob.id);
-                if (batchJobStatus !== 'paused') {
-                    break;
+        const worker = async () => {
+            while (next < transactions.length || requeued.length > 0) {
+                // Check if batch job is paused or cancelled
+                let batchJobStatus = this.#jobList.getBatchJobStatus(batchJob.id);
+                while (batchJobStatus === 'paused') {
+                    await new Promise(resolve => setTimeout(resolve, 1000));
+                    batchJobStatus = this.#jobList.getBatchJobStatus(batchJob.id);
                 }
-            }
-            
-            try {
-                const success = await this.#processTransaction(transaction, categories, batchJob.id);
-                if (success) {
-                    successCount++;
-                    currentDelay = Math.max(baseDelay * 0.9, 1000);
+                if (batchJobStatus === 'cancelled') return;
+                if (next >= transactions.length && requeued.length === 0) return;
+
+                const index = requeued.length > 0 ? requeued.shift() : next++;
+                // Finished before an interruption (the cursor may already have moved past it)
+                if (index < cursor || finished.has(index)) continue;
+                const transaction = transactions[index];
+                if (!transaction) {
+                    console.info(`⏭️ Checkpointed transaction at position ${index + 1} is no longer pending, skipping`);
+                    markFinished(index);
+                    continue;
                 }
-            } catch (error) {
-                console.error(`Error processing transaction ${transaction.id}:`, error);
-                errorCount++;
-                
-                if (error.code === 429) {
-                    currentDelay = Math.min(currentDelay * 1.5, 60000); // Max 60 Sekunden
-                    console.warn(`⏳ Rate limit detected, increasing delay to ${currentDelay/1000}s`);
+
+                try {
+                    const success = dryRunId
+                        ? await this.#recordDryRunProposals(transaction, categories, batchJob.id, dryRunId, options)
+                        : await this.#processTransaction(transaction, categories, batchJob.id, options);
+                    if (success) successCount++;
+                } catch (error) {
+                    if (error instanceof SpendCapException) {
+                        requeued.push(index);
+                        if (this.#jobList.pauseBatchJob(batchJob.id)) {
+                            console.warn(`💸 ${error.message}; batch job ${batchJob.id} paused`);
+                            this.#jobList.updateBatchJobProgress(batchJob.id, { errorDetails: error.message });
+                        }
+                        continue;
+                    }
+                    console.error(`Error processing transaction ${transaction.id}:`, error);
+                    errorCount++;
+                    this.#jobList.updateBatchJobProgress(
+                        batchJob.id, 
+                        { errors: 1, errorDetails: `Transaction ${transaction.id}: ${error.message}` }
+                    );
+                }
+
+                processedCount++;
+                markFinished(index);
+                if (processedCount % 10 === 0) {
+                    console.info(`📦 Batch job ${batchJob.id}: ${cursor}/${transactions.length} processed`);
                 }
-                
-                this.#jobList.updateBatchJobProgress(
-                    batchJob.id, 
-                    { errors: 1, errorDetails: `Transaction ${transaction.id}: ${error.message}` }
-                );
-            }
-            
-            processedCount++;
-            this.#jobList.updateBatchJobProgress(batchJob.id, { processed: 1 });
-            
-            // Longer pauses for "all transactions"
-            if (processedCount % batchSize === 0) {
-                console.info(`⏸️ Processed ${processedCount}/${transactions.length}, pausing ${currentDelay/1000}s...`);
-                await new Promise(resolve => setTimeout(resolve, currentDelay));
-            } else {
-                await new Promise(resolve => setTimeout(resolve, Math.min(currentDelay, 3000)));
             }
+        };
+
+        const workerCount = Math.max(1, Math.min(this.#BATCH_CONCURRENCY, transactions.length - startIndex));
+        await this.#trackUsage({
+            source: 'batch',
+            onUsage: entry => this.#jobList.updateBatchJobProgress(batchJob.id, { usage: entry }),
+        }, () => Promise.all(Array.from({ length: workerCount }, worker)));
+        if (this.#jobList.getBatchJobStatus(batchJob.id) === 'cancelled') {
+            console.info(`❌ Batch job ${batchJob.id} cancelled, stopped processing`);
         }
 
+        if (dryRunId) {
+            const cancelled = this.#jobList.getBatchJobStatus(batchJob.id) === 'cancelled';
+            await this.#dryRunService.finishRun(dryRunId, cancelled ? 'cancelled' : 'finished');
+        }
         this.#jobList.finishBatchJob(batchJob.id);
-        console.info(`Batch processing completed. Processed: ${processedCount}, Success: ${successCount}, Errors: ${errorCount}`);
+        await this.#checkpointStore.remove(batchJob.id);
+        console.info(`Batch ${dryRunId ? 'dry run' : 'processing'} completed. Processed: ${processedCount}, Success: ${successCount}, Errors: ${errorCount}`);
     }
 
     /** Snapshot fields for failed-transaction cards (from Firefly journal line or webhook payload). */
@@ -1178,7 +1992,13 @@ export default class App {
      * 2. Auto-categorization (foreign/travel)
      * 3. AI — keyword mappings only replace the description hint for OpenAI
      */
-    async #resolveCategory(transaction, categories) {
+    /**
+     * @param {object} [options]
+     * @param {{ index: number, count: number, amount: string|null, currencyCode: string|null, groupTitle: string|null }} [options.split]
+     *        Set when `transaction` is a single-split view of a split group (see #resolveSplitCategories)
+     * @param {boolean} [options.dryRun] - Nothing is written (no review is queued); used for batch previews
+     */
+    async #resolveCategory(transaction, categories, options = {}) {
         const firstTx = transaction?.attributes?.transactions?.[0] || {};
         const description = firstTx.description || '(no description)';
         const destinationName = firstTx.destination_name || '(unknown destination)';
@@ -1193,6 +2013,13 @@ export default class App {
                     prompt: `Account mapped: ${accountCategoryResult.reason}`,
                     response: `Assigned "${accountCategoryResult.category}" via account mapping: ${accountCategoryResult.mappingName}`,
                     autoRule: accountCategoryResult.autoRule,
+                    confidence: 1,
+                    decision: this.#decision('account_mapping', {
+                        ruleId: accountCategoryResult.mappingId,
+                        ruleName: accountCategoryResult.mappingName,
+                        confidence: 1,
+                        detail: accountCategoryResult.reason,
+                    }),
                 };
             }
             console.warn(
@@ -1207,6 +2034,13 @@ export default class App {
                 prompt: `Auto-categorized: ${autoResult.reason}`,
                 response: `Automatically categorized as "${autoResult.category}" using rule: ${autoResult.autoRule}`,
                 autoRule: autoResult.autoRule,
+                confidence: 1,
+                decision: this.#decision('auto_categorization', {
+                    ruleId: autoResult.autoRule,
+                    matchedKeyword: autoResult.matchedKeyword ?? autoResult.matchedCountry,
+                    confidence: 1,
+                    detail: autoResult.reason,
+                }),
             };
         }
 
@@ -1225,6 +2059,13 @@ export default class App {
                 prompt: directAssignment.reason,
                 response: `Direct-assign: "${directAssignment.category}" via keyword mapping "${directAssignment.mappingName}"`,
                 autoRule: 'category_mapping_direct',
+                confidence: 1,
+                decision: this.#decision('direct_assign', {
+                    ruleId: directAssignment.mappingId,
+                    ruleName: directAssignment.mappingName,
+                    matchedKeyword: directAssignment.matchedKeyword,
+                    confidence: 1,
+                }),
             };
         }
         if (directAssignment?.assigned && !categories.has(directAssignment.category)) {
@@ -1234,9 +2075,40 @@ export default class App {
             );
         }
 
+        // Nearest-neighbour stage: reuse the category of very similar, already categorized transactions
+        if (this.#similarityIndexService?.isEnabled()) {
+            try {
+                const neighbourResult = await this.#similarityIndexService.findCategory({
+                    destinationName,
+                    description,
+                    type: transactionType,
+                    transactionId: transaction?.id,
+                });
+                if (neighbourResult && categories.has(neighbourResult.category)) {
+                    console.info(`🧭 Nearest neighbours: "${description}" → "${neighbourResult.category}" (${neighbourResult.reason})`);
+                    return {
+                        category: neighbourResult.category,
+                        prompt: `Nearest neighbours: ${neighbourResult.reason}`,
+                        response: neighbourResult.neighbours
+                            .map(n => `${n.score.toFixed(3)}  ${n.text} → ${n.category}`)
+                            .join('\n'),
+                        autoRule: 'similarity_neighbours',
+                        confidence: neighbourResult.agreement,
+                        decision: this.#decision('similarity', {
+                            confidence: neighbourResult.agreement,
+                            detail: neighbourResult.reason,
+                        }),
+                    };
+                }
+            } catch (error) {
+                console.warn(`⚠️ Similarity lookup failed for "${description}":`, error.message);
+            }
+        }
+
         // Existing AI-hint path (unchanged)
         const aiHint = this.#categoryMappingService.getAiHint(transaction);
         const classifyOptions = {};
+        if (options.split) classifyOptions.split = options.split;
         if (aiHint?.descriptionHint) {
             mappedDescription = aiHint.descriptionHint;
             classifyOptions.suggestedCategory = aiHint.suggestedCategory;
@@ -1246,11 +2118,19 @@ export default class App {
         }
 
         // US-0004: History dominance check (after word/keyword hints, before AI)
+        // Skipped for splits: account history cannot tell splits apart, and reviews apply to the whole group
         const accountId = firstTx.source_id;
         let historySuggestion = null;
+        let cachedHistory = null;
         if (accountId && this.#historyAnalysisService) {
             try {
-                const cachedHistory = await this.#firefly.getCachedAccountHistory(accountId);
+                cachedHistory = await this.#firefly.getCachedAccountHistory(accountId);
+            } catch (error) {
+                console.warn(`⚠️ Failed to fetch account history for ${accountId}:`, error.message);
+            }
+        }
+        if (cachedHistory && !options.split) {
+            try {
                 const historyResult = this.#historyAnalysisService.analyzeAccountHistory(cachedHistory);
                 if (historyResult.dominantCategory && historyResult.confidence >= this.#historyAnalysisService.getThreshold()) {
                     historySuggestion = {
@@ -1262,34 +2142,117 @@ export default class App {
                     );
                 }
             } catch (error) {
-                console.warn(`⚠️ Failed to fetch/analyze account history for ${accountId}:`, error.message);
+                console.warn(`⚠️ Failed to analyze account history for ${accountId}:`, error.message);
             }
         }
 
-        const aiResult = await this.#retryWithBackoff(async () => {
-            return await this.#openAi.classify(
+        // Recurring payee/description pairs are answered from the classification cache without an LLM call.
+        // Splits are not cached: their prompt also depends on the split's position in the group
+        const cacheInput = {
+            destinationName: mappedDestinationName,
+            description: mappedDescription,
+            type: transactionType,
+            categoryNames,
+        };
+        const useCache = this.#classificationCacheService?.isEnabled() && !options.split;
+        let aiResult = useCache ? await this.#classificationCacheService.get(cacheInput) : null;
+        const cacheHit = !!aiResult && categories.has(aiResult.category);
+        if (cacheHit) {
+            console.info(`🗃️ Classification cache hit: "${description}" → "${aiResult.category}"`);
+            aiResult = { ...aiResult, prompt: '', response: `Cached classification: ${aiResult.response}` };
+        } else {
+            // Few-shot: the user's own most similar categorized transactions as labelled examples
+            if (cachedHistory) {
+                const examples = this.#historyAnalysisService
+                    .findSimilarExamples(cachedHistory, {
+                        destinationName,
+                        sourceName: firstTx.source_name,
+                        description,
+                        amount: firstTx.amount,
+                        type: transactionType,
+                        transactionId: transaction?.id,
+                    })
+                    .filter(e => categories.has(e.category));
+                if (examples.length) {
+                    classifyOptions.examples = examples;
+                    console.info(`📚 Few-shot: ${examples.length} similar past transaction(s) added to prompt for "${description}"`);
+                }
+            }
+
+            // 429s are retried by the shared RateLimiter inside OpenAiService
+            aiResult = await this.#openAi.classify(
                 categoryNames,
                 mappedDestinationName,
                 mappedDescription,
                 transactionType,
                 classifyOptions
             );
+            // Dry runs and previews only read the cache; their unconfirmed answers are not stored
+            if (useCache && !options.dryRun && aiResult?.category && categories.has(aiResult.category)) {
+                await this.#classificationCacheService.set(cacheInput, aiResult).catch(error =>
+                    console.warn('⚠️ Failed to store classification in cache:', error.message));
+            }
+        }
+
+        const aiDecision = this.#decision(cacheHit ? 'classification_cache' : 'llm', {
+            ruleId: aiHint?.mappingId,
+            ruleName: aiHint?.mappingName,
+            matchedKeyword: aiHint?.matchedKeyword,
+            model: cacheHit ? null : this.#openAi.getModel?.(),
+            confidence: aiResult?.confidence,
+            prompt: aiResult?.prompt,
         });
 
         // US-0004: Compare history and AI, queue for review if needed
         if (historySuggestion && aiResult?.category && categories.has(aiResult.category)) {
-            const comparison = this.#compareHistoryAndAi(historySuggestion, aiResult, transaction);
+            const comparison = this.#compareHistoryAndAi(historySuggestion, aiResult, transaction, { dryRun: options.dryRun });
             if (comparison.queuedForReview) {
-                return comparison;
+                return { ...comparison, decision: { ...aiDecision, stage: 'history', detail: comparison.response } };
             }
         }
 
         if (aiResult?.category && categories.has(aiResult.category)) {
+            const autoRule = cacheHit ? 'classification_cache' : (aiHint ? 'category_mapping_hint' : null);
+            const decision = this.#confidencePolicyService?.evaluate({
+                confidence: aiResult.confidence,
+                transactionType,
+                category: aiResult.category,
+            }) ?? { band: 'auto' };
+            const percent = value => (value === null || value === undefined ? 'n/a' : `${(value * 100).toFixed(0)}%`);
+
+            // Splits cannot be reviewed one by one (accepting a review sets the whole group), so they fail instead
+            if (decision.band === 'reject' || (decision.band === 'review' && options.split)) {
+                console.info(
+                    `🎚️ AI result "${aiResult.category}" for "${description}" rejected: confidence ${percent(aiResult.confidence)} ` +
+                    `below ${decision.band === 'reject' ? 'review' : 'auto-apply'} threshold`
+                );
+                return {
+                    category: null,
+                    prompt: aiResult.prompt,
+                    response: `Low confidence: "${aiResult.category}" at ${percent(aiResult.confidence)} ` +
+                        `(review ≥ ${percent(decision.review)}, auto-apply ≥ ${percent(decision.autoApply)}). AI response: ${aiResult.response}`,
+                    autoRule,
+                    confidence: aiResult.confidence,
+                    band: 'reject',
+                    decision: aiDecision,
+                };
+            }
+            if (decision.band === 'review') {
+                const queued = this.#queueLowConfidenceReview(transaction, aiResult, decision, {
+                    autoRule,
+                    dryRun: options.dryRun,
+                });
+                return { ...queued, decision: aiDecision };
+            }
+
             return {
                 category: aiResult.category,
                 prompt: aiResult.prompt,
                 response: aiResult.response,
-                autoRule: aiHint ? 'category_mapping_hint' : null,
+                autoRule,
+                confidence: aiResult.confidence ?? null,
+                band: 'auto',
+                decision: aiDecision,
             };
         }
 
@@ -1298,15 +2261,350 @@ export default class App {
             prompt: aiResult?.prompt || '',
             response: aiResult?.response || '',
             autoRule: null,
+            confidence: aiResult?.confidence ?? null,
+            band: 'reject',
+        };
+    }
+
+    /** How the pipeline decided, as stored by DecisionRecordService; the prompt is kept as a hash only. */
+    #decision(stage, { ruleId = null, ruleName = null, matchedKeyword = null, model = null, confidence = null, prompt = null, detail = null } = {}) {
+        return {
+            stage,
+            ruleId: ruleId ?? null,
+            ruleName: ruleName ?? null,
+            matchedKeyword: matchedKeyword ?? null,
+            model: model ?? null,
+            confidence: confidence ?? null,
+            promptHash: hashPrompt(prompt),
+            detail: detail ?? null,
+        };
+    }
+
+    /** The note appended to the Firefly journal when DECISION_NOTES_ENABLED is set; null otherwise. */
+    #decisionNote(category, decision, source) {
+        if (!this.#decisionRecordService?.notesEnabled()) return null;
+        return this.#decisionRecordService.formatNote({ category, source, decision });
+    }
+
+    /** Keeps why these journals got their category; called after the Firefly write and never throws. */
+    async #recordDecisions(transactionId, entries, { source, actor }) {
+        if (!this.#decisionRecordService) return;
+        try {
+            await this.#decisionRecordService.record(entries.map(entry => ({ transactionId, ...entry })), { source, actor });
+        } catch (error) {
+            console.warn(`⚠️ Failed to store decision record for transaction ${transactionId}:`, error.message);
+        }
+    }
+
+    #splitDecisionEntries(splitResults) {
+        return splitResults
+            .filter(r => !r.skipped && r.category)
+            .map(r => ({ journalId: r.journalId, category: r.category, description: r.description, decision: r.decision }));
+    }
+
+    /**
+     * Dry trace of `#resolveCategory`: every stage is evaluated, even after an earlier one would have decided,
+     * and nothing is written (no reviews, no cache entries, no Firefly updates). The LLM is only called with
+     * `runLlm`; otherwise the trace carries the prompt that would be sent. `split` is the option `#resolveCategory`
+     * gets for a split view, so history and cache are skipped and review-band results rejected as for real.
+     */
+    async #explainPipeline(transaction, categories, { runLlm = false, split = null } = {}) {
+        const firstTx = transaction?.attributes?.transactions?.[0] || {};
+        const description = firstTx.description || '(no description)';
+        const destinationName = firstTx.destination_name || '(unknown destination)';
+        const transactionType = firstTx.type || 'withdrawal';
+        const categoryNames = Array.from(categories.keys());
+        const stages = [];
+        // A matched rule whose category is missing in Firefly falls through, as in the real pipeline
+        const verdictFor = category => (categories.has(category) ? 'match' : 'category_missing');
+
+        const account = this.#accountCategoryMappingService.categorizeTransaction(transaction);
+        stages.push(account
+            ? { stage: 'account_mapping', verdict: verdictFor(account.category), category: account.category, autoRule: account.autoRule, rule: account.mappingName, detail: account.reason }
+            : { stage: 'account_mapping', verdict: 'no_match' });
+
+        const auto = this.#autoCategorizationService.autoCategorize(transaction);
+        stages.push(auto
+            ? { stage: 'auto_categorization', verdict: verdictFor(auto.category), category: auto.category, autoRule: auto.autoRule, detail: auto.reason }
+            : { stage: 'auto_categorization', verdict: 'no_match' });
+
+        const mappedDestinationName = this.#wordMapping.applyMappings(destinationName);
+        let mappedDescription = this.#wordMapping.applyMappings(description);
+        stages.push({
+            stage: 'word_mappings',
+            verdict: mappedDescription !== description || mappedDestinationName !== destinationName ? 'changed' : 'unchanged',
+            mappedDescription,
+            mappedDestinationName,
+        });
+
+        const direct = this.#categoryMappingService.getDirectAssignment(transaction);
+        stages.push(direct?.assigned
+            ? { stage: 'direct_assign', verdict: verdictFor(direct.category), category: direct.category, autoRule: 'category_mapping_direct', rule: direct.mappingName, keyword: direct.matchedKeyword, detail: direct.reason }
+            : { stage: 'direct_assign', verdict: 'no_match' });
+
+        if (this.#similarityIndexService?.isEnabled()) {
+            try {
+                const neighbours = await this.#similarityIndexService.findCategory({ destinationName, description, type: transactionType, transactionId: transaction?.id });
+                stages.push(neighbours
+                    ? { stage: 'similarity', verdict: verdictFor(neighbours.category), category: neighbours.category, autoRule: 'similarity_neighbours', confidence: neighbours.agreement, detail: neighbours.reason, neighbours: neighbours.neighbours }
+                    : { stage: 'similarity', verdict: 'no_match' });
+            } catch (error) {
+                stages.push({ stage: 'similarity', verdict: 'error', detail: error.message });
+            }
+        } else {
+            stages.push({ stage: 'similarity', verdict: 'skipped', detail: 'Similarity index disabled' });
+        }
+
+        const aiHint = this.#categoryMappingService.getAiHint(transaction);
+        const classifyOptions = {};
+        if (split) classifyOptions.split = split;
+        if (aiHint?.descriptionHint) {
+            mappedDescription = aiHint.descriptionHint;
+            classifyOptions.suggestedCategory = aiHint.suggestedCategory;
+        }
+        stages.push(aiHint
+            ? { stage: 'ai_hint', verdict: 'match', category: aiHint.suggestedCategory, rule: aiHint.mappingName, keyword: aiHint.matchedKeyword, detail: aiHint.reason }
+            : { stage: 'ai_hint', verdict: 'no_match' });
+
+        let historySuggestion = null;
+        let cachedHistory = null;
+        if (firstTx.source_id && this.#historyAnalysisService) {
+            try {
+                cachedHistory = await this.#firefly.getCachedAccountHistory(firstTx.source_id);
+                if (split) {
+                    stages.push({ stage: 'history', verdict: 'skipped', detail: 'Skipped for splits; few-shot examples still apply' });
+                } else {
+                    const history = this.#historyAnalysisService.analyzeAccountHistory(cachedHistory);
+                    const threshold = this.#historyAnalysisService.getThreshold();
+                    if (history.dominantCategory && history.confidence >= threshold) {
+                        historySuggestion = { category: history.dominantCategory, confidence: history.confidence };
+                    }
+                    stages.push({
+                        stage: 'history',
+                        verdict: historySuggestion ? 'match' : 'no_match',
+                        category: history.dominantCategory || null,
+                        confidence: history.confidence ?? null,
+                        detail: `Dominance threshold ${threshold}`,
+                    });
+                }
+                const examples = this.#historyAnalysisService
+                    .findSimilarExamples(cachedHistory, {
+                        destinationName,
+                        sourceName: firstTx.source_name,
+                        description,
+                        amount: firstTx.amount,
+                        type: transactionType,
+                        transactionId: transaction?.id,
+                    })
+                    .filter(e => categories.has(e.category));
+                if (examples.length) classifyOptions.examples = examples;
+            } catch (error) {
+                stages.push({ stage: 'history', verdict: 'error', detail: error.message });
+            }
+        } else {
+            stages.push({ stage: 'history', verdict: 'skipped', detail: 'No source account or history analysis' });
+        }
+
+        const cacheInput = {
+            destinationName: mappedDestinationName,
+            description: mappedDescription,
+            type: transactionType,
+            categoryNames,
+        };
+        const useCache = this.#classificationCacheService?.isEnabled() && !split;
+        const cached = useCache ? await this.#classificationCacheService.peek(cacheInput) : null;
+        const cacheHit = !!cached && categories.has(cached.category);
+        stages.push(cacheHit
+            ? { stage: 'classification_cache', verdict: 'match', category: cached.category, confidence: cached.confidence, autoRule: 'classification_cache', detail: `Cached ${cached.created}` }
+            : { stage: 'classification_cache', verdict: useCache ? 'no_match' : 'skipped', ...(split ? { detail: 'Splits are not cached' } : {}) });
+
+        const prompt = this.#openAi.buildClassifyPrompt?.(categoryNames, mappedDestinationName, mappedDescription, transactionType, classifyOptions) ?? null;
+        let aiResult = cacheHit ? cached : null;
+        if (runLlm && !cacheHit) {
+            aiResult = await this.#openAi.classify(categoryNames, mappedDestinationName, mappedDescription, transactionType, classifyOptions);
+            stages.push({ stage: 'llm', verdict: aiResult?.category && categories.has(aiResult.category) ? 'match' : 'no_match', category: aiResult?.category ?? null, confidence: aiResult?.confidence ?? null, detail: aiResult?.response ?? '' });
+        } else {
+            stages.push({ stage: 'llm', verdict: 'skipped', detail: cacheHit ? 'Answered from the classification cache' : 'Not called; pass runLlm to classify' });
+        }
+
+        let band = null;
+        if (aiResult?.category && categories.has(aiResult.category)) {
+            const decision = this.#confidencePolicyService?.evaluate({ confidence: aiResult.confidence, transactionType, category: aiResult.category }) ?? { band: 'auto' };
+            // Splits cannot be reviewed one by one, so the real pipeline rejects their review-band results
+            band = decision.band === 'review' && split ? 'reject' : decision.band;
+            const detail = `auto-apply ≥ ${decision.autoApply}, review ≥ ${decision.review}` +
+                (band !== decision.band ? '; review band rejected for splits' : '');
+            stages.push({ stage: 'confidence_policy', verdict: band, confidence: aiResult.confidence ?? null, detail });
+        }
+
+        const fewShotExamples = classifyOptions.examples?.length || 0;
+        return {
+            transaction: { id: transaction.id ?? null, description, destinationName, type: transactionType, amount: firstTx.amount ?? null },
+            mapped: { description: mappedDescription, destinationName: mappedDestinationName },
+            stages,
+            prompt,
+            fewShotExamples,
+            decision: this.#explainDecision(stages, { aiResult, band, historySuggestion, categories, transaction }),
+        };
+    }
+
+    /** The stage the real pipeline would stop at, given a trace from `#explainPipeline`. */
+    #explainDecision(stages, { aiResult, band, historySuggestion, categories, transaction }) {
+        const decisive = stages.find(s =>
+            ['account_mapping', 'auto_categorization', 'direct_assign', 'similarity'].includes(s.stage) && s.verdict === 'match');
+        if (decisive) {
+            return { stage: decisive.stage, category: decisive.category, autoRule: decisive.autoRule, confidence: decisive.confidence ?? 1, band: 'auto' };
+        }
+        if (!aiResult) {
+            return { stage: 'llm', category: null, autoRule: null, confidence: null, band: null, detail: 'Would be decided by the LLM' };
+        }
+        const cacheHit = stages.some(s => s.stage === 'classification_cache' && s.verdict === 'match');
+        const aiHint = stages.some(s => s.stage === 'ai_hint' && s.verdict === 'match');
+        const autoRule = cacheHit ? 'classification_cache' : (aiHint ? 'category_mapping_hint' : null);
+        const stage = cacheHit ? 'classification_cache' : 'llm';
+        if (!aiResult.category || !categories.has(aiResult.category)) {
+            return { stage, category: null, autoRule: null, confidence: aiResult.confidence ?? null, band: 'reject' };
+        }
+        if (historySuggestion && this.#pendingReviewService) {
+            // Dry run: picks the recommendation the same way, without queueing the review
+            const comparison = this.#compareHistoryAndAi(historySuggestion, aiResult, transaction, { dryRun: true });
+            return { stage: 'history', category: null, recommendation: comparison.recommendation, autoRule: 'history_vs_ai', confidence: comparison.confidence ?? null, band: 'review', detail: `History suggests "${historySuggestion.category}"; would be queued for review. ${comparison.response}` };
+        }
+        return {
+            stage,
+            category: band === 'auto' ? aiResult.category : null,
+            recommendation: band === 'review' ? aiResult.category : undefined,
+            autoRule,
+            confidence: aiResult.confidence ?? null,
+            band,
+        };
+    }
+
+    /** Middle confidence band: the AI category is queued as a review recommendation instead of being written. */
+    #queueLowConfidenceReview(transaction, aiResult, decision, { autoRule = null, dryRun = false } = {}) {
+        const firstTx = transaction?.attributes?.transactions?.[0] || {};
+        const percent = value => (value === null || value === undefined ? 'n/a' : `${(value * 100).toFixed(1)}%`);
+        const reason = aiResult.confidence === null || aiResult.confidence === undefined
+            ? 'AI returned no confidence; the policy sends such results to review'
+            : `AI confidence ${percent(aiResult.confidence)} is below the auto-apply threshold ${percent(decision.autoApply)}`;
+        const base = {
+            queuedForReview: true,
+            reviewSource: 'low_confidence',
+            recommendation: aiResult.category,
+            confidence: aiResult.confidence,
+            band: 'review',
+            autoRule,
+            prompt: aiResult.prompt,
+        };
+
+        if (dryRun || !this.#pendingReviewService) {
+            return { ...base, dryRun, response: `Would queue for review: "${aiResult.category}" (${reason})` };
+        }
+
+        const reviewId = `review-${transaction.id}-${Date.now()}`;
+        this.#pendingReviewService.addReview({
+            id: reviewId,
+            transactionId: transaction.id,
+            accountId: firstTx.source_id,
+            transactionType: firstTx.type || null,
+            description: firstTx.description || '(no description)',
+            sourceName: firstTx.source_name || '',
+            destinationName: firstTx.destination_name || '',
+            destinationId: firstTx.destination_id ?? null,
+            historyCategory: null,
+            historyConfidence: null,
+            aiCategory: aiResult.category,
+            aiConfidence: aiResult.confidence,
+            recommendation: aiResult.category,
+            reason,
+            timestamp: new Date().toISOString(),
+        });
+        console.info(`📝 Queued for review (low confidence): "${firstTx.description}" → "${aiResult.category}" (${reason})`);
+        return { ...base, reviewId, response: `Queued for review: "${aiResult.category}" (${reason})` };
+    }
+
+    /** Single-split lookalike of a split group, so every pipeline stage reads that split as transactions[0]. */
+    #splitView(transaction, index) {
+        return {
+            ...transaction,
+            attributes: {
+                ...transaction.attributes,
+                transactions: [transaction.attributes.transactions[index]],
+            },
+        };
+    }
+
+    /** The `split` option of `#resolveCategory` for split `index` of a group. */
+    #splitContext(transaction, index) {
+        const splits = transaction.attributes.transactions;
+        const split = splits[index];
+        return {
+            index,
+            count: splits.length,
+            amount: split.amount != null && split.amount !== '' ? String(split.amount) : null,
+            currencyCode: split.currency_code || null,
+            groupTitle: transaction.attributes.group_title || null,
         };
     }
 
-    #compareHistoryAndAi(historySuggestion, aiResult, transaction) {
+    /**
+     * Runs the categorization pipeline once per split journal, on that split's own description and amount.
+     * With `onlyUncategorized`, splits that already have a category are reported as skipped. With `failOnSpendCap`,
+     * a reached spend cap leaves the remaining splits uncategorized instead of rejecting (batches pause on it).
+     */
+    async #resolveSplitCategories(transaction, categories, { onlyUncategorized = false, dryRun = false, failOnSpendCap = false } = {}) {
+        const splits = transaction.attributes.transactions;
+        const results = [];
+        let spendCap = null;
+        for (let index = 0; index < splits.length; index++) {
+            const split = splits[index];
+            const base = {
+                index,
+                journalId: split.transaction_journal_id != null ? String(split.transaction_journal_id) : null,
+                description: split.description || '',
+                amount: split.amount != null && split.amount !== '' ? String(split.amount) : null,
+                currencyCode: split.currency_code || null,
+            };
+
+            if (onlyUncategorized && split.category_id) {
+                results.push({ ...base, category: split.category_name || null, autoRule: null, prompt: '', response: '', skipped: true });
+                continue;
+            }
+
+            let resolved;
+            try {
+                if (spendCap) throw spendCap;
+                resolved = await this.#resolveCategory(this.#splitView(transaction, index), categories, {
+                    split: this.#splitContext(transaction, index),
+                    dryRun,
+                });
+            } catch (error) {
+                if (!failOnSpendCap || !(error instanceof SpendCapException)) throw error;
+                // This and every later split stays uncategorized; no further LLM call is attempted
+                if (!spendCap) console.warn(`💸 ${error.message}`);
+                spendCap = error;
+                resolved = { category: null, prompt: '', response: error.message, autoRule: null };
+            }
+            results.push({
+                ...base,
+                category: resolved.category || null,
+                autoRule: resolved.autoRule || null,
+                confidence: resolved.confidence ?? null,
+                band: resolved.band ?? (resolved.category ? 'auto' : 'reject'),
+                prompt: resolved.prompt || '',
+                response: resolved.response || '',
+                decision: resolved.decision ?? null,
+            });
+        }
+        return results;
+    }
+
+    #compareHistoryAndAi(historySuggestion, aiResult, transaction, { dryRun = false } = {}) {
         const firstTx = transaction?.attributes?.transactions?.[0] || {};
         const historyCategory = historySuggestion.category;
         const aiCategory = aiResult.category;
         const historyConfidence = historySuggestion.confidence;
-        const aiConfidence = aiResult.confidence || 0.5;
+        const aiConfidence = aiResult.confidence ?? 0.5;
 
         // Determine recommendation
         let recommendation;
@@ -1322,6 +2620,19 @@ export default class App {
             reason = `AI confidence (${(aiConfidence * 100).toFixed(1)}%) >= History confidence (${(historyConfidence * 100).toFixed(1)}%)`;
         }
 
+        if (dryRun) {
+            return {
+                queuedForReview: true,
+                reviewSource: 'history_vs_ai',
+                band: 'review',
+                dryRun: true,
+                recommendation,
+                confidence: Math.max(historyConfidence, aiConfidence),
+                prompt: `History vs AI comparison`,
+                response: `Would queue for review. History: "${historyCategory}", AI: "${aiCategory}". Recommendation: "${recommendation}" (${reason})`,
+            };
+        }
+
         // Queue for review (no silent apply per operator requirement)
         if (this.#pendingReviewService) {
             const reviewId = `review-${transaction.id}-${Date.now()}`;
@@ -1329,7 +2640,11 @@ export default class App {
                 id: reviewId,
                 transactionId: transaction.id,
                 accountId: firstTx.source_id,
+                transactionType: firstTx.type || null,
                 description: firstTx.description || '(no description)',
+                sourceName: firstTx.source_name || '',
+                destinationName: firstTx.destination_name || '',
+                destinationId: firstTx.destination_id ?? null,
                 historyCategory,
                 historyConfidence,
                 aiCategory,
@@ -1344,6 +2659,8 @@ export default class App {
             );
             return {
                 queuedForReview: true,
+                reviewSource: 'history_vs_ai',
+                band: 'review',
                 reviewId,
                 recommendation,
                 prompt: `History vs AI comparison`,
@@ -1354,25 +2671,12 @@ export default class App {
         return { queuedForReview: false };
     }
 
-    // Helper method for retry logic with rate limits
-    async #retryWithBackoff(fn, maxRetries = 3, baseDelay = 2000) {
-        for (let attempt = 1; attempt <= maxRetries; attempt++) {
-            try {
-                return await fn();
-            } catch (error) {
-                if (error.code === 429 && attempt < maxRetries) {
-                    const delay = baseDelay * Math.pow(2, attempt - 1); // Exponential backoff
-                    console.warn(`⏳ Rate limit hit, retrying in ${delay/1000}s (attempt ${attempt}/${maxRetries})`);
-                    await new Promise(resolve => setTimeout(resolve, delay));
-                    continue;
-                }
-                throw error; // Re-throw if not a rate limit or max retries reached
+    async #processTransaction(transaction, categories, batchJobId = null, options = {}) {
+        try {
+            if (transaction.attributes.transactions.length > 1) {
+                return await this.#processSplitTransaction(transaction, categories, batchJobId, options);
             }
-        }
-    }
 
-    async #processTransaction(transaction, categories, batchJobId = null) {
-        try {
             const firstTransaction = transaction.attributes.transactions[0];
             const destinationName = firstTransaction.destination_name || "(unknown destination)";
             const description = firstTransaction.description || "(no description)";
@@ -1383,7 +2687,7 @@ export default class App {
             if (resolved.queuedForReview) {
                 console.info(`📝 Batch transaction ${transaction.id} queued for review: "${description}"`);
                 if (batchJobId) {
-                    this.#jobList.updateBatchJobProgress(batchJobId, { success: 1 });
+                    this.#jobList.updateBatchJobProgress(batchJobId, { success: 1, band: 'review' });
                 }
                 return 'queued';
             }
@@ -1416,12 +2720,19 @@ export default class App {
                 );
                 
                 if (batchJobId) {
-                    this.#jobList.updateBatchJobProgress(batchJobId, { errors: 1 });
+                    this.#jobList.updateBatchJobProgress(batchJobId, { errors: 1, band: 'reject' });
                 }
                 return false;
             }
 
-            await this.#firefly.updateTransactionCategory(transaction.id, category);
+            const note = this.#decisionNote(category, resolved.decision, 'batch');
+            await this.#firefly.updateTransactionCategory(transaction.id, category, ...(note ? [{ note }] : []));
+            await this.#recordDecisions(transaction.id, [{
+                journalId: firstTransaction.transaction_journal_id,
+                category,
+                description,
+                decision: resolved.decision,
+            }], { source: 'batch' });
             
             // Remove from failed transactions if it was successfully categorized
             this.#failedTransactionService.removeFailedTransactionByProperties(description, destinationName);
@@ -1430,12 +2741,14 @@ export default class App {
             console.info(`✅ Transaction ${transaction.id} categorized as: ${category}`);
             
             if (batchJobId) {
-                this.#jobList.updateBatchJobProgress(batchJobId, { success: 1 });
+                this.#jobList.updateBatchJobProgress(batchJobId, { success: 1, band: 'auto' });
             }
 
             return true;
 
         } catch (error) {
+            // The batch loop pauses on the spend cap and retries the transaction after resume
+            if (error instanceof SpendCapException) throw error;
             console.error(`❌ Error processing transaction ${transaction.id}:`, error.message);
             
             if (batchJobId) {
@@ -1444,17 +2757,337 @@ export default class App {
                     errorDetails: `Transaction ${transaction.id}: ${error.message}`
                 });
             }
-            
-            // Pause batch processing on rate limit errors
-            if (error.code === 429) {
-                console.error("🚨 Rate limit exceeded. Pausing batch processing for 60 seconds...");
-                await new Promise(resolve => setTimeout(resolve, 60000));
+
+            // 429s were already retried by the shared RateLimiter, which pauses every caller for Retry-After
+            return false;
+        }
+    }
+
+    /** Batch path for split groups; errors propagate to #processTransaction. */
+    async #processSplitTransaction(transaction, categories, batchJobId, options) {
+        const splitResults = await this.#resolveSplitCategories(transaction, categories, options);
+        const processed = splitResults.filter(r => !r.skipped);
+        const failed = processed.filter(r => !r.category);
+
+        const updates = {};
+        const notesByJournalId = {};
+        for (const result of processed) {
+            if (result.category && result.journalId) {
+                updates[result.journalId] = result.category;
+                const note = this.#decisionNote(result.category, result.decision, 'batch');
+                if (note) notesByJournalId[result.journalId] = note;
             }
-            
+            console.info(
+                `✂️ Batch transaction ${transaction.id} split ${result.index + 1}/${splitResults.length}: ` +
+                `"${result.description}" → ${result.category ? `"${result.category}"` : 'unclassified'}`
+            );
+        }
+        if (Object.keys(updates).length > 0) {
+            const options = Object.keys(notesByJournalId).length ? [{ notesByJournalId }] : [];
+            await this.#firefly.updateSplitCategories(transaction.id, updates, ...options);
+            await this.#recordDecisions(transaction.id, this.#splitDecisionEntries(splitResults), { source: 'batch' });
+        }
+
+        if (failed.length > 0) {
+            const first = failed[0];
+            this.#failedTransactionService.addFailedTransaction(
+                this.#buildFailedTransactionRecord(transaction.attributes.transactions[first.index], {
+                    id: `batch-${transaction.id}-${Date.now()}`,
+                    created: new Date().toISOString(),
+                    prompt: first.prompt,
+                    response: first.response,
+                    transactionId: transaction.id,
+                })
+            );
+            if (batchJobId) {
+                this.#jobList.updateBatchJobProgress(batchJobId, {
+                    errors: 1,
+                    band: 'reject',
+                    errorDetails: `Transaction ${transaction.id}: ${failed.length} of ${splitResults.length} splits could not be classified`
+                });
+            }
+            return false;
+        }
+
+        this.#failedTransactionService.removeFailedTransactionByFireflyId(transaction.id);
+        if (batchJobId) {
+            this.#jobList.updateBatchJobProgress(batchJobId, { success: 1, band: 'auto' });
+        }
+        return true;
+    }
+
+    /**
+     * Runs the full pipeline for one transaction group without writing anything.
+     * @returns {Promise<Array<object>>} one proposal per split (skipped splits are omitted)
+     */
+    async #proposeTransaction(transaction, categories, { onlyUncategorized = false } = {}) {
+        const splits = transaction.attributes.transactions;
+        const proposalFor = (split, resolved) => ({
+            id: `${transaction.id}-${split.transaction_journal_id ?? 0}`,
+            transactionId: String(transaction.id),
+            journalId: split.transaction_journal_id != null ? String(split.transaction_journal_id) : null,
+            splitCount: splits.length,
+            date: split.date || null,
+            type: split.type || null,
+            description: split.description || '',
+            destinationName: split.destination_name || '',
+            sourceName: split.source_name || '',
+            amount: split.amount != null ? String(split.amount) : null,
+            currencyCode: split.currency_code || null,
+            currentCategory: split.category_name || null,
+            proposedCategory: resolved.category || null,
+            source: resolved.category ? (resolved.autoRule || 'ai') : null,
+            confidence: resolved.confidence ?? null,
+            band: resolved.band ?? (resolved.category ? 'auto' : 'reject'),
+            reviewSuggested: resolved.band === 'review',
+            response: resolved.response || '',
+            decision: resolved.decision ?? null,
+        });
+
+        if (splits.length > 1) {
+            const results = await this.#resolveSplitCategories(transaction, categories, { onlyUncategorized, dryRun: true });
+            return results
+                .filter(r => !r.skipped)
+                .map(r => proposalFor(splits[r.index], r));
+        }
+
+        const resolved = await this.#resolveCategory(transaction, categories, { dryRun: true });
+        if (resolved.queuedForReview) {
+            // A live run would queue a review; the dry run proposes the recommendation and flags it
+            return [proposalFor(splits[0], {
+                category: resolved.recommendation,
+                autoRule: resolved.reviewSource === 'history_vs_ai' ? 'history_vs_ai' : resolved.autoRule,
+                confidence: resolved.confidence,
+                band: 'review',
+                response: resolved.response,
+                decision: resolved.decision,
+            })];
+        }
+        return [proposalFor(splits[0], resolved)];
+    }
+
+    /** Dry-run counterpart of #processTransaction for the batch loops. */
+    async #recordDryRunProposals(transaction, categories, batchJobId, runId, options = {}) {
+        try {
+            const proposals = await this.#proposeTransaction(transaction, categories, options);
+            await this.#dryRunService.addProposals(runId, proposals);
+            const unclassified = proposals.filter(p => !p.proposedCategory);
+            for (const proposal of proposals) {
+                console.info(
+                    `🧪 Dry run ${transaction.id}: "${proposal.description}" → ` +
+                    `${proposal.proposedCategory ? `"${proposal.proposedCategory}" (${proposal.source}, ${proposal.band})` : 'unclassified'}`
+                );
+            }
+            const band = worstBand(proposals.map(p => p.band));
+            this.#jobList.updateBatchJobProgress(batchJobId, unclassified.length > 0 ? { errors: 1, band } : { success: 1, band });
+            return unclassified.length === 0;
+        } catch (error) {
+            if (error instanceof SpendCapException) throw error;
+            console.error(`❌ Error in dry run for transaction ${transaction.id}:`, error.message);
+            this.#jobList.updateBatchJobProgress(batchJobId, {
+                errors: 1,
+                errorDetails: `Transaction ${transaction.id}: ${error.message}`
+            });
             return false;
         }
     }
 
+    /**
+     * Writes stored dry-run proposals to Firefly without calling the LLM again.
+     * @param {string[]|null} proposalIds - subset to apply; all applicable proposals when empty
+     * @returns {Promise<{ applied: number, failed: number } | null>} null when the run does not exist
+     */
+    async #applyDryRunProposals(runId, proposalIds = null, batchJobId = null) {
+        const proposals = await this.#dryRunService.getApplicableProposals(runId, proposalIds);
+        if (!proposals) return null;
+
+        const byTransaction = new Map();
+        for (const proposal of proposals) {
+            if (!byTransaction.has(proposal.transactionId)) byTransaction.set(proposal.transactionId, []);
+            byTransaction.get(proposal.transactionId).push(proposal);
+        }
+
+        let applied = 0;
+        let failed = 0;
+        let stale = 0;
+        for (const [transactionId, proposalGroup] of byTransaction) {
+            if (batchJobId && this.#jobList.getBatchJobStatus(batchJobId) === 'cancelled') break;
+            let group = proposalGroup;
+            let ids = group.map(p => p.id);
+            try {
+                const staleReasons = await this.#staleDryRunProposals(transactionId, group);
+                if (staleReasons.size) {
+                    for (const [id, reason] of staleReasons) await this.#dryRunService.markProposals(runId, [id], 'stale', reason);
+                    stale += staleReasons.size;
+                    console.info(`🧪 Dry-run proposal for transaction ${transactionId} skipped: ${[...staleReasons.values()][0]}`);
+                    group = group.filter(p => !staleReasons.has(p.id));
+                    ids = group.map(p => p.id);
+                    if (group.length === 0) {
+                        if (batchJobId) this.#jobList.updateBatchJobProgress(batchJobId, { processed: 1 });
+                        continue;
+                    }
+                }
+                if (group[0].splitCount > 1) {
+                    const updates = {};
+                    const notesByJournalId = {};
+                    for (const p of group) {
+                        updates[p.journalId] = p.proposedCategory;
+                        const note = this.#decisionNote(p.proposedCategory, p.decision, 'dry_run');
+                        if (note) notesByJournalId[p.journalId] = note;
+                    }
+                    const options = Object.keys(notesByJournalId).length ? [{ notesByJournalId }] : [];
+                    await this.#firefly.updateSplitCategories(transactionId, updates, ...options);
+                } else {
+                    const note = this.#decisionNote(group[0].proposedCategory, group[0].decision, 'dry_run');
+                    await this.#firefly.updateTransactionCategory(transactionId, group[0].proposedCategory, ...(note ? [{ note }] : []));
+                }
+                await this.#recordDecisions(transactionId, group.map(p => ({
+                    journalId: p.journalId,
+                    category: p.proposedCategory,
+                    description: p.description,
+                    decision: p.decision,
+                })), { source: 'dry_run' });
+                await this.#dryRunService.markProposals(runId, ids, 'applied');
+                applied += group.length;
+                if (batchJobId) this.#jobList.updateBatchJobProgress(batchJobId, { processed: 1, success: 1 });
+            } catch (error) {
+                console.error(`❌ Applying dry-run proposal for transaction ${transactionId} failed:`, error.message);
+                await this.#dryRunService.markProposals(runId, ids, 'failed', error.message);
+                failed += group.length;
+                if (batchJobId) {
+                    this.#jobList.updateBatchJobProgress(batchJobId, {
+                        processed: 1,
+                        errors: 1,
+                        errorDetails: `Transaction ${transactionId}: ${error.message}`
+                    });
+                }
+            }
+        }
+        console.info(`🧪 Dry run ${runId} applied: ${applied} proposals written, ${failed} failed, ${stale} stale`);
+        return { applied, failed, stale };
+    }
+
+    /**
+     * Proposals whose journal no longer has the category it had during the dry run (set by hand since,
+     * or the split group changed), mapped to the reason. Writing them would overwrite that change.
+     */
+    async #staleDryRunProposals(transactionId, group) {
+        const transaction = await this.#firefly.getTransaction(transactionId);
+        const splits = transaction?.data?.attributes?.transactions || [];
+        const reasons = new Map();
+        for (const proposal of group) {
+            const split = proposal.splitCount > 1
+                ? splits.find(s => String(s.transaction_journal_id) === proposal.journalId)
+                : splits[0];
+            if (!split || splits.length !== proposal.splitCount) {
+                reasons.set(proposal.id, 'The transaction changed in Firefly since the dry run');
+                continue;
+            }
+            const current = split.category_name || null;
+            if (current !== (proposal.currentCategory ?? null)) {
+                reasons.set(proposal.id, `Category changed in Firefly since the dry run (now ${current ? `"${current}"` : 'none'})`);
+            }
+        }
+        return reasons;
+    }
+
+    async #onGetDryRuns(req, res) {
+        try {
+            res.json({ success: true, runs: await this.#dryRunService.listRuns() });
+        } catch (e) {
+            console.error(e);
+            res.status(500).json({ success: false, error: e.message });
+        }
+    }
+
+    #dryRunFilters(query) {
+        return {
+            category: query.category || undefined,
+            source: query.source || undefined,
+            status: query.status || undefined,
+            search: query.search || undefined,
+            minConfidence: query.minConfidence,
+            maxConfidence: query.maxConfidence,
+            unchanged: query.unchanged === 'false' ? false : undefined,
+        };
+    }
+
+    async #onGetDryRun(req, res) {
+        try {
+            const run = await this.#dryRunService.getRun(req.params.id);
+            if (!run) return res.status(404).json({ success: false, error: 'Dry run not found' });
+            const { proposals, ...header } = run;
+            const filtered = this.#dryRunService.filterProposals(run, this.#dryRunFilters(req.query));
+            const offset = Math.max(0, parseInt(req.query.offset, 10) || 0);
+            const limit = Math.min(1000, Math.max(1, parseInt(req.query.limit, 10) || 200));
+            res.json({
+                success: true,
+                run: header,
+                total: filtered.length,
+                offset,
+                limit,
+                proposals: filtered.slice(offset, offset + limit),
+                categories: [...new Set(proposals.map(p => p.proposedCategory).filter(Boolean))].sort(),
+                sources: [...new Set(proposals.map(p => p.source).filter(Boolean))].sort(),
+            });
+        } catch (e) {
+            console.error(e);
+            res.status(500).json({ success: false, error: e.message });
+        }
+    }
+
+    async #onExportDryRun(req, res) {
+        try {
+            const run = await this.#dryRunService.getRun(req.params.id);
+            if (!run) return res.status(404).json({ success: false, error: 'Dry run not found' });
+            const proposals = this.#dryRunService.filterProposals(run, this.#dryRunFilters(req.query));
+            const format = req.query.format === 'csv' ? 'csv' : 'json';
+            res.setHeader('Content-Disposition', `attachment; filename="dry-run-${run.id}.${format}"`);
+            if (format === 'csv') {
+                res.type('text/csv').send(this.#dryRunService.toCsv(proposals));
+            } else {
+                const { proposals: _all, ...header } = run;
+                res.json({ ...header, proposals });
+            }
+        } catch (e) {
+            console.error(e);
+            res.status(500).json({ success: false, error: e.message });
+        }
+    }
+
+    async #onApplyDryRun(req, res) {
+        try {
+            const proposalIds = Array.isArray(req.body?.proposalIds) ? req.body.proposalIds : null;
+            const proposals = await this.#dryRunService.getApplicableProposals(req.params.id, proposalIds);
+            if (!proposals) return res.status(404).json({ success: false, error: 'Dry run not found' });
+            if (proposals.length === 0) {
+                return res.status(400).json({ success: false, error: 'No applicable proposals (already applied, unclassified, review-band or stale)' });
+            }
+
+            const transactionCount = new Set(proposals.map(p => p.transactionId)).size;
+            const batchJob = this.#jobList.createBatchJob('apply-dry-run', transactionCount, { dryRunId: req.params.id });
+            console.info(`🧪 Applying ${proposals.length} proposals from dry run ${req.params.id}`);
+            this.#applyDryRunProposals(req.params.id, proposalIds, batchJob.id)
+                .catch(err => console.error('Applying dry run failed:', err))
+                .finally(() => this.#jobList.finishBatchJob(batchJob.id));
+            res.json({ success: true, message: 'Apply started', batchJobId: batchJob.id, proposals: proposals.length });
+        } catch (e) {
+            console.error(e);
+            res.status(500).json({ success: false, error: e.message });
+        }
+    }
+
+    async #onDeleteDryRun(req, res) {
+        try {
+            const deleted = await this.#dryRunService.deleteRun(req.params.id);
+            if (!deleted) return res.status(404).json({ success: false, error: 'Dry run not found' });
+            res.json({ success: true });
+        } catch (e) {
+            console.error(e);
+            res.status(500).json({ success: false, error: e.message });
+        }
+    }
+
     async #onGetReviews(req, res) {
         try {
             const reviews = this.#pendingReviewService.getPendingReviews();
@@ -1475,13 +3108,33 @@ export default class App {
             }
             const chosenCategory = review.resolvedChoice || review.recommendation;
             if (chosenCategory && review.transactionId) {
+                const decision = this.#decision('review', {
+                    confidence: chosenCategory === review.aiCategory ? review.aiConfidence : review.historyConfidence,
+                    detail: chosenCategory === review.recommendation ? review.reason : 'Reviewer chose another category',
+                });
                 try {
-                    await this.#firefly.updateTransactionCategory(review.transactionId, chosenCategory);
+                    const note = this.#decisionNote(chosenCategory, decision, 'review');
+                    await this.#firefly.updateTransactionCategory(review.transactionId, chosenCategory, ...(note ? [{ note }] : []));
                     console.info(`✅ Review accepted: transaction ${review.transactionId} → "${chosenCategory}"`);
                 } catch (err) {
                     console.error(`❌ Failed to apply category for accepted review ${id}:`, err.message);
                     return res.status(500).json({ success: false, error: `Category update failed: ${err.message}` });
                 }
+                await this.#recordDecisions(review.transactionId, [{
+                    category: chosenCategory,
+                    description: review.description,
+                    decision,
+                }], { source: 'review', actor: req.auth?.username });
+                await this.#recordCorrection({
+                    transactionId: review.transactionId,
+                    originalCategory: review.aiCategory,
+                    transactionType: review.transactionType,
+                    sourceName: review.sourceName,
+                    sourceId: review.accountId,
+                    destinationName: review.destinationName,
+                    destinationId: review.destinationId,
+                    description: review.description,
+                }, chosenCategory, 'review');
             }
             res.json({ success: true, review });
         } catch (e) {
@@ -1490,6 +3143,141 @@ export default class App {
         }
     }
 
+    /**
+     * Category, type and both accounts of a transaction the pipeline categorized (carries the AI tag), read before a
+     * manual update overwrites it; null otherwise or without a FeedbackService and classification cache.
+     */
+    async #readAiAssignment(transactionId) {
+        if (!this.#feedbackService && !this.#classificationCacheService) return null;
+        try {
+            const transaction = await this.#firefly.getTransaction(transactionId);
+            const firstTx = transaction?.data?.attributes?.transactions?.[0];
+            const tag = getConfigVariable("FIREFLY_TAG", "AI categorized");
+            if (!firstTx?.category_name || !(firstTx.tags || []).includes(tag)) return null;
+            return {
+                transactionId,
+                originalCategory: firstTx.category_name,
+                transactionType: firstTx.type,
+                sourceName: firstTx.source_name,
+                sourceId: firstTx.source_id,
+                destinationName: firstTx.destination_name,
+                destinationId: firstTx.destination_id,
+                description: firstTx.description,
+            };
+        } catch (error) {
+            console.warn(`⚠️ Could not read transaction ${transactionId} for feedback:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Stores an override of an AI category as a feedback event and evicts the cached classification it
+     * contradicts, so the next transaction of that payee is not answered with the old category again.
+     * Failures never block the update itself.
+     */
+    async #recordCorrection(correction, newCategory, origin) {
+        if (!correction?.originalCategory) return;
+        if (this.#feedbackService) {
+            try {
+                await this.#feedbackService.recordCorrection({ ...correction, newCategory, origin });
+            } catch (error) {
+                console.warn('⚠️ Failed to record feedback event:', error.message);
+            }
+        }
+        if (this.#classificationCacheService && correction.originalCategory !== newCategory) {
+            try {
+                // Cache keys use the word-mapped texts, like the pipeline's lookup
+                await this.#classificationCacheService.evict({
+                    destinationName: this.#wordMapping.applyMappings(correction.destinationName || '(unknown destination)'),
+                    description: this.#wordMapping.applyMappings(correction.description || '(no description)'),
+                    type: correction.transactionType,
+                    category: correction.originalCategory,
+                });
+            } catch (error) {
+                console.warn('⚠️ Failed to evict cached classification:', error.message);
+            }
+        }
+    }
+
+    #existingRules() {
+        return {
+            accountMappings: this.#accountCategoryMappingService.getAllMappings(),
+            categoryMappings: this.#categoryMappingService.getAllMappings(),
+        };
+    }
+
+    async #onGetFeedbackEvents(req, res) {
+        try {
+            const events = await this.#feedbackService.getEvents({ limit: req.query.limit });
+            res.json({ success: true, events });
+        } catch (e) {
+            console.error(e);
+            res.status(500).json({ success: false, error: e.message });
+        }
+    }
+
+    async #onGetRuleSuggestions(req, res) {
+        try {
+            const suggestions = await this.#feedbackService.getSuggestions(this.#existingRules());
+            res.json({ success: true, suggestions });
+        } catch (e) {
+            console.error(e);
+            res.status(500).json({ success: false, error: e.message });
+        }
+    }
+
+    /**
+     * Turns a suggestion into a rule: an Account → Category mapping, or a keyword mapping on the payee
+     * (direct-assign unless `{ directAssign: false }` asks for an AI hint only).
+     */
+    async #onAcceptRuleSuggestion(req, res) {
+        try {
+            const suggestion = await this.#feedbackService.getSuggestion(req.params.id, this.#existingRules());
+            if (!suggestion) {
+                return res.status(404).json({ success: false, error: 'Suggestion not found' });
+            }
+
+            let rule;
+            if (suggestion.kind === 'account') {
+                rule = this.#accountCategoryMappingService.addMapping({
+                    accountId: suggestion.accountId,
+                    accountName: suggestion.payee,
+                    accountType: suggestion.accountType,
+                    targetCategory: suggestion.category,
+                });
+            } else {
+                rule = this.#categoryMappingService.addMapping({
+                    name: `${suggestion.payee} (learned)`,
+                    targetCategory: suggestion.category,
+                    keywords: [suggestion.keyword],
+                    matchMode: 'word',
+                    field: 'payee',
+                    directAssign: req.body?.directAssign !== false,
+                });
+            }
+            await this.#feedbackService.markSuggestion(suggestion.id, 'accepted', rule.id);
+            console.info(`🎓 Rule suggestion accepted: ${suggestion.kind} rule "${suggestion.payee}" → "${suggestion.category}"`);
+            res.json({ success: true, kind: suggestion.kind, rule });
+        } catch (e) {
+            console.error(e);
+            res.status(500).json({ success: false, error: e.message });
+        }
+    }
+
+    async #onDismissRuleSuggestion(req, res) {
+        try {
+            const suggestion = await this.#feedbackService.getSuggestion(req.params.id, this.#existingRules());
+            if (!suggestion) {
+                return res.status(404).json({ success: false, error: 'Suggestion not found' });
+            }
+            await this.#feedbackService.markSuggestion(suggestion.id, 'dismissed');
+            res.json({ success: true });
+        } catch (e) {
+            console.error(e);
+            res.status(500).json({ success: false, error: e.message });
+        }
+    }
+
     async #onRejectReview(req, res) {
         try {
             const { id } = req.params;
@@ -1565,16 +3353,17 @@ export default class App {
     }
 
     /** One parser path for single + batch (deterministic unless EXTRACT_ALLOW_AI=1). */
-    async #parseUploadedStatementFile(file, { allowAi = false } = {}) {
+    async #parseUploadedStatementFile(file, { allowAi = false, profileId = null, csvProfileId = null } = {}) {
         const name = (file.originalname || '').toLowerCase();
         const mime = file.mimetype || '';
         let items = [];
         let parseMode = 'unknown';
-        if (mime.includes('csv') || name.endsWith('.csv')) {
-            items = this.#transactionExtractionService.parseCsv(
-                file.buffer,
-                this.#transactionExtractionService.getConfig().headerMapping
-            );
+        const bankExportFormat = this.#transactionExtractionService.detectBankExport(name, file.buffer);
+        if (bankExportFormat) {
+            items = this.#transactionExtractionService.parseBankExport(file.buffer, bankExportFormat);
+            parseMode = bankExportFormat;
+        } else if (mime.includes('csv') || name.endsWith('.csv')) {
+            items = await this.#transactionExtractionService.parseCsvFile(file.buffer, { profileId: csvProfileId });
             parseMode = 'csv';
         } else if (mime.includes('pdf') || name.endsWith('.pdf')) {
             const useAi = Boolean(allowAi);
@@ -1582,29 +3371,31 @@ export default class App {
             items = await this.#transactionExtractionService.parsePdf(
                 file.buffer,
                 useAi ? this.#openAi : null,
-                { forceAI: useAi }
+                { forceAI: useAi, profileId }
             );
         } else {
-            throw new Error('Unsupported file type. Use CSV or PDF.');
+            throw new Error('Unsupported file type. Use CSV, PDF, CAMT.053 (XML), MT940, OFX/QFX or QIF.');
         }
+        const profile = items._profile ?? null;
         const markedItems = markSettlementLines(items);
         const totals = buildExtractionTotals(markedItems);
         const previewItems = itemsForPreview(markedItems);
         const hiddenItems = hiddenSettlementItems(markedItems);
-        return { markedItems: previewItems, hiddenItems, parseMode, parsedCount: markedItems.length, ...totals };
+        return { markedItems: previewItems, hiddenItems, parseMode, profile, parsedCount: markedItems.length, ...totals };
     }
 
     // ===== Extraction: Upload & Preview =====
     async #onExtractionUpload(req, res) {
         try {
             const file = req.file;
-            const { originalTransactionId, tag = this.#transactionExtractionService.getConfig().defaultTag } = req.body || {};
-            if (!file) return res.status(400).json({ success: false, error: 'file is required (csv or pdf)' });
+            const { originalTransactionId, tag: requestedTag, profileId, csvProfileId } = req.body || {};
+            if (!file) return res.status(400).json({ success: false, error: 'file is required (csv, pdf, camt.053, mt940, ofx or qif)' });
             if (!originalTransactionId) return res.status(400).json({ success: false, error: 'originalTransactionId is required' });
 
             const allowAi = this.#extractionAiAllowed(req);
-            const parsed = await this.#parseUploadedStatementFile(file, { allowAi });
-            const { markedItems: itemsForPreview, hiddenItems, parseMode, sum, lineSum, statementTotal, hiddenSettlementLines, parsedCount } = parsed;
+            const parsed = await this.#parseUploadedStatementFile(file, { allowAi, profileId: profileId || null, csvProfileId: csvProfileId || null });
+            const { markedItems: itemsForPreview, hiddenItems, parseMode, profile, sum, lineSum, statementTotal, hiddenSettlementLines, parsedCount } = parsed;
+            const tag = requestedTag ?? (profile?.defaultTag || this.#transactionExtractionService.getConfig().defaultTag);
             try {
                 console.info('extraction-upload-ok', {
                     mimetype: file.mimetype,
@@ -1613,6 +3404,7 @@ export default class App {
                     parsedCount,
                     hiddenSettlementLines,
                     parseMode,
+                    profile: profile?.id ?? null,
                     allowAi,
                     sum,
                     lineSum,
@@ -1630,6 +3422,7 @@ export default class App {
             const originalAbs = Math.abs(parseFloat(firstTx.amount));
             const alreadyExtracted = Array.isArray(firstTx.tags) && firstTx.tags.includes('already-extracted-original');
             const diff = Number((originalAbs - sum).toFixed(2));
+            const previewItems = await this.#proposeExtractionCategories(itemsForPreview, await this.#firefly.getCategories(), firstTx);
             const parentTag = this.#buildEnglishParentTag(firstTx, originalTransactionId);
             const tagClean = this.#transactionExtractionService.sanitizeTag(tag);
             // Extend alreadyExtracted detection by checking for existing children tagged with parentTag
@@ -1646,18 +3439,91 @@ export default class App {
             res.json({
                 success: true,
                 preview: {
-                    items: itemsForPreview,
+                    items: previewItems,
                     hiddenItems: hiddenItems || [],
                     totals: { original: originalAbs, sum, diff, lineSum, statementTotal, hiddenSettlementLines },
-                    meta: { originalTransactionId, parentTag, tag: tagClean, alreadyExtracted: alreadyExtractedFinal, statementTotal, lineSum, parseMode, hiddenSettlementLines, parsedCount }
-                }
+                    meta: { originalTransactionId, parentTag, tag: tagClean, alreadyExtracted: alreadyExtractedFinal, statementTotal, lineSum, parseMode, profile, hiddenSettlementLines, parsedCount }
+                },
+                usage: this.#usageService?.currentUsage() ?? null,
             });
         } catch (e) {
+            if (e instanceof ProfileException) {
+                return res.status(e.status).json({ success: false, error: e.message });
+            }
             console.error('Extraction upload error:', e);
             res.status(500).json({ success: false, error: e.message });
         }
     }
 
+    /**
+     * Category the pipeline proposes for one extracted line, resolved as a dry run (nothing is queued for review).
+     * `original` carries the currency fields of the original transaction, if there is one.
+     * @returns {Promise<{ category: string|null, band: 'auto'|'review'|'reject', decision: object|null }>}
+     */
+    async #proposeExtractionCategory(it, categories, original = {}) {
+        const fakeTx = {
+            attributes: {
+                transactions: [{
+                    type: it.direction === 'in' ? 'deposit' : 'withdrawal',
+                    description: it.description || '',
+                    destination_name: it.destination_name || it.description || '',
+                    currency_code: original.currency_code || it.currency || this.#transactionExtractionService.getConfig().accountCurrency,
+                    foreign_currency_code: original.foreign_currency_code,
+                    foreign_amount: original.foreign_amount,
+                }],
+            },
+        };
+        const resolved = await this.#resolveCategory(fakeTx, categories, { dryRun: true });
+        const category = resolved.category ?? (resolved.queuedForReview ? resolved.recommendation : null);
+        return { category, band: resolved.band ?? (category ? 'auto' : 'reject'), decision: resolved.decision ?? null };
+    }
+
+    /**
+     * Preview lines with the proposed category: `category` (editable), `proposedCategory`, `categoryBand` and
+     * `categoryDecision`. A line the pipeline fails on keeps no category; a reached spend cap stops proposing.
+     */
+    async #proposeExtractionCategories(items, categories, original = {}) {
+        const out = [];
+        let stopped = false;
+        for (const it of items) {
+            let proposal = { category: null, band: null, decision: null };
+            if (!stopped) {
+                try {
+                    proposal = await this.#proposeExtractionCategory(it, categories, original);
+                } catch (e) {
+                    if (e instanceof SpendCapException) stopped = true;
+                    console.warn(`⚠️ No category proposal for "${it.description}":`, e.message);
+                }
+            }
+            out.push({ ...it, category: proposal.category, proposedCategory: proposal.category, categoryBand: proposal.band, categoryDecision: proposal.decision });
+        }
+        return out;
+    }
+
+    /**
+     * Category written to a split child: the one confirmed in the preview (`category`, empty for none), else an
+     * auto-band proposal of the pipeline. A confirmed category is recorded as `manual`: the preview's decision comes
+     * back from the client and is not trusted. `proposing` is shared across the lines of a request; a reached spend
+     * cap stops proposing for the remaining ones.
+     */
+    async #extractionLineCategory(it, categories, original, proposing = { stopped: false }) {
+        if (it.category !== undefined) {
+            const category = it.category && categories.has(it.category) ? it.category : null;
+            if (!category) return { category: null, decision: null };
+            const detail = category === it.proposedCategory ? 'confirmed in the extraction preview' : 'chosen in the extraction preview';
+            return { category, decision: this.#decision('manual', { detail }) };
+        }
+        if (proposing.stopped) return { category: null, decision: null };
+        try {
+            const proposal = await this.#proposeExtractionCategory(it, categories, original);
+            return proposal.band === 'auto' ? proposal : { category: null, decision: null };
+        } catch (e) {
+            if (e instanceof SpendCapException) proposing.stopped = true;
+            console.warn(`⚠️ No category for "${it.description}":`, e.message);
+            return { category: null, decision: null };
+        }
+    }
+
     // ===== Extraction: Confirm & Save =====
     async #onExtractionConfirm(req, res) {
         try {
@@ -1711,7 +3577,9 @@ export default class App {
             const merchantEvents = new Map();
             const categoryNames = Array.from(categories.keys());
             const groupCreatedIds = [];
+            const lineDecisions = [];
             let correctionCloneId = null;
+            const proposing = { stopped: false };
             try {
             // Use exactly the items[] from the client active table (no regex re-filter).
             for (const it of items) {
@@ -1734,25 +3602,12 @@ export default class App {
                     currency_code: firstTx.currency_code,
                     tags: splitTags
                 };
-                try {
-                    const destName = it.destination_name || it.description || '';
-                    const fakeTx = {
-                        attributes: {
-                            transactions: [{
-                                type: base.type,
-                                description: it.description || '',
-                                destination_name: destName,
-                                currency_code: firstTx.currency_code,
-                                foreign_currency_code: firstTx.foreign_currency_code,
-                                foreign_amount: firstTx.foreign_amount,
-                            }],
-                        },
-                    };
-                    const resolved = await this.#resolveCategory(fakeTx, categories);
-                    if (resolved.category) {
-                        base.category_id = categories.get(resolved.category);
-                    }
-                } catch (_) {}
+                const line = await this.#extractionLineCategory(it, categories, firstTx, proposing);
+                if (line.category) {
+                    base.category_id = categories.get(line.category);
+                    const note = this.#decisionNote(line.category, line.decision, 'extraction');
+                    if (note) base.notes = note;
+                }
                 // Set counterparty side (merchant revenue/expense) and resolve asset binding from original
                 const merchantName = it.destination_name || it.description;
                 if (isDeposit) {
@@ -1835,12 +3690,16 @@ export default class App {
                         throw e;
                     }
                 }
+                if (line.category) lineDecisions.push({ transactionId: groupCreatedIds.at(-1), category: line.category, description: base.description, decision: line.decision });
             }
 
             if (groupCreatedIds.length === 0) {
                 throw { code: 400, message: 'No transactions were created from the parsed rows', body: 'No transactions created' };
             }
             ({ correctionCloneId } = await this.#finalizeExtractionGroup(originalTransactionId, data.data, firstTx, parentTag));
+            for (const { transactionId, ...entry } of lineDecisions) {
+                await this.#recordDecisions(transactionId, [entry], { source: 'extraction', actor: req.auth?.username });
+            }
             } catch (confirmErr) {
                 const rb = await this.#rollbackExtractionGroup({
                     childTransactionIds: groupCreatedIds,
@@ -2295,12 +4154,176 @@ export default class App {
         return {};
     }
 
+    // ===== Extraction: Statement Import =====
+    /** The asset/liability account a statement is imported into; throws `{ code, message }` like the confirm flow. */
+    async #requireImportAccount(accountId) {
+        if (!accountId) throw { code: 400, message: 'accountId is required' };
+        const account = await this.#firefly.getAccount(accountId);
+        if (!account) throw { code: 404, message: `Account ${accountId} not found` };
+        if (!this.#isAssetLikeAccount(account)) throw { code: 400, message: 'Statements can only be imported into asset or liability accounts' };
+        return account;
+    }
+
+    /** Statement rows marked `new`/`duplicate`/`invalid` against the transactions already booked on the account. */
+    async #matchStatementAgainstAccount(accountId, items) {
+        const dateToleranceDays = Number(this.#transactionExtractionService.getConfig().dateMergeToleranceDays ?? 2);
+        const range = importDateRange(items, dateToleranceDays);
+        const existing = range
+            ? await this.#firefly.getTransactionsByAccountId(accountId, { type: 'all', ...range })
+            : [];
+        return matchStatementItems(items, existing, accountId, { dateToleranceDays });
+    }
+
+    /**
+     * Creates the statement rows that are not booked on the account yet and starts an `import` batch job that
+     * runs the new transactions through the categorization pipeline. Rows are matched again here, so a repeated
+     * import of the same statement creates nothing. A row Firefly rejects is reported in `failed` and does not
+     * undo the others; importing the statement again creates only what is still missing.
+     * While the import batch categorizes, Firefly fires no webhooks for the new transactions, so `/webhook` does
+     * not categorize them a second time.
+     * @returns {Promise<{ created: object[], duplicates: object[], invalid: object[], failed: object[], categorization: Promise|null }>}
+     */
+    async #importStatementItems(accountId, items, { tag = null, categorize = true } = {}) {
+        const account = await this.#requireImportAccount(accountId);
+        const matched = await this.#matchStatementAgainstAccount(accountId, items);
+        const userTag = this.#transactionExtractionService.sanitizeTag(tag || '');
+        const tags = [...new Set([STATEMENT_IMPORT_TAG, userTag].filter(Boolean))];
+        const accountCurrency = account.attributes?.currency_code || this.#transactionExtractionService.getConfig().accountCurrency;
+
+        const createOptions = { fireWebhooks: !categorize };
+
+        const created = [];
+        const failed = [];
+        const createdGroups = [];
+        for (const item of matched.filter(row => row.status === 'new')) {
+            const isDeposit = item.direction === 'in';
+            const merchantName = item.destination_name || item.description;
+            const base = {
+                type: isDeposit ? 'deposit' : 'withdrawal',
+                date: item.date,
+                description: item.description || merchantName,
+                amount: Math.abs(Number(item.amount)).toFixed(2),
+                currency_code: item.currency || accountCurrency,
+                tags,
+                ...(item.reference ? { external_id: String(item.reference) } : {}),
+                ...(isDeposit
+                    ? { source_name: merchantName, destination_id: accountId }
+                    : { source_id: accountId, destination_name: merchantName }),
+            };
+            try {
+                let resp;
+                try {
+                    resp = await this.#firefly.createTransactions([ base ], createOptions);
+                } catch (e) {
+                    // The merchant name may belong to an account of another type; bind the merchant account by id
+                    const msg = String(e?.body || e?.message || '').toLowerCase();
+                    if (e?.code !== 422 || !(msg.includes('destination') || msg.includes('source'))) throw e;
+                    const details = await this.#firefly.ensureAccountDetailed(merchantName, isDeposit ? 'revenue' : 'expense');
+                    if (!details?.id) throw e;
+                    const retry = { ...base };
+                    if (isDeposit) { delete retry.source_name; retry.source_id = details.id; }
+                    else { delete retry.destination_name; retry.destination_id = details.id; }
+                    resp = await this.#firefly.createTransactions([ retry ], createOptions);
+                }
+                const id = this.#requireCreatedTransactionId(resp, 'statement-import');
+                createdGroups.push(resp.data?.attributes ? resp.data : (await this.#firefly.getTransaction(id)).data);
+                created.push({ id, ...item });
+            } catch (e) {
+                failed.push({ ...item, error: String(e?.body || e?.message || e) });
+            }
+        }
+
+        let categorization = null;
+        if (categorize && createdGroups.length) {
+            const categories = await this.#firefly.getCategories();
+            categorization = this.#startBatch('import', createdGroups, categories);
+        }
+        console.info(`📥 Statement import into account ${accountId}: ${created.length} created, ${matched.filter(r => r.status === 'duplicate').length} already booked, ${failed.length} failed`);
+        return {
+            created,
+            duplicates: matched.filter(row => row.status === 'duplicate'),
+            invalid: matched.filter(row => row.status === 'invalid'),
+            failed,
+            categorization,
+        };
+    }
+
+    async #onStatementImportPreview(req, res) {
+        try {
+            const file = req.file;
+            const { accountId, profileId, csvProfileId } = req.body || {};
+            if (!file) return res.status(400).json({ success: false, error: 'file is required (csv, pdf, camt.053, mt940, ofx or qif)' });
+            const account = await this.#requireImportAccount(accountId);
+
+            const parsed = await this.#parseUploadedStatementFile(file, {
+                allowAi: this.#extractionAiAllowed(req),
+                profileId: profileId || null,
+                csvProfileId: csvProfileId || null,
+            });
+            // Settlement lines are hidden from the card splitter but are real bookings on a checking account
+            const rows = await this.#matchStatementAgainstAccount(accountId, [...parsed.markedItems, ...parsed.hiddenItems]);
+            const counts = { new: 0, duplicate: 0, invalid: 0 };
+            for (const row of rows) counts[row.status]++;
+            res.json({
+                success: true,
+                preview: {
+                    account: { id: String(account.id), name: account.attributes?.name || '', currency: account.attributes?.currency_code || null },
+                    items: rows,
+                    counts,
+                    meta: { parseMode: parsed.parseMode, profile: parsed.profile, parsedCount: parsed.parsedCount },
+                },
+            });
+        } catch (e) {
+            if (e instanceof ProfileException) {
+                return res.status(e.status).json({ success: false, error: e.message });
+            }
+            if (!(e instanceof Error) && typeof e?.code === 'number') {
+                return res.status(e.code).json({ success: false, error: e.message });
+            }
+            console.error('Statement import preview error:', e);
+            res.status(500).json({ success: false, error: e?.body || e?.message || 'Import preview failed' });
+        }
+    }
+
+    /** Body `{ accountId, items, tag?, categorize? }`; `items` are the preview rows the user kept. */
+    async #onStatementImportConfirm(req, res) {
+        try {
+            const { accountId, items, tag = null, categorize = true } = req.body || {};
+            if (!Array.isArray(items) || items.length === 0) {
+                return res.status(400).json({ success: false, error: 'items[] is required' });
+            }
+            const result = await this.#importStatementItems(accountId, items, { tag, categorize: categorize !== false });
+            result.categorization?.catch(err => console.error('Statement import categorization failed:', err));
+            res.json({
+                success: true,
+                created: result.created.length,
+                transactions: result.created,
+                duplicates: result.duplicates,
+                invalid: result.invalid,
+                failed: result.failed,
+                categorizing: Boolean(result.categorization),
+            });
+        } catch (e) {
+            if (!(e instanceof Error) && typeof e?.code === 'number') {
+                return res.status(e.code).json({ success: false, error: e.message });
+            }
+            console.error('Statement import error:', e?.message || e, e?.body || '');
+            res.status(500).json({ success: false, error: e?.body || e?.message || 'Import failed' });
+        }
+    }
+
     // ===== Extraction: Batch Upload =====
     async #onExtractionUploadBatch(req, res) {
         try {
             const files = req.files || [];
-			let { candidateTransactionIds = [], dateWindowDays = 60, graceBeforeDays = 2, fast, forceAI } = req.body || {};
+			let { candidateTransactionIds = [], dateWindowDays = 60, graceBeforeDays = 2, fast, forceAI, profileId = null, csvProfileId = null } = req.body || {};
             if (!files.length) return res.status(400).json({ success: false, error: 'files[] is required' });
+            if (profileId && !(await this.#transactionExtractionService.getStatementProfileService().getProfile(profileId))) {
+                return res.status(404).json({ success: false, error: `Unknown statement profile "${profileId}"` });
+            }
+            if (csvProfileId && !(await this.#transactionExtractionService.getCsvProfileService().getProfile(csvProfileId))) {
+                return res.status(404).json({ success: false, error: `Unknown CSV profile "${csvProfileId}"` });
+            }
             try { console.info('batch-start', { files: files.length, dateWindowDays, graceBeforeDays }); } catch(_) {}
 
             // Normalize candidateTransactionIds from form-data (may be string/CSV/JSON)
@@ -2345,11 +4368,12 @@ export default class App {
                 let lineSum;
                 let statementTotal;
                 let parseMode;
+                let profile;
                 let hiddenSettlementLines;
                 let parsedCount;
                 try {
-                    const parsed = await this.#parseUploadedStatementFile(file, { allowAi });
-                    ({ markedItems, hiddenItems, sum, lineSum, statementTotal, parseMode, hiddenSettlementLines, parsedCount } = parsed);
+                    const parsed = await this.#parseUploadedStatementFile(file, { allowAi, profileId: profileId || null, csvProfileId: csvProfileId || null });
+                    ({ markedItems, hiddenItems, sum, lineSum, statementTotal, parseMode, profile, hiddenSettlementLines, parsedCount } = parsed);
                 } catch (parseErr) {
                     try { console.error('batch-file-parse-error', { file: file.originalname, error: parseErr?.message || String(parseErr) }); } catch (_) {}
                     continue;
@@ -2368,7 +4392,7 @@ export default class App {
                     }
                 }
                 const fileDate = parseDateFromName(file.originalname);
-                tempGroups.push({ file, fileName: file.originalname, items: markedItems, hiddenItems: hiddenItems || [], sum, lineSum, statementTotal, fileDate, parseMode, hiddenSettlementLines, parsedCount });
+                tempGroups.push({ file, fileName: file.originalname, items: markedItems, hiddenItems: hiddenItems || [], sum, lineSum, statementTotal, fileDate, parseMode, profile, hiddenSettlementLines, parsedCount });
                 try {
                     console.info('batch-file-parsed', {
                         file: file.originalname,
@@ -2376,6 +4400,7 @@ export default class App {
                         parsedCount,
                         hiddenSettlementLines,
                         parseMode,
+                        profile: profile?.id ?? null,
                         sum: Number(sum.toFixed(2)),
                         lineSum: Number(lineSum.toFixed(2)),
                         statementTotal: statementTotal != null ? Number(statementTotal.toFixed(2)) : null,
@@ -2509,6 +4534,7 @@ export default class App {
                         lineSum: g.lineSum,
                         statementTotal: g.statementTotal,
                         parseMode: g.parseMode,
+                        profile: g.profile,
                         hiddenSettlementLines: g.hiddenSettlementLines,
                         parsedCount: g.parsedCount,
                         matched: { originalTransactionId: c.id, original: c.amountAbs, sum: g.sum, diff: Number((c.amountAbs - g.sum).toFixed(2)), alreadyExtracted: isAlready },
@@ -2541,6 +4567,7 @@ export default class App {
                             lineSum: g.lineSum,
                             statementTotal: g.statementTotal,
                             parseMode: g.parseMode,
+                            profile: g.profile,
                             hiddenSettlementLines: g.hiddenSettlementLines,
                             parsedCount: g.parsedCount,
                             matched: null,
@@ -2600,6 +4627,7 @@ export default class App {
                         lineSum: g.lineSum,
                         statementTotal: g.statementTotal,
                         parseMode: g.parseMode,
+                        profile: g.profile,
                         hiddenSettlementLines: g.hiddenSettlementLines,
                         parsedCount: g.parsedCount,
                         matched,
@@ -2634,7 +4662,12 @@ export default class App {
                 }
             }
 
-            res.json({ success: true, groups });
+            const categories = await this.#firefly.getCategories();
+            for (const g of groups) {
+                if (Array.isArray(g.items) && g.items.length) g.items = await this.#proposeExtractionCategories(g.items, categories);
+            }
+
+            res.json({ success: true, groups, usage: this.#usageService?.currentUsage() ?? null });
         } catch (e) {
             console.error('Extraction upload-batch error:', e);
             res.status(500).json({ success: false, error: e.message });
@@ -2653,6 +4686,7 @@ export default class App {
             const categories = await this.#firefly.getCategories();
             const categoryNames = Array.from(categories.keys());
             const skipped = [];
+            const proposing = { stopped: false };
             for (const g of groups) {
                 if (!g || !g.matched || !Array.isArray(g.items) || g.items.length === 0) {
                     const reason = 'invalid-group-shape';
@@ -2698,9 +4732,10 @@ export default class App {
                     continue;
                 }
 
-                const splitTags = this.#buildSplitChildTags(tag, parentTag);
+                const splitTags = this.#buildSplitChildTags(tag || g.tag, parentTag);
 
                 const groupCreatedIds = [];
+                const lineDecisions = [];
                 let correctionCloneId = null;
                 try {
                 // Use exactly g.items from the client active table (no regex re-filter).
@@ -2724,25 +4759,12 @@ export default class App {
                         currency_code: firstTx.currency_code,
                         tags: splitTags
                     };
-                    try {
-                        const destName = it.destination_name || it.description || '';
-                        const fakeTx = {
-                            attributes: {
-                                transactions: [{
-                                    type: base.type,
-                                    description: it.description || '',
-                                    destination_name: destName,
-                                    currency_code: firstTx.currency_code,
-                                    foreign_currency_code: firstTx.foreign_currency_code,
-                                    foreign_amount: firstTx.foreign_amount,
-                                }],
-                            },
-                        };
-                        const resolved = await this.#resolveCategory(fakeTx, categories);
-                        if (resolved.category) {
-                            base.category_id = categories.get(resolved.category);
-                        }
-                    } catch (_) {}
+                    const line = await this.#extractionLineCategory(it, categories, firstTx, proposing);
+                    if (line.category) {
+                        base.category_id = categories.get(line.category);
+                        const note = this.#decisionNote(line.category, line.decision, 'extraction');
+                        if (note) base.notes = note;
+                    }
                     if (isDeposit) {
                         const merchantName = it.destination_name || it.description;
                         base.source_name = merchantName;
@@ -2820,6 +4842,7 @@ export default class App {
                             throw e;
                         }
                     }
+                    if (line.category) lineDecisions.push({ transactionId: groupCreatedIds.at(-1), category: line.category, description: base.description, decision: line.decision });
                     created++;
                 }
 
@@ -2828,6 +4851,9 @@ export default class App {
                     continue;
                 }
                 ({ correctionCloneId } = await this.#finalizeExtractionGroup(originalTransactionId, data.data, firstTx, parentTag));
+                for (const { transactionId, ...entry } of lineDecisions) {
+                    await this.#recordDecisions(transactionId, [entry], { source: 'extraction', actor: req.auth?.username });
+                }
                 if (correctionCloneId) correctionCloneIds.push(correctionCloneId);
                 try { console.info('confirm-batch-group-complete', { originalTransactionId, children: groupCreatedIds.length, correctionCloneId }); } catch (_) {}
                 } catch (groupErr) {
@@ -2922,6 +4948,81 @@ export default class App {
         }
     }
 
+    async #onGetStatementProfiles(req, res) {
+        try {
+            const profiles = await this.#transactionExtractionService.getStatementProfileService().listProfiles();
+            res.json({ success: true, profiles });
+        } catch (e) {
+            res.status(500).json({ success: false, error: e.message });
+        }
+    }
+
+    /** POST creates a profile (id derived from the name unless given), PUT /:id updates the given fields. */
+    async #onSaveStatementProfile(req, res) {
+        try {
+            const profile = await this.#transactionExtractionService.getStatementProfileService()
+                .saveProfile(req.body || {}, req.params.id ?? null);
+            res.json({ success: true, profile });
+        } catch (e) {
+            if (e instanceof StatementProfileException) {
+                return res.status(e.status).json({ success: false, error: e.message, errors: e.errors });
+            }
+            console.error(e);
+            res.status(500).json({ success: false, error: e.message });
+        }
+    }
+
+    /** Deleting a built-in profile resets it to the shipped version and returns that version. */
+    async #onDeleteStatementProfile(req, res) {
+        try {
+            const profile = await this.#transactionExtractionService.getStatementProfileService().deleteProfile(req.params.id);
+            res.json({ success: true, profile });
+        } catch (e) {
+            if (e instanceof StatementProfileException) {
+                return res.status(e.status).json({ success: false, error: e.message });
+            }
+            console.error(e);
+            res.status(500).json({ success: false, error: e.message });
+        }
+    }
+
+    async #onGetCsvProfiles(req, res) {
+        try {
+            const profiles = await this.#transactionExtractionService.getCsvProfileService().listProfiles();
+            res.json({ success: true, profiles });
+        } catch (e) {
+            res.status(500).json({ success: false, error: e.message });
+        }
+    }
+
+    /** POST creates a CSV import profile (id derived from the name unless given), PUT /:id updates the given fields. */
+    async #onSaveCsvProfile(req, res) {
+        try {
+            const profile = await this.#transactionExtractionService.getCsvProfileService()
+                .saveProfile(req.body || {}, req.params.id ?? null);
+            res.json({ success: true, profile });
+        } catch (e) {
+            if (e instanceof CsvProfileException) {
+                return res.status(e.status).json({ success: false, error: e.message, errors: e.errors });
+            }
+            console.error(e);
+            res.status(500).json({ success: false, error: e.message });
+        }
+    }
+
+    async #onDeleteCsvProfile(req, res) {
+        try {
+            const profile = await this.#transactionExtractionService.getCsvProfileService().deleteProfile(req.params.id);
+            res.json({ success: true, profile });
+        } catch (e) {
+            if (e instanceof CsvProfileException) {
+                return res.status(e.status).json({ success: false, error: e.message });
+            }
+            console.error(e);
+            res.status(500).json({ success: false, error: e.message });
+        }
+    }
+
     async #onGetCategoryMappings(req, res) {
         try {
             const mappings = this.#categoryMappingService.getAllMappings();
@@ -2947,6 +5048,9 @@ export default class App {
             const mapping = this.#categoryMappingService.addMapping(mappingData);
             res.json({ success: true, message: 'Category mapping added successfully', mapping });
         } catch (e) {
+            if (e instanceof CategoryMappingException) {
+                return res.status(400).json({ success: false, error: e.message });
+            }
             console.error(e);
             res.status(500).json({ success: false, error: e.message });
         }
@@ -2960,6 +5064,105 @@ export default class App {
             const mapping = this.#categoryMappingService.updateMapping(id, updates);
             res.json({ success: true, message: 'Category mapping updated successfully', mapping });
         } catch (e) {
+            if (e instanceof CategoryMappingException) {
+                return res.status(400).json({ success: false, error: e.message });
+            }
+            console.error(e);
+            res.status(500).json({ success: false, error: e.message });
+        }
+    }
+
+    /**
+     * Replays a draft rule (`{ rule }`) or the current rule set (`{ ruleIds?, includeDisabled? }`) against every
+     * categorized transaction in Firefly. Returns null when there is nothing to test.
+     */
+    async #backtestRules({ rule, ruleIds, includeDisabled, maxConflicts } = {}) {
+        let rules;
+        if (rule) {
+            rules = [this.#categoryMappingService.prepareRule({ name: 'Draft rule', ...rule })];
+        } else {
+            rules = this.#categoryMappingService.getOrderedRules({ includeDisabled: includeDisabled === true });
+            if (Array.isArray(ruleIds) && ruleIds.length) {
+                const wanted = new Set(ruleIds.map(String));
+                rules = rules.filter(r => wanted.has(r.id));
+            }
+        }
+        if (!rules.length) return null;
+
+        const transactions = await this.#firefly.getAllTransactions();
+        const result = new RuleBacktestService({ categoryMappingService: this.#categoryMappingService })
+            .run(transactions, rules, { maxConflicts: Number(maxConflicts) || undefined });
+        console.info(
+            `🧪 Backtested ${rules.length} rule(s) on ${result.tested} categorized transactions: ` +
+            `coverage ${result.overall.coverage ?? 0}, precision ${result.overall.precision ?? '-'}`
+        );
+        return { draft: Boolean(rule), ...result };
+    }
+
+    async #onBacktestCategoryMappings(req, res) {
+        try {
+            const result = await this.#backtestRules(req.body || {});
+            if (!result) {
+                return res.status(400).json({ success: false, error: 'No rules to backtest' });
+            }
+            res.json({ success: true, ...result });
+        } catch (e) {
+            if (e instanceof CategoryMappingException) {
+                return res.status(400).json({ success: false, error: e.message });
+            }
+            console.error(e);
+            res.status(500).json({ success: false, error: e.message });
+        }
+    }
+
+    #ruleBundleService() {
+        return new RuleBundleService({
+            wordMapping: this.#wordMapping,
+            categoryMappingService: this.#categoryMappingService,
+            accountCategoryMappingService: this.#accountCategoryMappingService,
+            autoCategorizationService: this.#autoCategorizationService,
+            historyAnalysisService: this.#historyAnalysisService,
+        });
+    }
+
+    /** Account id by exact (case-insensitive) name in this Firefly; one account list per type and import. */
+    #accountResolver() {
+        const lists = new Map();
+        return async (name, type) => {
+            if (!lists.has(type)) lists.set(type, this.#firefly.listAccountsBasicByType(type));
+            const accounts = await lists.get(type);
+            return accounts.find(a => a.name.toLowerCase() === String(name).toLowerCase())?.id ?? null;
+        };
+    }
+
+    #onExportRules(req, res) {
+        try {
+            const bundle = this.#ruleBundleService().exportBundle();
+            res.setHeader('Content-Disposition', `attachment; filename="rules-${bundle.exportedAt.slice(0, 10)}.json"`);
+            res.json(bundle);
+        } catch (e) {
+            console.error(e);
+            res.status(500).json({ success: false, error: e.message });
+        }
+    }
+
+    /** Body: `{ bundle, mode?: 'merge'|'replace', preview?: boolean, categoryMap?: { [bundleName]: fireflyName } }`. */
+    async #onImportRules(req, res) {
+        try {
+            const { bundle, mode, preview, categoryMap } = req.body || {};
+            const categories = await this.#firefly.getCategories();
+            const result = await this.#ruleBundleService().importBundle(bundle, {
+                mode: mode || 'merge',
+                preview: preview === true,
+                categories: [...categories.keys()],
+                categoryMap,
+                resolveAccount: this.#accountResolver(),
+            });
+            res.json({ success: true, ...result });
+        } catch (e) {
+            if (e instanceof RuleBundleException) {
+                return res.status(400).json({ success: false, error: e.message, errors: e.errors });
+            }
             console.error(e);
             res.status(500).json({ success: false, error: e.message });
         }
@@ -3260,8 +5463,16 @@ export default class App {
             
             for (const transactionId of transactionIds) {
                 try {
-                    await this.#firefly.updateTransactionCategory(transactionId, categoryName.trim());
+                    const correction = await this.#readAiAssignment(transactionId);
+                    const decision = this.#decision('manual');
+                    const note = this.#decisionNote(categoryName.trim(), decision, 'manual');
+                    await this.#firefly.updateTransactionCategory(transactionId, categoryName.trim(), ...(note ? [{ note }] : []));
+                    await this.#recordDecisions(transactionId, [{ category: categoryName.trim(), decision }], {
+                        source: 'manual',
+                        actor: req.auth?.username,
+                    });
                     successCount++;
+                    await this.#recordCorrection(correction, categoryName.trim(), 'manual_update');
                 } catch (error) {
                     errorCount++;
                     errors.push(`Transaction ${transactionId}: ${error.message}`);
@@ -0,0 +1,327 @@
+import fs from 'fs/promises';
+import crypto from 'crypto';
+import { v4 as uuid } from 'uuid';
+import { dataFile, ensureDataDir } from './storage.js';
+import { getConfigVariable } from './util.js';
+
+/** Ordered from least to most privileged. */
+export const ROLES = ['viewer', 'reviewer', 'admin'];
+
+const TOKEN_PREFIX = 'ffai_';
+
+/**
+ * Routes that change or delete data in bulk, rewrite configuration or manage access.
+ * Everything else follows the method default: GET → viewer, writes → reviewer.
+ */
+const ADMIN_ROUTES = [
+    ['POST', /^\/api\/transactions\/(delete|remove-categories|remove-tags)$/],
+    ['POST', /^\/api\/duplicates\/delete$/],
+    ['POST', /^\/api\/extraction\/revert$/],
+    ['POST', /^\/api\/extraction\/import\/confirm$/],
+    ['POST', /^\/api\/extraction\/config$/],
+    ['POST', /^\/api\/extraction\/profiles$/],
+    ['PUT', /^\/api\/extraction\/profiles\/[^/]+$/],
+    ['DELETE', /^\/api\/extraction\/profiles\/[^/]+$/],
+    ['POST', /^\/api\/extraction\/csv-profiles$/],
+    ['PUT', /^\/api\/extraction\/csv-profiles\/[^/]+$/],
+    ['DELETE', /^\/api\/extraction\/csv-profiles\/[^/]+$/],
+    ['POST', /^\/api\/auto-categorization\/config$/],
+    ['POST', /^\/api\/rules\/import$/],
+    ['POST', /^\/api\/rules\/audit\/[^/]+\/restore$/],
+    ['POST', /^\/api\/confidence-policy$/],
+    ['POST', /^\/api\/usage\/cap$/],
+    ['POST', /^\/api\/process-all$/],
+    ['POST', /^\/api\/dry-runs\/[^/]+\/apply$/],
+    ['*', /^\/api\/auth\/(users|tokens)(\/.*)?$/],
+];
+
+/** Routes reachable without credentials. Logout only drops the caller's own session. */
+const PUBLIC_ROUTES = [
+    ['POST', /^\/api\/auth\/login$/],
+    ['POST', /^\/api\/auth\/logout$/],
+    ['GET', /^\/api\/auth\/status$/],
+    ['GET', /^\/api\/version$/],
+];
+
+export function hasRole(role, requiredRole) {
+    const have = ROLES.indexOf(role);
+    const need = ROLES.indexOf(requiredRole);
+    return have !== -1 && need !== -1 && have >= need;
+}
+
+/**
+ * Express routing ignores case and a trailing slash, so the path is compared the same way;
+ * otherwise `/api/Transactions/DELETE/` would reach an admin route with the method default.
+ * @returns {'public'|'viewer'|'reviewer'|'admin'}
+ */
+export function requiredRoleFor(method, path) {
+    const m = String(method || 'GET').toUpperCase();
+    const normalized = String(path || '').toLowerCase().replace(/\/+$/, '') || '/';
+    const matches = ([routeMethod, re]) => (routeMethod === '*' || routeMethod === m) && re.test(normalized);
+    if (PUBLIC_ROUTES.some(matches)) return 'public';
+    if (ADMIN_ROUTES.some(matches)) return 'admin';
+    if (m === 'GET' || m === 'HEAD' || m === 'OPTIONS') return 'viewer';
+    return 'reviewer';
+}
+
+/** Parses `CORS_ALLOWED_ORIGINS` (comma-separated, `*` allowed) into a list. */
+export function parseAllowedOrigins(value) {
+    return String(value || '')
+        .split(',')
+        .map(o => o.trim().replace(/\/+$/, ''))
+        .filter(Boolean);
+}
+
+export function isOriginAllowed(origin, allowedOrigins) {
+    if (!origin) return false;
+    return allowedOrigins.includes('*') || allowedOrigins.includes(String(origin).replace(/\/+$/, ''));
+}
+
+/**
+ * UI logins and API tokens with viewer/reviewer/admin roles.
+ *
+ * - Users and API token hashes live in `auth.json` in the data directory; plaintext
+ *   passwords and tokens are never stored.
+ * - UI sessions are in memory only and expire after `AUTH_SESSION_TTL_HOURS`.
+ * - With `AUTH_ENABLED` unset every request is treated as an anonymous admin,
+ *   which keeps existing single-user deployments working.
+ */
+export default class AuthService {
+    #enabled;
+    #sessionTtlMs;
+    #bootstrapAdmin;
+    #persist;
+    #authFile;
+    #users = [];
+    #tokens = [];
+    /** @type {Map<string, { username: string, role: string, expiresAt: number }>} sha256(session token) → session */
+    #sessions = new Map();
+    #loaded = false;
+    #loadPromise = null;
+
+    constructor(deps = {}) {
+        this.#enabled = deps.enabled ?? getConfigVariable('AUTH_ENABLED', 'false') === 'true';
+        const ttlHours = Number(deps.sessionTtlHours ?? getConfigVariable('AUTH_SESSION_TTL_HOURS', '12'));
+        this.#sessionTtlMs = (Number.isFinite(ttlHours) && ttlHours > 0 ? ttlHours : 12) * 60 * 60 * 1000;
+        this.#bootstrapAdmin = {
+            username: deps.adminUsername ?? getConfigVariable('AUTH_ADMIN_USERNAME', 'admin'),
+            password: deps.adminPassword ?? getConfigVariable('AUTH_ADMIN_PASSWORD', ''),
+        };
+        this.#persist = deps.persist !== false;
+        if (this.#enabled) this.#loadPromise = this.loadAuthData();
+    }
+
+    static createForTest(deps = {}) {
+        return new AuthService({ persist: false, enabled: true, ...deps });
+    }
+
+    isEnabled() {
+        return this.#enabled;
+    }
+
+    async loadAuthData() {
+        if (this.#persist) {
+            try {
+                await ensureDataDir();
+                this.#authFile = dataFile('auth.json');
+                const data = JSON.parse(await fs.readFile(this.#authFile, 'utf8'));
+                this.#users = Array.isArray(data.users) ? data.users : [];
+                this.#tokens = Array.isArray(data.tokens) ? data.tokens : [];
+                console.info(`🔐 Loaded ${this.#users.length} users and ${this.#tokens.length} API tokens`);
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    console.info('🔐 No auth file found, starting empty');
+                } else {
+                    console.error('Error loading auth data:', error);
+                }
+                this.#users = [];
+                this.#tokens = [];
+            }
+        }
+
+        if (this.#users.length === 0) {
+            if (this.#bootstrapAdmin.password) {
+                this.#users.push(this.#buildUser(this.#bootstrapAdmin.username, this.#bootstrapAdmin.password, 'admin'));
+                await this.#save();
+                console.info(`🔐 Created admin user '${this.#bootstrapAdmin.username}' from AUTH_ADMIN_PASSWORD`);
+            } else {
+                console.warn('⚠️ AUTH_ENABLED is true but no users exist. Set AUTH_ADMIN_PASSWORD to create the first admin.');
+            }
+        }
+        this.#loaded = true;
+    }
+
+    /** @returns {Promise<{ token: string, user: { username: string, role: string }, expiresAt: string } | null>} */
+    async login(username, password, now = Date.now()) {
+        await this.#ensureLoaded();
+        const user = this.#users.find(u => u.username === String(username || '').trim());
+        if (!user || !this.#verifyPassword(String(password || ''), user)) return null;
+
+        this.#pruneSessions(now);
+        const token = crypto.randomBytes(32).toString('hex');
+        const expiresAt = now + this.#sessionTtlMs;
+        this.#sessions.set(this.#hashToken(token), { username: user.username, role: user.role, expiresAt });
+        return { token, user: { username: user.username, role: user.role }, expiresAt: new Date(expiresAt).toISOString() };
+    }
+
+    logout(token) {
+        if (token) this.#sessions.delete(this.#hashToken(token));
+    }
+
+    /**
+     * Resolves a bearer value (session or API token) to the caller.
+     * @returns {Promise<{ username: string, role: string, type: 'session'|'token'|'anonymous' } | null>}
+     */
+    async authenticate(bearer, now = Date.now()) {
+        if (!this.#enabled) return { username: 'anonymous', role: 'admin', type: 'anonymous' };
+        if (!bearer) return null;
+        await this.#ensureLoaded();
+        const hash = this.#hashToken(bearer);
+
+        if (bearer.startsWith(TOKEN_PREFIX)) {
+            const apiToken = this.#tokens.find(t => this.#safeEqual(t.tokenHash, hash));
+            if (!apiToken) return null;
+            apiToken.lastUsedAt = new Date(now).toISOString();
+            return { username: `token:${apiToken.name}`, role: apiToken.role, type: 'token' };
+        }
+
+        const session = this.#sessions.get(hash);
+        if (!session) return null;
+        if (session.expiresAt <= now) {
+            this.#sessions.delete(hash);
+            return null;
+        }
+        // Role changes and user deletion take effect on existing sessions
+        const user = this.#users.find(u => u.username === session.username);
+        if (!user) {
+            this.#sessions.delete(hash);
+            return null;
+        }
+        return { username: user.username, role: user.role, type: 'session' };
+    }
+
+    // --- Users ---
+
+    async listUsers() {
+        await this.#ensureLoaded();
+        return this.#users.map(u => ({ id: u.id, username: u.username, role: u.role, created: u.created }));
+    }
+
+    async addUser({ username, password, role }) {
+        await this.#ensureLoaded();
+        const name = String(username || '').trim();
+        if (!name) throw new AuthException('username is required');
+        if (!password || String(password).length < 8) throw new AuthException('password must be at least 8 characters');
+        if (!ROLES.includes(role)) throw new AuthException(`role must be one of ${ROLES.join(', ')}`);
+        if (this.#users.some(u => u.username === name)) throw new AuthException(`user '${name}' already exists`);
+
+        const user = this.#buildUser(name, String(password), role);
+        this.#users.push(user);
+        await this.#save();
+        return { id: user.id, username: user.username, role: user.role, created: user.created };
+    }
+
+    async deleteUser(id) {
+        await this.#ensureLoaded();
+        const user = this.#users.find(u => u.id === id);
+        if (!user) return false;
+        if (user.role === 'admin' && this.#users.filter(u => u.role === 'admin').length === 1) {
+            throw new AuthException('cannot delete the last admin');
+        }
+        this.#users = this.#users.filter(u => u.id !== id);
+        await this.#save();
+        return true;
+    }
+
+    // --- API tokens ---
+
+    async listTokens() {
+        await this.#ensureLoaded();
+        return this.#tokens.map(({ tokenHash, ...rest }) => rest);
+    }
+
+    /** Returns the plaintext token once; only its hash is stored. */
+    async createToken({ name, role }, createdBy = null) {
+        await this.#ensureLoaded();
+        const tokenName = String(name || '').trim();
+        if (!tokenName) throw new AuthException('name is required');
+        if (!ROLES.includes(role)) throw new AuthException(`role must be one of ${ROLES.join(', ')}`);
+
+        const token = TOKEN_PREFIX + crypto.randomBytes(24).toString('hex');
+        const record = {
+            id: uuid(),
+            name: tokenName,
+            role,
+            tokenHash: this.#hashToken(token),
+            created: new Date().toISOString(),
+            createdBy,
+            lastUsedAt: null,
+        };
+        this.#tokens.push(record);
+        await this.#save();
+        const { tokenHash, ...info } = record;
+        return { token, ...info };
+    }
+
+    async revokeToken(id) {
+        await this.#ensureLoaded();
+        const before = this.#tokens.length;
+        this.#tokens = this.#tokens.filter(t => t.id !== id);
+        if (this.#tokens.length === before) return false;
+        await this.#save();
+        return true;
+    }
+
+    // --- internals ---
+
+    #buildUser(username, password, role) {
+        const salt = crypto.randomBytes(16).toString('hex');
+        return {
+            id: uuid(),
+            username,
+            role,
+            salt,
+            passwordHash: crypto.scryptSync(password, salt, 64).toString('hex'),
+            created: new Date().toISOString(),
+        };
+    }
+
+    #verifyPassword(password, user) {
+        const hash = crypto.scryptSync(password, user.salt, 64).toString('hex');
+        return this.#safeEqual(hash, user.passwordHash);
+    }
+
+    #hashToken(token) {
+        return crypto.createHash('sha256').update(String(token)).digest('hex');
+    }
+
+    #safeEqual(a, b) {
+        const bufA = Buffer.from(String(a));
+        const bufB = Buffer.from(String(b));
+        return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+    }
+
+    #pruneSessions(now) {
+        for (const [hash, session] of this.#sessions) {
+            if (session.expiresAt <= now) this.#sessions.delete(hash);
+        }
+    }
+
+    async #save() {
+        if (!this.#persist) return;
+        await ensureDataDir();
+        await fs.writeFile(this.#authFile, JSON.stringify({ users: this.#users, tokens: this.#tokens }, null, 2));
+    }
+
+    async #ensureLoaded() {
+        if (this.#loaded) return;
+        if (!this.#loadPromise) this.#loadPromise = this.loadAuthData();
+        await this.#loadPromise;
+    }
+}
+
+export class AuthException extends Error {
+    constructor(message) {
+        super(message);
+    }
+}
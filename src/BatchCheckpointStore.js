@@ -0,0 +1,77 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { dataFile, ensureDataDir } from './storage.js';
+
+/**
+ * Input of a batch job (ordered transaction ids plus how it was started), written once when the
+ * batch starts to `batch-checkpoints/<batchJobId>.json`. The progress cursor itself lives on the
+ * batch job record, which JobList persists on every update.
+ *
+ * Together they let an `interrupted` batch continue after a restart without redoing handled transactions.
+ */
+export default class BatchCheckpointStore {
+    #persist;
+    /** In-memory copy; the only storage when not persisting (tests). */
+    #checkpoints = new Map();
+
+    constructor(deps = {}) {
+        this.#persist = deps.persist !== false;
+    }
+
+    static createForTest(deps = {}) {
+        return new BatchCheckpointStore({ persist: false, ...deps });
+    }
+
+    /**
+     * @param {string} batchJobId
+     * @param {{ type: string, scope?: string|null, dryRunId?: string|null, transactionIds: string[] }} checkpoint
+     */
+    async save(batchJobId, checkpoint) {
+        const record = {
+            batchJobId,
+            created: new Date().toISOString(),
+            type: checkpoint.type,
+            scope: checkpoint.scope ?? null,
+            dryRunId: checkpoint.dryRunId ?? null,
+            transactionIds: checkpoint.transactionIds.map(String),
+        };
+        this.#checkpoints.set(batchJobId, record);
+        if (this.#persist) {
+            await ensureDataDir();
+            await fs.mkdir(this.#dir(), { recursive: true });
+            await fs.writeFile(this.#file(batchJobId), JSON.stringify(record));
+        }
+        return record;
+    }
+
+    async load(batchJobId) {
+        if (this.#checkpoints.has(batchJobId)) return this.#checkpoints.get(batchJobId);
+        if (!this.#persist) return null;
+        try {
+            await ensureDataDir();
+            const record = JSON.parse(await fs.readFile(this.#file(batchJobId), 'utf8'));
+            this.#checkpoints.set(batchJobId, record);
+            return record;
+        } catch (error) {
+            if (error.code !== 'ENOENT') console.error(`Error loading checkpoint for batch job ${batchJobId}:`, error);
+            return null;
+        }
+    }
+
+    async remove(batchJobId) {
+        this.#checkpoints.delete(batchJobId);
+        if (!this.#persist) return;
+        await fs.unlink(this.#file(batchJobId)).catch(error => {
+            if (error.code !== 'ENOENT') console.error(`Error removing checkpoint for batch job ${batchJobId}:`, error);
+        });
+    }
+
+    #dir() {
+        return dataFile('batch-checkpoints');
+    }
+
+    #file(batchJobId) {
+        // Batch job ids are uuids; basename() keeps a crafted id inside the checkpoint directory
+        return path.join(this.#dir(), `${path.basename(String(batchJobId))}.json`);
+    }
+}
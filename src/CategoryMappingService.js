@@ -2,13 +2,47 @@ import fs from 'fs/promises';
 import { ensureDataDir, dataFile } from './storage.js';
 import { v4 as uuid } from 'uuid';
 
+/** `fuzzy` is the original loose matching and the default for rules without a mode. */
+export const MATCH_MODES = ['word', 'substring', 'regex', 'fuzzy'];
+/** `any` searches description, payee and source together, as rules without a field always did. */
+export const MATCH_FIELDS = ['any', 'description', 'payee', 'source', 'notes'];
+export const TRANSACTION_TYPES = ['withdrawal', 'deposit', 'transfer'];
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function toAmountLimit(value) {
+    if (value === null || value === undefined || value === '') return null;
+    return Number(value);
+}
+
+/**
+ * Keyword → Category rules. A rule matches on its keywords (in one field, with a match mode), optional
+ * extra conditions combined with AND/OR, and optional amount and transaction type filters. Rules are tried
+ * by descending `priority`; equal priorities keep their stored order.
+ */
 export default class CategoryMappingService {
     #CONFIG_FILE = dataFile('category-mappings.json');
     #mappings = [];
-    #MAPPING_FIELDS = new Set(['name', 'targetCategory', 'keywords', 'enabled', 'directAssign']);
+    #MAPPING_FIELDS = new Set([
+        'name', 'targetCategory', 'keywords', 'enabled', 'directAssign',
+        'matchMode', 'field', 'conditions', 'combine', 'amountMin', 'amountMax', 'types', 'priority',
+    ]);
+
+    #persist;
+
+    constructor(deps = {}) {
+        this.#persist = deps.persist !== false;
+        if (this.#persist) {
+            this.loadMappings();
+        } else {
+            this.#mappings = [];
+        }
+    }
 
-    constructor() {
-        this.loadMappings();
+    static createForTest(deps = {}) {
+        return new CategoryMappingService({ persist: false, ...deps });
     }
 
     async loadMappings() {
@@ -60,6 +94,7 @@ export default class CategoryMappingService {
     }
 
     async saveMappings() {
+        if (!this.#persist) return;
         try {
             await ensureDataDir();
             await fs.writeFile(this.#CONFIG_FILE, JSON.stringify(this.#mappings, null, 2));
@@ -71,14 +106,26 @@ export default class CategoryMappingService {
     }
 
     /**
-     * Build searchable text from a transaction (description + counterparty names).
+     * Text of one field of a transaction, lowercased. `payee` is the counterparty: the destination of
+     * withdrawals and transfers, the source of deposits. `any` is description + destination + source.
      */
-    #getTransactionSearchText(firstTx) {
-        return [
-            firstTx.description,
-            firstTx.destination_name,
-            firstTx.source_name,
-        ].filter(Boolean).join(' ').toLowerCase();
+    #fieldText(firstTx, field) {
+        switch (field) {
+            case 'description':
+                return String(firstTx.description || '').toLowerCase();
+            case 'payee':
+                return String((firstTx.type === 'deposit' ? firstTx.source_name : firstTx.destination_name) || '').toLowerCase();
+            case 'source':
+                return String(firstTx.source_name || '').toLowerCase();
+            case 'notes':
+                return String(firstTx.notes || '').toLowerCase();
+            default:
+                return [
+                    firstTx.description,
+                    firstTx.destination_name,
+                    firstTx.source_name,
+                ].filter(Boolean).join(' ').toLowerCase();
+        }
     }
 
     /**
@@ -100,81 +147,194 @@ export default class CategoryMappingService {
     }
 
     /**
-     * AI hint from keyword mappings: replaces transaction description for OpenAI when a rule matches loosely.
-     * Does not assign a category directly.
-     *
-     * @param {Object} transaction Firefly transaction object
-     * @returns {Object|null} { descriptionHint, suggestedCategory, mappingName, matchedKeyword, reason }
+     * Matches one keyword (or pattern) against text in the given mode.
+     * @returns {string|null} the matched text (the keyword itself, or the regex match), or null
      */
-    getAiHint(transaction) {
-        const firstTx = transaction?.attributes?.transactions?.[0];
-        if (!firstTx) return null;
+    #matchValue(value, text, matchMode) {
+        const keyword = String(value || '').trim();
+        if (!keyword || !text) return null;
+        switch (matchMode) {
+            case 'regex': {
+                const match = new RegExp(keyword, 'iu').exec(text);
+                return match ? match[0] : null;
+            }
+            case 'substring':
+                return text.includes(keyword.toLowerCase()) ? keyword : null;
+            case 'word': {
+                const pattern = new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(keyword.toLowerCase())}($|[^\\p{L}\\p{N}])`, 'u');
+                return pattern.test(text) ? keyword : null;
+            }
+            default:
+                return this.#looselyMatchesKeyword(keyword, text) ? keyword : null;
+        }
+    }
 
-        const searchText = this.#getTransactionSearchText(firstTx);
+    /**
+     * Evaluates one condition: `{ field, matchMode, value }` (text), `{ field: 'amount', min, max }`
+     * or `{ field: 'type', types }`.
+     * @returns {{ matched: boolean, text?: string }}
+     */
+    #evaluateCondition(condition, firstTx) {
+        if (condition.field === 'amount') {
+            return { matched: this.#amountInRange(firstTx, condition.min, condition.max) };
+        }
+        if (condition.field === 'type') {
+            return { matched: (condition.types || []).includes(firstTx.type) };
+        }
+        const text = this.#fieldText(firstTx, condition.field);
+        const values = Array.isArray(condition.values) ? condition.values : [condition.value];
+        for (const value of values) {
+            const matched = this.#matchValue(value, text, condition.matchMode || 'fuzzy');
+            if (matched !== null) return { matched: true, text: matched };
+        }
+        return { matched: false };
+    }
 
-        for (const mapping of this.#mappings) {
-            if (!mapping.enabled) continue;
+    #amountInRange(firstTx, min, max) {
+        const amount = Math.abs(parseFloat(firstTx.amount));
+        if (min == null && max == null) return true;
+        if (!Number.isFinite(amount)) return false;
+        return (min == null || amount >= min) && (max == null || amount <= max);
+    }
 
-            for (const keyword of mapping.keywords) {
-                if (!this.#looselyMatchesKeyword(keyword, searchText)) continue;
+    /**
+     * Whether a rule matches: type and amount filters must hold, then its keyword clause and extra
+     * conditions are combined with `combine` (AND by default).
+     * @returns {{ matchedKeyword: string|null }|null}
+     */
+    #matchRule(mapping, firstTx) {
+        if (Array.isArray(mapping.types) && mapping.types.length && !mapping.types.includes(firstTx.type)) return null;
+        if (!this.#amountInRange(firstTx, mapping.amountMin ?? null, mapping.amountMax ?? null)) return null;
 
-                const descriptionHint = String(keyword).trim() || mapping.name;
-                return {
-                    descriptionHint,
-                    suggestedCategory: mapping.targetCategory,
-                    mappingName: mapping.name,
-                    matchedKeyword: keyword,
-                    reason: `Keyword hint "${descriptionHint}" from mapping "${mapping.name}" (suggested: ${mapping.targetCategory})`,
-                };
-            }
+        const clauses = [];
+        if (Array.isArray(mapping.keywords) && mapping.keywords.length) {
+            clauses.push({ field: mapping.field || 'any', matchMode: mapping.matchMode || 'fuzzy', values: mapping.keywords });
         }
+        clauses.push(...(mapping.conditions || []));
+        if (!clauses.length) return null;
 
+        const results = clauses.map(clause => this.#evaluateCondition(clause, firstTx));
+        const matched = mapping.combine === 'or' ? results.some(r => r.matched) : results.every(r => r.matched);
+        if (!matched) return null;
+        return { matchedKeyword: results.find(r => r.matched && r.text)?.text ?? null };
+    }
+
+    /** Enabled rules by descending priority; Array#sort is stable, so equal priorities keep stored order. */
+    #orderedMappings() {
+        return this.#mappings
+            .filter(m => m.enabled)
+            .sort((a, b) => (Number(b.priority) || 0) - (Number(a.priority) || 0));
+    }
+
+    #findMatch(transaction, { directAssignOnly = false } = {}) {
+        const firstTx = transaction?.attributes?.transactions?.[0];
+        if (!firstTx) return null;
+
+        for (const mapping of this.#orderedMappings()) {
+            if (directAssignOnly && !mapping.directAssign) continue;
+            let match;
+            try {
+                match = this.#matchRule(mapping, firstTx);
+            } catch (error) {
+                console.warn(`⚠️ Skipping category mapping "${mapping.name}": ${error.message}`);
+                continue;
+            }
+            if (match) return { mapping, matchedKeyword: match.matchedKeyword };
+        }
         return null;
     }
 
+    /**
+     * AI hint from keyword mappings: replaces transaction description for OpenAI when a rule matches.
+     * Does not assign a category directly.
+     *
+     * @param {Object} transaction Firefly transaction object
+     * @returns {Object|null} { descriptionHint, suggestedCategory, mappingId, mappingName, matchedKeyword, reason }
+     */
+    getAiHint(transaction) {
+        const match = this.#findMatch(transaction);
+        if (!match) return null;
+
+        const { mapping, matchedKeyword } = match;
+        const descriptionHint = String(matchedKeyword ?? '').trim() || mapping.name;
+        return {
+            descriptionHint,
+            suggestedCategory: mapping.targetCategory,
+            mappingId: mapping.id,
+            mappingName: mapping.name,
+            matchedKeyword,
+            reason: `Keyword hint "${descriptionHint}" from mapping "${mapping.name}" (suggested: ${mapping.targetCategory})`,
+        };
+    }
+
     /**
      * Direct-assign from keyword mappings: when an enabled mapping has directAssign=true
-     * and the transaction loosely matches a keyword, return the target category immediately.
+     * and the transaction matches it, return the target category immediately.
      * US-0007: bypasses AI classification when matched.
      *
      * @param {Object} transaction Firefly transaction object
-     * @returns {Object} { assigned, category?, mappingName?, matchedKeyword?, reason? }
+     * @returns {Object} { assigned, category?, mappingId?, mappingName?, matchedKeyword?, reason? }
      */
     getDirectAssignment(transaction) {
-        const firstTx = transaction?.attributes?.transactions?.[0];
-        if (!firstTx) return { assigned: false };
-
-        const searchText = this.#getTransactionSearchText(firstTx);
-
-        for (const mapping of this.#mappings) {
-            if (!mapping.enabled) continue;
-            if (!mapping.directAssign) continue;
-
-            for (const keyword of mapping.keywords) {
-                if (!this.#looselyMatchesKeyword(keyword, searchText)) continue;
-                return {
-                    assigned: true,
-                    category: mapping.targetCategory,
-                    mappingName: mapping.name,
-                    matchedKeyword: keyword,
-                    reason: `Direct-assign from mapping "${mapping.name}" via keyword "${keyword}" → ${mapping.targetCategory}`,
-                };
-            }
-        }
-        return { assigned: false };
+        const match = this.#findMatch(transaction, { directAssignOnly: true });
+        if (!match) return { assigned: false };
+
+        const { mapping, matchedKeyword } = match;
+        const via = matchedKeyword ? `keyword "${matchedKeyword}"` : 'its conditions';
+        return {
+            assigned: true,
+            category: mapping.targetCategory,
+            mappingId: mapping.id,
+            mappingName: mapping.name,
+            matchedKeyword,
+            reason: `Direct-assign from mapping "${mapping.name}" via ${via} → ${mapping.targetCategory}`,
+        };
     }
 
-    addMapping(mappingData) {
+    /**
+     * A validated rule in its stored shape without saving it, e.g. a draft to backtest.
+     * @throws {CategoryMappingException} for invalid modes, fields, regexes or amount ranges
+     */
+    prepareRule(mappingData) {
         const clean = this.#stripFields(mappingData);
+        const matchMode = clean.matchMode || 'fuzzy';
         const mapping = {
             id: uuid(),
             name: clean.name || 'New Mapping',
             targetCategory: clean.targetCategory || '',
-            keywords: this.#parseKeywords(clean.keywords || ''),
+            keywords: this.#parseKeywords(clean.keywords || '', matchMode),
             enabled: clean.enabled !== false,
             directAssign: Boolean(clean.directAssign ?? false),
+            ...this.#normalizeMatching({ ...clean, matchMode }),
             created: new Date().toISOString()
         };
+        this.#assertValidRule(mapping);
+        return mapping;
+    }
+
+    /**
+     * Whether `rule` matches the transaction (its first split); rules with a broken regex never match.
+     * @returns {{ matchedKeyword: string|null }|null}
+     */
+    matchTransaction(rule, transaction) {
+        const firstTx = transaction?.attributes?.transactions?.[0];
+        if (!firstTx) return null;
+        try {
+            return this.#matchRule(rule, firstTx);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /** Rules in the order the pipeline tries them (descending priority); disabled ones only when asked. */
+    getOrderedRules({ includeDisabled = false } = {}) {
+        return includeDisabled
+            ? [...this.#mappings].sort((a, b) => (Number(b.priority) || 0) - (Number(a.priority) || 0))
+            : this.#orderedMappings();
+    }
+
+    addMapping(mappingData) {
+        const mapping = this.prepareRule(mappingData);
 
         this.#mappings.push(mapping);
         this.saveMappings();
@@ -189,16 +349,17 @@ export default class CategoryMappingService {
         }
 
         const clean = this.#stripFields(updates);
-        const mapping = { ...this.#mappings[index], ...clean };
+        const mapping = { ...this.#mappings[index], ...clean, ...this.#normalizeMatching({ ...this.#mappings[index], ...clean }) };
         
         // Parse keywords if updated
         if ('keywords' in clean) {
-            mapping.keywords = this.#parseKeywords(clean.keywords);
+            mapping.keywords = this.#parseKeywords(clean.keywords, mapping.matchMode);
         }
         // Coerce directAssign to boolean when present
         if ('directAssign' in clean) {
             mapping.directAssign = Boolean(clean.directAssign);
         }
+        this.#assertValidRule(mapping);
         
         mapping.updated = new Date().toISOString();
         this.#mappings[index] = mapping;
@@ -238,21 +399,107 @@ export default class CategoryMappingService {
         return [...this.#mappings];
     }
 
+    /** Replaces every rule at once (rule import); the rules must already be validated, see prepareRule. */
+    replaceMappings(mappings) {
+        this.#mappings = [...mappings];
+        console.info(`🗂️ Replaced category mappings (${this.#mappings.length} rules)`);
+        return this.saveMappings();
+    }
+
     getMappingById(id) {
         return this.#mappings.find(m => m.id === id);
     }
 
-    #parseKeywords(keywordString) {
+    #parseKeywords(keywordString, matchMode = 'fuzzy') {
+        if (Array.isArray(keywordString)) {
+            return keywordString.map(k => String(k).trim()).filter(k => k.length > 0);
+        }
         if (typeof keywordString !== 'string') {
             return [];
         }
         
+        // Regex patterns may contain commas ({2,3}), so they are one per line
         return keywordString
-            .split(',')
+            .split(matchMode === 'regex' ? /\r?\n/ : ',')
             .map(k => k.trim())
             .filter(k => k.length > 0);
     }
 
+    /** Matching fields in their stored shape; rules without them behave as before (fuzzy, any field). */
+    #normalizeMatching(raw) {
+        const types = Array.isArray(raw.types) ? raw.types : String(raw.types || '').split(',');
+        return {
+            matchMode: raw.matchMode || 'fuzzy',
+            field: raw.field || 'any',
+            conditions: Array.isArray(raw.conditions) ? raw.conditions.map(c => ({ ...c })) : [],
+            combine: String(raw.combine || 'and').toLowerCase(),
+            amountMin: toAmountLimit(raw.amountMin),
+            amountMax: toAmountLimit(raw.amountMax),
+            types: types.map(t => String(t).trim().toLowerCase()).filter(Boolean),
+            priority: Number(raw.priority ?? 0),
+        };
+    }
+
+    /** Rule-level errors (modes, fields, regexes, amounts); the required-field checks live in validateMapping. */
+    #ruleErrors(rule) {
+        const errors = [];
+        const checkPattern = (pattern) => {
+            try {
+                new RegExp(pattern, 'iu');
+            } catch (error) {
+                errors.push(`Invalid regex "${pattern}": ${error.message}`);
+            }
+        };
+        const checkText = (matchMode, field, values, label) => {
+            if (!MATCH_MODES.includes(matchMode)) errors.push(`${label}: match mode must be one of ${MATCH_MODES.join(', ')}`);
+            if (!MATCH_FIELDS.includes(field)) errors.push(`${label}: field must be one of ${MATCH_FIELDS.join(', ')}`);
+            if (matchMode === 'regex') values.forEach(checkPattern);
+        };
+        const checkRange = (min, max, label) => {
+            if ((min != null && !Number.isFinite(min)) || (max != null && !Number.isFinite(max))) {
+                errors.push(`${label}: amount limits must be numbers`);
+            } else if (min != null && max != null && min > max) {
+                errors.push(`${label}: minimum amount is above the maximum`);
+            }
+        };
+
+        checkText(rule.matchMode, rule.field, rule.keywords || [], 'Keywords');
+        checkRange(rule.amountMin, rule.amountMax, 'Rule');
+        const badTypes = rule.types.filter(t => !TRANSACTION_TYPES.includes(t));
+        if (badTypes.length) errors.push(`Unknown transaction type(s): ${badTypes.join(', ')}`);
+        if (!['and', 'or'].includes(rule.combine)) errors.push('combine must be "and" or "or"');
+        if (!Number.isFinite(rule.priority)) errors.push('priority must be a number');
+
+        rule.conditions.forEach((condition, i) => {
+            const label = `Condition ${i + 1}`;
+            if (condition.field === 'amount') {
+                condition.min = toAmountLimit(condition.min);
+                condition.max = toAmountLimit(condition.max);
+                if (condition.min == null && condition.max == null) errors.push(`${label}: min or max is required`);
+                checkRange(condition.min, condition.max, label);
+            } else if (condition.field === 'type') {
+                if (!Array.isArray(condition.types) || !condition.types.length ||
+                    condition.types.some(t => !TRANSACTION_TYPES.includes(t))) {
+                    errors.push(`${label}: types must list ${TRANSACTION_TYPES.join(', ')}`);
+                }
+            } else {
+                condition.field = condition.field || 'any';
+                condition.matchMode = condition.matchMode || 'fuzzy';
+                if (!String(condition.value || '').trim()) errors.push(`${label}: value is required`);
+                checkText(condition.matchMode, condition.field, [condition.value], label);
+            }
+        });
+        if (!(rule.keywords || []).length && !rule.conditions.length) {
+            errors.push('Keywords or conditions are required');
+        }
+        return errors;
+    }
+
+    #assertValidRule(rule) {
+        const errors = this.#ruleErrors(rule);
+        if (errors.length) throw new CategoryMappingException(errors.join(', '));
+    }
+
     #stripFields(raw) {
         const out = {};
         for (const k of this.#MAPPING_FIELDS) {
@@ -297,7 +544,9 @@ export default class CategoryMappingService {
             errors.push('Target category is required');
         }
         
-        if (!mappingData.keywords || mappingData.keywords.trim().length === 0) {
+        const hasConditions = Array.isArray(mappingData.conditions) && mappingData.conditions.length > 0;
+        const keywords = Array.isArray(mappingData.keywords) ? mappingData.keywords.join(',') : String(mappingData.keywords || '');
+        if (keywords.trim().length === 0 && !hasConditions) {
             errors.push('Keywords are required');
         }
         
@@ -306,4 +555,10 @@ export default class CategoryMappingService {
             errors: errors
         };
     }
-} 
\ No newline at end of file
+}
+
+export class CategoryMappingException extends Error {
+    constructor(message) {
+        super(message);
+    }
+}
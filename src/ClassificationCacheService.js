@@ -0,0 +1,228 @@
+import fs from 'fs/promises';
+import crypto from 'crypto';
+import { dataFile, ensureDataDir } from './storage.js';
+import { getConfigVariable } from './util.js';
+
+/** Lowercased, digits (receipt/terminal numbers) and punctuation removed, whitespace collapsed. */
+export function normalizeCacheText(text) {
+    return String(text || '')
+        .toLowerCase()
+        .replace(/\d+/g, ' ')
+        .replace(/[^\p{L}\s]+/gu, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/** Short, order-independent hash of the category names. */
+export function hashCategories(categoryNames) {
+    const names = [...categoryNames].map(String).sort();
+    return crypto.createHash('sha1').update(names.join('\n')).digest('hex').slice(0, 16);
+}
+
+/**
+ * Persistent cache of AI classifications (`classification-cache.json`), so recurring payee/description
+ * combinations ("SPAR DANKT 1234", "Netflix.com") do not reach the LLM again.
+ *
+ * The key is the normalized mapped payee, the normalized description, the transaction type and a hash of
+ * the category list; few-shot examples change with every categorized transaction and are left out, so the
+ * pipeline looks the cache up before building them. Entries expire after `CLASSIFICATION_CACHE_TTL_DAYS`;
+ * when the category list in Firefly changes (new hash), all entries built for the old list are dropped.
+ * A recorded correction evicts the entries it contradicts (`evict`).
+ */
+export default class ClassificationCacheService {
+    #cacheFile;
+    #persist;
+    #enabled;
+    #ttlMs;
+    #maxEntries;
+    #now;
+    #categoriesHash = null;
+    #entries = new Map();
+    #stats = { hits: 0, misses: 0, stores: 0, expired: 0, invalidations: 0, evictions: 0 };
+    #saveChain = Promise.resolve();
+    #loadPromise;
+
+    constructor(deps = {}) {
+        this.#persist = deps.persist !== false;
+        this.#enabled = deps.enabled ?? getConfigVariable('CLASSIFICATION_CACHE_ENABLED', 'true') !== 'false';
+        this.#ttlMs = Number(deps.ttlDays ?? getConfigVariable('CLASSIFICATION_CACHE_TTL_DAYS', '30')) * 24 * 60 * 60 * 1000;
+        this.#maxEntries = Number(deps.maxEntries ?? getConfigVariable('CLASSIFICATION_CACHE_MAX_ENTRIES', '10000'));
+        this.#now = deps.now ?? (() => Date.now());
+        this.#loadPromise = this.#persist ? this.#load() : Promise.resolve();
+    }
+
+    static createForTest(deps = {}) {
+        return new ClassificationCacheService({ persist: false, ...deps });
+    }
+
+    isEnabled() {
+        return this.#enabled;
+    }
+
+    async #load() {
+        try {
+            await this.#resolveFile();
+            const data = JSON.parse(await fs.readFile(this.#cacheFile, 'utf8'));
+            this.#categoriesHash = data.categoriesHash ?? null;
+            this.#entries = new Map(Object.entries(data.entries || {}));
+            console.info(`🗃️ Loaded classification cache: ${this.#entries.size} entries`);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                console.info('🗃️ No classification cache found, starting empty');
+            } else {
+                console.error('Error loading classification cache:', error);
+            }
+        }
+    }
+
+    /**
+     * @param {{ destinationName: string, description: string, type: string, categoryNames: string[] }} input
+     * @returns {Promise<{ category: string, confidence: number|null, response: string, created: string } | null>}
+     */
+    async get(input) {
+        if (!this.#enabled) return null;
+        await this.#loadPromise;
+        const key = this.#key(input);
+        const entry = this.#entries.get(key);
+        if (!entry) {
+            this.#stats.misses++;
+            return null;
+        }
+        if (this.#isExpired(entry)) {
+            this.#entries.delete(key);
+            this.#stats.expired++;
+            this.#stats.misses++;
+            return null;
+        }
+        entry.hits = (entry.hits || 0) + 1;
+        entry.lastHit = new Date(this.#now()).toISOString();
+        this.#stats.hits++;
+        return { ...entry };
+    }
+
+    /** Like `get`, but without counting a lookup, touching the entry or invalidating on a new category list. */
+    async peek(input) {
+        if (!this.#enabled) return null;
+        await this.#loadPromise;
+        const categoriesHash = hashCategories(input.categoryNames);
+        if (this.#categoriesHash !== categoriesHash) return null;
+        const entry = this.#entries.get(this.#keyFor(input, categoriesHash));
+        return entry && !this.#isExpired(entry) ? { ...entry } : null;
+    }
+
+    /** Stores an AI result that named a category. */
+    async set(input, { category, confidence = null, response = '' }) {
+        if (!this.#enabled || !category) return;
+        await this.#loadPromise;
+        const key = this.#key(input);
+        this.#entries.delete(key);
+        this.#entries.set(key, {
+            category,
+            confidence,
+            response,
+            created: new Date(this.#now()).toISOString(),
+            hits: 0,
+        });
+        this.#stats.stores++;
+        this.#prune();
+        await this.#save();
+    }
+
+    /**
+     * Drops the cached answers a correction contradicts: entries for the same payee and type with the same
+     * description, or with the corrected category (a keyword hint caches under the hint, not the description).
+     * @returns {Promise<number>} number of removed entries
+     */
+    async evict({ destinationName, description, type, category = null }) {
+        await this.#loadPromise;
+        const payee = normalizeCacheText(destinationName);
+        const text = normalizeCacheText(description);
+        const transactionType = type || 'withdrawal';
+        let removed = 0;
+        for (const [key, entry] of this.#entries) {
+            const [keyPayee, keyDescription, keyType] = key.split('|');
+            if (keyPayee !== payee || keyType !== transactionType) continue;
+            if (keyDescription !== text && (!category || entry.category !== category)) continue;
+            this.#entries.delete(key);
+            removed++;
+        }
+        if (removed) {
+            this.#stats.evictions += removed;
+            console.info(`🗃️ Evicted ${removed} cached classification(s) for "${destinationName}" after a correction`);
+            await this.#save();
+        }
+        return removed;
+    }
+
+    async clear() {
+        await this.#loadPromise;
+        const removed = this.#entries.size;
+        this.#entries.clear();
+        await this.#save();
+        console.info(`🗃️ Classification cache cleared (${removed} entries)`);
+        return removed;
+    }
+
+    getStats() {
+        const lookups = this.#stats.hits + this.#stats.misses;
+        return {
+            enabled: this.#enabled,
+            entries: this.#entries.size,
+            ...this.#stats,
+            hitRate: lookups ? Number((this.#stats.hits / lookups).toFixed(3)) : null,
+            ttlDays: this.#ttlMs / (24 * 60 * 60 * 1000),
+            maxEntries: this.#maxEntries,
+            categoriesHash: this.#categoriesHash,
+        };
+    }
+
+    #keyFor({ destinationName, description, type }, categoriesHash) {
+        return [normalizeCacheText(destinationName), normalizeCacheText(description), type || 'withdrawal', categoriesHash].join('|');
+    }
+
+    #key(input) {
+        const categoriesHash = hashCategories(input.categoryNames);
+        if (this.#categoriesHash !== categoriesHash) {
+            if (this.#categoriesHash !== null && this.#entries.size > 0) {
+                console.info(`🗃️ Category list changed, dropping ${this.#entries.size} cached classifications`);
+                this.#entries.clear();
+                this.#stats.invalidations++;
+            }
+            this.#categoriesHash = categoriesHash;
+        }
+        return this.#keyFor(input, categoriesHash);
+    }
+
+    #isExpired(entry) {
+        return this.#ttlMs > 0 && this.#now() - new Date(entry.created).getTime() > this.#ttlMs;
+    }
+
+    /** Drops expired entries, then the oldest ones above `maxEntries` (Map keeps insertion order). */
+    #prune() {
+        for (const [key, entry] of this.#entries) {
+            if (this.#isExpired(entry)) this.#entries.delete(key);
+        }
+        if (this.#maxEntries > 0) {
+            for (const key of this.#entries.keys()) {
+                if (this.#entries.size <= this.#maxEntries) break;
+                this.#entries.delete(key);
+            }
+        }
+    }
+
+    async #resolveFile() {
+        await ensureDataDir();
+        this.#cacheFile = this.#cacheFile || dataFile('classification-cache.json');
+    }
+
+    #save() {
+        if (!this.#persist) return Promise.resolve();
+        const snapshot = JSON.stringify({ categoriesHash: this.#categoriesHash, entries: Object.fromEntries(this.#entries) });
+        const write = this.#saveChain.then(async () => {
+            await this.#resolveFile();
+            await fs.writeFile(this.#cacheFile, snapshot);
+        });
+        this.#saveChain = write.catch(error => console.error('Error saving classification cache:', error));
+        return write;
+    }
+}
@@ -0,0 +1,142 @@
+import fs from 'fs/promises';
+import { dataFile, ensureDataDir } from './storage.js';
+import { getConfigVariable } from './util.js';
+
+export const BANDS = ['auto', 'review', 'reject'];
+
+/** Worst band of several (e.g. the splits of one group): reject > review > auto. */
+export function worstBand(bands) {
+    let worst = 'auto';
+    for (const band of bands) {
+        if (BANDS.indexOf(band) > BANDS.indexOf(worst)) worst = band;
+    }
+    return worst;
+}
+
+function validateThresholds(thresholds, label) {
+    const { autoApply, review } = thresholds;
+    for (const [name, value] of [['autoApply', autoApply], ['review', review]]) {
+        if (value === undefined) continue;
+        if (typeof value !== 'number' || !Number.isFinite(value) || value < 0 || value > 1) {
+            throw new ConfidencePolicyException(`${label}.${name} must be a number between 0 and 1`);
+        }
+    }
+    if (autoApply !== undefined && review !== undefined && review > autoApply) {
+        throw new ConfidencePolicyException(`${label}.review must not be above ${label}.autoApply`);
+    }
+}
+
+/**
+ * Decides what happens with an AI classification based on its confidence:
+ *
+ * - `confidence >= autoApply` → `auto`: the category is written
+ * - `review <= confidence < autoApply` → `review`: queued in PendingReviewService
+ * - `confidence < review` → `reject`: logged in FailedTransactionService
+ *
+ * Thresholds resolve per field from `byCategory[category]`, then `byType[transactionType]`,
+ * then the global defaults (`CONFIDENCE_AUTO_APPLY` / `CONFIDENCE_REVIEW`). A result without a
+ * confidence goes to the `missingConfidence` band (`CONFIDENCE_MISSING_BAND`). The policy is stored
+ * in `confidence-policy.json` and editable through `/api/confidence-policy`.
+ */
+export default class ConfidencePolicyService {
+    #CONFIG_FILE = dataFile('confidence-policy.json');
+    #persist;
+    #config;
+
+    constructor(deps = {}) {
+        this.#persist = deps.persist !== false;
+        this.#config = {
+            enabled: deps.enabled ?? true,
+            autoApply: Number(deps.autoApply ?? getConfigVariable('CONFIDENCE_AUTO_APPLY', '0.7')),
+            review: Number(deps.review ?? getConfigVariable('CONFIDENCE_REVIEW', '0.4')),
+            byType: deps.byType ?? {},
+            byCategory: deps.byCategory ?? {},
+            missingConfidence: deps.missingConfidence ?? getConfigVariable('CONFIDENCE_MISSING_BAND', 'auto'),
+        };
+        if (this.#persist) this.loadConfig();
+    }
+
+    static createForTest(deps = {}) {
+        return new ConfidencePolicyService({ persist: false, ...deps });
+    }
+
+    async loadConfig() {
+        try {
+            await ensureDataDir();
+            const data = JSON.parse(await fs.readFile(this.#CONFIG_FILE, 'utf8'));
+            this.#config = { ...this.#config, ...data };
+            console.info(`🎚️ Loaded confidence policy: auto ≥ ${this.#config.autoApply}, review ≥ ${this.#config.review}`);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                console.info('🎚️ No confidence policy found, using defaults');
+            } else {
+                console.error('Error loading confidence policy:', error);
+            }
+        }
+    }
+
+    getConfig() {
+        return structuredClone(this.#config);
+    }
+
+    async updateConfig(updates = {}) {
+        const next = { ...this.#config };
+        if (updates.enabled !== undefined) next.enabled = updates.enabled === true;
+        if (updates.autoApply !== undefined) next.autoApply = updates.autoApply;
+        if (updates.review !== undefined) next.review = updates.review;
+        if (updates.missingConfidence !== undefined) next.missingConfidence = updates.missingConfidence;
+        validateThresholds(next, 'policy');
+        if (!BANDS.includes(next.missingConfidence)) {
+            throw new ConfidencePolicyException(`missingConfidence must be one of ${BANDS.join(', ')}`);
+        }
+        for (const key of ['byType', 'byCategory']) {
+            if (updates[key] === undefined) continue;
+            if (!updates[key] || typeof updates[key] !== 'object' || Array.isArray(updates[key])) {
+                throw new ConfidencePolicyException(`${key} must be an object`);
+            }
+            for (const [name, thresholds] of Object.entries(updates[key])) {
+                validateThresholds(thresholds || {}, `${key}.${name}`);
+            }
+            next[key] = updates[key];
+        }
+
+        this.#config = next;
+        if (this.#persist) {
+            await ensureDataDir();
+            await fs.writeFile(this.#CONFIG_FILE, JSON.stringify(this.#config, null, 2));
+        }
+        return this.getConfig();
+    }
+
+    /** @returns {{ autoApply: number, review: number }} */
+    thresholdsFor(transactionType, category) {
+        const byType = this.#config.byType?.[transactionType] || {};
+        const byCategory = (category && this.#config.byCategory?.[category]) || {};
+        return {
+            autoApply: byCategory.autoApply ?? byType.autoApply ?? this.#config.autoApply,
+            review: byCategory.review ?? byType.review ?? this.#config.review,
+        };
+    }
+
+    /**
+     * A missing confidence (the model sent none) is not compared to the thresholds; it gets the
+     * configured `missingConfidence` band instead.
+     * @returns {{ band: 'auto'|'review'|'reject', autoApply: number, review: number }}
+     */
+    evaluate({ confidence, transactionType, category }) {
+        const thresholds = this.thresholdsFor(transactionType, category);
+        if (!this.#config.enabled) return { band: 'auto', ...thresholds };
+        if (confidence === null || confidence === undefined) {
+            return { band: this.#config.missingConfidence, ...thresholds };
+        }
+        if (confidence >= thresholds.autoApply) return { band: 'auto', ...thresholds };
+        if (confidence >= thresholds.review) return { band: 'review', ...thresholds };
+        return { band: 'reject', ...thresholds };
+    }
+}
+
+export class ConfidencePolicyException extends Error {
+    constructor(message) {
+        super(message);
+    }
+}
@@ -0,0 +1,308 @@
+import fs from 'fs/promises';
+import { parse } from 'csv-parse/sync';
+import { dataFile, ensureDataDir } from './storage.js';
+import { ProfileException, slugify, toList } from './profiles.js';
+
+export const CSV_DELIMITERS = [',', ';', '\t', '|'];
+
+/** Encodings understood by `TextDecoder`; banks in the DACH region mostly ship Windows-1252. */
+export const CSV_ENCODINGS = ['utf-8', 'windows-1252', 'iso-8859-15', 'utf-16le'];
+
+/**
+ * How a row's amount maps to money in/out:
+ * - `signed`: one amount column, negative amounts are charges
+ * - `inverted`: one amount column, charges are positive and payments negative (card exports)
+ * - `debit_credit`: separate `debit` and `credit` columns
+ * - `indicator`: unsigned amount plus an `indicator` column (`S`/`H`, `D`/`C`, ...); `debitIndicators` mark charges
+ */
+export const CSV_SIGN_MODES = ['signed', 'inverted', 'debit_credit', 'indicator'];
+
+/** Fields a profile can map to a CSV column (matched case-insensitively against the header). */
+export const CSV_FIELDS = ['date', 'valueDate', 'description', 'destination', 'amount', 'debit', 'credit', 'indicator', 'currency', 'reference'];
+
+const BASE_PROFILE = {
+    headerSignature: [],
+    delimiter: ';',
+    encoding: 'utf-8',
+    headerRow: 0,
+    columns: {},
+    datePattern: 'dd.MM.yyyy',
+    decimalSeparator: ',',
+    signMode: 'signed',
+    debitIndicators: ['S', 'D', 'DBIT', 'Soll', 'Debit'],
+    defaultTag: null,
+};
+
+const DATE_TOKEN_RE = /yyyy|yy|dd|d|MM|M/g;
+const DATE_TOKEN_SOURCE = { yyyy: '(\\d{4})', yy: '(\\d{2})', dd: '(\\d{1,2})', d: '(\\d{1,2})', MM: '(\\d{1,2})', M: '(\\d{1,2})' };
+
+function decode(buffer, encoding) {
+    const text = Buffer.isBuffer(buffer) ? new TextDecoder(encoding).decode(buffer) : String(buffer ?? '');
+    return text.replace(/^\uFEFF/, '');
+}
+
+/** Signed number from a bank amount (`-1.234,56`, `1.234,56-`, `(12.50)`); null when there is none. */
+export function parseCsvAmount(value, decimalSeparator = ',') {
+    let s = String(value ?? '').replace(/\u2212/g, '-').replace(/[\s\u00a0']/g, '');
+    if (!/\d/.test(s)) return null;
+    let negative = false;
+    if (/^\(.*\)$/.test(s) || /-$/.test(s) || /^[^\d]*-/.test(s)) negative = true;
+    const thousands = decimalSeparator === ',' ? '.' : ',';
+    s = s.split(thousands).join('').replace(decimalSeparator, '.').replace(/[^0-9.]/g, '');
+    const num = parseFloat(s);
+    if (isNaN(num)) return null;
+    return negative ? -num : num;
+}
+
+/** ISO date from a date written in `pattern` (`dd.MM.yyyy`, `M/d/yy`, ...); null when it does not match. */
+export function parseCsvDate(value, pattern) {
+    if (!value) return null;
+    const tokens = pattern.match(DATE_TOKEN_RE) || [];
+    const source = pattern
+        .split(DATE_TOKEN_RE)
+        .reduce((re, part, i) => re + part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + (tokens[i] ? DATE_TOKEN_SOURCE[tokens[i]] : ''), '');
+    const m = String(value).trim().match(new RegExp(`^${source}`));
+    if (!m) return null;
+    const parts = Object.fromEntries(tokens.map((token, i) => [token[0], Number(m[i + 1])]));
+    const year = parts.y < 100 ? 2000 + parts.y : parts.y;
+    if (!(parts.M >= 1 && parts.M <= 12 && parts.d >= 1 && parts.d <= 31)) return null;
+    return `${year}-${String(parts.M).padStart(2, '0')}-${String(parts.d).padStart(2, '0')}`;
+}
+
+/** Header cells of a CSV file as read with `profile` (encoding, delimiter, header row). */
+export function readCsvHeader(buffer, profile) {
+    try {
+        const [header] = parse(decode(buffer, profile.encoding), {
+            delimiter: profile.delimiter,
+            from_line: profile.headerRow + 1,
+            to_line: profile.headerRow + 1,
+            relax_column_count: true,
+            relax_quotes: true,
+            trim: true,
+        });
+        return header || [];
+    } catch (_) {
+        return [];
+    }
+}
+
+/**
+ * Parses a CSV file with a profile into extraction items `{ description, destination_name, amount, date, direction }`,
+ * plus `valueDate`, `currency` and `reference` when the profile maps those columns.
+ * Rows without a description/payee or with a zero or unreadable amount are skipped.
+ */
+export function parseCsvWithProfile(buffer, profile) {
+    const records = parse(decode(buffer, profile.encoding), {
+        delimiter: profile.delimiter,
+        from_line: profile.headerRow + 1,
+        columns: header => header.map(cell => String(cell).trim().toLowerCase()),
+        skip_empty_lines: true,
+        relax_column_count: true,
+        relax_quotes: true,
+        trim: true,
+    });
+    const field = (row, name) => {
+        const column = profile.columns[name];
+        return column ? (row[column.toLowerCase()] ?? '').trim() : '';
+    };
+    const amountOf = (row, name) => parseCsvAmount(field(row, name), profile.decimalSeparator);
+    const debitIndicators = profile.debitIndicators.map(value => value.toLowerCase());
+
+    const items = [];
+    for (const row of records) {
+        const description = field(row, 'description') || field(row, 'destination');
+        if (!description) continue;
+
+        let amount;
+        let direction;
+        if (profile.signMode === 'debit_credit') {
+            const debit = amountOf(row, 'debit');
+            const credit = amountOf(row, 'credit');
+            amount = debit ? debit : credit;
+            direction = debit ? 'out' : 'in';
+        } else {
+            amount = amountOf(row, 'amount');
+            if (profile.signMode === 'indicator') {
+                direction = debitIndicators.includes(field(row, 'indicator').toLowerCase()) ? 'out' : 'in';
+            } else {
+                const charge = profile.signMode === 'inverted' ? amount > 0 : amount < 0;
+                direction = charge ? 'out' : 'in';
+            }
+        }
+        if (!amount) continue;
+
+        const item = {
+            description,
+            destination_name: field(row, 'destination') || description,
+            amount: Math.abs(amount),
+            date: parseCsvDate(field(row, 'date'), profile.datePattern),
+            direction,
+        };
+        if (profile.columns.valueDate) item.valueDate = parseCsvDate(field(row, 'valueDate'), profile.datePattern);
+        if (profile.columns.currency) item.currency = field(row, 'currency').toUpperCase() || null;
+        if (profile.columns.reference) item.reference = field(row, 'reference') || null;
+        items.push(item);
+    }
+    return items;
+}
+
+/**
+ * Saved CSV import profiles (`csv-profiles.json`).
+ *
+ * A profile describes one bank's CSV export: delimiter, encoding, how many lines precede the header row,
+ * which column holds each field, the date pattern, the decimal separator and how charges are told apart from
+ * payments (`signMode`). Uploads pick a profile by hand (`csvProfileId`) or by header signature: the profile
+ * whose `headerSignature` columns (default: its mapped columns) all occur in the file's header row. Files
+ * that match no profile fall back to the column guessing with the global `headerMapping`.
+ */
+export default class CsvProfileService {
+    #CONFIG_FILE = dataFile('csv-profiles.json');
+    #persist;
+    #profiles = [];
+    #loadPromise;
+
+    constructor(deps = {}) {
+        this.#persist = deps.persist !== false;
+        this.#profiles = (deps.profiles || []).map(profile => this.#normalize(profile));
+        this.#loadPromise = this.#persist ? this.#load() : Promise.resolve();
+    }
+
+    static createForTest(deps = {}) {
+        return new CsvProfileService({ persist: false, ...deps });
+    }
+
+    async #load() {
+        try {
+            await ensureDataDir();
+            const data = JSON.parse(await fs.readFile(this.#CONFIG_FILE, 'utf8'));
+            this.#profiles = (data.profiles || []).map(profile => this.#normalize(profile));
+            console.info(`🧮 Loaded ${this.#profiles.length} CSV import profile(s)`);
+        } catch (error) {
+            if (error.code !== 'ENOENT') console.error('Error loading CSV profiles:', error);
+        }
+    }
+
+    async #save() {
+        if (!this.#persist) return;
+        await ensureDataDir();
+        await fs.writeFile(this.#CONFIG_FILE, JSON.stringify({ profiles: this.#profiles }, null, 2));
+    }
+
+    async listProfiles() {
+        await this.#loadPromise;
+        return structuredClone(this.#profiles);
+    }
+
+    async getProfile(id) {
+        return (await this.listProfiles()).find(profile => profile.id === id) ?? null;
+    }
+
+    /**
+     * The profile for a CSV file: `profileId` when given, else the profile with the longest header signature
+     * found in the file's header row.
+     * @returns {Promise<{ profile: object, detectedBy: 'manual'|'signature' }|null>} null when no profile matches
+     * @throws {CsvProfileException} for an unknown `profileId`
+     */
+    async resolveProfile(buffer, profileId = null) {
+        const profiles = await this.listProfiles();
+        if (profileId) {
+            const profile = profiles.find(p => p.id === profileId);
+            if (!profile) throw new CsvProfileException(`Unknown CSV profile "${profileId}"`, 404);
+            return { profile, detectedBy: 'manual' };
+        }
+        let best = null;
+        for (const profile of profiles) {
+            const signature = this.#signature(profile);
+            if (!signature.length || (best && signature.length <= best.size)) continue;
+            const header = new Set(readCsvHeader(buffer, profile).map(cell => cell.toLowerCase()));
+            if (signature.every(column => header.has(column))) best = { profile, size: signature.length };
+        }
+        return best ? { profile: best.profile, detectedBy: 'signature' } : null;
+    }
+
+    /**
+     * Creates a profile, or updates `id` with the given fields.
+     * @throws {CsvProfileException} with every validation error
+     */
+    async saveProfile(data = {}, id = null) {
+        await this.#loadPromise;
+        const existing = id ? await this.getProfile(id) : null;
+        if (id && !existing) throw new CsvProfileException(`Unknown CSV profile "${id}"`, 404);
+
+        const base = existing ?? { ...BASE_PROFILE, id: slugify(data.id || data.name) };
+        const profile = this.#normalize({ ...base, ...data, id: base.id });
+        this.#validate(profile);
+        if (!existing && (await this.getProfile(profile.id))) {
+            throw new CsvProfileException(`A CSV profile with id "${profile.id}" already exists`, 409);
+        }
+
+        const index = this.#profiles.findIndex(p => p.id === profile.id);
+        if (index === -1) this.#profiles.push(profile);
+        else this.#profiles[index] = profile;
+        await this.#save();
+        return structuredClone(profile);
+    }
+
+    async deleteProfile(id) {
+        await this.#loadPromise;
+        const index = this.#profiles.findIndex(p => p.id === id);
+        if (index === -1) throw new CsvProfileException(`Unknown CSV profile "${id}"`, 404);
+        const [removed] = this.#profiles.splice(index, 1);
+        await this.#save();
+        return removed;
+    }
+
+    #signature(profile) {
+        const columns = profile.headerSignature.length ? profile.headerSignature : Object.values(profile.columns);
+        return [...new Set(columns.map(column => column.toLowerCase()))];
+    }
+
+    #normalize(profile) {
+        const columns = {};
+        for (const name of CSV_FIELDS) {
+            const column = String(profile.columns?.[name] ?? '').trim();
+            if (column) columns[name] = column;
+        }
+        const headerRow = Number(profile.headerRow ?? BASE_PROFILE.headerRow);
+        return {
+            id: profile.id,
+            name: String(profile.name ?? '').trim(),
+            headerSignature: toList(profile.headerSignature),
+            delimiter: profile.delimiter === '\\t' ? '\t' : (profile.delimiter ?? BASE_PROFILE.delimiter),
+            encoding: String(profile.encoding ?? BASE_PROFILE.encoding).toLowerCase(),
+            headerRow,
+            columns,
+            datePattern: String(profile.datePattern ?? BASE_PROFILE.datePattern).trim(),
+            decimalSeparator: profile.decimalSeparator ?? BASE_PROFILE.decimalSeparator,
+            signMode: profile.signMode ?? BASE_PROFILE.signMode,
+            debitIndicators: toList(profile.debitIndicators ?? BASE_PROFILE.debitIndicators),
+            defaultTag: profile.defaultTag ? String(profile.defaultTag).trim() : null,
+        };
+    }
+
+    #validate(profile) {
+        const errors = [];
+        if (!profile.id) errors.push('id or name is required');
+        if (!profile.name) errors.push('name is required');
+        if (!CSV_DELIMITERS.includes(profile.delimiter)) errors.push('delimiter must be one of , ; | or a tab');
+        if (!CSV_ENCODINGS.includes(profile.encoding)) errors.push(`encoding must be one of ${CSV_ENCODINGS.join(', ')}`);
+        if (!Number.isInteger(profile.headerRow) || profile.headerRow < 0 || profile.headerRow > 50) {
+            errors.push('headerRow must be a whole number from 0 to 50');
+        }
+        const tokens = profile.datePattern.match(DATE_TOKEN_RE) || [];
+        if (['d', 'M', 'y'].some(letter => tokens.filter(token => token[0] === letter).length !== 1)) {
+            errors.push('datePattern needs exactly one day (d/dd), month (M/MM) and year (yy/yyyy) token');
+        }
+        if (![',', '.'].includes(profile.decimalSeparator)) errors.push('decimalSeparator must be "," or "."');
+        if (!CSV_SIGN_MODES.includes(profile.signMode)) errors.push(`signMode must be one of ${CSV_SIGN_MODES.join(', ')}`);
+        if (!profile.columns.description && !profile.columns.destination) errors.push('columns.description or columns.destination is required');
+        const required = profile.signMode === 'debit_credit' ? ['debit', 'credit']
+            : profile.signMode === 'indicator' ? ['amount', 'indicator'] : ['amount'];
+        for (const name of required) {
+            if (!profile.columns[name]) errors.push(`columns.${name} is required for signMode ${profile.signMode}`);
+        }
+        if (errors.length) throw new CsvProfileException(errors.join('; '), 400, errors);
+    }
+}
+
+export class CsvProfileException extends ProfileException {}
@@ -0,0 +1,183 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import { v4 as uuid } from 'uuid';
+import { getConfigVariable } from './util.js';
+import { dataFile, ensureDataDir } from './storage.js';
+
+/** Short, stable fingerprint of the prompt an LLM decision was made on; null without a prompt. */
+export function hashPrompt(prompt) {
+    if (!prompt) return null;
+    return crypto.createHash('sha256').update(String(prompt)).digest('hex').slice(0, 16);
+}
+
+/**
+ * Why each transaction got its category: one record per written journal, appended to
+ * `decision-records.jsonl` in the data directory and never pruned, so it outlives the job history.
+ *
+ * A record holds the category and a `decision` describing the pipeline stage that chose it:
+ * `{ stage, ruleId, ruleName, matchedKeyword, model, confidence, promptHash, detail }`.
+ * With `DECISION_NOTES_ENABLED=true` the same decision is also appended to the journal's Firefly notes.
+ */
+export default class DecisionRecordService {
+    #persist;
+    #now;
+    #notesEnabled;
+    #recordsFile;
+    #byTransaction = new Map();
+    #count = 0;
+    #writeChain = Promise.resolve();
+    #loadPromise;
+
+    constructor(deps = {}) {
+        this.#persist = deps.persist !== false;
+        this.#now = deps.now ?? (() => Date.now());
+        this.#notesEnabled = deps.notesEnabled ?? getConfigVariable('DECISION_NOTES_ENABLED', 'false') === 'true';
+        this.#loadPromise = this.#persist ? this.#load() : Promise.resolve();
+    }
+
+    static createForTest(deps = {}) {
+        return new DecisionRecordService({ persist: false, notesEnabled: false, ...deps });
+    }
+
+    async #load() {
+        try {
+            await ensureDataDir();
+            this.#recordsFile = this.#recordsFile || dataFile('decision-records.jsonl');
+            const content = await fs.readFile(this.#recordsFile, 'utf8');
+            for (const line of content.split('\n')) {
+                if (!line.trim()) continue;
+                try {
+                    this.#index(JSON.parse(line));
+                } catch (_) {
+                    // A crash mid-append can leave one truncated line
+                }
+            }
+            console.info(`🧾 Loaded decision records: ${this.#count} entries`);
+        } catch (error) {
+            if (error.code !== 'ENOENT') console.error('Error loading decision records:', error);
+        }
+    }
+
+    /** Resolves once the records have been read and every pending record has reached the disk. */
+    async flush() {
+        await this.#loadPromise;
+        await this.#writeChain;
+    }
+
+    /** Whether decisions are also written into the Firefly journal notes. */
+    notesEnabled() {
+        return this.#notesEnabled;
+    }
+
+    /**
+     * Stores one record per written journal.
+     * @param {Array<{ transactionId: string, journalId?: string|null, category: string, description?: string, decision?: object }>} entries
+     * @param {{ source: string, actor?: string }} context - `source` is `webhook`, `batch`, `dry_run`, `review`, `extraction` or `manual`
+     * @returns {Promise<object[]>} the stored records
+     */
+    async record(entries, { source, actor = 'system' } = {}) {
+        await this.#loadPromise;
+        const timestamp = new Date(this.#now()).toISOString();
+        const records = entries.filter(entry => entry.category).map(entry => ({
+            id: uuid(),
+            timestamp,
+            transactionId: String(entry.transactionId),
+            journalId: entry.journalId != null ? String(entry.journalId) : null,
+            category: entry.category,
+            description: entry.description || '',
+            source: source || 'unknown',
+            actor: actor || 'system',
+            decision: this.#normalize(entry.decision),
+        }));
+        for (const record of records) this.#append(record);
+        return records;
+    }
+
+    /** Every record of a transaction, newest first. */
+    async getRecords(transactionId) {
+        await this.#loadPromise;
+        return [...(this.#byTransaction.get(String(transactionId)) || [])].reverse();
+    }
+
+    /**
+     * Answers "why is transaction X in category Y?". Without `category` the explanation covers the
+     * current category of each journal. `current` is false when a later write replaced the category.
+     * @returns {Promise<object|null>} null when nothing was ever recorded for the transaction
+     */
+    async explain(transactionId, category = null) {
+        const history = await this.getRecords(transactionId);
+        if (!history.length) return null;
+
+        const latest = new Map();
+        for (const record of history) {
+            if (!latest.has(record.journalId)) latest.set(record.journalId, record);
+        }
+        // A write to the whole transaction (journalId null) supersedes older per-journal writes
+        const wholeGroup = latest.get(null);
+        const current = [...latest.values()].filter(record => !wholeGroup || record === wholeGroup || record.timestamp > wholeGroup.timestamp);
+
+        const wanted = category ? String(category).trim().toLowerCase() : null;
+        const matching = wanted
+            ? history.filter(record => record.category.toLowerCase() === wanted)
+            : current;
+        const explanations = matching.map(record => ({
+            ...record,
+            current: current.includes(record),
+            summary: this.formatNote(record),
+        }));
+        return {
+            transactionId: String(transactionId),
+            category: category || null,
+            found: explanations.length > 0,
+            explanations,
+            history,
+        };
+    }
+
+    /** One-line, human readable form of a record, used for Firefly notes and lookup summaries. */
+    formatNote(record) {
+        const decision = record.decision || {};
+        const parts = [`stage: ${decision.stage || 'unknown'}`];
+        if (decision.ruleName || decision.ruleId) {
+            parts.push(`rule: ${decision.ruleName || decision.ruleId}${decision.ruleName && decision.ruleId ? ` (${decision.ruleId})` : ''}`);
+        }
+        if (decision.matchedKeyword) parts.push(`keyword: "${decision.matchedKeyword}"`);
+        if (decision.model) parts.push(`model: ${decision.model}`);
+        if (decision.confidence != null) parts.push(`confidence: ${(decision.confidence * 100).toFixed(0)}%`);
+        if (decision.promptHash) parts.push(`prompt: ${decision.promptHash}`);
+        if (decision.detail) parts.push(decision.detail);
+        return `[Categorizer] "${record.category}" via ${record.source}; ${parts.join(', ')}`;
+    }
+
+    #normalize(decision = {}) {
+        return {
+            stage: decision?.stage || 'unknown',
+            ruleId: decision?.ruleId != null ? String(decision.ruleId) : null,
+            ruleName: decision?.ruleName || null,
+            matchedKeyword: decision?.matchedKeyword || null,
+            model: decision?.model || null,
+            confidence: decision?.confidence ?? null,
+            promptHash: decision?.promptHash || null,
+            detail: decision?.detail || null,
+        };
+    }
+
+    #index(record) {
+        if (!this.#byTransaction.has(record.transactionId)) this.#byTransaction.set(record.transactionId, []);
+        this.#byTransaction.get(record.transactionId).push(record);
+        this.#count++;
+    }
+
+    #append(record) {
+        this.#index(record);
+        if (!this.#persist) return;
+        const line = JSON.stringify(record) + '\n';
+        this.#writeChain = this.#writeChain
+            .then(async () => {
+                await ensureDataDir();
+                this.#recordsFile = this.#recordsFile || dataFile('decision-records.jsonl');
+                await fs.appendFile(this.#recordsFile, line);
+            })
+            .catch(error => console.error('Error writing decision records:', error));
+    }
+}
@@ -0,0 +1,278 @@
+import fs from 'fs/promises';
+import { v4 as uuid } from 'uuid';
+import { dataFile, ensureDataDir } from './storage.js';
+
+/** Runs kept in `dry-runs.json`; older ones are dropped when a new run starts. */
+const MAX_RUNS = 20;
+
+const CSV_COLUMNS = [
+    'id', 'transactionId', 'journalId', 'date', 'type', 'description', 'destinationName', 'sourceName',
+    'amount', 'currencyCode', 'currentCategory', 'proposedCategory', 'source', 'confidence', 'band',
+    'reviewSuggested', 'status', 'error',
+];
+
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n;]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Stores the proposals of batch dry runs: the pipeline runs in full, but nothing is written
+ * to Firefly. A run's proposals can later be applied (all or a selected subset) without
+ * calling the LLM again.
+ *
+ * Proposal ids are `${transactionId}-${journalId}` so a split group yields one proposal per split.
+ *
+ * Run headers and statuses live in `dry-runs.json`. New proposals are appended to
+ * `dry-run-proposals.jsonl` instead of rewriting every run per transaction; the journal is folded
+ * into `dry-runs.json` (and emptied) whenever that file is written, and replayed on load.
+ */
+export default class DryRunService {
+    #runs = [];
+    #runsFile;
+    #proposalsFile;
+    #persist;
+    #loaded = false;
+    #loadPromise = null;
+    /** Parallel batch workers add proposals concurrently; writes of both files are serialized. */
+    #saveChain = Promise.resolve();
+
+    constructor(deps = {}) {
+        this.#persist = deps.persist !== false;
+        this.#loadPromise = this.loadRuns();
+    }
+
+    static createForTest(deps = {}) {
+        return new DryRunService({ persist: false, ...deps });
+    }
+
+    async loadRuns() {
+        if (this.#persist) {
+            try {
+                await ensureDataDir();
+                this.#runsFile = dataFile('dry-runs.json');
+                this.#proposalsFile = dataFile('dry-run-proposals.jsonl');
+                const data = JSON.parse(await fs.readFile(this.#runsFile, 'utf8'));
+                this.#runs = Array.isArray(data) ? data : [];
+                await this.#replayProposals();
+                // A run still marked running was cut short by a restart
+                for (const run of this.#runs) {
+                    if (run.status === 'running') run.status = 'interrupted';
+                }
+                console.info(`🧪 Loaded ${this.#runs.length} dry runs`);
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    console.info('🧪 No dry runs file found, starting empty');
+                } else {
+                    console.error('Error loading dry runs:', error);
+                }
+                this.#runs = [];
+            }
+        }
+        this.#loaded = true;
+    }
+
+    async createRun({ type, scope = null, totalCount = 0 }) {
+        await this.#ensureLoaded();
+        const run = {
+            id: uuid(),
+            created: new Date().toISOString(),
+            finishedAt: null,
+            type,
+            scope,
+            totalCount,
+            status: 'running',
+            proposals: [],
+        };
+        this.#runs.unshift(run);
+        this.#runs = this.#runs.slice(0, MAX_RUNS);
+        await this.#save();
+        return run;
+    }
+
+    async addProposals(runId, proposals) {
+        await this.#ensureLoaded();
+        const run = this.#runs.find(r => r.id === runId);
+        if (!run) return null;
+        const added = proposals.map(proposal => ({ status: 'pending', error: null, ...proposal }));
+        run.proposals.push(...added);
+        await this.#appendProposals(runId, added);
+        return run;
+    }
+
+    async finishRun(runId, status = 'finished') {
+        await this.#ensureLoaded();
+        const run = this.#runs.find(r => r.id === runId);
+        if (!run) return null;
+        run.status = status;
+        run.finishedAt = new Date().toISOString();
+        await this.#save();
+        return run;
+    }
+
+    /** Marks an interrupted run as running again when its batch job resumes from a checkpoint. */
+    async reopenRun(runId) {
+        await this.#ensureLoaded();
+        const run = this.#runs.find(r => r.id === runId);
+        if (!run) return null;
+        run.status = 'running';
+        run.finishedAt = null;
+        await this.#save();
+        return run;
+    }
+
+    /** Run headers without proposals, newest first. */
+    async listRuns() {
+        await this.#ensureLoaded();
+        return this.#runs.map(({ proposals, ...run }) => ({
+            ...run,
+            proposalCount: proposals.length,
+            summary: this.#summarize(proposals),
+        }));
+    }
+
+    async getRun(runId) {
+        await this.#ensureLoaded();
+        return this.#runs.find(r => r.id === runId) || null;
+    }
+
+    async deleteRun(runId) {
+        await this.#ensureLoaded();
+        const before = this.#runs.length;
+        this.#runs = this.#runs.filter(r => r.id !== runId);
+        if (this.#runs.length === before) return false;
+        await this.#save();
+        return true;
+    }
+
+    /**
+     * @param {object} run
+     * @param {{ category?: string, source?: string, status?: string, search?: string,
+     *           minConfidence?: number, maxConfidence?: number, unchanged?: boolean }} [filters]
+     */
+    filterProposals(run, filters = {}) {
+        const search = String(filters.search || '').trim().toLowerCase();
+        const min = filters.minConfidence != null && filters.minConfidence !== '' ? Number(filters.minConfidence) : null;
+        const max = filters.maxConfidence != null && filters.maxConfidence !== '' ? Number(filters.maxConfidence) : null;
+        return (run?.proposals || []).filter(p => {
+            if (filters.category && p.proposedCategory !== filters.category) return false;
+            if (filters.source && p.source !== filters.source) return false;
+            if (filters.status && p.status !== filters.status) return false;
+            if (min !== null && !(p.confidence >= min)) return false;
+            if (max !== null && !(p.confidence <= max)) return false;
+            if (filters.unchanged === false && p.proposedCategory === p.currentCategory) return false;
+            if (search) {
+                const haystack = `${p.description} ${p.destinationName} ${p.sourceName}`.toLowerCase();
+                if (!haystack.includes(search)) return false;
+            }
+            return true;
+        });
+    }
+
+    toCsv(proposals) {
+        const lines = [CSV_COLUMNS.join(',')];
+        for (const proposal of proposals) {
+            lines.push(CSV_COLUMNS.map(column => csvCell(proposal[column])).join(','));
+        }
+        return lines.join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Proposals that can be written: not applied yet, with a proposed category. Without `proposalIds`,
+     * review-band recommendations (a live run would only queue them) and stale proposals are left out;
+     * they are applied only when selected by id.
+     */
+    async getApplicableProposals(runId, proposalIds = null) {
+        const run = await this.getRun(runId);
+        if (!run) return null;
+        const wanted = Array.isArray(proposalIds) && proposalIds.length > 0 ? new Set(proposalIds.map(String)) : null;
+        return run.proposals.filter(p =>
+            p.proposedCategory &&
+            p.status !== 'applied' &&
+            (wanted ? wanted.has(p.id) : !p.reviewSuggested && p.status !== 'stale')
+        );
+    }
+
+    async markProposals(runId, proposalIds, status, error = null) {
+        await this.#ensureLoaded();
+        const run = this.#runs.find(r => r.id === runId);
+        if (!run) return null;
+        const ids = new Set(proposalIds.map(String));
+        const now = new Date().toISOString();
+        for (const proposal of run.proposals) {
+            if (!ids.has(proposal.id)) continue;
+            proposal.status = status;
+            proposal.error = error;
+            if (status === 'applied') proposal.appliedAt = now;
+        }
+        await this.#save();
+        return run;
+    }
+
+    #summarize(proposals) {
+        const summary = { total: proposals.length, categorized: 0, unclassified: 0, reviewSuggested: 0, applied: 0 };
+        for (const p of proposals) {
+            if (p.proposedCategory) summary.categorized++;
+            else summary.unclassified++;
+            if (p.reviewSuggested) summary.reviewSuggested++;
+            if (p.status === 'applied') summary.applied++;
+        }
+        return summary;
+    }
+
+    /** Adds journaled proposals to their runs; a proposal already folded into `dry-runs.json` is skipped. */
+    async #replayProposals() {
+        let content;
+        try {
+            content = await fs.readFile(this.#proposalsFile, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return;
+            throw error;
+        }
+        const byId = new Map(this.#runs.map(run => [run.id, run]));
+        const known = new Map(this.#runs.map(run => [run.id, new Set(run.proposals.map(p => p.id))]));
+        for (const line of content.split('\n')) {
+            if (!line.trim()) continue;
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (_) {
+                // A crash mid-append can leave one truncated line
+                continue;
+            }
+            const run = byId.get(entry.runId);
+            if (!run || known.get(run.id).has(entry.proposal?.id)) continue;
+            run.proposals.push(entry.proposal);
+            known.get(run.id).add(entry.proposal.id);
+        }
+    }
+
+    async #appendProposals(runId, proposals) {
+        if (!this.#persist || proposals.length === 0) return;
+        const lines = proposals.map(proposal => JSON.stringify({ runId, proposal }) + '\n').join('');
+        const write = this.#saveChain.then(async () => {
+            await ensureDataDir();
+            await fs.appendFile(this.#proposalsFile, lines);
+        });
+        this.#saveChain = write.catch(() => {});
+        return write;
+    }
+
+    /** Writes every run, including the journaled proposals, then empties the journal. */
+    async #save() {
+        if (!this.#persist) return;
+        const write = this.#saveChain.then(async () => {
+            await ensureDataDir();
+            await fs.writeFile(this.#runsFile, JSON.stringify(this.#runs, null, 2));
+            await fs.writeFile(this.#proposalsFile, '');
+        });
+        this.#saveChain = write.catch(() => {});
+        return write;
+    }
+
+    async #ensureLoaded() {
+        if (this.#loaded) return;
+        await this.#loadPromise;
+    }
+}
@@ -0,0 +1,224 @@
+import fs from 'fs/promises';
+import crypto from 'crypto';
+import { v4 as uuid } from 'uuid';
+import { dataFile, ensureDataDir } from './storage.js';
+import { getConfigVariable } from './util.js';
+
+/** Feedback events kept in `feedback.json`; the oldest are dropped beyond this. */
+const MAX_EVENTS = 5000;
+
+function normalizePayee(name) {
+    return String(name || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Counterparty of a corrected transaction and the Firefly type of its account: the source (revenue account) of a
+ * deposit, the destination (expense account) of a withdrawal. Transfers and events recorded without a type have
+ * no counterparty account a rule could safely target, so they only name the payee.
+ */
+function counterparty(event) {
+    if (event.transactionType === 'deposit') {
+        return { name: event.sourceName || '', accountId: event.sourceId, accountType: 'revenue' };
+    }
+    return {
+        name: event.destinationName || '',
+        accountId: event.transactionType === 'withdrawal' ? event.destinationId : null,
+        accountType: event.transactionType === 'withdrawal' ? 'expense' : null,
+    };
+}
+
+function suggestionId(kind, key, category) {
+    return crypto.createHash('sha1').update(`${kind}|${key}|${category}`).digest('hex').slice(0, 12);
+}
+
+/**
+ * Manual corrections of AI-assigned categories, and the rules they suggest.
+ *
+ * Every override (`/api/transactions/update-categories` on an AI-tagged transaction, or a review accepted with
+ * another category than the AI proposed) is stored as a feedback event. When at least
+ * `FEEDBACK_SUGGESTION_MIN_EVENTS` corrections for one payee agree (share ≥ `FEEDBACK_SUGGESTION_AGREEMENT`) on a
+ * category, that becomes a suggestion: an Account → Category rule when all corrections hit the same Firefly
+ * expense or revenue account (the counterparty, never the user's own account), otherwise a keyword rule on the payee
+ * name. Accepted and dismissed suggestions are remembered.
+ */
+export default class FeedbackService {
+    #feedbackFile;
+    #persist;
+    #minEvents;
+    #agreement;
+    #events = [];
+    /** suggestion id → { status: 'accepted'|'dismissed', at, ruleId } */
+    #decisions = {};
+    #saveChain = Promise.resolve();
+    #loadPromise;
+
+    constructor(deps = {}) {
+        this.#persist = deps.persist !== false;
+        this.#minEvents = Math.max(1, Number(deps.minEvents ?? getConfigVariable('FEEDBACK_SUGGESTION_MIN_EVENTS', '3')) || 1);
+        this.#agreement = Number(deps.agreement ?? getConfigVariable('FEEDBACK_SUGGESTION_AGREEMENT', '0.8'));
+        this.#loadPromise = this.#persist ? this.#load() : Promise.resolve();
+    }
+
+    static createForTest(deps = {}) {
+        return new FeedbackService({ persist: false, ...deps });
+    }
+
+    async #load() {
+        try {
+            await this.#resolveFile();
+            const data = JSON.parse(await fs.readFile(this.#feedbackFile, 'utf8'));
+            this.#events = Array.isArray(data.events) ? data.events : [];
+            this.#decisions = data.decisions && typeof data.decisions === 'object' ? data.decisions : {};
+            console.info(`🎓 Loaded ${this.#events.length} feedback events`);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                console.info('🎓 No feedback events recorded yet');
+            } else {
+                console.error('Error loading feedback events:', error);
+            }
+        }
+    }
+
+    /**
+     * Records an override of an AI-assigned category. Returns null when nothing was corrected.
+     * @param {{ transactionId: string, originalCategory: string, newCategory: string, transactionType?: string,
+     *           sourceName?: string, sourceId?: string, destinationName?: string, destinationId?: string,
+     *           description?: string, origin: 'manual_update'|'review' }} correction
+     */
+    async recordCorrection(correction) {
+        await this.#loadPromise;
+        const { originalCategory, newCategory } = correction;
+        if (!originalCategory || !newCategory || originalCategory === newCategory) return null;
+
+        const event = {
+            id: uuid(),
+            timestamp: new Date().toISOString(),
+            origin: correction.origin,
+            transactionId: correction.transactionId != null ? String(correction.transactionId) : null,
+            originalCategory,
+            newCategory,
+            transactionType: correction.transactionType || null,
+            sourceName: correction.sourceName || '',
+            sourceId: correction.sourceId != null ? String(correction.sourceId) : null,
+            destinationName: correction.destinationName || '',
+            destinationId: correction.destinationId != null ? String(correction.destinationId) : null,
+            description: correction.description || '',
+        };
+        this.#events.push(event);
+        if (this.#events.length > MAX_EVENTS) this.#events = this.#events.slice(-MAX_EVENTS);
+        await this.#save();
+        console.info(`🎓 Correction recorded: "${counterparty(event).name || event.description}" ${originalCategory} → ${newCategory}`);
+        return event;
+    }
+
+    /** Newest first. */
+    async getEvents({ limit = 100 } = {}) {
+        await this.#loadPromise;
+        return this.#events.slice(-Math.max(1, Number(limit) || 100)).reverse();
+    }
+
+    /**
+     * Open suggestions, strongest first. Suggestions already covered by an enabled rule with the same
+     * target category, or accepted/dismissed before, are left out.
+     * @param {{ accountMappings?: object[], categoryMappings?: object[] }} [existingRules]
+     */
+    async getSuggestions({ accountMappings = [], categoryMappings = [] } = {}) {
+        await this.#loadPromise;
+        return this.#buildSuggestions()
+            .filter(s => !this.#decisions[s.id])
+            .filter(s => !this.#isCovered(s, accountMappings, categoryMappings))
+            .sort((a, b) => b.corrections - a.corrections || b.lastCorrection.localeCompare(a.lastCorrection));
+    }
+
+    async getSuggestion(id, existingRules) {
+        return (await this.getSuggestions(existingRules)).find(s => s.id === id) || null;
+    }
+
+    async markSuggestion(id, status, ruleId = null) {
+        await this.#loadPromise;
+        this.#decisions[id] = { status, at: new Date().toISOString(), ruleId };
+        await this.#save();
+        return this.#decisions[id];
+    }
+
+    #buildSuggestions() {
+        // Only the latest correction of a transaction counts, so fixing the same one twice is one vote
+        const latest = new Map();
+        for (const event of this.#events) {
+            latest.set(event.transactionId ?? event.id, event);
+        }
+
+        const byPayee = new Map();
+        for (const event of latest.values()) {
+            const payee = normalizePayee(counterparty(event).name);
+            if (!payee) continue;
+            if (!byPayee.has(payee)) byPayee.set(payee, []);
+            byPayee.get(payee).push(event);
+        }
+
+        const suggestions = [];
+        for (const [payee, events] of byPayee) {
+            if (events.length < this.#minEvents) continue;
+            const counts = new Map();
+            for (const event of events) counts.set(event.newCategory, (counts.get(event.newCategory) || 0) + 1);
+            const [category, votes] = [...counts.entries()].sort((a, b) => b[1] - a[1])[0];
+            const share = votes / events.length;
+            if (votes < this.#minEvents || share < this.#agreement) continue;
+
+            const agreeing = events.filter(e => e.newCategory === category);
+            const accounts = new Set(agreeing.map(e => {
+                const { accountId, accountType } = counterparty(e);
+                return accountId && accountType ? `${accountType}|${accountId}` : null;
+            }));
+            const [accountType, accountId] = accounts.size === 1 && !accounts.has(null)
+                ? [...accounts][0].split('|')
+                : [null, null];
+            const kind = accountId ? 'account' : 'keyword';
+            const fromCategories = {};
+            for (const event of agreeing) {
+                fromCategories[event.originalCategory] = (fromCategories[event.originalCategory] || 0) + 1;
+            }
+
+            suggestions.push({
+                id: suggestionId(kind, accountId || payee, category),
+                kind,
+                category,
+                payee: counterparty(agreeing[agreeing.length - 1]).name,
+                accountId,
+                accountType,
+                keyword: kind === 'keyword' ? payee : null,
+                corrections: votes,
+                share: Number(share.toFixed(3)),
+                fromCategories,
+                examples: [...new Set(agreeing.map(e => e.description).filter(Boolean))].slice(0, 3),
+                lastCorrection: agreeing.reduce((last, e) => (e.timestamp > last ? e.timestamp : last), ''),
+            });
+        }
+        return suggestions;
+    }
+
+    #isCovered(suggestion, accountMappings, categoryMappings) {
+        if (suggestion.kind === 'account') {
+            return accountMappings.some(m => m.enabled !== false && String(m.accountId) === suggestion.accountId &&
+                m.targetCategory === suggestion.category);
+        }
+        return categoryMappings.some(m => m.enabled !== false && m.targetCategory === suggestion.category &&
+            (m.keywords || []).some(k => normalizePayee(k) === suggestion.keyword));
+    }
+
+    async #resolveFile() {
+        await ensureDataDir();
+        this.#feedbackFile = this.#feedbackFile || dataFile('feedback.json');
+    }
+
+    #save() {
+        if (!this.#persist) return Promise.resolve();
+        const snapshot = JSON.stringify({ events: this.#events, decisions: this.#decisions }, null, 2);
+        const write = this.#saveChain.then(async () => {
+            await this.#resolveFile();
+            await fs.writeFile(this.#feedbackFile, snapshot);
+        });
+        this.#saveChain = write.catch(error => console.error('Error saving feedback events:', error));
+        return write;
+    }
+}
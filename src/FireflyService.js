@@ -92,12 +92,13 @@ export default class FireflyService {
         return Array.from(new Set(tags)).sort((a, b) => a.localeCompare(b));
     }
 
-    async getTransactionsByAccountId(accountId, { limit = 500, type = 'withdrawal' } = {}) {
+    async getTransactionsByAccountId(accountId, { limit = 500, type = 'withdrawal', start = null, end = null } = {}) {
         const results = [];
         let page = 1;
         const perPage = Math.min(Math.max(parseInt(limit) || 500, 1), 500);
+        const range = `${start ? `&start=${start}` : ''}${end ? `&end=${end}` : ''}`;
         while (true) {
-            const url = `${this.#BASE_URL}/api/v1/accounts/${accountId}/transactions?page=${page}&limit=${perPage}&type=${type}`;
+            const url = `${this.#BASE_URL}/api/v1/accounts/${accountId}/transactions?page=${page}&limit=${perPage}&type=${type}${range}`;
             const response = await fetch(url, {
                 headers: {
                     Authorization: `Bearer ${this.#PERSONAL_TOKEN}`,
@@ -171,10 +172,24 @@ export default class FireflyService {
         return results;
     }
 
-    async setCategory(transactionId, transactions, categoryId) {
+    /** @param {{ note?: string }} [options] - `note` is appended to the notes of every journal */
+    async setCategory(transactionId, transactions, categoryId, { note } = {}) {
+        return this.setSplitCategories(transactionId, transactions, transactions.map(() => categoryId), {
+            notes: note ? transactions.map(() => note) : undefined,
+        });
+    }
+
+    /**
+     * Writes one category per split journal. `categoryIds` is aligned with `transactions`;
+     * a null entry leaves that split's category and tags untouched. Every split is sent
+     * because Firefly deletes journals missing from a PUT on a split group.
+     * @param {{ notes?: Array<string|null> }} [options] - aligned with `transactions`; each note is appended
+     *        as a new line to that journal's existing notes
+     */
+    async setSplitCategories(transactionId, transactions, categoryIds, { notes } = {}) {
         // Skip actual API call for test transactions
         if (transactionId.toString().startsWith('test-')) {
-            console.info(`🧪 TEST MODE: Would update transaction ${transactionId} with category ID ${categoryId}`);
+            console.info(`🧪 TEST MODE: Would update transaction ${transactionId} with category IDs ${JSON.stringify(categoryIds)}`);
             console.info(`🧪 TEST MODE: Transaction data:`, JSON.stringify(transactions, null, 2));
             return;
         }
@@ -187,18 +202,29 @@ export default class FireflyService {
             transactions: [],
         }
 
-        transactions.forEach(transaction => {
+        transactions.forEach((transaction, index) => {
+            const categoryId = categoryIds[index];
+            if (categoryId == null) {
+                body.transactions.push({ transaction_journal_id: transaction.transaction_journal_id });
+                return;
+            }
+
             let tags = transaction.tags;
             if (!tags) {
                 tags = [];
             }
             tags.push(tag);
 
-            body.transactions.push({
+            const update = {
                 transaction_journal_id: transaction.transaction_journal_id,
                 category_id: categoryId,
                 tags: tags,
-            });
+            };
+            const note = notes?.[index];
+            if (note) {
+                update.notes = transaction.notes ? `${transaction.notes}\n${note}` : note;
+            }
+            body.transactions.push(update);
         })
 
         const response = await fetch(`${this.#BASE_URL}/api/v1/transactions/${transactionId}`, {
@@ -265,10 +291,11 @@ export default class FireflyService {
                 }
 
                 // Filter for uncategorized transactions
+                // Split groups count as uncategorized while any split lacks a category
                 const uncategorizedTransactions = data.data.filter(transaction => {
-                    const firstTransaction = transaction.attributes.transactions[0];
-                    return firstTransaction.type === transactionType && 
-                           (!firstTransaction.category_id || firstTransaction.category_id === null || firstTransaction.category_id === "");
+                    const splits = transaction.attributes.transactions;
+                    return splits[0].type === transactionType &&
+                           splits.some(split => !split.category_id || split.category_id === "");
                 });
 
                 transactions.push(...uncategorizedTransactions);
@@ -424,7 +451,8 @@ export default class FireflyService {
         return transactions;
     }
 
-    async updateTransactionCategory(transactionId, categoryName) {
+    /** @param {{ note?: string }} [options] - `note` is appended to the notes of every journal */
+    async updateTransactionCategory(transactionId, categoryName, { note } = {}) {
         try {
             // First find the category ID by name
             const categories = await this.getCategories();
@@ -449,7 +477,7 @@ export default class FireflyService {
             const transactions = transactionData.data.attributes.transactions;
 
             // Verwende die bestehende setCategory Methode
-            await this.setCategory(transactionId, transactions, categoryId);
+            await this.setCategory(transactionId, transactions, categoryId, { note });
             
             console.info(`✅ Transaction ${transactionId} category updated to: ${categoryName}`);
             
@@ -459,6 +487,33 @@ export default class FireflyService {
         }
     }
 
+    /**
+     * Per-split variant of updateTransactionCategory.
+     * @param {Object<string, string>} categoryNamesByJournalId - journal id → category name; missing ids stay unchanged
+     * @param {{ notesByJournalId?: Object<string, string> }} [options] - notes appended to those journals
+     */
+    async updateSplitCategories(transactionId, categoryNamesByJournalId, { notesByJournalId } = {}) {
+        const categories = await this.getCategories();
+        for (const name of Object.values(categoryNamesByJournalId)) {
+            if (!categories.get(name)) {
+                throw new Error(`Category "${name}" not found in Firefly III`);
+            }
+        }
+
+        const transactionData = await this.getTransaction(transactionId);
+        const transactions = transactionData.data.attributes.transactions;
+        const categoryIds = transactions.map(t => {
+            const name = categoryNamesByJournalId[String(t.transaction_journal_id)];
+            return name ? categories.get(name) : null;
+        });
+
+        const notes = notesByJournalId
+            ? transactions.map(t => notesByJournalId[String(t.transaction_journal_id)] || null)
+            : undefined;
+        await this.setSplitCategories(transactionId, transactions, categoryIds, { notes });
+        console.info(`✅ Transaction ${transactionId} split categories updated: ${JSON.stringify(categoryNamesByJournalId)}`);
+    }
+
     async getAllTransactionsByType(transactionType) {
         return await this.#getAllTransactionsByType(transactionType);
     }
@@ -500,10 +555,11 @@ export default class FireflyService {
         return [];
     }
 
-    async createTransactions(transactions) {
+    /** @param {{ fireWebhooks?: boolean }} [options] - `fireWebhooks: false` keeps Firefly from calling `/webhook` for them */
+    async createTransactions(transactions, { fireWebhooks = true } = {}) {
         const body = {
             apply_rules: true,
-            fire_webhooks: true,
+            fire_webhooks: fireWebhooks,
             transactions
         };
         const response = await fetch(`${this.#BASE_URL}/api/v1/transactions`, {
@@ -1,12 +1,54 @@
 import fs from 'fs/promises';
 import { dataFile, ensureDataDir } from './storage.js';
+import { getConfigVariable } from './util.js';
+
+/** Upper bounds (exclusive) of the amount bands used to compare past transactions. */
+const AMOUNT_BANDS = [10, 50, 200, 1000, Infinity];
+
+function normalizeText(value) {
+    return String(value || '')
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+function tokenize(value) {
+    // Skip pure numbers (card numbers, dates, references) and very short fragments
+    return new Set(normalizeText(value).split(' ').filter(t => t.length > 1 && !/^\d+$/.test(t)));
+}
+
+function jaccard(a, b) {
+    if (a.size === 0 || b.size === 0) return 0;
+    let shared = 0;
+    for (const token of a) if (b.has(token)) shared++;
+    return shared / (a.size + b.size - shared);
+}
+
+function amountBand(amount) {
+    const n = Math.abs(parseFloat(String(amount ?? '').replace(',', '.')));
+    if (!Number.isFinite(n)) return -1;
+    return AMOUNT_BANDS.findIndex(limit => n < limit);
+}
+
+/** The other party of a journal: the source of a deposit, the destination otherwise. */
+function counterpartyName({ type, destinationName, sourceName }) {
+    return (type === 'deposit' ? sourceName : destinationName) || '';
+}
 
 export default class HistoryAnalysisService {
     #dominanceThreshold = 0.80;
     #minTransactionCount = 10;
     #configFile;
+    #fewShotExamples;
+    #fewShotTokenBudget;
 
-    constructor() {
+    constructor(deps = {}) {
+        const examples = Number(deps.fewShotExamples ?? getConfigVariable('FEW_SHOT_EXAMPLES', '5'));
+        const budget = Number(deps.fewShotTokenBudget ?? getConfigVariable('FEW_SHOT_TOKEN_BUDGET', '300'));
+        this.#fewShotExamples = Number.isInteger(examples) && examples >= 0 ? examples : 5;
+        this.#fewShotTokenBudget = Number.isFinite(budget) && budget > 0 ? budget : 300;
         this.#loadConfig();
     }
 
@@ -83,6 +125,79 @@ export default class HistoryAnalysisService {
         };
     }
 
+    /**
+     * Picks the past categorized transactions most similar to `target` to use as few-shot examples.
+     * Similarity combines payee, description tokens and amount band; examples are added in score
+     * order until the configured count or the token budget (~4 chars per token) is reached.
+     * The payee is the counterparty (the source of a deposit), and the target's own transaction
+     * (`transactionId`) is never an example of itself.
+     *
+     * @param {Array} transactions - Firefly transaction groups (e.g. FireflyService.getCachedAccountHistory)
+     * @param {{ destinationName?: string, sourceName?: string, description?: string, amount?: string|number,
+     *           type?: string, transactionId?: string|number }} target
+     * @returns {Array<{ payee: string, description: string, amount: string|null, type: string|null, category: string, score: number }>}
+     */
+    findSimilarExamples(transactions, target, { limit = this.#fewShotExamples, tokenBudget = this.#fewShotTokenBudget } = {}) {
+        if (!limit || !Array.isArray(transactions) || transactions.length === 0) return [];
+
+        const targetPayeeName = counterpartyName(target);
+        const targetPayee = normalizeText(targetPayeeName);
+        const targetPayeeTokens = tokenize(targetPayeeName);
+        const ownId = target.transactionId != null ? String(target.transactionId) : null;
+        const targetTokens = tokenize(target.description);
+        const targetBand = amountBand(target.amount);
+
+        const candidates = [];
+        const seen = new Set();
+        for (const group of transactions) {
+            if (ownId && group.id != null && String(group.id) === ownId) continue;
+            for (const split of group.attributes?.transactions || []) {
+                if (!split.category_id || !split.category_name) continue;
+                if (target.type && split.type && split.type !== target.type) continue;
+
+                const payee = counterpartyName({ type: split.type, destinationName: split.destination_name, sourceName: split.source_name });
+                const payeeScore = targetPayee && normalizeText(payee) === targetPayee
+                    ? 1
+                    : jaccard(targetPayeeTokens, tokenize(payee));
+                const descriptionScore = jaccard(targetTokens, tokenize(split.description));
+                if (payeeScore === 0 && descriptionScore === 0) continue;
+
+                const bandScore = targetBand !== -1 && amountBand(split.amount) === targetBand ? 1 : 0;
+                const score = 3 * payeeScore + 2 * descriptionScore + bandScore;
+
+                const key = `${normalizeText(payee)}|${normalizeText(split.description)}|${split.category_name}`;
+                if (seen.has(key)) continue;
+                seen.add(key);
+
+                candidates.push({
+                    payee,
+                    description: split.description || '',
+                    amount: split.amount != null ? String(split.amount) : null,
+                    type: split.type || null,
+                    category: split.category_name,
+                    score: Math.round(score * 1000) / 1000,
+                });
+            }
+        }
+
+        candidates.sort((a, b) => b.score - a.score);
+
+        const examples = [];
+        let usedTokens = 0;
+        for (const candidate of candidates) {
+            if (examples.length >= limit) break;
+            const tokens = Math.ceil((candidate.payee.length + candidate.description.length + candidate.category.length + 30) / 4);
+            if (usedTokens + tokens > tokenBudget) break;
+            usedTokens += tokens;
+            examples.push(candidate);
+        }
+        return examples;
+    }
+
+    getFewShotConfig() {
+        return { examples: this.#fewShotExamples, tokenBudget: this.#fewShotTokenBudget };
+    }
+
     getThreshold() {
         return this.#dominanceThreshold;
     }
@@ -90,4 +205,23 @@ export default class HistoryAnalysisService {
     getMinTransactionCount() {
         return this.#minTransactionCount;
     }
+
+    getConfig() {
+        return { dominanceThreshold: this.#dominanceThreshold, minTransactionCount: this.#minTransactionCount };
+    }
+
+    /** Sets and saves `dominance-config.json`; out-of-range values keep the current setting, as on load. */
+    async updateConfig({ dominanceThreshold, minTransactionCount } = {}) {
+        if (typeof dominanceThreshold === 'number' && dominanceThreshold > 0 && dominanceThreshold <= 1) {
+            this.#dominanceThreshold = dominanceThreshold;
+        }
+        if (typeof minTransactionCount === 'number' && minTransactionCount > 0) {
+            this.#minTransactionCount = minTransactionCount;
+        }
+        await ensureDataDir();
+        this.#configFile = this.#configFile || dataFile('dominance-config.json');
+        await fs.writeFile(this.#configFile, JSON.stringify(this.getConfig(), null, 2));
+        console.info(`📊 History analysis config saved: threshold=${this.#dominanceThreshold}, minTx=${this.#minTransactionCount}`);
+        return this.getConfig();
+    }
 }
@@ -1,12 +1,112 @@
 import {v4 as uuid} from "uuid";
 import EventEmitter from "events";
+import fs from "fs/promises";
+import { dataFile, ensureDataDir } from "./storage.js";
+import { getConfigVariable } from "./util.js";
 
+/** Appended snapshots before the log is rewritten with only the latest state per job. */
+const COMPACT_EVERY = 2000;
+
+/** Sums LLM requests, tokens and cost on a job or batch job. */
+function addUsage(usage, entry) {
+    const total = usage ?? { requests: 0, promptTokens: 0, completionTokens: 0, cost: 0 };
+    return {
+        requests: total.requests + 1,
+        promptTokens: total.promptTokens + entry.promptTokens,
+        completionTokens: total.completionTokens + entry.completionTokens,
+        cost: Number((total.cost + entry.cost).toFixed(6)),
+    };
+}
+
+/**
+ * Webhook jobs and batch jobs, persisted as an append-only log (`job-history.jsonl` in the
+ * data directory). Every create/update appends a snapshot line; on startup the log is replayed
+ * (last snapshot per id wins), pruned by `JOB_HISTORY_RETENTION_DAYS` / `JOB_HISTORY_MAX_ENTRIES`
+ * and compacted. Jobs that were still running when the process died are marked `interrupted`.
+ */
 export default class JobList {
     #jobs = new Map();
     #batchJobs = new Map();
     #eventEmitter = new EventEmitter();
+    #persist;
+    #historyFile;
+    #retentionDays;
+    #maxEntries;
+    #writeChain = Promise.resolve();
+    #appendedSinceCompact = 0;
+    #loadPromise = null;
+
+    constructor(deps = {}) {
+        this.#persist = deps.persist !== false;
+        this.#retentionDays = Number(deps.retentionDays ?? getConfigVariable('JOB_HISTORY_RETENTION_DAYS', '30'));
+        this.#maxEntries = Number(deps.maxEntries ?? getConfigVariable('JOB_HISTORY_MAX_ENTRIES', '5000'));
+        this.#loadPromise = this.#persist ? this.loadHistory() : Promise.resolve();
+    }
 
-    constructor() {
+    static createForTest(deps = {}) {
+        return new JobList({ persist: false, ...deps });
+    }
+
+    /** Resolves once the persisted history has been replayed. */
+    ready() {
+        return this.#loadPromise;
+    }
+
+    /** Resolves once every pending history write has reached the disk. */
+    async flush() {
+        await this.#writeChain;
+    }
+
+    async loadHistory() {
+        try {
+            await ensureDataDir();
+            this.#historyFile = this.#historyFile || dataFile('job-history.jsonl');
+            const content = await fs.readFile(this.#historyFile, 'utf8');
+            let skipped = 0;
+            // Jobs created in this process before the replay finished are newer than the log
+            const live = new Set([...this.#jobs.keys(), ...this.#batchJobs.keys()]);
+            for (const line of content.split('\n')) {
+                if (!line.trim()) continue;
+                try {
+                    const entry = JSON.parse(line);
+                    const target = entry.kind === 'batch' ? this.#batchJobs : this.#jobs;
+                    if (entry.record?.id && !live.has(entry.record.id)) target.set(entry.record.id, entry.record);
+                } catch (_) {
+                    // A crash mid-append can leave one truncated line
+                    skipped++;
+                }
+            }
+
+            const now = new Date().toISOString();
+            let interrupted = 0;
+            for (const job of this.#jobs.values()) {
+                if (job.status === 'queued' || job.status === 'in_progress') {
+                    job.status = 'interrupted';
+                    job.interruptedAt = now;
+                    interrupted++;
+                }
+            }
+            for (const batchJob of this.#batchJobs.values()) {
+                if (batchJob.status === 'running' || batchJob.status === 'paused') {
+                    batchJob.status = 'interrupted';
+                    batchJob.interruptedAt = now;
+                    interrupted++;
+                }
+            }
+            this.#applyRetention();
+            await this.#compact();
+            console.info(
+                `🗂️ Loaded job history: ${this.#jobs.size} jobs, ${this.#batchJobs.size} batch jobs` +
+                (interrupted ? `, ${interrupted} marked interrupted` : '') +
+                (skipped ? `, ${skipped} unreadable lines skipped` : '')
+            );
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                console.info('🗂️ No job history found, starting empty');
+            } else {
+                console.error('Error loading job history:', error);
+            }
+        }
     }
 
     on(event, listener) {
@@ -21,6 +121,41 @@ export default class JobList {
         return this.#batchJobs;
     }
 
+    /**
+     * Webhook job history, newest first.
+     * @param {{ status?: string, autoRule?: string, from?: string, to?: string, offset?: number, limit?: number }} [filters]
+     */
+    queryJobs(filters = {}) {
+        return this.#query(this.#jobs, filters, job =>
+            !filters.autoRule || (job.data?.autoRule ?? 'ai') === filters.autoRule
+        );
+    }
+
+    /**
+     * Batch job history, newest first.
+     * @param {{ status?: string, type?: string, from?: string, to?: string, offset?: number, limit?: number }} [filters]
+     */
+    queryBatchJobs(filters = {}) {
+        return this.#query(this.#batchJobs, filters, batchJob => !filters.type || batchJob.type === filters.type);
+    }
+
+    #query(map, { status, from, to, offset = 0, limit = 50 } = {}, predicate = () => true) {
+        const fromTime = from ? new Date(from).getTime() : null;
+        const toTime = to ? new Date(to).getTime() : null;
+        const items = Array.from(map.values())
+            .filter(item => {
+                if (status && item.status !== status) return false;
+                const created = new Date(item.created).getTime();
+                if (fromTime !== null && created < fromTime) return false;
+                if (toTime !== null && created > toTime) return false;
+                return predicate(item);
+            })
+            .sort((a, b) => new Date(b.created) - new Date(a.created));
+        const start = Math.max(0, Number(offset) || 0);
+        const size = Math.min(500, Math.max(1, Number(limit) || 50));
+        return { total: items.length, offset: start, limit: size, items: items.slice(start, start + size) };
+    }
+
     createJob(data) {
         const id = uuid()
         const created = new Date();
@@ -33,29 +168,32 @@ export default class JobList {
         }
 
         this.#jobs.set(id, job);
-        this.#eventEmitter.emit('job created', {job, jobs: Array.from(this.#jobs.values())})
+        this.#emitJob('job created', job);
 
         return job;
     }
 
-    createBatchJob(type, totalCount) {
+    createBatchJob(type, totalCount, extra = {}) {
         const id = uuid();
         const created = new Date();
 
         const batchJob = {
             id,
             created,
-            type, // 'uncategorized' or 'all'
+            type, // 'uncategorized', 'all', 'apply-dry-run' or 'import'
             status: "running",
             totalCount,
             processedCount: 0,
             successCount: 0,
             errorCount: 0,
-            errors: []
+            // Transactions per confidence band (see ConfidencePolicyService)
+            bands: { auto: 0, review: 0, reject: 0 },
+            errors: [],
+            ...extra
         };
 
         this.#batchJobs.set(id, batchJob);
-        this.#eventEmitter.emit('batch job created', {batchJob, batchJobs: Array.from(this.#batchJobs.values())});
+        this.#emitBatchJob('batch job created', batchJob);
 
         return batchJob;
     }
@@ -76,6 +214,19 @@ export default class JobList {
             if (typeof updates.errors === 'number') {
                 batchJob.errorCount += updates.errors;
             }
+            if (typeof updates.band === 'string' && batchJob.bands && updates.band in batchJob.bands) {
+                batchJob.bands[updates.band]++;
+            }
+            // Index of the first unfinished checkpointed transaction and those finished past it (see BatchCheckpointStore)
+            if (typeof updates.cursor === 'number') {
+                batchJob.cursor = updates.cursor;
+            }
+            if (Array.isArray(updates.finishedAhead)) {
+                batchJob.finishedAhead = updates.finishedAhead;
+            }
+            if (updates.usage) {
+                batchJob.usage = addUsage(batchJob.usage, updates.usage);
+            }
             if (updates.errorDetails && typeof updates.errorDetails === 'string') {
                 batchJob.errors.push(updates.errorDetails);
             }
@@ -101,10 +252,11 @@ export default class JobList {
             processed: batchJob.processedCount,
             success: batchJob.successCount,
             errors: batchJob.errorCount,
-            total: batchJob.totalCount
+            total: batchJob.totalCount,
+            bands: batchJob.bands
         });
 
-        this.#eventEmitter.emit('batch job updated', {batchJob, batchJobs: Array.from(this.#batchJobs.values())});
+        this.#emitBatchJob('batch job updated', batchJob);
     }
 
     finishBatchJob(id) {
@@ -112,7 +264,7 @@ export default class JobList {
         if (batchJob) {
             batchJob.status = "finished";
             batchJob.finishedAt = new Date();
-            this.#eventEmitter.emit('batch job updated', {batchJob, batchJobs: Array.from(this.#batchJobs.values())});
+            this.#emitBatchJob('batch job updated', batchJob);
         }
     }
 
@@ -122,7 +274,7 @@ export default class JobList {
             batchJob.status = "paused";
             batchJob.pausedAt = new Date();
             console.log(`⏸️ Batch job ${id} paused`);
-            this.#eventEmitter.emit('batch job updated', {batchJob, batchJobs: Array.from(this.#batchJobs.values())});
+            this.#emitBatchJob('batch job updated', batchJob);
             return true;
         }
         return false;
@@ -134,7 +286,20 @@ export default class JobList {
             batchJob.status = "running";
             batchJob.resumedAt = new Date();
             console.log(`▶️ Batch job ${id} resumed`);
-            this.#eventEmitter.emit('batch job updated', {batchJob, batchJobs: Array.from(this.#batchJobs.values())});
+            this.#emitBatchJob('batch job updated', batchJob);
+            return true;
+        }
+        return false;
+    }
+
+    /** Sets an `interrupted` batch job running again; its counters and cursor are kept. */
+    reopenBatchJob(id) {
+        const batchJob = this.#batchJobs.get(id);
+        if (batchJob && batchJob.status === "interrupted") {
+            batchJob.status = "running";
+            batchJob.resumedAt = new Date();
+            console.log(`▶️ Batch job ${id} reopened from checkpoint`);
+            this.#emitBatchJob('batch job updated', batchJob);
             return true;
         }
         return false;
@@ -146,7 +311,7 @@ export default class JobList {
             batchJob.status = "cancelled";
             batchJob.cancelledAt = new Date();
             console.log(`❌ Batch job ${id} cancelled`);
-            this.#eventEmitter.emit('batch job updated', {batchJob, batchJobs: Array.from(this.#batchJobs.values())});
+            this.#emitBatchJob('batch job updated', batchJob);
             return true;
         }
         return false;
@@ -157,21 +322,86 @@ export default class JobList {
         return batchJob ? batchJob.status : null;
     }
 
+    #emitJob(event, job) {
+        this.#append('job', job);
+        this.#eventEmitter.emit(event, {job, jobs: Array.from(this.#jobs.values())});
+    }
+
+    #emitBatchJob(event, batchJob) {
+        this.#append('batch', batchJob);
+        this.#eventEmitter.emit(event, {batchJob, batchJobs: Array.from(this.#batchJobs.values())});
+    }
+
+    #append(kind, record) {
+        if (!this.#persist) return;
+        const line = JSON.stringify({ kind, record }) + '\n';
+        this.#writeChain = this.#writeChain
+            .then(async () => {
+                await this.#loadPromise;
+                await ensureDataDir();
+                this.#historyFile = this.#historyFile || dataFile('job-history.jsonl');
+                await fs.appendFile(this.#historyFile, line);
+                if (++this.#appendedSinceCompact >= COMPACT_EVERY) {
+                    this.#applyRetention();
+                    await this.#compact();
+                }
+            })
+            .catch(error => console.error('Error writing job history:', error));
+    }
+
+    #applyRetention() {
+        const cutoff = Number.isFinite(this.#retentionDays) && this.#retentionDays > 0
+            ? Date.now() - this.#retentionDays * 24 * 60 * 60 * 1000
+            : null;
+        for (const map of [this.#jobs, this.#batchJobs]) {
+            const active = item => ['queued', 'in_progress', 'running', 'paused'].includes(item.status);
+            const keep = Array.from(map.values())
+                .filter(item => active(item) || cutoff === null || new Date(item.created).getTime() >= cutoff)
+                .sort((a, b) => new Date(b.created) - new Date(a.created));
+            const limit = Number.isFinite(this.#maxEntries) && this.#maxEntries > 0 ? this.#maxEntries : Infinity;
+            const kept = new Set(keep.filter((item, index) => index < limit || active(item)).map(item => item.id));
+            for (const id of map.keys()) {
+                if (!kept.has(id)) map.delete(id);
+            }
+        }
+    }
+
+    /** Rewrites the log with one line per retained job. */
+    async #compact() {
+        if (!this.#persist || !this.#historyFile) return;
+        const lines = [
+            ...Array.from(this.#jobs.values()).map(record => JSON.stringify({ kind: 'job', record })),
+            ...Array.from(this.#batchJobs.values()).map(record => JSON.stringify({ kind: 'batch', record })),
+        ];
+        const tmp = `${this.#historyFile}.tmp`;
+        await fs.writeFile(tmp, lines.length ? lines.join('\n') + '\n' : '');
+        await fs.rename(tmp, this.#historyFile);
+        this.#appendedSinceCompact = 0;
+    }
+
     updateJobData(id, data) {
         const job = this.#jobs.get(id);
         job.data = data;
-        this.#eventEmitter.emit('job updated', {job, jobs: Array.from(this.#jobs.values())});
+        this.#emitJob('job updated', job);
+    }
+
+    /** Adds the tokens and cost of one LLM request (see UsageService) to a webhook job. */
+    addJobUsage(id, entry) {
+        const job = this.#jobs.get(id);
+        if (!job) return;
+        job.usage = addUsage(job.usage, entry);
+        this.#emitJob('job updated', job);
     }
 
     setJobInProgress(id) {
         const job = this.#jobs.get(id);
         job.status = "in_progress";
-        this.#eventEmitter.emit('job updated', {job, jobs: Array.from(this.#jobs.values())});
+        this.#emitJob('job updated', job);
     }
 
     setJobFinished(id) {
         const job = this.#jobs.get(id);
         job.status = "finished";
-        this.#eventEmitter.emit('job updated', {job, jobs: Array.from(this.#jobs.values())});
+        this.#emitJob('job updated', job);
     }
 }
\ No newline at end of file
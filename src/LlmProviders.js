@@ -0,0 +1,400 @@
+import OpenAI, { AzureOpenAI } from 'openai';
+import {getConfigVariable} from "./util.js";
+
+/**
+ * LLM provider layer behind OpenAiService.
+ *
+ * Every provider exposes the same small surface:
+ * - complete({ model, messages, maxTokens, temperature, schema, schemaName, extra }) → { content, refusal, usage }
+ * - listModels() → string[]
+ * - healthCheck(model) → { ok, provider, model, latencyMs, error? }
+ * - supportsModel(model) → boolean
+ * - embed({ model, input }) → { vectors, usage } (OpenAI-compatible providers only)
+ *
+ * Structured output modes:
+ * - json_schema: native JSON schema enforcement (OpenAI, Azure OpenAI)
+ * - json_mode:   JSON object mode + schema in the system prompt, validated afterwards (Ollama, vLLM, llama.cpp)
+ * - prompt:      schema in the system prompt only, validated afterwards (Anthropic)
+ */
+
+export const STRUCTURED_OUTPUT_MODES = ['json_schema', 'json_mode', 'prompt'];
+
+const OPENAI_MODELS = ['gpt-4o-mini', 'gpt-4o', 'gpt-3.5-turbo'];
+const ANTHROPIC_MODELS = ['claude-3-5-haiku-latest', 'claude-3-5-sonnet-latest', 'claude-3-7-sonnet-latest'];
+
+export class LlmProviderError extends Error {
+    status;
+    headers;
+    body;
+
+    constructor(status, body, headers = {}) {
+        super(`LLM provider error: ${status} - ${typeof body === 'string' ? body : JSON.stringify(body)}`);
+
+        this.status = status;
+        this.body = body;
+        this.headers = headers;
+    }
+}
+
+/** Appends the JSON schema to the system message so non-schema providers know the expected shape. */
+function withSchemaInstruction(messages, schema) {
+    const instruction = `Respond with a single JSON object (no backticks, no prose) that matches this JSON schema:\n${JSON.stringify(schema)}`;
+    const out = messages.map(m => ({ ...m }));
+    const system = out.find(m => m.role === 'system');
+    if (system) {
+        system.content = `${system.content}\n\n${instruction}`;
+    } else {
+        out.unshift({ role: 'system', content: instruction });
+    }
+    return out;
+}
+
+/**
+ * OpenAI chat-completions compatible provider (api.openai.com, Ollama, llama.cpp server, vLLM, LM Studio …).
+ */
+export class OpenAiCompatibleProvider {
+    #client;
+    #name;
+    #structuredOutput;
+    #models;
+    #defaultModel;
+
+    constructor({ name = 'openai', client = null, apiKey = '', baseURL = undefined, structuredOutput = 'json_schema', models = [], defaultModel = null } = {}) {
+        this.#name = name;
+        this.#client = client ?? new OpenAI({ apiKey: apiKey || 'missing', baseURL, maxRetries: 0 });
+        this.#structuredOutput = structuredOutput;
+        this.#models = models;
+        this.#defaultModel = defaultModel || models[0] || 'gpt-4o-mini';
+    }
+
+    get name() {
+        return this.#name;
+    }
+
+    get structuredOutput() {
+        return this.#structuredOutput;
+    }
+
+    get defaultModel() {
+        return this.#defaultModel;
+    }
+
+    supportsModel(model) {
+        if (!model) return false;
+        // Only the hosted OpenAI API has a fixed list; self-hosted servers serve whatever is pulled/loaded.
+        return this.#name === 'openai' ? this.#models.includes(model) : true;
+    }
+
+    async complete({ model, messages, maxTokens, temperature = 0.1, schema = null, schemaName = 'response', extra = {} }) {
+        const request = {
+            model,
+            messages,
+            max_tokens: maxTokens,
+            temperature,
+            ...extra,
+        };
+        if (schema && this.#structuredOutput === 'json_schema') {
+            request.response_format = {
+                type: 'json_schema',
+                json_schema: { name: schemaName, strict: true, schema },
+            };
+        } else if (schema && this.#structuredOutput === 'json_mode') {
+            request.messages = withSchemaInstruction(messages, schema);
+            request.response_format = { type: 'json_object' };
+        } else if (schema) {
+            request.messages = withSchemaInstruction(messages, schema);
+        }
+
+        const response = await this.#client.chat.completions.create(request);
+        const message = response?.choices?.[0]?.message || {};
+        return {
+            content: message.content ?? null,
+            refusal: message.refusal ?? null,
+            usage: response?.usage || null,
+        };
+    }
+
+    async embed({ model, input }) {
+        const response = await this.#client.embeddings.create({ model, input });
+        const data = Array.isArray(response?.data) ? [...response.data] : [];
+        data.sort((a, b) => (a.index ?? 0) - (b.index ?? 0));
+        return { vectors: data.map(d => d.embedding), usage: response?.usage || null };
+    }
+
+    async listModels() {
+        if (this.#name === 'openai' && this.#models.length) {
+            return [...this.#models];
+        }
+        const page = await this.#client.models.list();
+        const data = Array.isArray(page?.data) ? page.data : [];
+        return data.map(m => m.id).filter(Boolean);
+    }
+
+    async healthCheck(model) {
+        const started = Date.now();
+        try {
+            const page = await this.#client.models.list();
+            const ids = Array.isArray(page?.data) ? page.data.map(m => m.id) : [];
+            return {
+                ok: true,
+                provider: this.#name,
+                model,
+                modelAvailable: ids.length ? ids.includes(model) : null,
+                latencyMs: Date.now() - started,
+            };
+        } catch (error) {
+            return { ok: false, provider: this.#name, model, latencyMs: Date.now() - started, error: error.message };
+        }
+    }
+}
+
+/**
+ * Azure OpenAI: the deployment name is the model; JSON schema is supported from api-version 2024-08-01-preview.
+ */
+export class AzureOpenAiProvider extends OpenAiCompatibleProvider {
+    #deployment;
+
+    constructor({ client = null, endpoint, apiKey, apiVersion = '2024-10-21', deployment } = {}) {
+        super({
+            name: 'azure',
+            client: client ?? new AzureOpenAI({ endpoint, apiKey, apiVersion, deployment, maxRetries: 0 }),
+            structuredOutput: 'json_schema',
+            models: deployment ? [deployment] : [],
+            defaultModel: deployment,
+        });
+        this.#deployment = deployment;
+    }
+
+    supportsModel(model) {
+        return Boolean(model) && model === this.#deployment;
+    }
+
+    async listModels() {
+        // Deployments can only be enumerated via the Azure management API; the configured one is what we can call.
+        return this.#deployment ? [this.#deployment] : [];
+    }
+
+    async healthCheck(model) {
+        const started = Date.now();
+        try {
+            await this.complete({ model, messages: [{ role: 'user', content: 'ping' }], maxTokens: 1, temperature: 0 });
+            return { ok: true, provider: this.name, model, modelAvailable: true, latencyMs: Date.now() - started };
+        } catch (error) {
+            return { ok: false, provider: this.name, model, latencyMs: Date.now() - started, error: error.message };
+        }
+    }
+}
+
+/**
+ * Anthropic Messages API over fetch (no SDK dependency). No native JSON schema: schema goes into the system prompt.
+ */
+export class AnthropicProvider {
+    #apiKey;
+    #baseUrl;
+    #fetch;
+    #defaultModel;
+
+    constructor({ apiKey, baseURL = 'https://api.anthropic.com', defaultModel = ANTHROPIC_MODELS[0], fetchImpl = null } = {}) {
+        this.#apiKey = apiKey;
+        this.#baseUrl = String(baseURL).replace(/\/+$/, '');
+        this.#fetch = fetchImpl ?? ((...args) => fetch(...args));
+        this.#defaultModel = defaultModel;
+    }
+
+    get name() {
+        return 'anthropic';
+    }
+
+    get structuredOutput() {
+        return 'prompt';
+    }
+
+    get defaultModel() {
+        return this.#defaultModel;
+    }
+
+    supportsModel(model) {
+        return Boolean(model);
+    }
+
+    async #request(path, init = {}) {
+        const response = await this.#fetch(`${this.#baseUrl}${path}`, {
+            ...init,
+            headers: {
+                'x-api-key': this.#apiKey || '',
+                'anthropic-version': '2023-06-01',
+                'content-type': 'application/json',
+                ...(init.headers || {}),
+            },
+        });
+        if (!response.ok) {
+            const headers = {};
+            const retryAfter = response.headers?.get?.('retry-after');
+            if (retryAfter) headers['retry-after'] = retryAfter;
+            throw new LlmProviderError(response.status, await response.text(), headers);
+        }
+        return response.json();
+    }
+
+    async complete({ model, messages, maxTokens, temperature = 0.1, schema = null }) {
+        const prepared = schema ? withSchemaInstruction(messages, schema) : messages;
+        const system = prepared.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+        const body = {
+            model,
+            max_tokens: maxTokens,
+            temperature,
+            messages: prepared.filter(m => m.role !== 'system'),
+        };
+        if (system) body.system = system;
+
+        const data = await this.#request('/v1/messages', { method: 'POST', body: JSON.stringify(body) });
+        const text = (data?.content || [])
+            .filter(block => block?.type === 'text')
+            .map(block => block.text)
+            .join('');
+        return {
+            content: text,
+            refusal: data?.stop_reason === 'refusal' ? (text || 'refused') : null,
+            usage: data?.usage
+                ? { prompt_tokens: data.usage.input_tokens || 0, completion_tokens: data.usage.output_tokens || 0 }
+                : null,
+        };
+    }
+
+    async embed() {
+        throw new LlmProviderError(501, 'Anthropic has no embeddings endpoint; use the local similarity vectorizer');
+    }
+
+    async listModels() {
+        try {
+            const data = await this.#request('/v1/models', { method: 'GET' });
+            const ids = (data?.data || []).map(m => m.id).filter(Boolean);
+            return ids.length ? ids : [...ANTHROPIC_MODELS];
+        } catch (_) {
+            return [...ANTHROPIC_MODELS];
+        }
+    }
+
+    async healthCheck(model) {
+        const started = Date.now();
+        try {
+            const data = await this.#request('/v1/models', { method: 'GET' });
+            const ids = (data?.data || []).map(m => m.id);
+            return {
+                ok: true,
+                provider: this.name,
+                model,
+                modelAvailable: ids.length ? ids.includes(model) : null,
+                latencyMs: Date.now() - started,
+            };
+        } catch (error) {
+            return { ok: false, provider: this.name, model, latencyMs: Date.now() - started, error: error.message };
+        }
+    }
+}
+
+/**
+ * Parse model output as JSON, tolerating code fences and surrounding prose (non-schema providers).
+ * @returns {Object|null}
+ */
+export function parseJsonObject(text) {
+    if (text == null) return null;
+    const raw = String(text).trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+    try {
+        return JSON.parse(raw);
+    } catch (_) {
+        const m = raw.match(/\{[\s\S]*\}/);
+        if (!m) return null;
+        try {
+            return JSON.parse(m[0]);
+        } catch (_) {
+            return null;
+        }
+    }
+}
+
+/**
+ * Minimal JSON schema check for the subset we send (object, string/number, enum, min/max, required).
+ * @returns {string[]} validation errors (empty when valid)
+ */
+export function validateJsonAgainstSchema(value, schema, path = '$') {
+    const errors = [];
+    if (!schema) return errors;
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type].filter(Boolean);
+    const actual = value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value;
+    if (types.length && !types.includes(actual)) {
+        errors.push(`${path}: expected ${types.join('|')}, got ${actual}`);
+        return errors;
+    }
+    if (Array.isArray(schema.enum) && !schema.enum.includes(value)) {
+        errors.push(`${path}: value ${JSON.stringify(value)} is not one of the allowed values`);
+    }
+    if (actual === 'number') {
+        if (typeof schema.minimum === 'number' && value < schema.minimum) errors.push(`${path}: below minimum ${schema.minimum}`);
+        if (typeof schema.maximum === 'number' && value > schema.maximum) errors.push(`${path}: above maximum ${schema.maximum}`);
+    }
+    if (actual === 'object') {
+        for (const key of schema.required || []) {
+            if (!(key in value)) errors.push(`${path}.${key}: is required`);
+        }
+        for (const [key, sub] of Object.entries(schema.properties || {})) {
+            if (key in value) errors.push(...validateJsonAgainstSchema(value[key], sub, `${path}.${key}`));
+        }
+    }
+    return errors;
+}
+
+/**
+ * Build the provider selected by LLM_PROVIDER (default: openai).
+ * A test client (`deps.client`) always yields an OpenAI-compatible provider with JSON schema support.
+ */
+export function createLlmProvider(deps = {}) {
+    if (deps.client) {
+        return new OpenAiCompatibleProvider({ name: 'openai', client: deps.client, models: OPENAI_MODELS });
+    }
+
+    const providerName = String(getConfigVariable("LLM_PROVIDER", 'openai')).toLowerCase().trim();
+    const structuredOverride = String(getConfigVariable("LLM_STRUCTURED_OUTPUT", '')).toLowerCase().trim();
+    const structured = (fallback) => STRUCTURED_OUTPUT_MODES.includes(structuredOverride) ? structuredOverride : fallback;
+
+    switch (providerName) {
+        case 'azure':
+            return new AzureOpenAiProvider({
+                endpoint: getConfigVariable("AZURE_OPENAI_ENDPOINT"),
+                apiKey: getConfigVariable("AZURE_OPENAI_API_KEY"),
+                apiVersion: getConfigVariable("AZURE_OPENAI_API_VERSION", '2024-10-21'),
+                deployment: getConfigVariable("AZURE_OPENAI_DEPLOYMENT"),
+            });
+        case 'anthropic':
+            return new AnthropicProvider({
+                apiKey: getConfigVariable("ANTHROPIC_API_KEY", false) || getConfigVariable("LLM_API_KEY", ''),
+                baseURL: getConfigVariable("LLM_BASE_URL", 'https://api.anthropic.com'),
+            });
+        case 'ollama':
+            return new OpenAiCompatibleProvider({
+                name: 'ollama',
+                apiKey: getConfigVariable("LLM_API_KEY", 'ollama'),
+                baseURL: getConfigVariable("LLM_BASE_URL", 'http://localhost:11434/v1'),
+                structuredOutput: structured('json_mode'),
+                defaultModel: 'llama3.1',
+            });
+        case 'openai-compatible':
+            return new OpenAiCompatibleProvider({
+                name: 'openai-compatible',
+                apiKey: getConfigVariable("LLM_API_KEY", 'none'),
+                baseURL: getConfigVariable("LLM_BASE_URL"),
+                structuredOutput: structured('json_mode'),
+                defaultModel: getConfigVariable("LLM_MODEL", 'default'),
+            });
+        case 'openai':
+            return new OpenAiCompatibleProvider({
+                name: 'openai',
+                apiKey: getConfigVariable("OPENAI_API_KEY", false) || getConfigVariable("LLM_API_KEY", ''),
+                baseURL: getConfigVariable("LLM_BASE_URL", false) || undefined,
+                structuredOutput: structured('json_schema'),
+                models: OPENAI_MODELS,
+            });
+        default:
+            throw new Error(`Unknown LLM_PROVIDER "${providerName}". Use openai, azure, ollama, openai-compatible or anthropic.`);
+    }
+}
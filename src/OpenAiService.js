@@ -1,8 +1,13 @@
 import OpenAI from 'openai';
 import {getConfigVariable} from "./util.js";
+import { createLlmProvider, LlmProviderError, parseJsonObject, validateJsonAgainstSchema } from "./LlmProviders.js";
+import RateLimiter from "./RateLimiter.js";
+import { SpendCapException } from "./UsageService.js";
 
 export default class OpenAiService {
-    #openAi;
+    #provider;
+    #rateLimiter;
+    #usageService;
     #model = "gpt-4o-mini";
     #stats = {
         totalRequests: 0,
@@ -12,11 +17,12 @@ export default class OpenAiService {
     };
 
     constructor(deps = {}) {
-        const apiKey = getConfigVariable("OPENAI_API_KEY", false);
+        this.#provider = deps.provider ?? createLlmProvider({ client: deps.client });
+        this.#model = this.#provider.defaultModel || this.#model;
+        this.#rateLimiter = deps.rateLimiter ?? new RateLimiter();
+        this.#usageService = deps.usageService ?? null;
 
-        this.#openAi = deps.client ?? new OpenAI({ apiKey: apiKey || 'missing', maxRetries: 0 });
-
-        const envModel = getConfigVariable("OPENAI_MODEL", false);
+        const envModel = getConfigVariable("LLM_MODEL", false) || getConfigVariable("OPENAI_MODEL", false);
         if (envModel) {
             this.setModel(envModel);
         }
@@ -47,6 +53,7 @@ export default class OpenAiService {
             const rulesBlock = `Rules:\n- ${rules.join('\n- ')}`;
             const prompt = `${header}\n\n${accountsBlock}\n\n${txBlock}\n\n${guidance}\n\n${rulesBlock}\n\nReturn ONLY JSON object: {"name": "<exact from list or null>", "confidence": 0..1}`;
             const estimatedTokens = Math.ceil((prompt.length + 50) / 4);
+            this.#usageService?.assertWithinCap();
             try {
                 console.info('ai-merchant-prompt', {
                     model: this.#model,
@@ -59,26 +66,21 @@ export default class OpenAiService {
                     prompt
                 });
             } catch (_) {}
-            const response = await this.#openAi.chat.completions.create({
+            const response = await this.#rateLimiter.run(() => this.#provider.complete({
                 model: this.#model,
                 messages: [
                     { role: 'system', content: 'You are an assistant that chooses the best matching account name from a provided list. Respond with strict JSON only.' },
                     { role: 'user', content: prompt }
                 ],
-                max_tokens: 80,
+                maxTokens: 80,
                 temperature: 0.1
-            });
-            const content = response.choices?.[0]?.message?.content || '{}';
+            }), { estimatedTokens: estimatedTokens + 80 });
+            await this.#recordUsage('match_account', response.usage, estimatedTokens);
+            const content = response.content || '{}';
             try {
                 console.info('ai-merchant-raw', { content: String(content).substring(0, 2000) });
             } catch (_) {}
-            let json = {};
-            try {
-                json = JSON.parse(content);
-            } catch (_) {
-                const m = content.match(/\{[\s\S]*\}/);
-                json = m ? JSON.parse(m[0]) : {};
-            }
+            const json = parseJsonObject(content) || {};
             const name = (typeof json.name === 'string' && list.includes(json.name)) ? json.name : null;
             const confidence = Number(json.confidence || 0);
             try {
@@ -98,10 +100,21 @@ export default class OpenAiService {
     async classify(categories, destinationName, description, transactionType = 'withdrawal', options = {}) {
         const prompt = this.#generatePrompt(categories, destinationName, description, transactionType, options);
         const estimatedTokens = Math.ceil((prompt.length + 50) / 4);
+        // Thrown before the try so callers see the cap, not a generic network error
+        this.#usageService?.assertWithinCap();
+        if (options.examples?.length) {
+            try {
+                console.info('ai-classify-examples', {
+                    description,
+                    examples: options.examples.map(e => ({ payee: e.payee, description: e.description, category: e.category, score: e.score })),
+                });
+            } catch (_) {}
+        }
 
         try {
             const categoryNames = categories.filter(Boolean);
-            const response = await this.#openAi.chat.completions.create({
+            const schema = this.#buildCategorySchema(categoryNames);
+            const message = await this.#rateLimiter.run(() => this.#provider.complete({
                 model: this.#model,
                 messages: [
                     {
@@ -113,50 +126,51 @@ export default class OpenAiService {
                         content: prompt
                     }
                 ],
-                max_tokens: 50,
+                maxTokens: 50,
                 temperature: 0.1,
-                top_p: 1,
-                frequency_penalty: 0,
-                presence_penalty: 0,
-                response_format: {
-                    type: 'json_schema',
-                    json_schema: {
-                        name: 'transaction_category',
-                        strict: true,
-                        schema: this.#buildCategorySchema(categoryNames)
-                    }
+                schema,
+                schemaName: 'transaction_category',
+                extra: {
+                    top_p: 1,
+                    frequency_penalty: 0,
+                    presence_penalty: 0,
                 }
-            });
-
-            this.#stats.totalRequests++;
-            this.#stats.totalTokens += estimatedTokens;
+            }), { estimatedTokens: estimatedTokens + 50 });
 
-            const message = response.choices[0].message;
+            await this.#recordUsage('classify', message.usage, estimatedTokens);
 
             if (message.refusal) {
                 return { category: null, confidence: 0, response: message.refusal, prompt };
             }
 
             const rawContent = message.content;
-            let parsed;
-            try {
-                parsed = JSON.parse(rawContent);
-            } catch (parseErr) {
-                console.warn(`OpenAI returned non-JSON content: ${rawContent}`);
+            const parsed = parseJsonObject(rawContent);
+            if (!parsed) {
+                console.warn(`${this.#provider.name} returned non-JSON content: ${rawContent}`);
                 return { category: null, confidence: 0, response: rawContent, prompt };
             }
 
+            // Providers without native schema enforcement can return off-list categories or missing fields
+            if (this.#provider.structuredOutput !== 'json_schema') {
+                const schemaErrors = validateJsonAgainstSchema(parsed, schema);
+                if (schemaErrors.length) {
+                    console.warn(`${this.#provider.name} response failed schema validation: ${schemaErrors.join('; ')}`);
+                    return { category: null, confidence: 0, response: rawContent, prompt };
+                }
+            }
+
             const guess = parsed.category;
-            const confidence = typeof parsed.confidence === 'number' ? parsed.confidence : 0;
+            // null when the model sent none, so the confidence policy can band it explicitly
+            const confidence = typeof parsed.confidence === 'number' && Number.isFinite(parsed.confidence) ? parsed.confidence : null;
             if (guess === 'UNKNOWN') {
-                return { category: null, confidence: confidence || 0, response: 'UNKNOWN', prompt };
+                return { category: null, confidence: confidence ?? 0, response: 'UNKNOWN', prompt };
             }
 
             console.info(`✅ Successfully classified transaction as: ${guess}`);
-            return { category: guess, confidence: confidence || 0.5, response: guess, prompt };
+            return { category: guess, confidence, response: guess, prompt };
 
         } catch (error) {
-            if (error instanceof OpenAI.APIError) {
+            if (error instanceof OpenAI.APIError || error instanceof LlmProviderError) {
                 const status = error.status;
                 if (status === 429) {
                     this.#stats.rateLimitHits++;
@@ -167,9 +181,9 @@ export default class OpenAiService {
                     console.error(`📊 Current session stats: ${this.#stats.totalRequests} requests, ${this.#stats.totalTokens} tokens, ${this.#stats.rateLimitHits} rate limits`);
                     throw new OpenAiException(status, error, "Rate limit exceeded. Please check your OpenAI quota and billing.");
                 } else if (status === 401) {
-                    console.error("🚨 OpenAI Authentication failed:");
-                    console.error("   - Check your OPENAI_API_KEY");
-                    throw new OpenAiException(status, error, "Invalid API key. Please check your OPENAI_API_KEY.");
+                    console.error(`🚨 ${this.#provider.name} authentication failed:`);
+                    console.error("   - Check your OPENAI_API_KEY (or LLM_API_KEY / provider key)");
+                    throw new OpenAiException(status, error, "Invalid API key. Please check your OPENAI_API_KEY or LLM provider key.");
                 } else if (status === 400) {
                     console.error("🚨 OpenAI Bad Request:");
                     console.error("   - Invalid request parameters");
@@ -185,6 +199,11 @@ export default class OpenAiService {
         }
     }
 
+    /** The user prompt `classify` would send, without calling the provider (used by the pipeline explain endpoint). */
+    buildClassifyPrompt(categories, destinationName, description, transactionType = 'withdrawal', options = {}) {
+        return this.#generatePrompt(categories, destinationName, description, transactionType, options);
+    }
+
     #buildCategorySchema(categories) {
         const enumValues = [...categories.filter(Boolean), 'UNKNOWN'];
         return {
@@ -216,12 +235,27 @@ export default class OpenAiService {
             ? `\nSuggested category (from user keyword rule, prefer if it fits): ${options.suggestedCategory}`
             : '';
 
+        // Split journals are classified one by one; tell the model it sees only part of a receipt
+        const split = options.split;
+        const splitContext = split
+            ? `\nThis is split ${split.index + 1} of ${split.count} of the transaction "${split.groupTitle || destinationName}".` +
+              (split.amount != null ? ` This split's amount: ${split.amount}${split.currencyCode ? ' ' + split.currencyCode : ''}.` : '') +
+              ` Categorize this split on its own; other splits may belong to other categories.`
+            : '';
+
+        const examples = Array.isArray(options.examples) && options.examples.length
+            ? `\n\nThis is how I categorized similar transactions before (use them as guidance, not as rules):\n` +
+              options.examples.map(e =>
+                  `- "${e.payee}" / "${e.description}"${e.amount != null ? ` (${e.amount})` : ''} → ${e.category}`
+              ).join('\n')
+            : '';
+
         return `Given I want to categorize transactions on my bank account into these categories: ${categories.join(", ")}
 
 In which category would a transaction from "${destinationName}" with the subject "${description}" fall into?
 
 Transaction Type: ${transactionType}
-${typeGuidance}${suggested}
+${typeGuidance}${suggested}${splitContext}${examples}
 
 Rules:
 - Respond with ONLY the exact category name from the list above
@@ -235,13 +269,21 @@ Rules:
 - Do not explain your reasoning`;
     }
 
+    /** Embedding vectors for `texts` from the active provider (used by the similarity index). */
+    async embed(texts, model) {
+        const estimatedTokens = Math.ceil(texts.reduce((sum, text) => sum + String(text).length, 0) / 4);
+        this.#usageService?.assertWithinCap();
+        const result = await this.#rateLimiter.run(() => this.#provider.embed({ model, input: texts }), { estimatedTokens });
+        await this.#recordUsage('embed', result.usage, estimatedTokens, model);
+        return result.vectors;
+    }
+
     setModel(model) {
-        const supportedModels = ["gpt-4o-mini", "gpt-4o", "gpt-3.5-turbo"];
-        if (supportedModels.includes(model)) {
+        if (this.#provider.supportsModel(model)) {
             this.#model = model;
-            console.info(`✅ Switched to OpenAI model: ${model}`);
+            console.info(`✅ Switched to ${this.#provider.name} model: ${model}`);
         } else {
-            console.warn(`⚠️ Unsupported model: ${model}. Using default: ${this.#model}`);
+            console.warn(`⚠️ Unsupported model for ${this.#provider.name}: ${model}. Using default: ${this.#model}`);
         }
     }
 
@@ -249,10 +291,39 @@ Rules:
         return this.#model;
     }
 
+    getProviderInfo() {
+        return {
+            provider: this.#provider.name,
+            model: this.#model,
+            structuredOutput: this.#provider.structuredOutput,
+        };
+    }
+
+    async listModels() {
+        return this.#provider.listModels();
+    }
+
+    async healthCheck() {
+        return this.#provider.healthCheck(this.#model);
+    }
+
     getStats() {
         return { ...this.#stats };
     }
 
+    /** Counts a request with the provider's real token usage (the estimate only when none is reported). */
+    async #recordUsage(operation, usage, estimatedTokens, model = this.#model) {
+        const promptTokens = usage?.prompt_tokens ?? usage?.input_tokens;
+        const completionTokens = usage?.completion_tokens ?? usage?.output_tokens ?? 0;
+        this.#stats.totalRequests++;
+        this.#stats.totalTokens += promptTokens != null ? promptTokens + completionTokens : estimatedTokens;
+        await this.#usageService?.record({ model, operation, usage, estimatedTokens });
+    }
+
+    getRateLimiterStats() {
+        return this.#rateLimiter.getStats();
+    }
+
     resetStats() {
         this.#stats = {
             totalRequests: 0,
@@ -270,13 +341,16 @@ Rules:
                 { role: 'system', content: `You extract individual purchase transactions from statement text (language/layout varies). Return ONLY a JSON array of objects {"description": string, "destination_name": string, "amount": number, "date": "YYYY-MM-DD"|null}. Amount must be the billed/charged amount in ${currency} (account currency), not the original foreign currency. Include small conversion fee rows. Amounts must be positive for purchases. No additional text.` },
                 { role: 'user', content: text.substring(0, 12000) }
             ];
-            const response = await this.#openAi.chat.completions.create({
+            const estimatedTokens = Math.ceil((messages[0].content.length + messages[1].content.length) / 4);
+            this.#usageService?.assertWithinCap();
+            const response = await this.#rateLimiter.run(() => this.#provider.complete({
                 model: this.#model,
                 messages,
                 temperature: 0.1,
-                max_tokens: 800
-            });
-            const content = response.choices?.[0]?.message?.content || '[]';
+                maxTokens: 800
+            }), { estimatedTokens: estimatedTokens + 800 });
+            await this.#recordUsage('extract_transactions', response.usage, estimatedTokens);
+            const content = response.content || '[]';
             const jsonText = this.#safeExtractJson(content);
             const parsed = JSON.parse(jsonText);
             if (options.returnRaw) {
@@ -285,6 +359,7 @@ Rules:
             if (Array.isArray(parsed)) return parsed;
             return [];
         } catch (e) {
+            if (e instanceof SpendCapException) throw e;
             console.error('extractTransactionsFromText error:', e.message);
             return [];
         }
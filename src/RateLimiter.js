@@ -0,0 +1,171 @@
+import {getConfigVariable} from "./util.js";
+
+/**
+ * Milliseconds a 429 response asks us to wait, from `retry-after-ms` or `retry-after`
+ * (seconds or an HTTP date). Works with OpenAI SDK errors and LlmProviderError.
+ * @returns {number|null}
+ */
+export function retryAfterMs(error, now = Date.now()) {
+    const headers = error?.headers;
+    if (!headers) return null;
+    const read = name => (typeof headers.get === 'function' ? headers.get(name) : headers[name]) ?? null;
+
+    const ms = Number(read('retry-after-ms'));
+    if (read('retry-after-ms') !== null && Number.isFinite(ms) && ms >= 0) return ms;
+
+    const value = read('retry-after');
+    if (value === null || value === '') return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/** Tokens reported by a provider response (`{ usage }` of complete/embed), or null. */
+function usedTokens(result) {
+    const usage = result?.usage;
+    if (!usage) return null;
+    if (typeof usage.total_tokens === 'number') return usage.total_tokens;
+    const total = (usage.prompt_tokens || 0) + (usage.completion_tokens || 0);
+    return total > 0 ? total : null;
+}
+
+/**
+ * Token-bucket limiter in front of every LLM request (classification, merchant matching,
+ * extraction, embeddings), so webhooks and batch workers share one budget.
+ *
+ * Two buckets refill continuously: requests per minute (`LLM_RATE_LIMIT_RPM`) and tokens per
+ * minute (`LLM_RATE_LIMIT_TPM`); `0` disables a bucket. A request takes one request slot and its
+ * estimated tokens up front; the estimate is corrected with the provider's reported usage.
+ * On a 429 all callers pause for the `Retry-After` the provider sent (exponential backoff when
+ * it sent none), and the request is retried up to `LLM_MAX_RETRIES` times.
+ */
+export default class RateLimiter {
+    #requestsPerMinute;
+    #tokensPerMinute;
+    #maxRetries;
+    #now;
+    #sleep;
+
+    #requestBucket;
+    #tokenBucket;
+    #lastRefill;
+    #pausedUntil = 0;
+    /** Waiters are served in arrival order. */
+    #queue = Promise.resolve();
+
+    #stats = { requests: 0, rateLimitHits: 0, retries: 0, waitedMs: 0 };
+
+    constructor(deps = {}) {
+        this.#requestsPerMinute = Number(deps.requestsPerMinute ?? getConfigVariable('LLM_RATE_LIMIT_RPM', '500'));
+        this.#tokensPerMinute = Number(deps.tokensPerMinute ?? getConfigVariable('LLM_RATE_LIMIT_TPM', '200000'));
+        this.#maxRetries = Number(deps.maxRetries ?? getConfigVariable('LLM_MAX_RETRIES', '3'));
+        this.#now = deps.now ?? (() => Date.now());
+        this.#sleep = deps.sleep ?? (ms => new Promise(resolve => setTimeout(resolve, ms)));
+
+        this.#requestBucket = this.#requestsPerMinute;
+        this.#tokenBucket = this.#tokensPerMinute;
+        this.#lastRefill = this.#now();
+    }
+
+    static createForTest(deps = {}) {
+        return new RateLimiter(deps);
+    }
+
+    /**
+     * Runs `fn` once the budgets allow it, retrying on 429.
+     * @param {() => Promise<any>} fn provider call; its `usage` corrects the token estimate
+     * @param {{ estimatedTokens?: number }} [options]
+     */
+    async run(fn, { estimatedTokens = 0 } = {}) {
+        for (let attempt = 1; ; attempt++) {
+            await this.acquire(estimatedTokens);
+            try {
+                const result = await fn();
+                const actual = usedTokens(result);
+                if (actual !== null) this.settle(estimatedTokens, actual);
+                return result;
+            } catch (error) {
+                const status = error?.status ?? error?.code;
+                if (status !== 429) throw error;
+
+                this.#stats.rateLimitHits++;
+                const delay = retryAfterMs(error, this.#now()) ?? 2000 * Math.pow(2, attempt - 1);
+                this.pause(delay);
+                if (attempt > this.#maxRetries) throw error;
+                this.#stats.retries++;
+                console.warn(`⏳ LLM rate limit hit, pausing all requests for ${(delay / 1000).toFixed(1)}s (retry ${attempt}/${this.#maxRetries})`);
+            }
+        }
+    }
+
+    /** Waits for one request slot and `tokens` from the token budget. */
+    acquire(tokens = 0) {
+        const turn = this.#queue.then(() => this.#waitFor(tokens));
+        this.#queue = turn.catch(() => {});
+        return turn;
+    }
+
+    /** Corrects the token bucket once the real usage of a request is known. */
+    settle(estimatedTokens, actualTokens) {
+        if (this.#tokensPerMinute <= 0) return;
+        this.#refill();
+        this.#tokenBucket -= actualTokens - estimatedTokens;
+    }
+
+    /** Holds back every caller for `ms` (e.g. a provider's Retry-After). */
+    pause(ms) {
+        this.#pausedUntil = Math.max(this.#pausedUntil, this.#now() + ms);
+    }
+
+    getStats() {
+        this.#refill();
+        return {
+            ...this.#stats,
+            requestsPerMinute: this.#requestsPerMinute,
+            tokensPerMinute: this.#tokensPerMinute,
+            availableRequests: this.#requestsPerMinute > 0 ? Math.floor(this.#requestBucket) : null,
+            availableTokens: this.#tokensPerMinute > 0 ? Math.floor(this.#tokenBucket) : null,
+            pausedForMs: Math.max(0, this.#pausedUntil - this.#now()),
+        };
+    }
+
+    async #waitFor(tokens) {
+        // A request larger than the whole budget would never fit; let it through on a full bucket
+        const needed = this.#tokensPerMinute > 0 ? Math.min(tokens, this.#tokensPerMinute) : 0;
+        for (;;) {
+            this.#refill();
+            const now = this.#now();
+            const wait = Math.max(
+                this.#pausedUntil - now,
+                this.#timeUntil(this.#requestBucket, 1, this.#requestsPerMinute),
+                this.#timeUntil(this.#tokenBucket, needed, this.#tokensPerMinute),
+            );
+            if (wait <= 0) {
+                if (this.#requestsPerMinute > 0) this.#requestBucket -= 1;
+                if (this.#tokensPerMinute > 0) this.#tokenBucket -= tokens;
+                this.#stats.requests++;
+                return;
+            }
+            this.#stats.waitedMs += wait;
+            await this.#sleep(wait);
+        }
+    }
+
+    #timeUntil(bucket, needed, perMinute) {
+        if (perMinute <= 0 || bucket >= needed) return 0;
+        return Math.ceil(((needed - bucket) / perMinute) * 60000);
+    }
+
+    #refill() {
+        const now = this.#now();
+        const elapsed = Math.max(0, now - this.#lastRefill);
+        this.#lastRefill = now;
+        if (this.#requestsPerMinute > 0) {
+            this.#requestBucket = Math.min(this.#requestsPerMinute, this.#requestBucket + (elapsed / 60000) * this.#requestsPerMinute);
+        }
+        if (this.#tokensPerMinute > 0) {
+            this.#tokenBucket = Math.min(this.#tokensPerMinute, this.#tokenBucket + (elapsed / 60000) * this.#tokensPerMinute);
+        }
+    }
+}
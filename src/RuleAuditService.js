@@ -0,0 +1,185 @@
+import fs from 'fs/promises';
+import { v4 as uuid } from 'uuid';
+import { dataFile, ensureDataDir } from './storage.js';
+
+/**
+ * Append-only log of rule changes (`rule-audit.jsonl` in the data directory).
+ *
+ * Callers snapshot the rule sets they are about to change with `capture`, mutate them, and pass the snapshot
+ * to `recordChanges`; every rule that differs afterwards becomes one entry with its `before` and `after`
+ * value, the actor and the API route. Single-object rule sets (settings) are one rule with the id `config`.
+ *
+ * Rule sets are registered by the caller:
+ * `{ [name]: { list: () => rules[], key: rule => id, restore: async rules => {} } }` or
+ * `{ [name]: { config: () => object, restore: async config => {} } }`.
+ */
+export default class RuleAuditService {
+    #ruleSets;
+    #persist;
+    #now;
+    #auditFile;
+    #entries = [];
+    #writeChain = Promise.resolve();
+    #loadPromise;
+
+    constructor(deps = {}) {
+        this.#ruleSets = deps.ruleSets || {};
+        this.#persist = deps.persist !== false;
+        this.#now = deps.now ?? (() => Date.now());
+        this.#loadPromise = this.#persist ? this.#load() : Promise.resolve();
+    }
+
+    static createForTest(deps = {}) {
+        return new RuleAuditService({ persist: false, ...deps });
+    }
+
+    async #load() {
+        try {
+            await ensureDataDir();
+            this.#auditFile = this.#auditFile || dataFile('rule-audit.jsonl');
+            const content = await fs.readFile(this.#auditFile, 'utf8');
+            for (const line of content.split('\n')) {
+                if (!line.trim()) continue;
+                try {
+                    this.#entries.push(JSON.parse(line));
+                } catch (_) {
+                    // A crash mid-append can leave one truncated line
+                }
+            }
+            console.info(`🧾 Loaded rule audit log: ${this.#entries.length} entries`);
+        } catch (error) {
+            if (error.code !== 'ENOENT') console.error('Error loading rule audit log:', error);
+        }
+    }
+
+    /** Resolves once the log has been read and every pending entry has reached the disk. */
+    async flush() {
+        await this.#loadPromise;
+        await this.#writeChain;
+    }
+
+    /** Deep copies of the current rules of the given rule sets, keyed by rule id. */
+    capture(names = Object.keys(this.#ruleSets)) {
+        const snapshot = {};
+        for (const name of names) {
+            snapshot[name] = this.#current(name);
+        }
+        return snapshot;
+    }
+
+    /**
+     * Appends one entry per rule that changed since `before` was captured.
+     * @param {object} before result of `capture`
+     * @param {{ actor?: string, method?: string, route?: string, revertOf?: string }} context
+     * @returns {Promise<object[]>} the new entries
+     */
+    async recordChanges(before, context = {}) {
+        await this.#loadPromise;
+        const timestamp = new Date(this.#now()).toISOString();
+        const added = [];
+        for (const [name, previous] of Object.entries(before)) {
+            const current = this.#current(name);
+            for (const ruleId of new Set([...previous.keys(), ...current.keys()])) {
+                const was = previous.get(ruleId) ?? null;
+                const now = current.get(ruleId) ?? null;
+                if (JSON.stringify(was) === JSON.stringify(now)) continue;
+                added.push({
+                    id: uuid(),
+                    timestamp,
+                    actor: context.actor || 'system',
+                    method: context.method || null,
+                    route: context.route || null,
+                    ruleSet: name,
+                    ruleId,
+                    action: !was ? 'create' : !now ? 'delete' : 'update',
+                    label: this.#label(now ?? was, ruleId),
+                    before: was,
+                    after: now,
+                    ...(context.revertOf ? { revertOf: context.revertOf } : {}),
+                });
+            }
+        }
+        for (const entry of added) this.#append(entry);
+        if (added.length) {
+            console.info(`🧾 ${context.actor || 'system'} changed ${added.length} rule(s) via ${context.route || 'internal call'}`);
+        }
+        return added;
+    }
+
+    /** Newest first; `ruleSet` and `ruleId` narrow the log to one rule's history. */
+    async getEntries({ ruleSet, ruleId, limit = 100 } = {}) {
+        await this.#loadPromise;
+        const max = Math.max(1, Number(limit) || 100);
+        const matching = this.#entries.filter(entry =>
+            (!ruleSet || entry.ruleSet === ruleSet) && (ruleId == null || ruleId === '' || entry.ruleId === String(ruleId))
+        );
+        return matching.slice(-max).reverse();
+    }
+
+    async getEntry(id) {
+        await this.#loadPromise;
+        return this.#entries.find(entry => entry.id === id) ?? null;
+    }
+
+    /**
+     * Puts one rule back to the value it had after (`version: 'after'`, the default) or before an entry.
+     * A `null` value deletes the rule. The restore is logged like any other change.
+     * @throws {RuleAuditException} for unknown entries or versions
+     */
+    async restore(entryId, { version = 'after', ...context } = {}) {
+        const entry = await this.getEntry(entryId);
+        if (!entry) throw new RuleAuditException('Audit entry not found', 404);
+        if (!['before', 'after'].includes(version)) throw new RuleAuditException("version must be 'before' or 'after'");
+        const ruleSet = this.#ruleSets[entry.ruleSet];
+        if (!ruleSet) throw new RuleAuditException(`Unknown rule set "${entry.ruleSet}"`);
+
+        const value = entry[version];
+        const before = this.capture([entry.ruleSet]);
+        if (ruleSet.config) {
+            if (!value) throw new RuleAuditException('Settings cannot be deleted');
+            await ruleSet.restore(structuredClone(value));
+        } else {
+            const rules = ruleSet.list().filter(rule => String(ruleSet.key(rule)) !== entry.ruleId);
+            if (value) {
+                const index = ruleSet.list().findIndex(rule => String(ruleSet.key(rule)) === entry.ruleId);
+                rules.splice(index === -1 ? rules.length : index, 0, structuredClone(value));
+            }
+            await ruleSet.restore(rules);
+        }
+        const changes = await this.recordChanges(before, { ...context, revertOf: entry.id });
+        return { entry, version, changes };
+    }
+
+    #current(name) {
+        const ruleSet = this.#ruleSets[name];
+        if (!ruleSet) throw new RuleAuditException(`Unknown rule set "${name}"`);
+        if (ruleSet.config) return new Map([['config', structuredClone(ruleSet.config())]]);
+        return new Map(ruleSet.list().map(rule => [String(ruleSet.key(rule)), structuredClone(rule)]));
+    }
+
+    #label(rule, ruleId) {
+        return rule?.name || rule?.accountName || (rule?.from ? `${rule.from} → ${rule.to}` : ruleId);
+    }
+
+    #append(entry) {
+        this.#entries.push(entry);
+        if (!this.#persist) return;
+        const line = JSON.stringify(entry) + '\n';
+        this.#writeChain = this.#writeChain
+            .then(async () => {
+                await ensureDataDir();
+                this.#auditFile = this.#auditFile || dataFile('rule-audit.jsonl');
+                await fs.appendFile(this.#auditFile, line);
+            })
+            .catch(error => console.error('Error writing rule audit log:', error));
+    }
+}
+
+export class RuleAuditException extends Error {
+    status;
+
+    constructor(message, status = 400) {
+        super(message);
+        this.status = status;
+    }
+}
@@ -0,0 +1,119 @@
+/** Conflicting transactions listed per rule and overall; the counts always cover all of them. */
+const DEFAULT_MAX_CONFLICTS = 200;
+
+function ratio(part, whole) {
+    return whole ? Number((part / whole).toFixed(4)) : null;
+}
+
+/**
+ * Replays keyword → category rules against transactions that already have a category, to measure a rule's
+ * precision before it is enabled with `directAssign`.
+ *
+ * Every categorized split journal is one sample. Each rule is scored on its own (coverage, agreement with the
+ * existing category, confusion by existing category); the rule set as a whole is scored by the first matching
+ * rule in the given order, which is what the pipeline would pick.
+ */
+export default class RuleBacktestService {
+    #categoryMappingService;
+
+    constructor(deps = {}) {
+        this.#categoryMappingService = deps.categoryMappingService;
+    }
+
+    /**
+     * @param {object[]} transactions Firefly transaction groups (e.g. from `getAllTransactions`)
+     * @param {object[]} rules rules in pipeline order (see CategoryMappingService#getOrderedRules / #prepareRule)
+     * @param {{ maxConflicts?: number }} [options]
+     */
+    run(transactions, rules, { maxConflicts = DEFAULT_MAX_CONFLICTS } = {}) {
+        const samples = this.#categorizedJournals(transactions);
+        const perRule = rules.map(rule => ({
+            id: rule.id,
+            name: rule.name,
+            targetCategory: rule.targetCategory,
+            directAssign: Boolean(rule.directAssign),
+            enabled: rule.enabled !== false,
+            matched: 0,
+            agreed: 0,
+            conflictCount: 0,
+            confusion: {},
+            conflicts: [],
+        }));
+        const overall = { matched: 0, agreed: 0, conflictCount: 0, conflicts: [], confusion: {} };
+
+        for (const sample of samples) {
+            let first = null;
+            rules.forEach((rule, index) => {
+                const match = this.#categoryMappingService.matchTransaction(rule, sample.view);
+                if (!match) return;
+                const stats = perRule[index];
+                stats.matched++;
+                stats.confusion[sample.category] = (stats.confusion[sample.category] || 0) + 1;
+                if (rule.targetCategory === sample.category) {
+                    stats.agreed++;
+                } else {
+                    stats.conflictCount++;
+                    if (stats.conflicts.length < maxConflicts) stats.conflicts.push(this.#conflict(sample, rule, match));
+                }
+                if (!first) first = { rule, match };
+            });
+
+            if (!first) continue;
+            overall.matched++;
+            const row = overall.confusion[first.rule.targetCategory] ??= {};
+            row[sample.category] = (row[sample.category] || 0) + 1;
+            if (first.rule.targetCategory === sample.category) {
+                overall.agreed++;
+            } else {
+                overall.conflictCount++;
+                if (overall.conflicts.length < maxConflicts) overall.conflicts.push(this.#conflict(sample, first.rule, first.match));
+            }
+        }
+
+        return {
+            tested: samples.length,
+            rules: perRule.map(stats => ({
+                ...stats,
+                coverage: ratio(stats.matched, samples.length),
+                precision: ratio(stats.agreed, stats.matched),
+            })),
+            overall: {
+                ...overall,
+                coverage: ratio(overall.matched, samples.length),
+                precision: ratio(overall.agreed, overall.matched),
+            },
+        };
+    }
+
+    /** One single-split view per journal that already has a category. */
+    #categorizedJournals(transactions) {
+        const samples = [];
+        for (const group of transactions || []) {
+            for (const split of group?.attributes?.transactions || []) {
+                if (!split.category_name) continue;
+                samples.push({
+                    category: split.category_name,
+                    split,
+                    transactionId: group.id,
+                    view: { ...group, attributes: { ...group.attributes, transactions: [split] } },
+                });
+            }
+        }
+        return samples;
+    }
+
+    #conflict(sample, rule, match) {
+        return {
+            transactionId: sample.transactionId,
+            journalId: sample.split.transaction_journal_id ?? null,
+            date: sample.split.date ?? null,
+            description: sample.split.description || '',
+            destinationName: sample.split.destination_name || '',
+            amount: sample.split.amount ?? null,
+            existingCategory: sample.category,
+            ruleCategory: rule.targetCategory,
+            rule: rule.name,
+            matchedKeyword: match.matchedKeyword,
+        };
+    }
+}
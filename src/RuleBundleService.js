@@ -0,0 +1,466 @@
+import { v4 as uuid } from 'uuid';
+import { CategoryMappingException } from './CategoryMappingService.js';
+
+export const RULE_BUNDLE_SCHEMA_VERSION = 1;
+export const RULE_BUNDLE_SECTIONS = ['wordMappings', 'categoryMappings', 'accountCategoryMappings', 'autoCategorization', 'dominance'];
+export const IMPORT_MODES = ['merge', 'replace'];
+
+const AUTO_CATEGORIZATION_FIELDS = {
+    enabled: 'boolean',
+    skipDeposits: 'boolean',
+    nativeCurrency: 'string',
+    homeCountry: 'string',
+    foreignCategory: 'string',
+    foreignKeywords: 'string[]',
+};
+
+/** Bookkeeping fields that differ between instances and are ignored when comparing rules. */
+const VOLATILE_FIELDS = new Set(['id', 'created', 'updated']);
+
+function normalizeCategoryName(name) {
+    return String(name || '')
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim();
+}
+
+function lower(value) {
+    return String(value || '').trim().toLowerCase();
+}
+
+/** JSON with sorted keys and without bookkeeping fields, so equal rules compare equal. */
+function stableJson(value) {
+    if (Array.isArray(value)) return `[${value.map(stableJson).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value)
+            .filter(key => !VOLATILE_FIELDS.has(key) && value[key] !== undefined)
+            .sort()
+            .map(key => `${JSON.stringify(key)}:${stableJson(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+}
+
+function changedFields(before, after) {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    return [...keys].filter(key => !VOLATILE_FIELDS.has(key) && stableJson(before[key]) !== stableJson(after[key])).sort();
+}
+
+/**
+ * Export and import of every rule set as one versioned bundle:
+ *
+ * ```
+ * { schemaVersion: 1, exportedAt, rules: { wordMappings, categoryMappings, accountCategoryMappings,
+ *   autoCategorization, dominance } }
+ * ```
+ *
+ * Imports only touch the sections present in the bundle. `merge` updates rules that exist in both (keyword rules
+ * by id, then name; account rules by account; word mappings by word) and adds the rest; `replace` also removes
+ * rules the bundle does not have. The two config sections are single objects: their fields overwrite the current
+ * values in both modes. Category names are resolved against the target Firefly's categories before anything is
+ * written, and a preview returns the same diff without writing.
+ */
+export default class RuleBundleService {
+    #wordMapping;
+    #categoryMappingService;
+    #accountCategoryMappingService;
+    #autoCategorizationService;
+    #historyAnalysisService;
+    #now;
+
+    constructor(deps = {}) {
+        this.#wordMapping = deps.wordMapping;
+        this.#categoryMappingService = deps.categoryMappingService;
+        this.#accountCategoryMappingService = deps.accountCategoryMappingService;
+        this.#autoCategorizationService = deps.autoCategorizationService;
+        this.#historyAnalysisService = deps.historyAnalysisService;
+        this.#now = deps.now ?? (() => Date.now());
+    }
+
+    exportBundle() {
+        return {
+            schemaVersion: RULE_BUNDLE_SCHEMA_VERSION,
+            exportedAt: new Date(this.#now()).toISOString(),
+            rules: {
+                wordMappings: this.#wordMapping.getAllMappings(),
+                categoryMappings: this.#categoryMappingService.getAllMappings(),
+                accountCategoryMappings: this.#accountCategoryMappingService.getAllMappings(),
+                autoCategorization: this.#autoCategorizationService.getConfig(),
+                dominance: this.#historyAnalysisService.getConfig(),
+            },
+        };
+    }
+
+    /**
+     * @param {object} bundle an exported bundle
+     * @param {object} options
+     * @param {'merge'|'replace'} [options.mode]
+     * @param {boolean} [options.preview] only compute the diff
+     * @param {string[]} options.categories category names of the target Firefly instance
+     * @param {Object<string,string>} [options.categoryMap] bundle category name → target category name
+     * @param {(name: string, type: string) => Promise<string|null>} [options.resolveAccount] target account id by name
+     * @throws {RuleBundleException} for invalid bundles, and on apply for categories that could not be resolved
+     */
+    async importBundle(bundle, { mode = 'merge', preview = false, categories = [], categoryMap = {}, resolveAccount } = {}) {
+        if (!IMPORT_MODES.includes(mode)) {
+            throw new RuleBundleException(`Import mode must be one of ${IMPORT_MODES.join(', ')}`);
+        }
+        const rules = this.#validate(bundle);
+        const categoryResolution = this.#resolveCategories(rules, categories, categoryMap || {});
+        const accountResolution = await this.#resolveAccounts(rules, resolveAccount);
+
+        const next = {};
+        const diff = {};
+        for (const section of Object.keys(rules)) {
+            const planned = this.#planSection(section, rules[section], mode);
+            next[section] = planned.next;
+            diff[section] = planned.diff;
+        }
+
+        const result = {
+            schemaVersion: bundle.schemaVersion,
+            mode,
+            sections: Object.keys(rules),
+            categories: categoryResolution.report,
+            accounts: accountResolution,
+            diff,
+        };
+        if (preview) return { ...result, applied: false };
+
+        if (categoryResolution.report.unresolved.length) {
+            throw new RuleBundleException(
+                `Categories not found in Firefly: ${categoryResolution.report.unresolved.join(', ')}. ` +
+                'Create them or map them with categoryMap.',
+                categoryResolution.report.unresolved.map(name => `Unknown category "${name}"`)
+            );
+        }
+        await this.#apply(next);
+        console.info(`📦 Imported rule bundle (${mode}): ${result.sections.join(', ')}`);
+        return { ...result, applied: true };
+    }
+
+    /** Checks the envelope and every section; returns the present sections in their stored shape. */
+    #validate(bundle) {
+        if (!bundle || typeof bundle !== 'object' || Array.isArray(bundle)) {
+            throw new RuleBundleException('Bundle must be a JSON object');
+        }
+        const version = bundle.schemaVersion;
+        if (!Number.isInteger(version) || version < 1) {
+            throw new RuleBundleException('Bundle schemaVersion is missing or invalid');
+        }
+        if (version > RULE_BUNDLE_SCHEMA_VERSION) {
+            throw new RuleBundleException(
+                `Bundle schemaVersion ${version} is newer than supported (${RULE_BUNDLE_SCHEMA_VERSION}); update this instance first`
+            );
+        }
+        if (!bundle.rules || typeof bundle.rules !== 'object' || Array.isArray(bundle.rules)) {
+            throw new RuleBundleException('Bundle has no rules object');
+        }
+
+        const errors = [];
+        const rules = {};
+        for (const section of Object.keys(bundle.rules)) {
+            if (!RULE_BUNDLE_SECTIONS.includes(section)) {
+                errors.push(`Unknown section "${section}"`);
+                continue;
+            }
+            const value = bundle.rules[section];
+            if (value == null) continue;
+            const sectionErrors = [];
+            rules[section] = this.#validateSection(section, value, sectionErrors);
+            errors.push(...sectionErrors.map(error => `${section}${error}`));
+        }
+        if (errors.length) {
+            throw new RuleBundleException(`Bundle is invalid (${errors.length} error${errors.length === 1 ? '' : 's'})`, errors);
+        }
+        if (Object.keys(rules).length === 0) {
+            throw new RuleBundleException('Bundle contains no rule sections');
+        }
+        return rules;
+    }
+
+    #validateSection(section, value, errors) {
+        const isList = !['autoCategorization', 'dominance'].includes(section);
+        if (isList !== Array.isArray(value) || typeof value !== 'object') {
+            errors.push(isList ? ' must be an array' : ' must be an object');
+            return isList ? [] : {};
+        }
+        switch (section) {
+            case 'wordMappings':
+                return value.map((item, index) => this.#validateWordMapping(item, `[${index}]`, errors)).filter(Boolean);
+            case 'categoryMappings':
+                return value.map((item, index) => this.#validateCategoryMapping(item, `[${index}]`, errors)).filter(Boolean);
+            case 'accountCategoryMappings':
+                return value.map((item, index) => this.#validateAccountMapping(item, `[${index}]`, errors)).filter(Boolean);
+            case 'autoCategorization':
+                return this.#validateAutoCategorization(value, errors);
+            case 'dominance':
+                return this.#validateDominance(value, errors);
+        }
+    }
+
+    /** `{ from, to }`, or the `[from, to]` pairs of `word-mappings.json`. */
+    #validateWordMapping(item, at, errors) {
+        const [from, to] = Array.isArray(item) ? item : [item?.from, item?.to];
+        if (typeof from !== 'string' || !from.trim() || typeof to !== 'string' || !to.trim()) {
+            errors.push(`${at}: from and to are required`);
+            return null;
+        }
+        return { from: from.toLowerCase().trim(), to: to.trim() };
+    }
+
+    #validateCategoryMapping(item, at, errors) {
+        if (!item || typeof item !== 'object') {
+            errors.push(`${at}: must be an object`);
+            return null;
+        }
+        const { isValid, errors: fieldErrors } = this.#categoryMappingService.validateMapping(item);
+        if (!isValid) {
+            errors.push(...fieldErrors.map(error => `${at}: ${error}`));
+            return null;
+        }
+        try {
+            const rule = this.#categoryMappingService.prepareRule(item);
+            return {
+                ...rule,
+                id: item.id ? String(item.id) : rule.id,
+                created: item.created || rule.created,
+                ...(item.updated ? { updated: item.updated } : {}),
+            };
+        } catch (error) {
+            if (!(error instanceof CategoryMappingException)) throw error;
+            errors.push(`${at}: ${error.message}`);
+            return null;
+        }
+    }
+
+    #validateAccountMapping(item, at, errors) {
+        if (!item || typeof item !== 'object') {
+            errors.push(`${at}: must be an object`);
+            return null;
+        }
+        const { isValid, errors: fieldErrors } = this.#accountCategoryMappingService.validateMapping(item);
+        if (!isValid) {
+            errors.push(...fieldErrors.map(error => `${at}: ${error}`));
+            return null;
+        }
+        const accountName = String(item.accountName).trim();
+        const targetCategory = String(item.targetCategory).trim();
+        return {
+            id: item.id ? String(item.id) : uuid(),
+            name: item.name || `${accountName} → ${targetCategory}`,
+            accountId: String(item.accountId),
+            accountName,
+            accountType: String(item.accountType || ''),
+            targetCategory,
+            enabled: item.enabled !== false,
+            created: item.created || new Date(this.#now()).toISOString(),
+            ...(item.updated ? { updated: item.updated } : {}),
+        };
+    }
+
+    #validateAutoCategorization(value, errors) {
+        const config = {};
+        for (const [key, type] of Object.entries(AUTO_CATEGORIZATION_FIELDS)) {
+            if (!(key in value)) continue;
+            const field = value[key];
+            const ok = type === 'string[]'
+                ? Array.isArray(field) && field.every(entry => typeof entry === 'string')
+                : typeof field === type;
+            if (ok) config[key] = field;
+            else errors.push(`.${key}: must be ${type === 'string[]' ? 'an array of strings' : `a ${type}`}`);
+        }
+        for (const key of Object.keys(value)) {
+            if (!(key in AUTO_CATEGORIZATION_FIELDS)) errors.push(`.${key}: unknown setting`);
+        }
+        return config;
+    }
+
+    #validateDominance(value, errors) {
+        const config = {};
+        if ('dominanceThreshold' in value) {
+            const threshold = value.dominanceThreshold;
+            if (typeof threshold === 'number' && threshold > 0 && threshold <= 1) config.dominanceThreshold = threshold;
+            else errors.push('.dominanceThreshold: must be a number above 0 and at most 1');
+        }
+        if ('minTransactionCount' in value) {
+            const count = value.minTransactionCount;
+            if (Number.isInteger(count) && count > 0) config.minTransactionCount = count;
+            else errors.push('.minTransactionCount: must be a positive integer');
+        }
+        return config;
+    }
+
+    /**
+     * Maps every category the bundle names onto the target instance, in place: an explicit `categoryMap` entry,
+     * then an exact name, then a name that only differs in case, accents or punctuation.
+     */
+    #resolveCategories(rules, categories, categoryMap) {
+        const targets = [...categories].map(String);
+        const exact = new Set(targets);
+        const byNormalized = new Map(targets.map(name => [normalizeCategoryName(name), name]));
+        const lookup = name => (exact.has(name) ? name : byNormalized.get(normalizeCategoryName(name)) ?? null);
+
+        const resolved = new Map();
+        const renamed = [];
+        const unresolved = [];
+        const resolve = (name) => {
+            if (!name) return name;
+            if (resolved.has(name)) return resolved.get(name) ?? name;
+
+            let target = null;
+            let via = null;
+            if (categoryMap[name]) {
+                target = lookup(String(categoryMap[name]));
+                via = 'map';
+            } else if (exact.has(name)) {
+                target = name;
+            } else {
+                target = lookup(name);
+                via = 'normalized';
+            }
+
+            resolved.set(name, target);
+            if (!target) unresolved.push(name);
+            else if (target !== name) renamed.push({ from: name, to: target, via });
+            return target ?? name;
+        };
+
+        for (const rule of rules.categoryMappings || []) rule.targetCategory = resolve(rule.targetCategory);
+        for (const mapping of rules.accountCategoryMappings || []) mapping.targetCategory = resolve(mapping.targetCategory);
+        if (rules.autoCategorization?.foreignCategory) {
+            rules.autoCategorization.foreignCategory = resolve(rules.autoCategorization.foreignCategory);
+        }
+
+        return { report: { referenced: resolved.size, renamed, unresolved } };
+    }
+
+    /**
+     * Account ids differ between instances, so account rules are re-pointed to the target account with the same
+     * name; rules whose account does not exist there are left out.
+     */
+    async #resolveAccounts(rules, resolveAccount) {
+        const report = { remapped: [], unresolved: [] };
+        if (!rules.accountCategoryMappings || !resolveAccount) return report;
+
+        const kept = [];
+        for (const mapping of rules.accountCategoryMappings) {
+            const accountId = await resolveAccount(mapping.accountName, mapping.accountType || 'expense');
+            if (!accountId) {
+                report.unresolved.push(mapping.accountName);
+                continue;
+            }
+            if (String(accountId) !== mapping.accountId) {
+                report.remapped.push({ accountName: mapping.accountName, from: mapping.accountId, to: String(accountId) });
+                mapping.accountId = String(accountId);
+            }
+            kept.push(mapping);
+        }
+        rules.accountCategoryMappings = kept;
+        return report;
+    }
+
+    #planSection(section, incoming, mode) {
+        switch (section) {
+            case 'wordMappings':
+                return this.#planList(this.#wordMapping.getAllMappings(), incoming, mode, {
+                    matches: (current, item) => current.from === item.from,
+                    adopt: (current, item) => item,
+                    summarize: ({ from, to }) => ({ from, to }),
+                });
+            case 'categoryMappings':
+                return this.#planList(this.#categoryMappingService.getAllMappings(), incoming, mode, {
+                    find: (current, item) => current.find(c => c.id === item.id) ?? current.find(c => lower(c.name) === lower(item.name)),
+                    adopt: (current, item) => ({ ...item, id: current.id, created: current.created ?? item.created }),
+                    summarize: ({ id, name, targetCategory, keywords }) => ({ id, name, targetCategory, keywords }),
+                    comparable: rule => this.#comparableRule(rule),
+                });
+            case 'accountCategoryMappings':
+                return this.#planList(this.#accountCategoryMappingService.getAllMappings(), incoming, mode, {
+                    find: (current, item) => current.find(c => String(c.accountId) === item.accountId)
+                        ?? current.find(c => lower(c.accountName) === lower(item.accountName)),
+                    adopt: (current, item) => ({ ...item, id: current.id, created: current.created ?? item.created }),
+                    summarize: ({ id, accountName, targetCategory }) => ({ id, accountName, targetCategory }),
+                });
+            case 'autoCategorization':
+                return this.#planConfig(this.#autoCategorizationService.getConfig(), incoming);
+            case 'dominance':
+                return this.#planConfig(this.#historyAnalysisService.getConfig(), incoming);
+        }
+    }
+
+    /** Stored rules predating match modes compare equal to their exported-and-validated form. */
+    #comparableRule(rule) {
+        try {
+            return { ...this.#categoryMappingService.prepareRule(rule), created: undefined };
+        } catch (error) {
+            return rule;
+        }
+    }
+
+    #planList(current, incoming, mode, { find, matches, adopt, summarize, comparable = item => item }) {
+        const findExisting = find ?? ((list, item) => list.find(c => matches(c, item)));
+        const claimed = new Map();
+        const planned = incoming.map(item => {
+            const existing = findExisting(current.filter(c => !claimed.has(c)), item);
+            if (!existing) return { item };
+            const adopted = adopt(existing, item);
+            claimed.set(existing, adopted);
+            return { item: adopted, existing };
+        });
+
+        const diff = { added: [], updated: [], removed: [], unchanged: 0 };
+        const next = [];
+        for (const { item, existing } of planned) {
+            if (!existing) {
+                diff.added.push(summarize(item));
+                continue;
+            }
+            const before = comparable(existing);
+            const after = comparable(item);
+            if (stableJson(before) === stableJson(after)) {
+                diff.unchanged++;
+                claimed.set(existing, existing);
+            } else {
+                diff.updated.push({ ...summarize(item), changes: changedFields(before, after) });
+            }
+        }
+
+        if (mode === 'replace') {
+            diff.removed = current.filter(c => !claimed.has(c)).map(summarize);
+            next.push(...planned.map(({ item, existing }) => (existing ? claimed.get(existing) : item)));
+        } else {
+            next.push(...current.map(c => claimed.get(c) ?? c), ...planned.filter(p => !p.existing).map(p => p.item));
+        }
+        return { next, diff };
+    }
+
+    #planConfig(current, incoming) {
+        const changes = Object.keys(incoming)
+            .filter(key => stableJson(current[key]) !== stableJson(incoming[key]))
+            .map(key => ({ field: key, from: current[key] ?? null, to: incoming[key] }));
+        return {
+            next: { ...current, ...incoming },
+            diff: { changes, unchanged: Object.keys(incoming).length - changes.length },
+        };
+    }
+
+    async #apply(next) {
+        if (next.wordMappings) await this.#wordMapping.replaceMappings(next.wordMappings);
+        if (next.categoryMappings) await this.#categoryMappingService.replaceMappings(next.categoryMappings);
+        if (next.accountCategoryMappings) await this.#accountCategoryMappingService.replaceMappings(next.accountCategoryMappings);
+        if (next.autoCategorization) await this.#autoCategorizationService.updateConfig(next.autoCategorization);
+        if (next.dominance) await this.#historyAnalysisService.updateConfig(next.dominance);
+    }
+}
+
+export class RuleBundleException extends Error {
+    errors;
+
+    constructor(message, errors = []) {
+        super(message);
+        this.errors = errors;
+    }
+}
@@ -0,0 +1,317 @@
+import fs from 'fs/promises';
+import { dataFile, ensureDataDir } from './storage.js';
+import { getConfigVariable } from './util.js';
+
+/** Character n-gram length for the local vectorizer. */
+const NGRAM = 3;
+/** Texts per embeddings request when an embeddings model is configured. */
+const EMBEDDING_BATCH_SIZE = 100;
+
+function normalizeText(value) {
+    return String(value || '')
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        // Digits carry references, dates and card numbers, not meaning
+        .replace(/\d+/g, ' ')
+        .replace(/[^a-z]+/g, ' ')
+        .trim();
+}
+
+/** Word tokens plus padded character trigrams per word, so "REWE SAGT DANKE" ≈ "REWE Markt". */
+function extractTerms(text) {
+    const terms = [];
+    for (const word of normalizeText(text).split(' ').filter(w => w.length > 1)) {
+        terms.push(`w:${word}`);
+        const padded = ` ${word} `;
+        for (let i = 0; i + NGRAM <= padded.length; i++) {
+            terms.push(`c:${padded.slice(i, i + NGRAM)}`);
+        }
+    }
+    return terms;
+}
+
+function l2Normalize(map) {
+    let norm = 0;
+    for (const value of map.values()) norm += value * value;
+    norm = Math.sqrt(norm);
+    if (norm === 0) return map;
+    for (const [key, value] of map) map.set(key, value / norm);
+    return map;
+}
+
+function sparseDot(a, b) {
+    const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+    let sum = 0;
+    for (const [key, value] of small) {
+        const other = large.get(key);
+        if (other !== undefined) sum += value * other;
+    }
+    return sum;
+}
+
+function denseCosine(a, b) {
+    let dot = 0, na = 0, nb = 0;
+    for (let i = 0; i < a.length && i < b.length; i++) {
+        dot += a[i] * b[i];
+        na += a[i] * a[i];
+        nb += b[i] * b[i];
+    }
+    return na && nb ? dot / Math.sqrt(na * nb) : 0;
+}
+
+/**
+ * Nearest-neighbour categorizer over the user's already categorized transactions.
+ *
+ * Each categorized split becomes one document ("payee | description"). Vectors come from a
+ * local TF-IDF model over word tokens and character trigrams, or from the LLM provider's
+ * embeddings endpoint when `SIMILARITY_EMBEDDINGS_MODEL` is set. A category is assigned only
+ * when at least `minNeighbours` of the `k` nearest neighbours above `minScore` exist and their
+ * similarity-weighted vote for one category reaches `agreement`.
+ *
+ * Documents (and embedding vectors) are persisted to `similarity-index.json`; TF-IDF vectors
+ * are recomputed on load.
+ */
+export default class SimilarityIndexService {
+    #INDEX_FILE = dataFile('similarity-index.json');
+    #openAi;
+    #persist;
+    #config;
+    #documents = [];
+    #vectors = [];
+    #idf = new Map();
+    /** IDF of a term no indexed document contains (document frequency 0). */
+    #unseenIdf = 1;
+    #builtAt = null;
+    #vectorizer = 'tfidf';
+    #building = false;
+    #lastBuildError = null;
+    #stats = { lookups: 0, hits: 0, misses: 0, noNeighbours: 0 };
+
+    constructor(deps = {}) {
+        this.#openAi = deps.openAi ?? null;
+        this.#persist = deps.persist !== false;
+        this.#config = {
+            enabled: deps.enabled ?? getConfigVariable('SIMILARITY_ENABLED', 'true') !== 'false',
+            k: Number(deps.k ?? getConfigVariable('SIMILARITY_K', '5')),
+            minScore: Number(deps.minScore ?? getConfigVariable('SIMILARITY_MIN_SCORE', '0.6')),
+            agreement: Number(deps.agreement ?? getConfigVariable('SIMILARITY_AGREEMENT', '0.8')),
+            minNeighbours: Number(deps.minNeighbours ?? getConfigVariable('SIMILARITY_MIN_NEIGHBOURS', '3')),
+            embeddingsModel: deps.embeddingsModel ?? getConfigVariable('SIMILARITY_EMBEDDINGS_MODEL', ''),
+        };
+        if (this.#persist) {
+            this.loadIndex().catch(() => {
+                // Error already handled inside loadIndex()
+            });
+        }
+    }
+
+    static createForTest(deps = {}) {
+        return new SimilarityIndexService({ persist: false, ...deps });
+    }
+
+    isEnabled() {
+        return this.#config.enabled;
+    }
+
+    isBuilding() {
+        return this.#building;
+    }
+
+    async loadIndex() {
+        try {
+            await ensureDataDir();
+            const data = JSON.parse(await fs.readFile(this.#INDEX_FILE, 'utf8'));
+            const vectorizer = data.vectorizer === 'embeddings' ? 'embeddings' : 'tfidf';
+            if (vectorizer === 'embeddings' && data.model !== this.#config.embeddingsModel) {
+                console.warn(`⚠️ Similarity index was built with embeddings model "${data.model}"; rebuild required`);
+                return;
+            }
+            this.#applyDocuments(data.documents || [], vectorizer, data.vectors || null);
+            this.#builtAt = data.builtAt || null;
+            console.info(`🧭 Loaded similarity index: ${this.#documents.length} documents (${vectorizer})`);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                console.info('🧭 No similarity index found; build it with POST /api/similarity/rebuild');
+            } else {
+                console.error('Error loading similarity index:', error);
+            }
+        }
+    }
+
+    /**
+     * Rebuilds the index from Firefly transaction groups (every categorized split is one document).
+     * @param {Array|function(): Promise<Array>} source - transaction groups, or a loader for them
+     * @returns {Promise<object>} stats after the rebuild
+     */
+    async rebuild(source) {
+        if (this.#building) throw new Error('Similarity index rebuild already in progress');
+        this.#building = true;
+        this.#lastBuildError = null;
+        try {
+            const transactions = typeof source === 'function' ? await source() : source;
+            const documents = [];
+            for (const group of transactions || []) {
+                for (const split of group.attributes?.transactions || []) {
+                    if (!split.category_id || !split.category_name) continue;
+                    const text = `${split.destination_name || ''} | ${split.description || ''}`;
+                    if (!normalizeText(text)) continue;
+                    documents.push({
+                        transactionId: group.id != null ? String(group.id) : null,
+                        journalId: split.transaction_journal_id != null ? String(split.transaction_journal_id) : null,
+                        type: split.type || null,
+                        text,
+                        category: split.category_name,
+                    });
+                }
+            }
+
+            let vectors = null;
+            const vectorizer = this.#config.embeddingsModel ? 'embeddings' : 'tfidf';
+            if (vectorizer === 'embeddings') {
+                vectors = [];
+                for (let i = 0; i < documents.length; i += EMBEDDING_BATCH_SIZE) {
+                    const batch = documents.slice(i, i + EMBEDDING_BATCH_SIZE).map(d => d.text);
+                    vectors.push(...await this.#openAi.embed(batch, this.#config.embeddingsModel));
+                }
+            }
+
+            this.#applyDocuments(documents, vectorizer, vectors);
+            this.#builtAt = new Date().toISOString();
+            await this.#saveIndex(vectors);
+            console.info(`🧭 Similarity index rebuilt: ${documents.length} documents (${vectorizer})`);
+        } catch (error) {
+            this.#lastBuildError = error.message;
+            throw error;
+        } finally {
+            this.#building = false;
+        }
+        return this.getStats();
+    }
+
+    /**
+     * The documents of `target.transactionId` are skipped, so a transaction that is already categorized
+     * (e.g. in process-all) does not vote for its own current category.
+     * @param {{ destinationName?: string, description?: string, type?: string, transactionId?: string|number }} target
+     * @returns {Promise<{ category: string, agreement: number, neighbours: Array, reason: string } | null>}
+     */
+    async findCategory(target) {
+        if (!this.#config.enabled || this.#documents.length === 0) return null;
+        this.#stats.lookups++;
+
+        const text = `${target.destinationName || ''} | ${target.description || ''}`;
+        const queryVector = this.#vectorizer === 'embeddings'
+            ? (await this.#openAi.embed([text], this.#config.embeddingsModel))[0]
+            : this.#tfidfVector(extractTerms(text));
+        const similarity = this.#vectorizer === 'embeddings' ? denseCosine : sparseDot;
+
+        const ownId = target.transactionId != null ? String(target.transactionId) : null;
+        const scored = [];
+        for (let i = 0; i < this.#documents.length; i++) {
+            const doc = this.#documents[i];
+            if (ownId && doc.transactionId === ownId) continue;
+            if (target.type && doc.type && doc.type !== target.type) continue;
+            const score = similarity(queryVector, this.#vectors[i]);
+            if (score >= this.#config.minScore) scored.push({ doc, score });
+        }
+        scored.sort((a, b) => b.score - a.score);
+        const neighbours = scored.slice(0, this.#config.k);
+
+        if (neighbours.length < this.#config.minNeighbours) {
+            this.#stats.noNeighbours++;
+            return null;
+        }
+
+        const votes = new Map();
+        let total = 0;
+        for (const { doc, score } of neighbours) {
+            votes.set(doc.category, (votes.get(doc.category) || 0) + score);
+            total += score;
+        }
+        const [category, weight] = [...votes.entries()].sort((a, b) => b[1] - a[1])[0];
+        const agreement = weight / total;
+
+        const summary = neighbours.map(({ doc, score }) => ({
+            text: doc.text,
+            category: doc.category,
+            score: Math.round(score * 1000) / 1000,
+        }));
+        if (agreement < this.#config.agreement) {
+            this.#stats.misses++;
+            return null;
+        }
+
+        this.#stats.hits++;
+        return {
+            category,
+            agreement: Math.round(agreement * 1000) / 1000,
+            neighbours: summary,
+            reason: `${neighbours.length} nearest neighbours, ${(agreement * 100).toFixed(0)}% agree on "${category}"`,
+        };
+    }
+
+    getStats() {
+        const categories = new Set(this.#documents.map(d => d.category));
+        return {
+            enabled: this.#config.enabled,
+            vectorizer: this.#vectorizer,
+            embeddingsModel: this.#config.embeddingsModel || null,
+            documents: this.#documents.length,
+            categories: categories.size,
+            builtAt: this.#builtAt,
+            building: this.#building,
+            lastBuildError: this.#lastBuildError,
+            config: {
+                k: this.#config.k,
+                minScore: this.#config.minScore,
+                agreement: this.#config.agreement,
+                minNeighbours: this.#config.minNeighbours,
+            },
+            ...this.#stats,
+            hitRate: this.#stats.lookups ? Math.round((this.#stats.hits / this.#stats.lookups) * 1000) / 1000 : 0,
+        };
+    }
+
+    #applyDocuments(documents, vectorizer, vectors) {
+        this.#documents = documents;
+        this.#vectorizer = vectorizer;
+        if (vectorizer === 'embeddings') {
+            this.#idf = new Map();
+            this.#vectors = vectors || [];
+            return;
+        }
+
+        const termsPerDoc = documents.map(d => extractTerms(d.text));
+        const docFrequency = new Map();
+        for (const terms of termsPerDoc) {
+            for (const term of new Set(terms)) docFrequency.set(term, (docFrequency.get(term) || 0) + 1);
+        }
+        const n = documents.length;
+        this.#idf = new Map();
+        for (const [term, df] of docFrequency) this.#idf.set(term, Math.log((1 + n) / (1 + df)) + 1);
+        this.#unseenIdf = Math.log(1 + n) + 1;
+        this.#vectors = termsPerDoc.map(terms => this.#tfidfVector(terms));
+    }
+
+    #tfidfVector(terms) {
+        const tf = new Map();
+        for (const term of terms) tf.set(term, (tf.get(term) || 0) + 1);
+        // Terms never seen while building match no document, but still count towards the query's norm;
+        // dropping them would score a query sharing one token with a document as a near duplicate
+        for (const [term, count] of tf) tf.set(term, count * (this.#idf.get(term) ?? this.#unseenIdf));
+        return l2Normalize(tf);
+    }
+
+    async #saveIndex(vectors) {
+        if (!this.#persist) return;
+        await ensureDataDir();
+        const payload = {
+            builtAt: this.#builtAt,
+            vectorizer: this.#vectorizer,
+            model: this.#config.embeddingsModel || null,
+            documents: this.#documents,
+        };
+        if (vectors) payload.vectors = vectors;
+        await fs.writeFile(this.#INDEX_FILE, JSON.stringify(payload));
+    }
+}
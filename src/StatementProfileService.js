@@ -0,0 +1,261 @@
+import fs from 'fs/promises';
+import { dataFile, ensureDataDir } from './storage.js';
+import { ProfileException, slugify, toList } from './profiles.js';
+
+export const DATE_FORMATS = ['DD.MM.YYYY', 'DD.MM.YY', 'DD/MM/YYYY', 'MM/DD/YYYY', 'YYYY-MM-DD'];
+
+/**
+ * How a signed amount maps to money in/out:
+ * - `minus_out`: `-12,34` is a charge, unsigned amounts are credits
+ * - `minus_in`: charges are printed unsigned, `-12,34` is a payment/credit
+ * - `trailing_minus_out`: `12,34-` is a charge (German bank print style)
+ * - `unsigned_out`: every amount is a charge; credits are only recognized by their text
+ */
+export const AMOUNT_SIGNS = ['minus_out', 'minus_in', 'trailing_minus_out', 'unsigned_out'];
+
+/** Deterministic parser: `anchor` (amount + dates on one line, merchant on another), `table` (one row per date line) or both. */
+export const LAYOUTS = ['auto', 'anchor', 'table'];
+
+/** Layout/header/balance rows without transaction meaning, dropped while parsing. */
+export const DEFAULT_IGNORE_PATTERNS = [
+    'kontostand\\s+neu',
+    'seiten(?:übertrag|uebertrag)',
+    'carry\\s*over|carried\\s*forward',
+    'page\\s*(?:sub)?total\\b',
+    'new\\s+balance|ending\\s+balance|closing\\s+balance',
+    'previous\\s+balance|opening\\s+balance',
+    'solde\\s+(?:nouveau|final|précédent|precedent)',
+    'report\\s*(?:à|a)\\s*nouveau|reporté|reporte',
+    'saldo\\s+(?:final|nuevo|anterior|inicial|nuovo|neu)',
+    'riporto\\b',
+    'subtot(?:al|ale)|sub\\s*total',
+    'bitte\\s+nicht\\s+einzahlen',
+    '\\biban\\b',
+    'rechnungsbetrag',
+    'umsatzdatum|buchungsdatum|kurs',
+];
+
+const BASE_PROFILE = {
+    fingerprints: [],
+    dateFormat: 'DD.MM.YYYY',
+    decimalSeparator: ',',
+    amountSign: 'minus_out',
+    layout: 'auto',
+    columnAnchors: { start: [], end: [] },
+    ignorePatterns: DEFAULT_IGNORE_PATTERNS,
+    settlementPatterns: [],
+    currency: null,
+    defaultTag: null,
+};
+
+const CURRENCY_SYMBOLS = { EUR: '€', USD: '$', GBP: '£', JPY: '¥', UAH: '₴' };
+
+/** Shipped profiles. They can be edited; deleting an edited one restores the shipped version. */
+export const BUILTIN_PROFILES = [
+    {
+        ...BASE_PROFILE,
+        id: 'default',
+        name: 'Generic (German/Austrian card statement)',
+    },
+    {
+        ...BASE_PROFILE,
+        id: 'raiffeisen-cardservice',
+        name: 'Raiffeisen CardService',
+        fingerprints: ['raiffeisen\\s*card\\s*service', 'rechnungsbetrag\\s+von\\s*eur'],
+        layout: 'anchor',
+        columnAnchors: { start: ['^\\s*betrag\\s+umsatzdatum'], end: ['^\\s*seite\\s+\\d+\\s+von'] },
+        settlementPatterns: ['abbuchung\\s+kartenabrechnung'],
+        defaultTag: 'raiffeisen-card',
+    },
+];
+
+const DEFAULT_PROFILE_ID = 'default';
+
+const escapeRegExp = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Regular expressions of a profile, ready for the statement parser.
+ * `currencyPattern` is an alternation of the ISO code and its symbol (EUR when the profile has no currency).
+ */
+export function compileProfile(profile) {
+    const compile = patterns => (patterns || []).map(pattern => new RegExp(pattern, 'i'));
+    const currency = profile.currency || 'EUR';
+    return {
+        profile,
+        currencyPattern: [currency, CURRENCY_SYMBOLS[currency]].filter(Boolean).map(escapeRegExp).join('|'),
+        ignore: compile(profile.ignorePatterns),
+        settlement: compile(profile.settlementPatterns),
+        tableStart: compile(profile.columnAnchors?.start),
+        tableEnd: compile(profile.columnAnchors?.end),
+    };
+}
+
+/**
+ * Named parsing templates for bank and card statements (`statement-profiles.json`).
+ *
+ * A profile sets the date format, decimal separator and sign convention of the amounts, which
+ * deterministic parser to use, header lines that open/close the transaction table (`columnAnchors`),
+ * the ignore and settlement patterns, the account currency (empty: the extraction config's `accountCurrency`) and the
+ * default tag of the split transactions.
+ * Uploads pick a profile by hand (`profileId`) or by `fingerprints`, patterns matched against the statement
+ * text such as the issuer name or its IBAN prefix. Patterns are case-insensitive regular expressions.
+ */
+export default class StatementProfileService {
+    #CONFIG_FILE = dataFile('statement-profiles.json');
+    #persist;
+    #profiles = [];
+    #loadPromise;
+
+    constructor(deps = {}) {
+        this.#persist = deps.persist !== false;
+        this.#profiles = (deps.profiles || []).map(profile => this.#normalize(profile));
+        this.#loadPromise = this.#persist ? this.#load() : Promise.resolve();
+    }
+
+    static createForTest(deps = {}) {
+        return new StatementProfileService({ persist: false, ...deps });
+    }
+
+    async #load() {
+        try {
+            await ensureDataDir();
+            const data = JSON.parse(await fs.readFile(this.#CONFIG_FILE, 'utf8'));
+            this.#profiles = (data.profiles || []).map(profile => this.#normalize(profile));
+            console.info(`🏦 Loaded ${this.#profiles.length} custom statement profile(s)`);
+        } catch (error) {
+            if (error.code !== 'ENOENT') console.error('Error loading statement profiles:', error);
+        }
+    }
+
+    async #save() {
+        if (!this.#persist) return;
+        await ensureDataDir();
+        await fs.writeFile(this.#CONFIG_FILE, JSON.stringify({ profiles: this.#profiles }, null, 2));
+    }
+
+    /** Built-in profiles (with their edits) first, then custom profiles in creation order. */
+    async listProfiles() {
+        await this.#loadPromise;
+        const stored = new Map(this.#profiles.map(profile => [profile.id, profile]));
+        const builtins = BUILTIN_PROFILES.map(profile => ({
+            ...structuredClone(stored.get(profile.id) ?? profile),
+            builtin: true,
+            modified: stored.has(profile.id),
+        }));
+        const custom = this.#profiles
+            .filter(profile => !BUILTIN_PROFILES.some(b => b.id === profile.id))
+            .map(profile => ({ ...structuredClone(profile), builtin: false, modified: false }));
+        return [...builtins, ...custom];
+    }
+
+    async getProfile(id) {
+        return (await this.listProfiles()).find(profile => profile.id === id) ?? null;
+    }
+
+    /**
+     * The profile for a statement: `profileId` when given, else the first profile whose fingerprint occurs in
+     * the text (custom profiles before built-in ones), else `default`.
+     * @returns {Promise<{ profile: object, detectedBy: 'manual'|'fingerprint'|'default', fingerprint?: string }>}
+     * @throws {StatementProfileException} for an unknown `profileId`
+     */
+    async resolveProfile(text, profileId = null) {
+        const profiles = await this.listProfiles();
+        if (profileId) {
+            const profile = profiles.find(p => p.id === profileId);
+            if (!profile) throw new StatementProfileException(`Unknown statement profile "${profileId}"`, 404);
+            return { profile, detectedBy: 'manual' };
+        }
+        const ordered = [...profiles.filter(p => !p.builtin), ...profiles.filter(p => p.builtin)];
+        for (const profile of ordered) {
+            const fingerprint = profile.fingerprints.find(pattern => new RegExp(pattern, 'i').test(text || ''));
+            if (fingerprint) return { profile, detectedBy: 'fingerprint', fingerprint };
+        }
+        return { profile: profiles.find(p => p.id === DEFAULT_PROFILE_ID), detectedBy: 'default' };
+    }
+
+    /**
+     * Creates a profile, or updates `id` with the given fields.
+     * @throws {StatementProfileException} with every validation error
+     */
+    async saveProfile(data = {}, id = null) {
+        await this.#loadPromise;
+        const existing = id ? await this.getProfile(id) : null;
+        if (id && !existing) throw new StatementProfileException(`Unknown statement profile "${id}"`, 404);
+
+        const { builtin, modified, ...base } = existing ?? { ...BASE_PROFILE, id: slugify(data.id || data.name) };
+        const profile = this.#normalize({ ...base, ...data, id: base.id });
+        this.#validate(profile);
+        if (!existing && (await this.getProfile(profile.id))) {
+            throw new StatementProfileException(`A statement profile with id "${profile.id}" already exists`, 409);
+        }
+
+        const index = this.#profiles.findIndex(p => p.id === profile.id);
+        if (index === -1) this.#profiles.push(profile);
+        else this.#profiles[index] = profile;
+        await this.#save();
+        return this.getProfile(profile.id);
+    }
+
+    /** Removes a custom profile, or restores the shipped version of a built-in one. */
+    async deleteProfile(id) {
+        await this.#loadPromise;
+        const index = this.#profiles.findIndex(p => p.id === id);
+        if (index === -1) {
+            if (BUILTIN_PROFILES.some(p => p.id === id)) return this.getProfile(id);
+            throw new StatementProfileException(`Unknown statement profile "${id}"`, 404);
+        }
+        this.#profiles.splice(index, 1);
+        await this.#save();
+        return BUILTIN_PROFILES.some(p => p.id === id) ? this.getProfile(id) : null;
+    }
+
+    #normalize(profile) {
+        return {
+            id: profile.id,
+            name: String(profile.name ?? '').trim(),
+            fingerprints: toList(profile.fingerprints),
+            dateFormat: profile.dateFormat ?? BASE_PROFILE.dateFormat,
+            decimalSeparator: profile.decimalSeparator ?? BASE_PROFILE.decimalSeparator,
+            amountSign: profile.amountSign ?? BASE_PROFILE.amountSign,
+            layout: profile.layout ?? BASE_PROFILE.layout,
+            columnAnchors: {
+                start: toList(profile.columnAnchors?.start),
+                end: toList(profile.columnAnchors?.end),
+            },
+            ignorePatterns: toList(profile.ignorePatterns ?? BASE_PROFILE.ignorePatterns),
+            settlementPatterns: toList(profile.settlementPatterns),
+            currency: profile.currency ? String(profile.currency).trim().toUpperCase() : null,
+            defaultTag: profile.defaultTag ? String(profile.defaultTag).trim() : null,
+        };
+    }
+
+    #validate(profile) {
+        const errors = [];
+        if (!profile.id) errors.push('id or name is required');
+        if (!profile.name) errors.push('name is required');
+        if (!DATE_FORMATS.includes(profile.dateFormat)) errors.push(`dateFormat must be one of ${DATE_FORMATS.join(', ')}`);
+        if (![',', '.'].includes(profile.decimalSeparator)) errors.push('decimalSeparator must be "," or "."');
+        if (!AMOUNT_SIGNS.includes(profile.amountSign)) errors.push(`amountSign must be one of ${AMOUNT_SIGNS.join(', ')}`);
+        if (!LAYOUTS.includes(profile.layout)) errors.push(`layout must be one of ${LAYOUTS.join(', ')}`);
+        if (profile.currency && !/^[A-Z]{3}$/.test(profile.currency)) errors.push('currency must be a 3-letter ISO code');
+        const patterns = {
+            fingerprints: profile.fingerprints,
+            'columnAnchors.start': profile.columnAnchors.start,
+            'columnAnchors.end': profile.columnAnchors.end,
+            ignorePatterns: profile.ignorePatterns,
+            settlementPatterns: profile.settlementPatterns,
+        };
+        for (const [field, values] of Object.entries(patterns)) {
+            for (const pattern of values) {
+                try {
+                    new RegExp(pattern, 'i');
+                } catch (error) {
+                    errors.push(`${field}: invalid pattern "${pattern}" (${error.message})`);
+                }
+            }
+        }
+        if (errors.length) throw new StatementProfileException(errors.join('; '), 400, errors);
+    }
+}
+
+export class StatementProfileException extends ProfileException {}
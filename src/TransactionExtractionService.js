@@ -3,6 +3,11 @@ import path from 'path';
 import { ensureDataDir, dataFile } from './storage.js';
 import { parse } from 'csv-parse/sync';
 import pdfParse from 'pdf-parse';
+import StatementProfileService, { BUILTIN_PROFILES, compileProfile } from './StatementProfileService.js';
+import { detectBankExportFormat, parseBankExport } from './bankExports.js';
+import CsvProfileService, { parseCsvWithProfile } from './CsvProfileService.js';
+
+const DEFAULT_PROFILE_CONTEXT = compileProfile(BUILTIN_PROFILES[0]);
 
 export default class TransactionExtractionService {
     // resolve config file path lazily to align with the final data dir
@@ -18,6 +23,9 @@ export default class TransactionExtractionService {
         accountCurrency: 'EUR',
         lastUsed: null
     };
+    #persist;
+    #statementProfileService;
+    #csvProfileService;
 
     /**
      * Create a new TransactionExtractionService.
@@ -26,9 +34,44 @@ export default class TransactionExtractionService {
      * @example
      * const service = new TransactionExtractionService();
      * await service.loadConfig();
+     *
+     * @param {{statementProfileService?:StatementProfileService,csvProfileService?:CsvProfileService,persist?:boolean}} [deps]
+     */
+    constructor(deps = {}) {
+        this.#persist = deps.persist !== false;
+        this.#statementProfileService = deps.statementProfileService ?? new StatementProfileService({ persist: this.#persist });
+        this.#csvProfileService = deps.csvProfileService ?? new CsvProfileService({ persist: this.#persist });
+        if (this.#persist) this.loadConfig();
+    }
+
+    static createForTest(deps = {}) {
+        return new TransactionExtractionService({ persist: false, ...deps });
+    }
+
+    /**
+     * The statement profiles used to parse PDFs.
+     *
+     * How to use:
+     * @example
+     * const profiles = await service.getStatementProfileService().listProfiles();
+     *
+     * @returns {StatementProfileService}
+     */
+    getStatementProfileService() {
+        return this.#statementProfileService;
+    }
+
+    /**
+     * The saved CSV import profiles.
+     *
+     * How to use:
+     * @example
+     * const profiles = await service.getCsvProfileService().listProfiles();
+     *
+     * @returns {CsvProfileService}
      */
-    constructor() {
-        this.loadConfig();
+    getCsvProfileService() {
+        return this.#csvProfileService;
     }
 
     /**
@@ -64,6 +107,7 @@ export default class TransactionExtractionService {
      * @returns {Promise<void>}
      */
     async saveConfig() {
+        if (!this.#persist) return;
         await ensureDataDir();
         await fs.writeFile(this.#configFile(), JSON.stringify(this.#config, null, 2));
     }
@@ -158,6 +202,64 @@ export default class TransactionExtractionService {
         return mapped;
     }
 
+    /**
+     * Parse a CSV upload with a CSV import profile: the one named by `profileId`, else the one whose header
+     * signature matches the file. Without a matching profile the columns are guessed (`parseCsv` with the
+     * configured `headerMapping`). The profile is reported as `_profile`.
+     *
+     * How to use:
+     * @example
+     * const items = await service.parseCsvFile(file.buffer, { profileId: 'erste-giro' });
+     * console.log(items._profile?.detectedBy); // 'manual' | 'signature' | undefined
+     *
+     * @param {Buffer} buffer CSV content
+     * @param {{profileId?:string}} [options]
+     * @returns {Promise<Array<object>&{_profile?:object}>}
+     * @throws {CsvProfileException} for an unknown `profileId`
+     */
+    async parseCsvFile(buffer, options = {}) {
+        const resolved = await this.#csvProfileService.resolveProfile(buffer, options.profileId || null);
+        if (!resolved) return this.parseCsv(buffer, this.#config.headerMapping);
+        const { profile, detectedBy } = resolved;
+        const items = parseCsvWithProfile(buffer, profile);
+        try { this.#writeDebug('csv-profile', { rows: items.length, profile: profile.id, detectedBy }); } catch(_) {}
+        items._profile = { id: profile.id, name: profile.name, detectedBy, defaultTag: profile.defaultTag };
+        return items;
+    }
+
+    /**
+     * Detect a native bank export (CAMT.053, MT940, OFX/QFX, QIF) by content or file extension.
+     *
+     * How to use:
+     * @example
+     * const format = service.detectBankExport(file.originalname, file.buffer); // 'mt940' | null
+     *
+     * @param {string} fileName
+     * @param {Buffer} buffer
+     * @returns {'camt053'|'mt940'|'ofx'|'qif'|null} null for CSV, PDF and unknown files
+     */
+    detectBankExport(fileName, buffer) {
+        return detectBankExportFormat(fileName, buffer);
+    }
+
+    /**
+     * Parse a native bank export. Amounts, dates and directions are taken as booked; items also carry
+     * `currency`, `valueDate`, counterparty `iban` and `reference` where the format has them.
+     *
+     * How to use:
+     * @example
+     * const items = service.parseBankExport(await fs.readFile('march.sta'), 'mt940');
+     *
+     * @param {Buffer} buffer Export content
+     * @param {'camt053'|'mt940'|'ofx'|'qif'} format
+     * @returns {Array<{description:string,destination_name:string,amount:number,date:string|null,direction:'in'|'out'}>}
+     */
+    parseBankExport(buffer, format) {
+        const items = parseBankExport(buffer, format);
+        try { this.#writeDebug('bank-export', { format, rows: items.length }); } catch(_) {}
+        return items;
+    }
+
     /**
      * Parse a PDF buffer using deterministic heuristics and optionally AI.
      *
@@ -169,23 +271,54 @@ export default class TransactionExtractionService {
      *
      * @param {Buffer} buffer PDF content
      * @param {object} [openAiService] Service with extractTransactionsFromText(prompt,opts)
-     * @param {{forceAI?:boolean}} [options]
-     * @returns {Promise<Array<{description:string,destination_name:string,amount:number,date:string|null,direction:'in'|'out'}>&{_statementTotal?:number|null}>}
+     * @param {{forceAI?:boolean,profileId?:string}} [options]
+     * @returns {Promise<Array<{description:string,destination_name:string,amount:number,date:string|null,direction:'in'|'out'}>&{_statementTotal?:number|null,_profile?:object}>}
      */
     async parsePdf(buffer, openAiService, options = {}) {
-        const forceAI = Boolean(options.forceAI);
         const data = await pdfParse(buffer);
-        const text = data.text || '';
-        try { await this.#writeDebug('pdf-start', { length: text.length, head: text.substring(0, 2000) }); } catch(_) {}
+        return this.parseStatementText(data.text || '', openAiService, options);
+    }
+
+    /**
+     * Parse the text of a statement with a statement profile: the one named by `profileId`, else the one whose
+     * fingerprint matches the text, else the default profile. The profile is reported as `_profile`.
+     *
+     * How to use:
+     * @example
+     * const items = await service.parseStatementText(text, openAiService, { profileId: 'raiffeisen-cardservice' });
+     * console.log(items._profile.id, items._statementTotal);
+     *
+     * @param {string} rawText Text extracted from the statement
+     * @param {object} [openAiService] Service with extractTransactionsFromText(prompt,opts)
+     * @param {{forceAI?:boolean,profileId?:string}} [options]
+     * @returns {Promise<Array<object>&{_statementTotal?:number|null,_profile?:object}>}
+     * @throws {StatementProfileException} for an unknown `profileId`
+     */
+    async parseStatementText(rawText, openAiService, options = {}) {
+        const forceAI = Boolean(options.forceAI);
+        const { profile, detectedBy } = await this.#statementProfileService.resolveProfile(rawText, options.profileId || null);
+        const ctx = compileProfile(profile);
+        const profileInfo = { id: profile.id, name: profile.name, detectedBy, defaultTag: profile.defaultTag };
+        const accountCurrency = profile.currency || this.#config.accountCurrency || 'EUR';
+        const text = this.#applyProfileFormats(rawText, profile);
+        try { await this.#writeDebug('pdf-start', { length: text.length, profile: profile.id, detectedBy, head: text.substring(0, 2000) }); } catch(_) {}
         // Extract statement ending balance if present (used only for matching sums)
-        const statementTotal = this.#extractStatementTotal(text);
+        const statementTotal = this.#extractStatementTotal(text, ctx);
+        // Profiles may bound the transaction table by its header/footer lines
+        const tableText = this.#sliceByColumnAnchors(text, ctx);
         // Extract table-only slice to reduce noise for AI/fallback
-        const tableOnly = this.#extractTableOnly(text);
+        const tableOnly = this.#extractTableOnly(tableText);
         try { await this.#writeDebug('pdf-table-slice', { lines: tableOnly.split(/\n+/).length, head: tableOnly.substring(0, 1500) }); } catch(_) {}
         // Deterministic pass: try anchor-first on table slice, then legacy on full text
-        const anchorDet = this.#parseAnchorRows(tableOnly);
-        const deterministic = (anchorDet && anchorDet.length) ? anchorDet : this.#parseStatementTable(text);
-        const deterministicProcessed = this.#postProcess(deterministic.filter(i => !this.#shouldIgnore(i)));
+        const anchorDet = profile.layout === 'table' ? [] : this.#parseAnchorRows(tableOnly, ctx);
+        const deterministic = (anchorDet && anchorDet.length) || profile.layout === 'anchor' ? anchorDet : this.#parseStatementTable(tableText, ctx);
+        const finish = (items) => {
+            const out = this.#applyProfileMarkers(items, ctx);
+            out._statementTotal = statementTotal;
+            out._profile = profileInfo;
+            return out;
+        };
+        const deterministicProcessed = this.#postProcess(this.#applyAmountSign(deterministic.filter(i => !this.#shouldIgnore(i, ctx)), profile));
         if (deterministicProcessed.length > 0) {
             try { await this.#writeDebug('deterministic', { items: deterministicProcessed.slice(0, 50), total: deterministicProcessed.length }); } catch(_) {}
         } else if (deterministic.length > 0) {
@@ -196,16 +329,15 @@ export default class TransactionExtractionService {
 
         // Default: use deterministic rows when available (single + batch parity). AI only when forced or empty.
         if (deterministicProcessed.length > 0 && !forceAI) {
-            deterministicProcessed._statementTotal = statementTotal;
-            return deterministicProcessed;
+            return finish(deterministicProcessed);
         }
 
         // Optionally run AI first and merge with deterministic for best of both
         if (openAiService && this.#config.useAIForParsing && (this.#config.useAIPrimary || forceAI)) {
             const promptSource = /(\d{2}\.\d{2}\.\d{4})/.test(tableOnly) && tableOnly.length > 200 ? tableOnly : text;
-            const prompt = this.#buildPdfPrompt(promptSource);
+            const prompt = this.#buildPdfPrompt(promptSource, accountCurrency);
             try { await this.#writeDebug('ai-request', { prompt, note: this.#config.useAIPrimary ? 'ai-primary' : undefined }); } catch(_) {}
-            const debugResult = await openAiService.extractTransactionsFromText(prompt, { accountCurrency: this.#config.accountCurrency || 'EUR', returnRaw: true });
+            const debugResult = await openAiService.extractTransactionsFromText(prompt, { accountCurrency, returnRaw: true });
             try { await this.#writeDebug('ai-response', { raw: debugResult.raw ? String(debugResult.raw).substring(0, 5000) : null }); } catch(_) {}
             const results = Array.isArray(debugResult.transactions) ? debugResult.transactions : [];
             if (results.length > 0) {
@@ -218,7 +350,7 @@ export default class TransactionExtractionService {
                         direction: this.#inferDirectionFromText(i.description || '')
                     }))
                     .filter(i => i.amount != null && i.description)
-                    .filter(i => !this.#shouldIgnore(i));
+                    .filter(i => !this.#shouldIgnore(i, ctx));
                 const merged = this.#config.aiMergeWithDeterministic
                     ? this.#mergeAiWithDeterministic(aiItems, deterministicProcessed)
                     : aiItems;
@@ -229,11 +361,11 @@ export default class TransactionExtractionService {
                 if (detCount > 0 && (aiCount === 0 || aiCount <= minKeep)) {
                     try { await this.#writeDebug('ai', { note: 'ai-undercount-switch', detCount, aiCount }); } catch (_) {}
                     const out = this.#postProcess(deterministicProcessed);
-                    if (out.length > 0) { out._statementTotal = statementTotal; return out; }
+                    if (out.length > 0) return finish(out);
                 }
                 try { await this.#writeDebug('ai', { inputSnippet: promptSource.substring(0, 5000), prompt, items: merged, note: 'ai-primary-enriched' }); } catch (_) {}
                 const out = this.#postProcess(merged);
-                if (out.length > 0) { out._statementTotal = statementTotal; return out; }
+                if (out.length > 0) return finish(out);
             } else {
                 try { await this.#writeDebug('ai-empty', { inputSnippet: promptSource.substring(0, 5000), note: this.#config.useAIPrimary ? 'ai-primary' : undefined }); } catch(_) {}
             }
@@ -241,14 +373,13 @@ export default class TransactionExtractionService {
 
         // If AI-primary yielded nothing, fall back to deterministic if available
         if (deterministicProcessed.length > 0) {
-            deterministicProcessed._statementTotal = statementTotal;
-            return deterministicProcessed;
+            return finish(deterministicProcessed);
         }
         if (openAiService && this.#config.useAIForParsing && forceAI) {
             const promptSource = /(\d{2}\.\d{2}\.\d{4})/.test(tableOnly) && tableOnly.length > 200 ? tableOnly : text;
-            const prompt = this.#buildPdfPrompt(promptSource);
+            const prompt = this.#buildPdfPrompt(promptSource, accountCurrency);
             try { await this.#writeDebug('ai-request', { prompt }); } catch(_) {}
-            const debugResult = await openAiService.extractTransactionsFromText(prompt, { accountCurrency: this.#config.accountCurrency || 'EUR', returnRaw: true });
+            const debugResult = await openAiService.extractTransactionsFromText(prompt, { accountCurrency, returnRaw: true });
             try { await this.#writeDebug('ai-response', { raw: debugResult.raw ? String(debugResult.raw).substring(0, 5000) : null }); } catch(_) {}
             const results = Array.isArray(debugResult.transactions) ? debugResult.transactions : [];
             if (results.length > 0) {
@@ -262,18 +393,16 @@ export default class TransactionExtractionService {
                         direction: 'out'
                     }))
                     .filter(i => i.amount != null && i.description)
-                    .filter(i => !this.#shouldIgnore(i));
+                    .filter(i => !this.#shouldIgnore(i, ctx));
                 // Debug payload persisted for traceability
                 try { await this.#writeDebug('ai', { inputSnippet: text.substring(0, 5000), prompt, raw: debugResult.raw, items }); } catch (_) {}
-                const out = this.#postProcess(items);
-                out._statementTotal = statementTotal;
-                return out;
+                return finish(this.#postProcess(items));
             } else {
                 try { await this.#writeDebug('ai-empty', { inputSnippet: text.substring(0, 5000) }); } catch(_) {}
             }
         }
         // Fallback: stricter heuristic on single lines — require a date on the line and an explicit EUR/€ amount
-        const fallbackSource = /(\d{2}\.\d{2}\.\d{4})/.test(tableOnly) && tableOnly.length > 200 ? tableOnly : text;
+        const fallbackSource = /(\d{2}\.\d{2}\.\d{4})/.test(tableOnly) && tableOnly.length > 200 ? tableOnly : tableText;
         const lines = fallbackSource.split(/\n+/).map(s => s.trim()).filter(Boolean);
         const items = [];
         const dateInlineRe = /(\d{2}\.\d{2}\.\d{4})/;
@@ -282,8 +411,8 @@ export default class TransactionExtractionService {
             const line = rawLine.replace(/\s+/g, ' ');
             const dm = line.match(dateInlineRe);
             if (!dm) continue; // must have a date on the same line
-            const amt = this.#extractEURAmountWithDirection(line);
-            if (!amt) continue; // must have explicit EUR/€ amount
+            const amt = this.#extractEURAmountWithDirection(line, ctx);
+            if (!amt) continue; // must have explicit account currency amount
             let desc = line.replace(amt.matchedToken, ' ');
             desc = desc
                 .replace(/(?:^|\s)(?:EUR|USD|CHF|UAH|€)\s*[-+]?\d{1,3}(?:[.,]\d{3})*(?:[.,]\d{2})\b/g, ' ')
@@ -294,7 +423,7 @@ export default class TransactionExtractionService {
                 .trim();
             // If the cleaned line has no letters, try to stitch description from neighbor lines
             if (!desc || !/[A-Za-zÄÖÜäöü]/.test(desc)) {
-                const stitched = this.#findAdjacentDescription(idx, lines);
+                const stitched = this.#findAdjacentDescription(idx, lines, ctx);
                 if (stitched) desc = stitched.trim();
             }
             if (!desc || !/[A-Za-zÄÖÜäöü]/.test(desc)) continue;
@@ -305,13 +434,12 @@ export default class TransactionExtractionService {
                 direction: amt.direction,
                 date: this.#normalizeDate(dm[1])
             };
-            if (this.#shouldIgnore(candidate)) continue;
+            if (this.#shouldIgnore(candidate, ctx)) continue;
             items.push(candidate);
         }
-        const processed = this.#postProcess(items);
-        processed._statementTotal = statementTotal;
+        const processed = this.#postProcess(this.#applyAmountSign(items, profile));
         try { await this.#writeDebug('fallback', { inputSnippet: text.substring(0, 5000), items: processed }); } catch(_) {}
-        return processed;
+        return finish(processed);
     }
 
     // Anchor-based parser for statements where amount+two dates are on one line and description is on the next line
@@ -320,17 +448,18 @@ export default class TransactionExtractionService {
      *
      * How to use:
      * @example
-     * const rows = this.#parseAnchorRows(ocrText);
+     * const rows = this.#parseAnchorRows(ocrText, ctx);
      *
      * @param {string} text
+     * @param {object} [ctx] Compiled statement profile
      * @returns {Array<object>}
      */
-    #parseAnchorRows(text) {
+    #parseAnchorRows(text, ctx = DEFAULT_PROFILE_CONTEXT) {
         const items = [];
         const raw = this.#stitchWrapContinuations(String(text || '').split(/\n+/).map(s => s.replace(/\s+/g, ' ').trim()).filter(Boolean));
         if (!raw.length) return items;
-        const anchorRe = /(EUR|€)\s*([-+−]?\s*\d{1,3}(?:[.,]\d{3})*(?:[.,]\d{2})).*?(\d{2}\.\d{2}\.\d{4}).*?(\d{2}\.\d{2}\.\d{4})/i;
-        const amountToken = /(EUR|€)\s*([-+−]?\s*\d{1,3}(?:[.,]\d{3})*(?:[.,]\d{2}))/gi;
+        const anchorRe = new RegExp(`(${ctx.currencyPattern})\\s*([-+−]?\\s*\\d{1,3}(?:[.,]\\d{3})*(?:[.,]\\d{2})).*?(\\d{2}\\.\\d{2}\\.\\d{4}).*?(\\d{2}\\.\\d{2}\\.\\d{4})`, 'i');
+        const amountToken = new RegExp(`(${ctx.currencyPattern})\\s*([-+−]?\\s*\\d{1,3}(?:[.,]\\d{3})*(?:[.,]\\d{2}))`, 'gi');
         const dateOne = /(\d{2}\.\d{2}\.\d{4})/;
         const feeRe = /(umrechnungsentgelt|barbehebungsentgelt)/i;
 
@@ -429,7 +558,7 @@ export default class TransactionExtractionService {
             if (!description || !/[A-Za-zÄÖÜäöü]/.test(description)) continue;
             const destination_name = this.#extractPayeeFromDesc(description);
             const item = { description, destination_name, amount: cur.amount, direction: cur.direction, date: cur.date };
-            if (!this.#shouldIgnore(item)) items.push(item);
+            if (!this.#shouldIgnore(item, ctx)) items.push(item);
         }
         // Additional pass: include fee-only rows (e.g., Barbehebungsentgelt/Umrechnungsentgelt) even when the amount
         // is not on the same line as the description (common in OCR where columns split). Use the previous anchor's date.
@@ -437,7 +566,7 @@ export default class TransactionExtractionService {
             if (usedDesc.has(cand.idx)) continue;
             if (!feeRe.test(cand.text)) continue;
             // Try to get amount from the same description line first
-            let amtWithDir = this.#extractEURAmountWithDirection(cand.text);
+            let amtWithDir = this.#extractEURAmountWithDirection(cand.text, ctx);
             // If not found, scan forward within the window until the next anchor for a standalone amount line (no dates)
             if (!amtWithDir) {
                 const nextIdx = (anchors.find(a => a.idx > cand.idx)?.idx) ?? Number.POSITIVE_INFINITY;
@@ -447,7 +576,7 @@ export default class TransactionExtractionService {
                     // Skip other anchors (amount+two dates on one line)
                     if (anchorRe.test(probe)) continue;
                     // Prefer lines that look like amount cells (contain a currency/amount but not obvious headers)
-                    const tryAmt = this.#extractAmountWithDirection(probe);
+                    const tryAmt = this.#extractAmountWithDirection(probe, ctx.currencyPattern);
                     if (tryAmt) { amtWithDir = tryAmt; break; }
                 }
             }
@@ -459,7 +588,7 @@ export default class TransactionExtractionService {
                     if (!probe) continue;
                     if (anchorRe.test(probe)) continue; // don't cross another anchor line
                     if (this.#isNonTxnMarker(probe) || /^seite\b/i.test(probe)) break;
-                    const tryAmt = this.#extractAmountWithDirection(probe);
+                    const tryAmt = this.#extractAmountWithDirection(probe, ctx.currencyPattern);
                     if (!tryAmt) continue;
                     // Prefer small amounts (<= 5 €) to avoid grabbing the main transaction amount
                     const amtNum = this.#normalizeAmount(tryAmt.amountStr);
@@ -474,12 +603,12 @@ export default class TransactionExtractionService {
             const amount = this.#normalizeAmount(amtWithDir.amountStr);
             // Clean description (remove amounts/currency remnants)
             const description = cand.text
-                .replace(/(EUR|USD|CHF|UAH|€)\s*[-+−]?\s*\d{1,3}(?:[.,]\d{3})*(?:[.,]\d{2})/gi, ' ')
+                .replace(new RegExp(`(${ctx.currencyPattern}|EUR|USD|CHF|UAH|€)\\s*[-+−]?\\s*\\d{1,3}(?:[.,]\\d{3})*(?:[.,]\\d{2})`, 'gi'), ' ')
                 .replace(/\s{2,}/g, ' ')
                 .trim();
             const destination_name = this.#extractPayeeFromDesc(description);
             const item = { description, destination_name, amount, direction, date };
-            if (!this.#shouldIgnore(item)) items.push(item);
+            if (!this.#shouldIgnore(item, ctx)) items.push(item);
         }
         return items;
     }
@@ -489,13 +618,13 @@ export default class TransactionExtractionService {
      *
      * How to use:
      * @example
-     * const prompt = this.#buildPdfPrompt(text);
+     * const prompt = this.#buildPdfPrompt(text, 'EUR');
      *
      * @param {string} text
+     * @param {string} [currency] Account currency of the statement
      * @returns {string}
      */
-    #buildPdfPrompt(text) {
-        const currency = this.#config.accountCurrency || 'EUR';
+    #buildPdfPrompt(text, currency = this.#config.accountCurrency || 'EUR') {
         return `You will receive OCR text from a bank/credit card statement (language and table layout vary).
 Extract individual purchase rows and return ONLY a JSON array of objects:
   {
@@ -637,12 +766,13 @@ Return ONLY a JSON array. Input text (truncated):\n\n${text.substring(0, 12000)}
      *
      * How to use:
      * @example
-     * const rows = this.#parseStatementTable(ocrText);
+     * const rows = this.#parseStatementTable(ocrText, ctx);
      *
      * @param {string} text
+     * @param {object} [ctx] Compiled statement profile
      * @returns {Array<object>}
      */
-    #parseStatementTable(text) {
+    #parseStatementTable(text, ctx = DEFAULT_PROFILE_CONTEXT) {
         const rows = [];
         const rawLines = this.#stitchWrapContinuations((text || '')
             .split(/\n+/)
@@ -650,7 +780,7 @@ Return ONLY a JSON array. Input text (truncated):\n\n${text.substring(0, 12000)}
             .filter(Boolean));
         const dateRowRe = /^(\d{2}\.\d{2}\.\d{4})(?:\s+(\d{2}\.\d{2}\.\d{4}))?\b(.*)$/;
         // No trailing word-boundary: supports sequences like "EUR-12,00EUR-12,00"
-        const amountRe = /(EUR|USD|CHF|UAH|€)\s*([-+−]?\s*\d{1,3}(?:[.,]\d{3})*(?:[.,]\d{2}))/g;
+        const amountRe = new RegExp(`(${ctx.currencyPattern}|EUR|USD|CHF|UAH|€)\\s*([-+−]?\\s*\\d{1,3}(?:[.,]\\d{3})*(?:[.,]\\d{2}))`, 'g');
 
         for (let i = 0; i < rawLines.length; i++) {
             const first = rawLines[i];
@@ -678,7 +808,7 @@ Return ONLY a JSON array. Input text (truncated):\n\n${text.substring(0, 12000)}
                 for (const ln of blockLines) {
                     const feeHint = /(umrechnungsentgelt|barbehebungsentgelt)/i.test(ln);
                     if (!feeHint) continue;
-                    let amt = this.#extractAmountWithDirection(ln);
+                    let amt = this.#extractAmountWithDirection(ln, ctx.currencyPattern);
                     // If the fee description line has no amount, look ahead within the same block for the amount cell
                     if (!amt) {
                         for (let probeIdx = blockLines.indexOf(ln) + 1; probeIdx < blockLines.length; probeIdx++) {
@@ -686,7 +816,7 @@ Return ONLY a JSON array. Input text (truncated):\n\n${text.substring(0, 12000)}
                             if (!probe) continue;
                             // Stop on next date row (block should not contain another date, but be safe)
                             if (/(\d{2}\.\d{2}\.\d{4})/.test(probe)) break;
-                            const tryAmt = this.#extractAmountWithDirection(probe);
+                            const tryAmt = this.#extractAmountWithDirection(probe, ctx.currencyPattern);
                             if (tryAmt) { amt = tryAmt; break; }
                         }
                     }
@@ -696,7 +826,7 @@ Return ONLY a JSON array. Input text (truncated):\n\n${text.substring(0, 12000)}
                             const probe = blockLines[probeIdx];
                             if (!probe) continue;
                             if (/(\d{2}\.\d{2}\.\d{4})/.test(probe)) break;
-                            const tryAmt = this.#extractAmountWithDirection(probe);
+                            const tryAmt = this.#extractAmountWithDirection(probe, ctx.currencyPattern);
                             if (!tryAmt) continue;
                             const amtNum = this.#normalizeAmount(tryAmt.amountStr);
                             if (amtNum != null && amtNum <= 5.01) { amt = tryAmt; break; }
@@ -715,7 +845,7 @@ Return ONLY a JSON array. Input text (truncated):\n\n${text.substring(0, 12000)}
                             direction: amt.direction,
                             date: trxDate
                         };
-                        if (!this.#shouldIgnore(feeItem)) {
+                        if (!this.#shouldIgnore(feeItem, ctx)) {
                             rows.push(feeItem);
                             // Remove this fee line content from current to avoid capturing its amount as the main item
                             current = current.replace(ln, ' ');
@@ -827,11 +957,11 @@ Return ONLY a JSON array. Input text (truncated):\n\n${text.substring(0, 12000)}
      * const info = this.#extractAmountWithDirection('€ -12,34');
      *
      * @param {string} line
-     * @param {string} [currency='EUR']
+     * @param {string} [currencyPattern='EUR|€'] Account currency alternation, see compileProfile
      * @returns {{amountStr:string,direction:'in'|'out'}|null}
      */
-    #extractAmountWithDirection(line, currency = 'EUR') {
-        const curRe = new RegExp(`(?:${currency}|€)\\s*([-+−]?\\s*\\d{1,3}(?:[.,]\\d{3})*(?:[.,]\\d{2}))`, 'i');
+    #extractAmountWithDirection(line, currencyPattern = DEFAULT_PROFILE_CONTEXT.currencyPattern) {
+        const curRe = new RegExp(`(?:${currencyPattern})\\s*([-+−]?\\s*\\d{1,3}(?:[.,]\\d{3})*(?:[.,]\\d{2}))`, 'i');
         const mCur = line.match(curRe);
         if (mCur) {
             const amountStr = mCur[1].replace(/\s+/g, '');
@@ -932,16 +1062,17 @@ Return ONLY a JSON array. Input text (truncated):\n\n${text.substring(0, 12000)}
      *
      * How to use:
      * @example
-     * const total = this.#extractStatementTotal(ocrText); // number|null
+     * const total = this.#extractStatementTotal(ocrText, ctx); // number|null
      *
      * @param {string} text
+     * @param {object} [ctx] Compiled statement profile
      * @returns {number|null}
      */
-    #extractStatementTotal(text) {
+    #extractStatementTotal(text, ctx = DEFAULT_PROFILE_CONTEXT) {
         // Raiffeisen CardService: "Rechnungsbetrag von EUR 1.351,05" / "Rechnungsbetrag vonEUR 635,04"
-        const billMatch = String(text || '').match(
-            /rechnungsbetrag\s+von\s*(?:EUR|€)?\s*([-+−]?\s*\d{1,3}(?:[.,]\d{3})*(?:[.,]\d{2}))/i
-        );
+        const billMatch = String(text || '').match(new RegExp(
+            `rechnungsbetrag\\s+von\\s*(?:${ctx.currencyPattern})?\\s*([-+−]?\\s*\\d{1,3}(?:[.,]\\d{3})*(?:[.,]\\d{2}))`, 'i'
+        ));
         if (billMatch) {
             const amount = this.#normalizeAmount(billMatch[1]);
             if (amount != null) return Number(Math.abs(amount).toFixed(2));
@@ -955,7 +1086,7 @@ Return ONLY a JSON array. Input text (truncated):\n\n${text.substring(0, 12000)}
         for (let i = lines.length - 1; i >= 0; i--) {
             const ln = lines[i];
             if (!balanceMarkers.test(ln)) continue;
-            const m = ln.match(/(EUR|€)\s*([-+−]?\s*\d{1,3}(?:[.,]\d{3})*(?:[.,]\d{2}))/i);
+            const m = ln.match(new RegExp(`(${ctx.currencyPattern})\\s*([-+−]?\\s*\\d{1,3}(?:[.,]\\d{3})*(?:[.,]\\d{2}))`, 'i'));
             if (!m) continue;
             const amount = this.#normalizeAmount(m[2]);
             if (amount != null) return Number(Math.abs(amount).toFixed(2));
@@ -968,17 +1099,19 @@ Return ONLY a JSON array. Input text (truncated):\n\n${text.substring(0, 12000)}
      *
      * How to use:
      * @example
-     * const desc = this.#findAdjacentDescription(i, lines);
+     * const desc = this.#findAdjacentDescription(i, lines, ctx);
      *
      * @param {number} idx
      * @param {string[]} lines
+     * @param {object} [ctx] Compiled statement profile
      * @returns {string}
      */
-    #findAdjacentDescription(idx, lines) {
+    #findAdjacentDescription(idx, lines, ctx = DEFAULT_PROFILE_CONTEXT) {
+        const amountRe = new RegExp(`(${ctx.currencyPattern})\\s*[-+−]?\\s*\\d{1,3}(?:[.,]\\d{3})*(?:[.,]\\d{2})`);
         const isAmountDateLine = (t) => {
             if (!t) return false;
             const hasDate = /(\d{2}\.\d{2}\.\d{4})/.test(t);
-            const hasEur = /(EUR|€)\s*[-+−]?\s*\d{1,3}(?:[.,]\d{3})*(?:[.,]\d{2})/.test(t);
+            const hasEur = amountRe.test(t);
             return hasDate && hasEur;
         };
         for (let d = 1; d <= 3; d++) {
@@ -1075,17 +1208,18 @@ Return ONLY a JSON array. Input text (truncated):\n\n${text.substring(0, 12000)}
     }
 
     /**
-     * Internal: Extract the last explicit EUR amount in a line and its direction.
+     * Internal: Extract the last explicit account currency amount (EUR unless the profile says otherwise) in a line and its direction.
      *
      * How to use:
      * @example
      * const found = this.#extractEURAmountWithDirection('XYZ EUR -12,34');
      *
      * @param {string} line
+     * @param {object} [ctx] Compiled statement profile
      * @returns {{amountStr:string,direction:'in'|'out',matchedToken:string}|null}
      */
-    #extractEURAmountWithDirection(line) {
-        const eurTokenRe = /(EUR|€)\s*([-+−]?\s*\d{1,3}(?:[.,]\d{3})*(?:[.,]\d{2}))/gi; // must be global for matchAll
+    #extractEURAmountWithDirection(line, ctx = DEFAULT_PROFILE_CONTEXT) {
+        const eurTokenRe = new RegExp(`(${ctx.currencyPattern})\\s*([-+−]?\\s*\\d{1,3}(?:[.,]\\d{3})*(?:[.,]\\d{2}))`, 'gi'); // must be global for matchAll
         const all = [...line.matchAll(eurTokenRe)];
         if (!all.length) return null;
         const last = all[all.length - 1];
@@ -1193,40 +1327,124 @@ Return ONLY a JSON array. Input text (truncated):\n\n${text.substring(0, 12000)}
      *
      * How to use:
      * @example
-     * const ignore = this.#shouldIgnore(item);
+     * const ignore = this.#shouldIgnore(item, ctx);
      *
      * @param {{description?:string,destination_name?:string,amount?:number}} item
+     * @param {object} [ctx] Compiled statement profile; its ignore patterns default to DEFAULT_IGNORE_PATTERNS
      * @returns {boolean}
      */
-    #shouldIgnore(item) {
+    #shouldIgnore(item, ctx = DEFAULT_PROFILE_CONTEXT) {
         const text = `${(item.description||'')} ${(item.destination_name||'')}`;
         // Pure noise: layout/header/balance rows that have no transaction meaning.
         // NOTE: Settlement-like rows (Rücklastschrift, Zinsen, Vormonat, Alter
         // Kartensaldo) are intentionally NOT listed here so they survive parsing
         // and get marked as settlementLine=true downstream — that way the user
         // can see them in the "Hidden lines" panel and re-activate if needed.
-        const rules = [
-            /kontostand\s+neu/i,
-            /seiten(?:übertrag|uebertrag)/i,
-            /carry\s*over|carried\s*forward/i,
-            /page\s*(?:sub)?total\b/i,
-            /new\s+balance|ending\s+balance|closing\s+balance/i,
-            /previous\s+balance|opening\s+balance/i,
-            /solde\s+(?:nouveau|final|précédent|precedent)/i,
-            /report\s*(?:à|a)\s*nouveau|reporté|reporte/i,
-            /saldo\s+(?:final|nuevo|anterior|inicial|nuovo|neu)/i,
-            /riporto\b/i,
-            /subtot(?:al|ale)|sub\s*total/i,
-            /bitte\s+nicht\s+einzahlen/i,
-            /\biban\b/i,
-            /rechnungsbetrag/i,
-            /umsatzdatum|buchungsdatum|kurs/i,
-        ];
-        if (rules.some(r => r.test(text))) return true;
+        if (ctx.ignore.some(r => r.test(text))) return true;
         if (item.amount != null && Math.abs(Number(item.amount)) < 0.001) return true;
         return false;
     }
 
+    /**
+     * Internal: Rewrite profile-specific number and date formats into the `-1.234,56` / `DD.MM.YYYY` form
+     * the deterministic parsers read. The default profile leaves the text untouched.
+     *
+     * How to use:
+     * @example
+     * this.#applyProfileFormats('03/01/2026 SHOP USD -1,234.50', { decimalSeparator: '.', dateFormat: 'MM/DD/YYYY' });
+     * // '01.03.2026 SHOP USD -1.234,50'
+     *
+     * @param {string} text
+     * @param {object} profile
+     * @returns {string}
+     */
+    #applyProfileFormats(text, profile) {
+        let out = String(text || '');
+        if (profile.decimalSeparator === '.') {
+            out = out.replace(/(?<![\d.,])(\d{1,3}(?:,\d{3})+|\d+)\.(\d{2})(?![\d.,]*\d)/g,
+                (_, int, dec) => `${int.replace(/,/g, '.')},${dec}`);
+        }
+        if (profile.amountSign === 'trailing_minus_out') {
+            out = out.replace(/(?<![\d.,])(\d{1,3}(?:\.\d{3})*,\d{2})-(?!\d)/g, '-$1');
+        }
+        const dateRewrites = {
+            'DD.MM.YY': [/(?<![\d.])(\d{2})\.(\d{2})\.(\d{2})(?![\d.]*\d)/g, '$1.$2.20$3'],
+            'DD/MM/YYYY': [/\b(\d{2})\/(\d{2})\/(\d{4})\b/g, '$1.$2.$3'],
+            'MM/DD/YYYY': [/\b(\d{2})\/(\d{2})\/(\d{4})\b/g, '$2.$1.$3'],
+            'YYYY-MM-DD': [/\b(\d{4})-(\d{2})-(\d{2})\b/g, '$3.$2.$1'],
+        };
+        const rewrite = dateRewrites[profile.dateFormat];
+        if (rewrite) out = out.replace(rewrite[0], rewrite[1]);
+        return out;
+    }
+
+    /**
+     * Internal: Keep only the lines between a profile's table start anchor (e.g. the column header row) and
+     * the next end anchor; repeated per page. Text without anchors, or where none matches, is returned as is.
+     *
+     * How to use:
+     * @example
+     * const tableText = this.#sliceByColumnAnchors(text, ctx);
+     *
+     * @param {string} text
+     * @param {object} ctx Compiled statement profile
+     * @returns {string}
+     */
+    #sliceByColumnAnchors(text, ctx) {
+        if (!ctx.tableStart.length && !ctx.tableEnd.length) return text;
+        const lines = String(text || '').split('\n');
+        const out = [];
+        let inTable = !ctx.tableStart.length;
+        for (const line of lines) {
+            if (ctx.tableStart.some(r => r.test(line))) { inTable = true; continue; }
+            if (inTable && ctx.tableEnd.some(r => r.test(line))) { inTable = false; continue; }
+            if (inTable) out.push(line);
+        }
+        return out.some(line => line.trim()) ? out.join('\n') : text;
+    }
+
+    /**
+     * Internal: Apply the profile's sign convention to parsed directions. Parsers read a leading minus as
+     * money out, which already matches `minus_out` and `trailing_minus_out` (rewritten to a leading minus).
+     *
+     * How to use:
+     * @example
+     * const items = this.#applyAmountSign(rows, { amountSign: 'minus_in' });
+     *
+     * @param {Array<object>} items
+     * @param {object} profile
+     * @returns {Array<object>}
+     */
+    #applyAmountSign(items, profile) {
+        if (profile.amountSign === 'minus_in') {
+            return items.map(it => ({ ...it, direction: it.direction === 'out' ? 'in' : 'out' }));
+        }
+        if (profile.amountSign === 'unsigned_out') {
+            return items.map(it => ({ ...it, direction: 'out' }));
+        }
+        return items;
+    }
+
+    /**
+     * Internal: Flag rows matching the profile's settlement patterns as settlement lines, on top of the
+     * built-in settlement detection.
+     *
+     * How to use:
+     * @example
+     * const out = this.#applyProfileMarkers(items, ctx);
+     *
+     * @param {Array<object>} items
+     * @param {object} ctx Compiled statement profile
+     * @returns {Array<object>}
+     */
+    #applyProfileMarkers(items, ctx) {
+        if (!ctx.settlement.length) return items;
+        return items.map(it => {
+            const text = `${it.description || ''} ${it.destination_name || ''}`;
+            return ctx.settlement.some(r => r.test(text)) ? { ...it, settlementLine: true } : it;
+        });
+    }
+
     /**
      * Internal: Post-process items (direction overrides etc.).
      *
@@ -1417,6 +1635,7 @@ Return ONLY a JSON array. Input text (truncated):\n\n${text.substring(0, 12000)}
      * @returns {Promise<void>}
      */
     async #writeDebug(kind, payload) {
+        if (!this.#persist) return;
         try {
             await ensureDataDir();
             const file = dataFile(`extraction-debug-${kind}.log`);
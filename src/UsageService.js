@@ -0,0 +1,264 @@
+import fs from 'fs/promises';
+import { AsyncLocalStorage } from 'async_hooks';
+import { dataFile, ensureDataDir } from './storage.js';
+import { getConfigVariable } from './util.js';
+
+/** USD per 1M tokens; `LLM_PRICES` (JSON, same shape) overrides or extends these. */
+export const DEFAULT_PRICES = {
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'gpt-4o': { input: 2.5, output: 10 },
+    'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+    'text-embedding-3-small': { input: 0.02, output: 0 },
+    'text-embedding-3-large': { input: 0.13, output: 0 },
+    'claude-3-5-haiku-latest': { input: 0.8, output: 4 },
+    'claude-3-5-sonnet-latest': { input: 3, output: 15 },
+    'claude-3-7-sonnet-latest': { input: 3, output: 15 },
+};
+
+/** Daily rollups older than this are dropped; monthly rollups are derived from the days. */
+const RETENTION_DAYS = 400;
+
+function emptyTotals() {
+    return { requests: 0, promptTokens: 0, completionTokens: 0, cost: 0 };
+}
+
+function addTotals(target, entry) {
+    target.requests += entry.requests ?? 1;
+    target.promptTokens += entry.promptTokens;
+    target.completionTokens += entry.completionTokens;
+    target.cost = Number((target.cost + entry.cost).toFixed(6));
+    return target;
+}
+
+function parsePrices(raw) {
+    if (!raw) return {};
+    try {
+        const parsed = JSON.parse(raw);
+        return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+    } catch (error) {
+        console.error('Ignoring invalid LLM_PRICES (expected JSON):', error.message);
+        return {};
+    }
+}
+
+/**
+ * Token usage and cost of every LLM request, from the `usage` the provider reports.
+ *
+ * - Rollups per day (and per model and source) are stored in `usage.json`; months are summed from the days.
+ * - `track(scope, fn)` attributes the requests made inside `fn` (across awaits) to a webhook job,
+ *   batch job or extraction upload through `scope.onUsage`.
+ * - With a monthly spend cap (`LLM_MONTHLY_SPEND_CAP` or `/api/usage/cap`) reached, `assertWithinCap()`
+ *   throws SpendCapException and OpenAiService makes no further calls until the cap is raised or the month ends.
+ */
+export default class UsageService {
+    #usageFile;
+    #persist;
+    #prices;
+    #monthlyCap;
+    #now;
+    #days = {};
+    #context = new AsyncLocalStorage();
+    #saveChain = Promise.resolve();
+    #loadPromise;
+
+    constructor(deps = {}) {
+        this.#persist = deps.persist !== false;
+        this.#prices = { ...DEFAULT_PRICES, ...(deps.prices ?? parsePrices(getConfigVariable('LLM_PRICES', ''))) };
+        this.#monthlyCap = Number(deps.monthlyCap ?? getConfigVariable('LLM_MONTHLY_SPEND_CAP', '0')) || 0;
+        this.#now = deps.now ?? (() => new Date());
+        this.#loadPromise = this.#persist ? this.#load() : Promise.resolve();
+    }
+
+    static createForTest(deps = {}) {
+        return new UsageService({ persist: false, ...deps });
+    }
+
+    ready() {
+        return this.#loadPromise;
+    }
+
+    async #load() {
+        try {
+            await this.#resolveFile();
+            const data = JSON.parse(await fs.readFile(this.#usageFile, 'utf8'));
+            this.#days = data.days && typeof data.days === 'object' ? data.days : {};
+            if (typeof data.monthlyCap === 'number') this.#monthlyCap = data.monthlyCap;
+            console.info(`💰 Loaded LLM usage for ${Object.keys(this.#days).length} days`);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                console.info('💰 No LLM usage recorded yet');
+            } else {
+                console.error('Error loading LLM usage:', error);
+            }
+        }
+    }
+
+    /**
+     * Runs `fn` with a usage scope; every request inside it is reported to `scope.onUsage(entry)`.
+     * @param {{ source: 'webhook'|'batch'|'extraction'|string, onUsage?: (entry: object) => void }} scope
+     */
+    track(scope, fn) {
+        return this.#context.run({ ...scope, totals: emptyTotals() }, fn);
+    }
+
+    /** Totals of the innermost `track` scope so far, or null outside one. */
+    currentUsage() {
+        const scope = this.#context.getStore();
+        return scope ? { ...scope.totals } : null;
+    }
+
+    /** USD for the given tokens; 0 for models missing from the price table. */
+    priceFor(model, promptTokens, completionTokens) {
+        const price = this.#prices[model];
+        if (!price) return 0;
+        return Number((((promptTokens * (price.input || 0)) + (completionTokens * (price.output || 0))) / 1e6).toFixed(6));
+    }
+
+    /**
+     * Records one request. `usage` is the provider's `{ prompt_tokens, completion_tokens }`;
+     * when it is missing, `estimatedTokens` is booked as prompt tokens. Waits for the stored usage,
+     * which would otherwise replace requests booked right after a restart.
+     */
+    async record({ model, operation, usage = null, estimatedTokens = 0 }) {
+        await this.#loadPromise;
+        const promptTokens = usage ? (usage.prompt_tokens ?? usage.input_tokens ?? 0) : estimatedTokens;
+        const completionTokens = usage ? (usage.completion_tokens ?? usage.output_tokens ?? 0) : 0;
+        const entry = {
+            model,
+            operation,
+            promptTokens,
+            completionTokens,
+            cost: this.priceFor(model, promptTokens, completionTokens),
+            estimated: !usage,
+        };
+
+        const scope = this.#context.getStore();
+        const source = scope?.source || 'other';
+        const day = this.#dayRollup(this.#dayKey());
+        addTotals(day, entry);
+        addTotals(day.byModel[model] ??= emptyTotals(), entry);
+        addTotals(day.bySource[source] ??= emptyTotals(), entry);
+        addTotals(day.byOperation[operation] ??= emptyTotals(), entry);
+
+        if (scope) {
+            addTotals(scope.totals, entry);
+            try {
+                scope.onUsage?.(entry);
+            } catch (error) {
+                console.error('Error attributing LLM usage:', error);
+            }
+        }
+        this.#save().catch(() => {});
+        return entry;
+    }
+
+    getMonthlyCap() {
+        return this.#monthlyCap;
+    }
+
+    async setMonthlyCap(cap) {
+        if (typeof cap !== 'number' || !Number.isFinite(cap) || cap < 0) {
+            throw new UsageException('monthlyCap must be a number >= 0 (0 disables the cap)');
+        }
+        this.#monthlyCap = cap;
+        await this.#save();
+        return cap;
+    }
+
+    /** Spend of the current calendar month (UTC). */
+    currentMonthCost() {
+        const month = this.#dayKey().slice(0, 7);
+        return Object.entries(this.#days)
+            .filter(([day]) => day.startsWith(month))
+            .reduce((sum, [, totals]) => sum + totals.cost, 0);
+    }
+
+    isCapReached() {
+        return this.#monthlyCap > 0 && this.currentMonthCost() >= this.#monthlyCap;
+    }
+
+    assertWithinCap() {
+        if (this.isCapReached()) {
+            throw new SpendCapException(this.currentMonthCost(), this.#monthlyCap);
+        }
+    }
+
+    /**
+     * @param {{ from?: string, to?: string }} [range] ISO days (inclusive)
+     * @returns {{ days: object[], months: object[], currentMonth: object, prices: object }}
+     */
+    getUsage({ from, to } = {}) {
+        const days = Object.keys(this.#days)
+            .filter(day => (!from || day >= from.slice(0, 10)) && (!to || day <= to.slice(0, 10)))
+            .sort()
+            .map(day => ({ day, ...structuredClone(this.#days[day]) }));
+
+        const months = new Map();
+        for (const day of days) {
+            const month = day.day.slice(0, 7);
+            const rollup = months.get(month) ?? { month, ...emptyTotals(), byModel: {}, bySource: {}, byOperation: {} };
+            addTotals(rollup, day);
+            for (const key of ['byModel', 'bySource', 'byOperation']) {
+                for (const [name, totals] of Object.entries(day[key] || {})) {
+                    addTotals(rollup[key][name] ??= emptyTotals(), totals);
+                }
+            }
+            months.set(month, rollup);
+        }
+
+        const cost = Number(this.currentMonthCost().toFixed(6));
+        return {
+            days,
+            months: [...months.values()],
+            currentMonth: {
+                month: this.#dayKey().slice(0, 7),
+                cost,
+                cap: this.#monthlyCap || null,
+                capReached: this.isCapReached(),
+            },
+            prices: { ...this.#prices },
+        };
+    }
+
+    async #resolveFile() {
+        await ensureDataDir();
+        this.#usageFile = this.#usageFile || dataFile('usage.json');
+    }
+
+    #dayKey() {
+        return this.#now().toISOString().slice(0, 10);
+    }
+
+    #dayRollup(day) {
+        return this.#days[day] ??= { ...emptyTotals(), byModel: {}, bySource: {}, byOperation: {} };
+    }
+
+    #save() {
+        if (!this.#persist) return Promise.resolve();
+        const cutoff = new Date(this.#now().getTime() - RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+        for (const day of Object.keys(this.#days)) {
+            if (day < cutoff) delete this.#days[day];
+        }
+        const write = this.#saveChain.then(async () => {
+            await this.#loadPromise;
+            await this.#resolveFile();
+            await fs.writeFile(this.#usageFile, JSON.stringify({ monthlyCap: this.#monthlyCap, days: this.#days }, null, 2));
+        });
+        this.#saveChain = write.catch(error => console.error('Error saving LLM usage:', error));
+        return write;
+    }
+}
+
+export class UsageException extends Error {
+    constructor(message) {
+        super(message);
+    }
+}
+
+export class SpendCapException extends Error {
+    code = 'SPEND_CAP_REACHED';
+
+    constructor(spent, cap) {
+        super(`Monthly LLM spend cap reached (${spent.toFixed(2)} of ${cap.toFixed(2)} USD); AI calls are paused`);
+    }
+}
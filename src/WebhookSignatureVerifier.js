@@ -0,0 +1,99 @@
+import crypto from 'crypto';
+import { getConfigVariable } from './util.js';
+
+/**
+ * Verifies Firefly III webhook deliveries.
+ *
+ * Firefly sends `Signature: t=<unix seconds>,v1=<hex>` where the hash is
+ * HMAC-SHA3-256 over `<t>.<raw JSON body>` keyed with the webhook secret.
+ * Deliveries outside the tolerance window, or a signature we already
+ * accepted inside that window, are rejected as replays.
+ */
+export default class WebhookSignatureVerifier {
+    #secret;
+    #toleranceSeconds;
+    /** @type {Map<string, number>} signature → expiry (ms) */
+    #seenSignatures = new Map();
+
+    constructor(deps = {}) {
+        this.#secret = deps.secret ?? getConfigVariable('WEBHOOK_SECRET', '');
+        const tolerance = Number(deps.toleranceSeconds ?? getConfigVariable('WEBHOOK_TOLERANCE_SECONDS', '300'));
+        this.#toleranceSeconds = Number.isFinite(tolerance) && tolerance > 0 ? tolerance : 300;
+    }
+
+    static createForTest(deps = {}) {
+        return new WebhookSignatureVerifier(deps);
+    }
+
+    isEnabled() {
+        return this.#secret !== '';
+    }
+
+    getToleranceSeconds() {
+        return this.#toleranceSeconds;
+    }
+
+    /** Builds a header value the way Firefly does; used by tests and the test webhook. */
+    sign(rawBody, timestamp = Math.floor(Date.now() / 1000)) {
+        return `t=${timestamp},v1=${this.#hash(timestamp, rawBody)}`;
+    }
+
+    /**
+     * @param {string|undefined} header - value of the `Signature` header
+     * @param {Buffer|string|undefined} rawBody - request body exactly as received
+     * @param {number} [now] - current time in ms
+     * @returns {{ valid: boolean, reason?: string }}
+     */
+    verify(header, rawBody, now = Date.now()) {
+        if (!this.isEnabled()) return { valid: true };
+        if (!header) return { valid: false, reason: 'missing Signature header' };
+        if (rawBody == null) return { valid: false, reason: 'missing request body' };
+
+        const parts = {};
+        for (const part of String(header).split(',')) {
+            const idx = part.indexOf('=');
+            if (idx > 0) parts[part.slice(0, idx).trim()] = part.slice(idx + 1).trim();
+        }
+        const timestamp = Number(parts.t);
+        if (!parts.t || !Number.isInteger(timestamp)) {
+            return { valid: false, reason: 'malformed Signature header (t)' };
+        }
+        if (!parts.v1 || !/^[0-9a-f]+$/i.test(parts.v1)) {
+            return { valid: false, reason: 'malformed Signature header (v1)' };
+        }
+
+        const ageSeconds = now / 1000 - timestamp;
+        if (Math.abs(ageSeconds) > this.#toleranceSeconds) {
+            return { valid: false, reason: `timestamp outside ${this.#toleranceSeconds}s window (age ${Math.round(ageSeconds)}s)` };
+        }
+
+        const expected = Buffer.from(this.#hash(timestamp, rawBody), 'hex');
+        const actual = Buffer.from(parts.v1, 'hex');
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+            return { valid: false, reason: 'signature mismatch' };
+        }
+
+        this.#pruneSeen(now);
+        const key = parts.v1.toLowerCase();
+        if (this.#seenSignatures.has(key)) {
+            return { valid: false, reason: 'replayed delivery (signature already used)' };
+        }
+        this.#seenSignatures.set(key, now + this.#toleranceSeconds * 1000 * 2);
+
+        return { valid: true };
+    }
+
+    #hash(timestamp, rawBody) {
+        return crypto
+            .createHmac('sha3-256', this.#secret)
+            .update(`${timestamp}.`)
+            .update(rawBody)
+            .digest('hex');
+    }
+
+    #pruneSeen(now) {
+        for (const [key, expiresAt] of this.#seenSignatures) {
+            if (expiresAt <= now) this.#seenSignatures.delete(key);
+        }
+    }
+}
@@ -64,6 +64,13 @@ export default class WordMappingService {
         return Promise.resolve();
     }
 
+    /** Replaces every mapping at once (rule import) with `[{ from, to }]`. */
+    replaceMappings(entries) {
+        this.#mappings = new Map(entries.map(({ from, to }) => [from.toLowerCase().trim(), to.trim()]));
+        console.info(`📚 Replaced word mappings (${this.#mappings.size} mappings)`);
+        return this.saveMappings();
+    }
+
     getAllMappings() {
         return Array.from(this.#mappings.entries()).map(([from, to]) => ({
             from,
@@ -0,0 +1,340 @@
+/** Parsers for native bank export formats: ISO 20022 CAMT.053, SWIFT MT940, OFX/QFX and QIF. */
+
+/** UTF-8 unless the bytes are not valid UTF-8, then Windows-1252/Latin-1 (common for MT940, OFX 1.x and QIF). */
+export function decodeBankExport(buffer) {
+    const text = Buffer.isBuffer(buffer) ? buffer.toString('utf8') : String(buffer ?? '');
+    if (Buffer.isBuffer(buffer) && text.includes('\uFFFD')) return buffer.toString('latin1');
+    return text.replace(/^\uFEFF/, '');
+}
+
+/**
+ * Format of a bank export from its content, or its file extension when the content is not conclusive.
+ * @returns {'camt053'|'mt940'|'ofx'|'qif'|null} null for CSV, PDF and unknown files
+ */
+export function detectBankExportFormat(fileName, content) {
+    const name = String(fileName || '').toLowerCase();
+    if (name.endsWith('.csv') || name.endsWith('.pdf')) return null;
+    const head = (Buffer.isBuffer(content) ? content.subarray(0, 4096).toString('latin1') : String(content ?? '').slice(0, 4096));
+    if (/<(?:\w+:)?BkToCstmr(?:Stmt|AcctRpt|DbtCdtNtfctn)\b/.test(head) || /camt\.05[234]/.test(head)) return 'camt053';
+    if (/OFXHEADER\s*:|<OFX>/i.test(head)) return 'ofx';
+    if (/^\s*!(?:Type|Account|Option)\s*:/im.test(head)) return 'qif';
+    if (/^:20:/m.test(head) && /^:(?:25|28C?|60[FM]):/m.test(head)) return 'mt940';
+    if (/\.(?:xml|camt)$/.test(name)) return 'camt053';
+    if (/\.(?:sta|mt940|940)$/.test(name)) return 'mt940';
+    if (/\.(?:ofx|qfx)$/.test(name)) return 'ofx';
+    if (name.endsWith('.qif')) return 'qif';
+    return null;
+}
+
+/**
+ * Parses a bank export into extraction items `{ description, destination_name, amount, date, direction }`, plus
+ * `currency`, `valueDate`, `iban` (counterparty) and `reference` where the format carries them.
+ * @throws {Error} for unknown formats
+ */
+export function parseBankExport(buffer, format) {
+    const text = decodeBankExport(buffer);
+    switch (format) {
+        case 'camt053': return parseCamt053(text);
+        case 'mt940': return parseMt940(text);
+        case 'ofx': return parseOfx(text);
+        case 'qif': return parseQif(text);
+        default: throw new Error(`Unsupported bank export format "${format}"`);
+    }
+}
+
+// ===== CAMT.053 (ISO 20022 XML) =====
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeXml(value) {
+    return String(value ?? '')
+        .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+        .replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+            if (entity[0] === '#') {
+                const code = entity[1] === 'x' || entity[1] === 'X' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+                return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+            }
+            return XML_ENTITIES[entity.toLowerCase()] ?? match;
+        })
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/** Inner XML of every `<tag>` element (namespace prefixes ignored). */
+function xmlBlocks(xml, tag) {
+    const re = new RegExp(`<(?:\\w+:)?${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:\\w+:)?${tag}>`, 'g');
+    return [...String(xml || '').matchAll(re)].map(m => m[1]);
+}
+
+/** Text of the first element at a `/`-separated path, or null. */
+function xmlText(xml, path) {
+    let scope = xml;
+    for (const tag of path.split('/')) {
+        scope = xmlBlocks(scope, tag)[0];
+        if (scope == null) return null;
+    }
+    return decodeXml(scope) || null;
+}
+
+function xmlAttr(xml, tag, attr) {
+    const m = String(xml || '').match(new RegExp(`<(?:\\w+:)?${tag}\\s[^>]*\\b${attr}="([^"]*)"`));
+    return m ? m[1] : null;
+}
+
+function isoDate(value) {
+    const m = String(value || '').match(/(\d{4})-(\d{2})-(\d{2})/);
+    return m ? `${m[1]}-${m[2]}-${m[3]}` : null;
+}
+
+/** One item per booked entry; batch bookings with several amounted transaction details yield one item per detail. */
+export function parseCamt053(xml) {
+    const items = [];
+    for (const entry of xmlBlocks(xml, 'Ntry')) {
+        const status = xmlText(entry, 'Sts/Cd') || xmlText(entry, 'Sts');
+        if (status && !/^BOOK/i.test(status)) continue;
+        const entryDirection = /DBIT/i.test(xmlText(entry, 'CdtDbtInd') || '') ? 'out' : 'in';
+        const date = isoDate(xmlText(entry, 'BookgDt/Dt') || xmlText(entry, 'BookgDt/DtTm') || xmlText(entry, 'ValDt/Dt'));
+        const valueDate = isoDate(xmlText(entry, 'ValDt/Dt') || xmlText(entry, 'ValDt/DtTm'));
+        const entryInfo = xmlText(entry, 'AddtlNtryInf');
+        const entryAmount = xmlText(entry, 'Amt');
+        const entryCurrency = xmlAttr(entry, 'Amt', 'Ccy');
+        const entryReference = xmlText(entry, 'AcctSvcrRef');
+
+        const details = xmlBlocks(entry, 'TxDtls');
+        const ownAmount = detail => xmlText(detail, 'AmtDtls/TxAmt/Amt') || (details.length > 1 ? xmlText(detail, 'Amt') : null);
+        const split = details.length > 1 && details.every(ownAmount);
+        for (const detail of split ? details : [details[0] ?? '']) {
+            const direction = /DBIT/i.test(xmlText(detail, 'CdtDbtInd') || '') ? 'out'
+                : /CRDT/i.test(xmlText(detail, 'CdtDbtInd') || '') ? 'in'
+                : entryDirection;
+            const party = direction === 'out' ? 'Cdtr' : 'Dbtr';
+            const name = xmlText(detail, `RltdPties/${party}/Nm`) || xmlText(detail, `RltdPties/${party}/Pty/Nm`)
+                || xmlText(detail, `RltdPties/Ultmt${party}/Nm`);
+            const remittance = xmlBlocks(detail, 'Ustrd').map(decodeXml).filter(Boolean).join(' ')
+                || xmlText(detail, 'RmtInf/Strd/CdtrRefInf/Ref');
+            const description = remittance || xmlText(detail, 'AddtlTxInf') || entryInfo || name;
+            if (!description) continue;
+            items.push({
+                description,
+                destination_name: name || entryInfo || description,
+                amount: parseAmount(split ? ownAmount(detail) : entryAmount),
+                date,
+                direction,
+                currency: xmlAttr(split ? detail : entry, 'Amt', 'Ccy') || entryCurrency,
+                valueDate,
+                iban: xmlText(detail, `RltdPties/${party}Acct/Id/IBAN`),
+                reference: xmlText(detail, 'Refs/EndToEndId') || xmlText(detail, 'Refs/AcctSvcrRef') || entryReference,
+            });
+        }
+    }
+    return items.filter(item => item.amount != null);
+}
+
+// ===== MT940 (SWIFT) =====
+
+const SEPA_TAGS = ['EREF', 'KREF', 'MREF', 'CRED', 'DEBT', 'SVWZ', 'ABWA', 'ABWE', 'IBAN', 'BIC'];
+
+/** `YYMMDD` plus optional `MMDD` entry date (year taken from the value date, wrapping at new year). */
+function mt940Dates(valueYmd, entryMd) {
+    const year = 2000 + Number(valueYmd.slice(0, 2));
+    const valueDate = `${year}-${valueYmd.slice(2, 4)}-${valueYmd.slice(4, 6)}`;
+    if (!entryMd) return { date: valueDate, valueDate };
+    const valueMonth = Number(valueYmd.slice(2, 4));
+    const entryMonth = Number(entryMd.slice(0, 2));
+    const entryYear = valueMonth === 12 && entryMonth === 1 ? year + 1 : valueMonth === 1 && entryMonth === 12 ? year - 1 : year;
+    return { date: `${entryYear}-${entryMd.slice(0, 2)}-${entryMd.slice(2, 4)}`, valueDate };
+}
+
+/** Structured `:86:` field (`?20`–`?29` purpose, `?32`/`?33` name, `?31` IBAN, `?00` booking text) or free text. */
+function parseMt940Info(info) {
+    const text = String(info || '').replace(/\r?\n/g, '');
+    if (!/^\d{3}\?/.test(text) && !/^\?\d{2}/.test(text)) {
+        return { description: text.replace(/\s+/g, ' ').trim(), name: null, iban: null, bookingText: null };
+    }
+    const fields = {};
+    for (const m of text.matchAll(/\?(\d{2})([^?]*)/g)) {
+        fields[m[1]] = (fields[m[1]] || '') + m[2];
+    }
+    const join = codes => codes.map(code => fields[code] || '').join('').replace(/\s+/g, ' ').trim();
+    let purpose = join(['20', '21', '22', '23', '24', '25', '26', '27', '28', '29', '60', '61', '62', '63']);
+    // SEPA purpose: keep the remittance text after SVWZ+, drop end-to-end/mandate/creditor ids
+    const sepa = new RegExp(`(${SEPA_TAGS.join('|')})\\+`, 'g');
+    if (sepa.test(purpose)) {
+        const parts = {};
+        const chunks = purpose.split(new RegExp(`(?=(?:${SEPA_TAGS.join('|')})\\+)`));
+        for (const chunk of chunks) {
+            const m = chunk.match(/^([A-Z]{3,4})\+(.*)$/);
+            if (m) parts[m[1]] = m[2].trim();
+        }
+        purpose = parts.SVWZ || purpose.replace(sepa, '').trim();
+    }
+    return {
+        description: purpose || fields['00']?.trim() || '',
+        name: join(['32', '33']) || null,
+        iban: fields['31']?.trim() || null,
+        bookingText: fields['00']?.trim() || null,
+    };
+}
+
+export function parseMt940(text) {
+    const items = [];
+    const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n');
+    // Group continuation lines with their tag
+    const fields = [];
+    for (const line of lines) {
+        const tag = line.match(/^:(\d{2}[A-Z]?):(.*)$/);
+        if (tag) fields.push({ tag: tag[1], value: tag[2] });
+        else if (fields.length && !/^-\}?$|^\{/.test(line.trim())) fields[fields.length - 1].value += '\n' + line;
+    }
+    let currency = null;
+    for (let i = 0; i < fields.length; i++) {
+        const { tag, value } = fields[i];
+        if (tag === '60F' || tag === '60M') {
+            currency = value.match(/^[CD]\d{6}([A-Z]{3})/)?.[1] ?? currency;
+            continue;
+        }
+        if (tag !== '61') continue;
+        const m = value.match(/^(\d{6})(\d{4})?(R?[CD])[A-Z]?(\d+,\d*)([NFS][A-Z0-9]{3})([^\n/]*)(?:\/\/([^\n]*))?/);
+        if (!m) continue;
+        const [, valueYmd, entryMd, mark, amountStr, , customerRef, bankRef] = m;
+        const next = fields[i + 1];
+        const info = next?.tag === '86' ? parseMt940Info(next.value) : { description: '', name: null, iban: null, bookingText: null };
+        const description = info.description || info.bookingText || info.name || '';
+        if (!description) continue;
+        const { date, valueDate } = mt940Dates(valueYmd, entryMd);
+        items.push({
+            description,
+            destination_name: info.name || info.bookingText || description,
+            amount: parseAmount(amountStr),
+            date,
+            // RD/RC reverse a debit/credit
+            direction: mark === 'D' || mark === 'RC' ? 'out' : 'in',
+            currency,
+            valueDate,
+            iban: info.iban,
+            reference: (customerRef && customerRef !== 'NONREF' ? customerRef.trim() : null) || bankRef?.trim() || null,
+        });
+    }
+    return items.filter(item => item.amount != null);
+}
+
+// ===== OFX / QFX =====
+
+function ofxValue(block, tag) {
+    const m = String(block || '').match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+    return m ? decodeXml(m[1]) || null : null;
+}
+
+function ofxDate(value) {
+    const m = String(value || '').match(/^(\d{4})(\d{2})(\d{2})/);
+    return m ? `${m[1]}-${m[2]}-${m[3]}` : null;
+}
+
+/** SGML (OFX 1.x, unclosed leaf tags) and XML (OFX 2.x) statements; QFX is OFX with a Quicken header. */
+export function parseOfx(text) {
+    const currency = ofxValue(text, 'CURDEF');
+    return [...String(text || '').matchAll(/<STMTTRN>([\s\S]*?)(?:<\/STMTTRN>|(?=<STMTTRN>)|(?=<\/BANKTRANLIST>))/gi)]
+        .map(([, block]) => {
+            const signed = parseSignedAmount(ofxValue(block, 'TRNAMT'));
+            const name = ofxValue(block, 'NAME') || ofxValue(block, 'PAYEEID');
+            const memo = ofxValue(block, 'MEMO');
+            const description = memo || name;
+            if (signed == null || !description) return null;
+            return {
+                description,
+                destination_name: name || memo,
+                amount: Math.abs(signed),
+                date: ofxDate(ofxValue(block, 'DTPOSTED') || ofxValue(block, 'DTUSER')),
+                direction: signed < 0 ? 'out' : 'in',
+                currency: ofxValue(block, 'CURSYM') || currency,
+                valueDate: ofxDate(ofxValue(block, 'DTAVAIL')),
+                iban: null,
+                reference: ofxValue(block, 'FITID'),
+            };
+        })
+        .filter(Boolean);
+}
+
+// ===== QIF =====
+
+/** `MM/DD/YYYY`, `M/D'YY` (Quicken) and `DD.MM.YYYY` dates. */
+function qifDate(value) {
+    const s = String(value || '').replace(/\s+/g, '');
+    let m = s.match(/^(\d{1,2})\.(\d{1,2})\.(\d{2,4})$/);
+    if (m) return ymd(m[3], m[2], m[1]);
+    m = s.match(/^(\d{1,2})[/-](\d{1,2})(?:[/-]|')(\d{2,4})$/);
+    if (m) return ymd(m[3], m[1], m[2]);
+    m = s.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (m) return ymd(m[1], m[2], m[3]);
+    return null;
+}
+
+function ymd(year, month, day) {
+    const y = year.length === 2 ? 2000 + Number(year) : Number(year);
+    return `${y}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/** Bank, cash and credit card sections; investment and category lists are skipped, splits keep their total. */
+export function parseQif(text) {
+    const items = [];
+    let section = 'bank';
+    let record = {};
+    const flush = () => {
+        const signed = parseSignedAmount(record.T ?? record.U);
+        const description = record.M || record.P;
+        if (signed != null && description && /^(bank|cash|ccard|oth a|oth l)$/.test(section)) {
+            items.push({
+                description,
+                destination_name: record.P || record.M,
+                amount: Math.abs(signed),
+                date: qifDate(record.D),
+                direction: signed < 0 ? 'out' : 'in',
+                currency: null,
+                valueDate: null,
+                iban: null,
+                reference: record.N || null,
+            });
+        }
+        record = {};
+    };
+    for (const raw of String(text || '').replace(/\r\n?/g, '\n').split('\n')) {
+        const line = raw.trimEnd();
+        if (!line) continue;
+        if (line.startsWith('!')) {
+            const type = line.match(/^!Type:(.+)$/i);
+            if (type) section = type[1].trim().toLowerCase();
+            continue;
+        }
+        if (line === '^') { flush(); continue; }
+        const code = line[0];
+        // S/E/$ are split lines; the record total in T already covers them
+        if (!(code in record) && 'DTUPMN'.includes(code)) record[code] = line.slice(1).trim();
+    }
+    if (Object.keys(record).length) flush();
+    return items;
+}
+
+// ===== Amounts =====
+
+/** Signed number from `-1,234.56`, `-1.234,56`, `1234,5` or `+12.00`; the last `.`/`,` followed by 1–2 digits is the decimal mark. */
+function parseSignedAmount(value) {
+    if (value == null) return null;
+    let s = String(value).replace(/[\s\u00a0']/g, '').replace(/\u2212/g, '-');
+    if (!/\d/.test(s)) return null;
+    const decimal = s.match(/[.,](\d{1,2})$/);
+    if (decimal) {
+        const mark = s[s.length - decimal[0].length];
+        const thousands = mark === ',' ? '.' : ',';
+        s = s.split(thousands).join('').replace(mark, '.');
+    } else {
+        s = s.replace(/[.,]/g, '');
+    }
+    const num = parseFloat(s);
+    return Number.isFinite(num) ? num : null;
+}
+
+function parseAmount(value) {
+    const num = parseSignedAmount(value);
+    return num == null ? null : Number(Math.abs(num).toFixed(2));
+}
+
@@ -0,0 +1,30 @@
+/** Helpers shared by the statement and CSV profile services. */
+
+/** Profile id from a name: lowercase ASCII words joined by `-`, at most 50 characters. */
+export function slugify(value) {
+    return String(value || '')
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 50);
+}
+
+/** Trimmed, non-empty entries of an array or of newline-separated text (as typed into a textarea). */
+export function toList(value) {
+    return (Array.isArray(value) ? value : String(value ?? '').split('\n'))
+        .map(item => String(item).trim())
+        .filter(Boolean);
+}
+
+/** Base of the profile service errors; `status` is the HTTP status, `errors` every validation message. */
+export class ProfileException extends Error {
+    status;
+    errors;
+
+    constructor(message, status = 400, errors = []) {
+        super(message);
+        this.status = status;
+        this.errors = errors;
+    }
+}
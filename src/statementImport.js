@@ -0,0 +1,86 @@
+/** Duplicate detection for statement imports into an asset account (standalone import mode). */
+
+/** Tag on every transaction created by a statement import. */
+export const STATEMENT_IMPORT_TAG = 'statement-import';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const dayDiff = (a, b) => Math.abs(Date.parse(a) - Date.parse(b)) / DAY_MS;
+
+const shiftDate = (isoDate, days) => new Date(Date.parse(isoDate) + days * DAY_MS).toISOString().slice(0, 10);
+
+/** First and last statement date widened by the tolerance, for fetching the account's existing transactions. */
+export function importDateRange(items, dateToleranceDays = 2) {
+    const dates = (items || []).map(item => item.date).filter(date => /^\d{4}-\d{2}-\d{2}/.test(String(date || ''))).sort();
+    if (!dates.length) return null;
+    return { start: shiftDate(dates[0], -dateToleranceDays), end: shiftDate(dates[dates.length - 1], dateToleranceDays) };
+}
+
+/** Journals of Firefly transaction groups that move money out of (`out`) or into (`in`) the account. */
+function accountJournals(existing, accountId) {
+    const journals = [];
+    for (const group of existing || []) {
+        for (const split of group?.attributes?.transactions || []) {
+            const direction = String(split.source_id) === String(accountId) ? 'out'
+                : String(split.destination_id) === String(accountId) ? 'in' : null;
+            if (!direction) continue;
+            journals.push({
+                transactionId: String(group.id),
+                date: String(split.date || '').slice(0, 10),
+                amount: Math.abs(parseFloat(split.amount)),
+                direction,
+                description: split.description || '',
+                externalId: split.external_id || null,
+                used: false,
+            });
+        }
+    }
+    return journals;
+}
+
+/**
+ * Marks each statement row as `new`, `duplicate` (already booked on the account) or `invalid` (no date or amount).
+ * A row is a duplicate when a journal of the account carries its `reference` as external id, else when a journal
+ * has the same direction and amount within `dateToleranceDays`; the closest date wins. Each journal matches one
+ * row at most, so two equal purchases on one day against one booked journal leave one row `new`.
+ * @param {Array<object>} items Statement rows `{ description, destination_name, amount, date, direction, reference? }`
+ * @param {Array<object>} existing Firefly transaction groups of the account
+ * @returns {Array<object>} the rows with `status` and `duplicateOf: { transactionId, date, description, amount, matchedBy }`
+ */
+export function matchStatementItems(items, existing, accountId, { dateToleranceDays = 2 } = {}) {
+    const journals = accountJournals(existing, accountId);
+    const result = (items || []).map(item => {
+        const amount = Math.abs(Number(item.amount));
+        const valid = /^\d{4}-\d{2}-\d{2}/.test(String(item.date || '')) && Number.isFinite(amount) && amount > 0;
+        return { ...item, status: valid ? 'new' : 'invalid', duplicateOf: null };
+    });
+    const markDuplicate = (row, journal, matchedBy) => {
+        journal.used = true;
+        row.status = 'duplicate';
+        row.duplicateOf = {
+            transactionId: journal.transactionId,
+            date: journal.date,
+            description: journal.description,
+            amount: journal.amount,
+            matchedBy,
+        };
+    };
+
+    // References first, so an amount/date match cannot take the journal a later row names exactly
+    for (const row of result) {
+        if (row.status !== 'new' || !row.reference) continue;
+        const journal = journals.find(j => !j.used && j.externalId === String(row.reference));
+        if (journal) markDuplicate(row, journal, 'reference');
+    }
+    for (const row of result) {
+        if (row.status !== 'new') continue;
+        const amount = Math.abs(Number(row.amount));
+        const direction = row.direction === 'in' ? 'in' : 'out';
+        const journal = journals
+            .filter(j => !j.used && j.direction === direction && Math.abs(j.amount - amount) < 0.005
+                && dayDiff(j.date, row.date) <= dateToleranceDays)
+            .sort((a, b) => dayDiff(a.date, row.date) - dayDiff(b.date, row.date))[0];
+        if (journal) markDuplicate(row, journal, 'amount_date');
+    }
+    return result;
+}
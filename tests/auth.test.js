@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import App from '../src/App.js';
+import AuthService, { requiredRoleFor, isOriginAllowed, parseAllowedOrigins } from '../src/AuthService.js';
+
+function makeAuth() {
+    return AuthService.createForTest({ adminUsername: 'admin', adminPassword: 'admin-password' });
+}
+
+test('auth-1-policy: destructive routes need admin, writes need reviewer, reads need viewer', () => {
+    assert.strictEqual(requiredRoleFor('POST', '/api/transactions/delete'), 'admin');
+    assert.strictEqual(requiredRoleFor('POST', '/api/duplicates/delete'), 'admin');
+    assert.strictEqual(requiredRoleFor('POST', '/api/extraction/revert'), 'admin');
+    assert.strictEqual(requiredRoleFor('POST', '/api/extraction/import/confirm'), 'admin');
+    assert.strictEqual(requiredRoleFor('POST', '/api/dry-runs/abc/apply'), 'admin');
+    assert.strictEqual(requiredRoleFor('GET', '/api/auth/tokens'), 'admin');
+    assert.strictEqual(requiredRoleFor('POST', '/api/reviews/abc/accept'), 'reviewer');
+    assert.strictEqual(requiredRoleFor('GET', '/api/transactions/list'), 'viewer');
+    assert.strictEqual(requiredRoleFor('POST', '/api/auth/login'), 'public');
+    assert.strictEqual(requiredRoleFor('POST', '/api/auth/logout'), 'public', 'a viewer must be able to log out');
+});
+
+test('auth-2-login: valid credentials create a session, wrong password does not', async () => {
+    const auth = makeAuth();
+    assert.strictEqual(await auth.login('admin', 'wrong-password'), null);
+
+    const session = await auth.login('admin', 'admin-password');
+    assert.ok(session.token);
+    assert.deepStrictEqual(session.user, { username: 'admin', role: 'admin' });
+
+    const caller = await auth.authenticate(session.token);
+    assert.strictEqual(caller.role, 'admin');
+    assert.strictEqual(caller.type, 'session');
+
+    auth.logout(session.token);
+    assert.strictEqual(await auth.authenticate(session.token), null);
+});
+
+test('auth-3-session-expiry: sessions expire after the configured TTL', async () => {
+    const auth = AuthService.createForTest({ adminPassword: 'admin-password', sessionTtlHours: 1 });
+    const now = Date.now();
+    const session = await auth.login('admin', 'admin-password', now);
+    assert.ok(await auth.authenticate(session.token, now + 30 * 60 * 1000));
+    assert.strictEqual(await auth.authenticate(session.token, now + 61 * 60 * 1000), null);
+});
+
+test('auth-4-app-roles: API token role gates routes with 401/403', async () => {
+    const auth = makeAuth();
+    const { token } = await auth.createToken({ name: 'script', role: 'viewer' }, 'admin');
+    assert.ok(token.startsWith('ffai_'));
+    const app = App.createForTest({ authService: auth });
+
+    const anonymous = await app.authorizeForTest('GET', '/api/transactions/list', undefined);
+    assert.strictEqual(anonymous.status, 401);
+
+    const read = await app.authorizeForTest('GET', '/api/transactions/list', `Bearer ${token}`);
+    assert.strictEqual(read.ok, true);
+    assert.strictEqual(read.auth.username, 'token:script');
+
+    const destroy = await app.authorizeForTest('POST', '/api/transactions/delete', `Bearer ${token}`);
+    assert.strictEqual(destroy.status, 403);
+
+    const login = await app.authorizeForTest('POST', '/api/auth/login', undefined);
+    assert.strictEqual(login.ok, true);
+});
+
+test('auth-6-path-normalization: a trailing slash or other case does not bypass admin routes', async () => {
+    assert.strictEqual(requiredRoleFor('POST', '/api/transactions/delete/'), 'admin');
+    assert.strictEqual(requiredRoleFor('POST', '/api/Transactions/DELETE'), 'admin');
+    assert.strictEqual(requiredRoleFor('DELETE', '/api/Extraction/Profiles/bank-a/'), 'admin');
+
+    const auth = makeAuth();
+    const { token } = await auth.createToken({ name: 'reviewer-script', role: 'reviewer' }, 'admin');
+    const app = App.createForTest({ authService: auth });
+    const slash = await app.authorizeForTest('POST', '/api/transactions/delete/', `Bearer ${token}`);
+    assert.strictEqual(slash.status, 403);
+    const mixedCase = await app.authorizeForTest('POST', '/api/Transactions/DELETE', `Bearer ${token}`);
+    assert.strictEqual(mixedCase.status, 403);
+});
+
+test('auth-5-users: role validation and last admin protection', async () => {
+    const auth = makeAuth();
+    await assert.rejects(() => auth.addUser({ username: 'bob', password: 'short', role: 'viewer' }), /at least 8/);
+    await assert.rejects(() => auth.addUser({ username: 'bob', password: 'long-enough', role: 'owner' }), /role must be/);
+
+    const bob = await auth.addUser({ username: 'bob', password: 'long-enough', role: 'reviewer' });
+    assert.strictEqual(bob.role, 'reviewer');
+    assert.strictEqual('passwordHash' in bob, false);
+
+    const admin = (await auth.listUsers()).find(u => u.username === 'admin');
+    await assert.rejects(() => auth.deleteUser(admin.id), /last admin/);
+});
+
+test('auth-6-disabled-and-cors: disabled auth is anonymous admin; CORS allow-list', async () => {
+    const auth = AuthService.createForTest({ enabled: false });
+    const caller = await auth.authenticate(null);
+    assert.strictEqual(caller.role, 'admin');
+
+    const allowed = parseAllowedOrigins('https://ui.example.com/, http://localhost:5173');
+    assert.strictEqual(isOriginAllowed('https://ui.example.com', allowed), true);
+    assert.strictEqual(isOriginAllowed('https://evil.example.com', allowed), false);
+    assert.strictEqual(isOriginAllowed('https://any.example.com', ['*']), true);
+});
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectBankExportFormat, parseBankExport } from '../src/bankExports.js';
+import { markSettlementLines, buildExtractionTotals } from '../src/extractionSum.js';
+import { CAMT053_STATEMENT, MT940_STATEMENT, OFX_STATEMENT, QIF_STATEMENT } from './fixtures/bankExports.js';
+
+const pick = items => items.map(({ destination_name, amount, date, direction }) => [destination_name, amount, date, direction]);
+
+test('bank-export-1-formats: detects and parses CAMT.053, MT940, OFX and QIF exports', () => {
+    const parse = (name, content) => {
+        const format = detectBankExportFormat(name, Buffer.from(content));
+        return { format, items: parseBankExport(Buffer.from(content), format) };
+    };
+
+    const camt = parse('export.xml', CAMT053_STATEMENT);
+    assert.strictEqual(camt.format, 'camt053');
+    assert.deepStrictEqual(pick(camt.items), [
+        ['Wien Energie GmbH', 42.5, '2026-03-02', 'out'],
+        ['Muster & Co KG', 2500, '2026-03-25', 'in'],
+        ['Sportverein Favoriten', 10, '2026-03-28', 'out'],
+        ['Musikschule Wien', 20, '2026-03-28', 'out'],
+    ], 'pending entries are skipped, batch bookings split');
+    assert.deepStrictEqual(
+        { description: camt.items[0].description, iban: camt.items[0].iban, reference: camt.items[0].reference },
+        { description: 'Strom Abschlag März Kundennr 4711', iban: 'AT483200000012345864', reference: 'E2E-STROM-03' }
+    );
+
+    const mt940 = parse('umsaetze.txt', MT940_STATEMENT);
+    assert.strictEqual(mt940.format, 'mt940');
+    assert.strictEqual(mt940.items[0].description, 'Strom Abschlag Maerz Kundennr 4711');
+    assert.deepStrictEqual(mt940.items.at(-1), {
+        ...mt940.items.at(-1),
+        description: 'Storno Kontofuehrung',
+        amount: 5,
+        direction: 'out',
+        date: '2026-04-01',
+        valueDate: '2026-03-31',
+    });
+
+    const ofx = parse('download.qfx', OFX_STATEMENT);
+    assert.strictEqual(ofx.format, 'ofx');
+    assert.deepStrictEqual(pick(ofx.items), [
+        ['WHOLE FOODS MKT', 1234.5, '2026-03-03', 'out'],
+        ['PAYROLL ACME INC', 500, '2026-03-09', 'in'],
+    ]);
+    assert.strictEqual(ofx.items[0].currency, 'USD');
+
+    const qif = parse('money.qif', QIF_STATEMENT);
+    assert.strictEqual(qif.format, 'qif');
+    assert.deepStrictEqual(pick(qif.items), [
+        ['SHELL OIL 5744', 42.1, '2026-03-04', 'out'],
+        ['Transfer from savings', 1000, '2026-03-09', 'in'],
+    ]);
+
+    assert.strictEqual(detectBankExportFormat('statement.csv', 'Datum;Betrag'), null);
+    assert.strictEqual(detectBankExportFormat('notes.txt', 'hello'), null);
+});
+
+test('bank-export-2-preview: Latin-1 exports decode and feed the settlement-aware totals', () => {
+    const latin1 = Buffer.from(MT940_STATEMENT.replace('Kontofuehrung', 'Kontoführung'), 'latin1');
+    const items = parseBankExport(latin1, 'mt940');
+    assert.strictEqual(items.at(-1).description, 'Storno Kontoführung');
+
+    const marked = markSettlementLines(items);
+    assert.deepStrictEqual(marked.filter(item => item.settlementLine).map(item => item.amount), [1351.05]);
+    const { sum, hiddenSettlementLines } = buildExtractionTotals(marked);
+    assert.deepStrictEqual({ sum, hiddenSettlementLines }, { sum: 42.5 - 2500 + 5, hiddenSettlementLines: 1 });
+});
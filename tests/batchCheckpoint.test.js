@@ -0,0 +1,130 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import App from '../src/App.js';
+import JobList from '../src/JobList.js';
+import BatchCheckpointStore from '../src/BatchCheckpointStore.js';
+import { makeCategoriesMap } from './fixtures/categories.js';
+import { makeWithdrawalTx } from './fixtures/transactions.js';
+import {
+    makeAccountMappingStub,
+    makeAutoCatStub,
+    makePassthroughWordMapping,
+    makeNoHintCategoryMapping,
+} from './fixtures/stubs.js';
+
+const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'batch-checkpoints-'));
+process.env.DATA_DIR = dataDir;
+
+test('ckpt-1-store: checkpoints survive a new store instance and are removed when done', async () => {
+    const before = new BatchCheckpointStore();
+    await before.save('b1', { type: 'all', scope: 'withdrawals', transactionIds: [10, 11] });
+
+    const after = new BatchCheckpointStore();
+    const loaded = await after.load('b1');
+    assert.deepStrictEqual(loaded.transactionIds, ['10', '11']);
+    assert.strictEqual(loaded.scope, 'withdrawals');
+
+    await after.remove('b1');
+    assert.strictEqual(await new BatchCheckpointStore().load('b1'), null);
+    assert.strictEqual(await after.load('../b1'), null);
+});
+
+test('ckpt-2-resume: an interrupted batch continues at its cursor with carried-over counters', async (t) => {
+    // The batch loop logs every step; keep the runner output readable
+    t.mock.method(console, 'info', () => {});
+    t.mock.method(console, 'log', () => {});
+    const before = new JobList();
+    await before.ready();
+    const batch = before.createBatchJob('uncategorized', 3, { cursor: 0 });
+    before.updateBatchJobProgress(batch.id, { processed: 1, success: 1, band: 'auto', cursor: 1 });
+    await before.flush();
+
+    const jobList = new JobList();
+    await jobList.ready();
+    assert.strictEqual(jobList.getBatchJobStatus(batch.id), 'interrupted');
+
+    const checkpointStore = BatchCheckpointStore.createForTest();
+    await checkpointStore.save(batch.id, { type: 'uncategorized', transactionIds: ['1', '2', '3'] });
+
+    // '1' was handled before the restart, '3' was categorized by hand in the meantime
+    const firefly = {
+        getAllUncategorizedTransactions: async () => [
+            { ...makeWithdrawalTx(), id: '1' },
+            { ...makeWithdrawalTx(), id: '2' },
+        ],
+        getCategories: async () => makeCategoriesMap(),
+        updateTransactionCategory: t.mock.fn(async () => {}),
+        getCachedAccountHistory: async () => null,
+    };
+    const classify = t.mock.fn(async () => ({ category: 'Groceries', confidence: 0.9, prompt: 'p', response: 'r' }));
+    const app = App.createForTest({
+        accountCategoryMappingService: makeAccountMappingStub({ category: null }),
+        autoCategorizationService: makeAutoCatStub({ category: null }),
+        openAi: { classify },
+        wordMapping: makePassthroughWordMapping(),
+        categoryMappingService: makeNoHintCategoryMapping(),
+        failedTransactionService: {
+            removeFailedTransactionByProperties: async () => {},
+            removeFailedTransactionByFireflyId: async () => {},
+        },
+        firefly,
+        jobList,
+        checkpointStore,
+    });
+
+    await app.resumeBatchJobForTest(batch.id);
+
+    assert.strictEqual(classify.mock.callCount(), 1);
+    assert.deepStrictEqual(firefly.updateTransactionCategory.mock.calls[0].arguments, ['2', 'Groceries']);
+    const resumed = jobList.getBatchJobs().get(batch.id);
+    assert.strictEqual(resumed.status, 'finished');
+    assert.strictEqual(resumed.processedCount, 3);
+    assert.strictEqual(resumed.cursor, 3);
+    assert.strictEqual(resumed.bands.auto, 2);
+    assert.strictEqual(await checkpointStore.load(batch.id), null);
+    await jobList.flush();
+});
+
+test('ckpt-3-import-resume: a resumed import batch leaves transactions categorized in the meantime alone', async (t) => {
+    t.mock.method(console, 'info', () => {});
+    t.mock.method(console, 'log', () => {});
+    const jobList = JobList.createForTest();
+    const batch = jobList.createBatchJob('import', 2, { cursor: 0 });
+    const checkpointStore = BatchCheckpointStore.createForTest();
+    await checkpointStore.save(batch.id, { type: 'import', transactionIds: ['1', '2'] });
+
+    // '1' was categorized by hand before the import batch resumed
+    const categorized = makeWithdrawalTx();
+    categorized.attributes.transactions[0].category_name = 'Restaurants';
+    const firefly = {
+        getAllTransactions: async () => [{ ...categorized, id: '1' }, { ...makeWithdrawalTx(), id: '2' }],
+        getAllUncategorizedTransactions: async () => [{ ...makeWithdrawalTx(), id: '2' }],
+        getCategories: async () => makeCategoriesMap(),
+        updateTransactionCategory: t.mock.fn(async () => {}),
+        getCachedAccountHistory: async () => null,
+    };
+    const classify = t.mock.fn(async () => ({ category: 'Groceries', confidence: 0.9, prompt: 'p', response: 'r' }));
+    const app = App.createForTest({
+        accountCategoryMappingService: makeAccountMappingStub({ category: null }),
+        autoCategorizationService: makeAutoCatStub({ category: null }),
+        openAi: { classify },
+        wordMapping: makePassthroughWordMapping(),
+        categoryMappingService: makeNoHintCategoryMapping(),
+        failedTransactionService: {
+            removeFailedTransactionByProperties: async () => {},
+            removeFailedTransactionByFireflyId: async () => {},
+        },
+        firefly,
+        jobList,
+        checkpointStore,
+    });
+
+    await app.resumeBatchJobForTest(batch.id);
+
+    assert.strictEqual(classify.mock.callCount(), 1);
+    assert.deepStrictEqual(firefly.updateTransactionCategory.mock.calls.map(call => call.arguments[0]), ['2']);
+    assert.strictEqual(jobList.getBatchJobs().get(batch.id).processedCount, 2);
+});
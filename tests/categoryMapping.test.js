@@ -0,0 +1,115 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import App from '../src/App.js';
+import JobList from '../src/JobList.js';
+import CategoryMappingService, { CategoryMappingException } from '../src/CategoryMappingService.js';
+import { makeCategoriesMap } from './fixtures/categories.js';
+import {
+    makeAccountMappingStub,
+    makeAutoCatStub,
+    makePassthroughWordMapping,
+} from './fixtures/stubs.js';
+
+function tx({ description = '', destinationName = '', sourceName = 'Checking', type = 'withdrawal', amount = '10.00', notes = '' } = {}) {
+    return {
+        attributes: {
+            transactions: [{
+                type,
+                description,
+                destination_name: destinationName,
+                source_name: sourceName,
+                amount,
+                notes,
+            }],
+        },
+    };
+}
+
+test('cmap-1-modes: word mode stops "bp" matching "bpost"; fuzzy rules without a mode still do', () => {
+    const service = CategoryMappingService.createForTest();
+    service.addMapping({ name: 'Fuel', targetCategory: 'Transport', keywords: 'bp, shell', matchMode: 'word', directAssign: true });
+    service.addMapping({ name: 'Legacy', targetCategory: 'Groceries', keywords: 'spar', directAssign: true });
+    service.addMapping({ name: 'Card', targetCategory: 'Utilities', keywords: 'VISA \\d{4}\nref:\\s*\\w{2,3}', matchMode: 'regex' });
+
+    assert.strictEqual(service.getDirectAssignment(tx({ description: 'BPOST Brussels' })).assigned, false);
+    assert.strictEqual(service.getDirectAssignment(tx({ description: 'BP Tankstelle 12' })).category, 'Transport');
+    assert.strictEqual(service.getDirectAssignment(tx({ description: 'Sparkasse fee' })).category, 'Groceries');
+    assert.strictEqual(service.getAiHint(tx({ description: 'Payment VISA 1234' })).descriptionHint, 'visa 1234');
+});
+
+test('cmap-2-conditions: field scope, amount and type filters, AND/OR conditions', () => {
+    const service = CategoryMappingService.createForTest();
+    service.addMapping({
+        name: 'Big Amazon', targetCategory: 'Electronics', keywords: 'amazon', matchMode: 'word', field: 'payee',
+        amountMin: 100, types: ['withdrawal'], directAssign: true,
+    });
+    service.addMapping({
+        name: 'Rent', targetCategory: 'Housing', directAssign: true, combine: 'or',
+        conditions: [
+            { field: 'notes', matchMode: 'substring', value: 'miete' },
+            { field: 'description', matchMode: 'word', value: 'rent' },
+        ],
+    });
+
+    const direct = input => service.getDirectAssignment(tx(input)).category ?? null;
+    assert.strictEqual(direct({ destinationName: 'Amazon EU', amount: '149.00' }), 'Electronics');
+    assert.strictEqual(direct({ destinationName: 'Amazon EU', amount: '19.00' }), null);
+    assert.strictEqual(direct({ description: 'amazon order', destinationName: 'Card', amount: '149.00' }), null, 'payee field only');
+    assert.strictEqual(direct({ destinationName: 'Amazon EU', amount: '149.00', type: 'deposit', sourceName: 'Amazon EU' }), null);
+    assert.strictEqual(direct({ description: 'Dauerauftrag', notes: 'Miete Oktober' }), 'Housing');
+    assert.strictEqual(direct({ description: 'October rent' }), 'Housing');
+});
+
+test('cmap-3-priority: higher priority wins regardless of order; invalid rules are rejected', () => {
+    const service = CategoryMappingService.createForTest();
+    service.addMapping({ name: 'Generic', targetCategory: 'Shopping', keywords: 'amazon', matchMode: 'word', directAssign: true });
+    const prime = service.addMapping({ name: 'Prime', targetCategory: 'Subscriptions', keywords: 'amazon prime', matchMode: 'substring', directAssign: true, priority: 10 });
+
+    assert.strictEqual(service.getDirectAssignment(tx({ description: 'Amazon Prime membership' })).category, 'Subscriptions');
+    service.updateMapping(prime.id, { priority: -1 });
+    assert.strictEqual(service.getDirectAssignment(tx({ description: 'Amazon Prime membership' })).category, 'Shopping');
+
+    assert.throws(() => service.addMapping({ name: 'Bad', targetCategory: 'X', keywords: '(unclosed', matchMode: 'regex' }), CategoryMappingException);
+    assert.throws(() => service.addMapping({ name: 'Bad', targetCategory: 'X', keywords: 'a', amountMin: 50, amountMax: 10 }), /minimum amount/);
+    assert.throws(() => service.updateMapping(prime.id, { matchMode: 'glob' }), /match mode/);
+});
+
+test('cmap-4-webhook: amount and notes rules match webhook deliveries', async (t) => {
+    t.mock.method(console, 'info', () => {});
+    const service = CategoryMappingService.createForTest();
+    service.addMapping({
+        name: 'Big Amazon', targetCategory: 'Utilities', keywords: 'amazon', matchMode: 'word', field: 'payee',
+        amountMin: 100, directAssign: true,
+    });
+    service.addMapping({ name: 'Abo', targetCategory: 'Restaurants', keywords: 'abo', matchMode: 'word', field: 'notes', directAssign: true });
+    const firefly = {
+        getCategories: async () => makeCategoriesMap(),
+        setCategory: t.mock.fn(async () => {}),
+    };
+    const classify = t.mock.fn(async () => ({ category: null, prompt: 'p', response: 'r' }));
+    const app = App.createForTest({
+        accountCategoryMappingService: makeAccountMappingStub({ category: null }),
+        autoCategorizationService: makeAutoCatStub({ category: null }),
+        openAi: { classify },
+        wordMapping: makePassthroughWordMapping(),
+        categoryMappingService: service,
+        failedTransactionService: {
+            addFailedTransaction: () => {},
+            removeFailedTransactionByProperties: () => {},
+            removeFailedTransactionByFireflyId: () => {},
+        },
+        jobList: JobList.createForTest(),
+        firefly,
+    });
+    const delivery = (id, split) => ({
+        trigger: 'STORE_TRANSACTION',
+        response: 'TRANSACTIONS',
+        content: { id, transactions: [{ type: 'withdrawal', category_id: null, source_name: 'Checking', ...split }] },
+    });
+
+    await app.handleWebhookForTest(delivery('1', { description: 'AMAZON EU order', destination_name: 'Amazon EU', amount: '149.00' }));
+    await app.handleWebhookForTest(delivery('2', { description: 'Netflix', destination_name: 'Netflix', amount: '12.99', notes: 'Monatliches Abo' }));
+
+    assert.deepStrictEqual(firefly.setCategory.mock.calls.map(c => [c.arguments[0], c.arguments[2]]), [['1', '4'], ['2', '3']]);
+    assert.strictEqual(classify.mock.callCount(), 0);
+});
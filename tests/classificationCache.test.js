@@ -0,0 +1,157 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import App from '../src/App.js';
+import ClassificationCacheService, { normalizeCacheText } from '../src/ClassificationCacheService.js';
+import { makeCategoriesMap } from './fixtures/categories.js';
+import { makeWithdrawalTx } from './fixtures/transactions.js';
+import {
+    makeAccountMappingStub,
+    makeAutoCatStub,
+    makePassthroughWordMapping,
+    makeNoHintCategoryMapping,
+} from './fixtures/stubs.js';
+
+const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'classification-cache-'));
+process.env.DATA_DIR = dataDir;
+
+function makeApp(classify, classificationCacheService) {
+    return App.createForTest({
+        accountCategoryMappingService: makeAccountMappingStub({ category: null }),
+        autoCategorizationService: makeAutoCatStub({ category: null }),
+        openAi: { classify },
+        wordMapping: makePassthroughWordMapping(),
+        categoryMappingService: makeNoHintCategoryMapping(),
+        classificationCacheService,
+    });
+}
+
+test('cache-1-hit: a recurring payee with a new receipt number is answered from the cache', async (t) => {
+    const classify = t.mock.fn(async () => ({ category: 'Groceries', confidence: 0.95, prompt: 'p', response: 'r' }));
+    const cache = ClassificationCacheService.createForTest();
+    const app = makeApp(classify, cache);
+    const categories = makeCategoriesMap();
+
+    const first = await app.resolveCategoryForTest(makeWithdrawalTx({ description: 'SPAR DANKT 1234', destinationName: 'SPAR' }), categories);
+    const second = await app.resolveCategoryForTest(makeWithdrawalTx({ description: 'Spar dankt 5678', destinationName: 'SPAR' }), categories);
+
+    assert.strictEqual(normalizeCacheText('SPAR DANKT 1234'), 'spar dankt');
+    assert.strictEqual(classify.mock.callCount(), 1);
+    assert.strictEqual(first.autoRule, null);
+    assert.strictEqual(second.category, 'Groceries');
+    assert.strictEqual(second.autoRule, 'classification_cache');
+    assert.strictEqual(second.confidence, 0.95);
+    assert.deepStrictEqual(
+        { hits: cache.getStats().hits, misses: cache.getStats().misses, entries: cache.getStats().entries },
+        { hits: 1, misses: 1, entries: 1 }
+    );
+});
+
+test('cache-2-invalidation: a changed category list or an expired entry goes back to the LLM', async (t) => {
+    let now = Date.parse('2026-06-01T00:00:00Z');
+    const classify = t.mock.fn(async () => ({ category: 'Groceries', confidence: 0.9, prompt: 'p', response: 'r' }));
+    const cache = ClassificationCacheService.createForTest({ ttlDays: 30, now: () => now });
+    const app = makeApp(classify, cache);
+    const tx = makeWithdrawalTx();
+
+    await app.resolveCategoryForTest(tx, makeCategoriesMap());
+    await app.resolveCategoryForTest(tx, makeCategoriesMap(new Map([['Pets', '5']])));
+    assert.strictEqual(classify.mock.callCount(), 2);
+    assert.strictEqual(cache.getStats().invalidations, 1);
+    assert.strictEqual(cache.getStats().entries, 1);
+
+    now += 31 * 24 * 60 * 60 * 1000;
+    await app.resolveCategoryForTest(tx, makeCategoriesMap(new Map([['Pets', '5']])));
+    assert.strictEqual(classify.mock.callCount(), 3);
+    assert.strictEqual(cache.getStats().expired, 1);
+});
+
+test('cache-3-persist: entries survive a restart and clear() empties the file', async () => {
+    const input = { destinationName: 'Netflix.com', description: 'Netflix subscription', type: 'withdrawal', categoryNames: ['Utilities'] };
+    const cache = new ClassificationCacheService();
+    await cache.set(input, { category: 'Utilities', confidence: 0.99, response: 'r' });
+
+    const reloaded = new ClassificationCacheService();
+    assert.strictEqual((await reloaded.get(input))?.category, 'Utilities');
+
+    assert.strictEqual(await reloaded.clear(), 1);
+    const cleared = new ClassificationCacheService();
+    assert.strictEqual(await cleared.get(input), null);
+});
+
+test('cache-4-dry-run: dry runs and previews read the cache but never store their answers', async (t) => {
+    t.mock.method(console, 'info', () => {});
+    const classify = t.mock.fn(async () => ({ category: 'Groceries', confidence: 0.95, prompt: 'p', response: 'r' }));
+    const cache = ClassificationCacheService.createForTest();
+    const app = makeApp(classify, cache);
+    const tx = makeWithdrawalTx({ description: 'SPAR DANKT 1234', destinationName: 'SPAR' });
+
+    await app.resolveCategoryForTest(tx, makeCategoriesMap(), { dryRun: true });
+    assert.strictEqual(cache.getStats().entries, 0);
+
+    await app.resolveCategoryForTest(tx, makeCategoriesMap());
+    const preview = await app.resolveCategoryForTest(tx, makeCategoriesMap(), { dryRun: true });
+    assert.strictEqual(preview.autoRule, 'classification_cache');
+    assert.strictEqual(classify.mock.callCount(), 2);
+});
+
+test('cache-5-few-shot: changing few-shot examples keeps the key, a cache hit does not build them', async (t) => {
+    t.mock.method(console, 'info', () => {});
+    let round = 0;
+    const findSimilarExamples = t.mock.fn(() => [{ payee: 'SPAR', description: `SPAR DANKT ${round++}`, category: 'Groceries' }]);
+    const classify = t.mock.fn(async () => ({ category: 'Groceries', confidence: 0.95, prompt: 'p', response: 'r' }));
+    const cache = ClassificationCacheService.createForTest();
+    const app = App.createForTest({
+        accountCategoryMappingService: makeAccountMappingStub({ category: null }),
+        autoCategorizationService: makeAutoCatStub({ category: null }),
+        openAi: { classify },
+        wordMapping: makePassthroughWordMapping(),
+        categoryMappingService: makeNoHintCategoryMapping(),
+        classificationCacheService: cache,
+        firefly: { getCachedAccountHistory: async () => [{}] },
+        historyAnalysisService: {
+            analyzeAccountHistory: () => ({ dominantCategory: null, confidence: 0 }),
+            getThreshold: () => 0.8,
+            findSimilarExamples,
+        },
+    });
+    const tx = makeWithdrawalTx({ description: 'SPAR DANKT 1234', destinationName: 'SPAR' });
+
+    await app.resolveCategoryForTest(tx, makeCategoriesMap());
+    const second = await app.resolveCategoryForTest(tx, makeCategoriesMap());
+    assert.strictEqual(second.autoRule, 'classification_cache');
+    assert.strictEqual(classify.mock.callCount(), 1);
+    assert.strictEqual(findSimilarExamples.mock.callCount(), 1, 'examples are only built for the LLM call');
+});
+
+test('cache-6-correction: overriding an AI category evicts the cached answer for that payee', async (t) => {
+    t.mock.method(console, 'info', () => {});
+    const classify = t.mock.fn(async () => ({ category: 'Restaurants', confidence: 0.95, prompt: 'p', response: 'r' }));
+    const cache = ClassificationCacheService.createForTest();
+    const stored = { type: 'withdrawal', category_name: 'Restaurants', tags: ['AI categorized'], destination_name: 'SPAR', description: 'SPAR DANKT 1234' };
+    const app = App.createForTest({
+        accountCategoryMappingService: makeAccountMappingStub({ category: null }),
+        autoCategorizationService: makeAutoCatStub({ category: null }),
+        openAi: { classify },
+        wordMapping: makePassthroughWordMapping(),
+        categoryMappingService: makeNoHintCategoryMapping(),
+        classificationCacheService: cache,
+        firefly: {
+            getTransaction: async () => ({ data: { attributes: { transactions: [stored] } } }),
+            updateTransactionCategory: async () => {},
+        },
+    });
+    const tx = makeWithdrawalTx({ description: 'SPAR DANKT 1234', destinationName: 'SPAR' });
+    await app.resolveCategoryForTest(tx, makeCategoriesMap());
+    await cache.set({ destinationName: 'OTHER', description: 'other', type: 'withdrawal', categoryNames: [...makeCategoriesMap().keys()] },
+        { category: 'Restaurants' });
+
+    await app.updateTransactionCategoriesForTest({ transactionIds: ['1'], categoryName: 'Groceries' });
+    assert.strictEqual(cache.getStats().evictions, 1);
+    assert.strictEqual(cache.getStats().entries, 1, 'other payees keep their entries');
+
+    await app.resolveCategoryForTest(tx, makeCategoriesMap());
+    assert.strictEqual(classify.mock.callCount(), 2, 'the corrected payee goes back to the LLM');
+});
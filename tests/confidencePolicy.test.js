@@ -0,0 +1,105 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import App from '../src/App.js';
+import JobList from '../src/JobList.js';
+import ConfidencePolicyService, { worstBand } from '../src/ConfidencePolicyService.js';
+import { makeCategoriesMap } from './fixtures/categories.js';
+import { makeWithdrawalTx } from './fixtures/transactions.js';
+import {
+    makeAccountMappingStub,
+    makeAutoCatStub,
+    makePassthroughWordMapping,
+    makeNoHintCategoryMapping,
+} from './fixtures/stubs.js';
+
+function makePolicy() {
+    return ConfidencePolicyService.createForTest({
+        autoApply: 0.7,
+        review: 0.4,
+        byType: { deposit: { autoApply: 0.9 } },
+        byCategory: { 'Travel & Foreign': { autoApply: 0.95, review: 0.6 } },
+    });
+}
+
+function makeApp(t, confidence) {
+    const addReview = t.mock.fn(async () => {});
+    const app = App.createForTest({
+        accountCategoryMappingService: makeAccountMappingStub({ category: null }),
+        autoCategorizationService: makeAutoCatStub({ category: null }),
+        openAi: { classify: async () => ({ category: 'Groceries', confidence, prompt: 'p', response: 'Groceries' }) },
+        wordMapping: makePassthroughWordMapping(),
+        categoryMappingService: makeNoHintCategoryMapping(),
+        pendingReviewService: { addReview },
+        confidencePolicyService: makePolicy(),
+    });
+    return { app, addReview };
+}
+
+test('conf-1-bands: thresholds resolve category → type → default', () => {
+    const policy = makePolicy();
+    const band = (confidence, transactionType, category) => policy.evaluate({ confidence, transactionType, category }).band;
+
+    assert.strictEqual(band(0.75, 'withdrawal', 'Groceries'), 'auto');
+    assert.strictEqual(band(0.75, 'deposit', 'Groceries'), 'review');
+    assert.strictEqual(band(0.9, 'withdrawal', 'Travel & Foreign'), 'review');
+    assert.strictEqual(band(0.5, 'withdrawal', 'Travel & Foreign'), 'reject');
+    assert.strictEqual(band(0.3, 'withdrawal', 'Groceries'), 'reject');
+    assert.strictEqual(band(null, 'withdrawal', 'Groceries'), 'auto');
+    assert.strictEqual(worstBand(['auto', 'reject', 'review']), 'reject');
+});
+
+test('conf-2-validation: review above auto-apply or out of range is rejected', async () => {
+    const policy = makePolicy();
+    await assert.rejects(() => policy.updateConfig({ review: 0.8 }), /must not be above/);
+    await assert.rejects(() => policy.updateConfig({ byCategory: { Groceries: { autoApply: 1.5 } } }), /between 0 and 1/);
+
+    const updated = await policy.updateConfig({ autoApply: 0.85, byType: {} });
+    assert.strictEqual(updated.autoApply, 0.85);
+    assert.strictEqual(policy.evaluate({ confidence: 0.8, transactionType: 'deposit', category: 'Groceries' }).band, 'review');
+});
+
+test('conf-3-pipeline: middle band is queued for review, low band fails, high band applies', async (t) => {
+    const middle = makeApp(t, 0.55);
+    const queued = await middle.app.resolveCategoryForTest({ ...makeWithdrawalTx(), id: '5' }, makeCategoriesMap());
+    assert.strictEqual(queued.queuedForReview, true);
+    assert.strictEqual(queued.band, 'review');
+    assert.strictEqual(middle.addReview.mock.calls[0].arguments[0].recommendation, 'Groceries');
+    assert.strictEqual(middle.addReview.mock.calls[0].arguments[0].transactionId, '5');
+
+    const low = makeApp(t, 0.2);
+    const rejected = await low.app.resolveCategoryForTest(makeWithdrawalTx(), makeCategoriesMap());
+    assert.strictEqual(rejected.category, null);
+    assert.strictEqual(rejected.band, 'reject');
+    assert.match(rejected.response, /Low confidence/);
+    assert.strictEqual(low.addReview.mock.callCount(), 0);
+
+    const high = makeApp(t, 0.92);
+    const applied = await high.app.resolveCategoryForTest(makeWithdrawalTx(), makeCategoriesMap());
+    assert.strictEqual(applied.category, 'Groceries');
+    assert.strictEqual(applied.band, 'auto');
+});
+
+test('conf-4-batch-summary: batch jobs count transactions per band', () => {
+    const jobList = JobList.createForTest();
+    const job = jobList.createBatchJob('uncategorized', 3);
+    jobList.updateBatchJobProgress(job.id, { success: 1, band: 'auto' });
+    jobList.updateBatchJobProgress(job.id, { success: 1, band: 'review' });
+    jobList.updateBatchJobProgress(job.id, { errors: 1, band: 'reject' });
+    jobList.updateBatchJobProgress(job.id, { errors: 1, band: 'unknown' });
+    assert.deepStrictEqual(job.bands, { auto: 1, review: 1, reject: 1 });
+});
+
+test('conf-5-missing: a result without confidence gets the configured band, a real 0 is rejected', async (t) => {
+    const policy = makePolicy();
+    assert.strictEqual(policy.evaluate({ confidence: null, transactionType: 'withdrawal', category: 'Groceries' }).band, 'auto');
+    assert.strictEqual(policy.evaluate({ confidence: 0, transactionType: 'withdrawal', category: 'Groceries' }).band, 'reject');
+
+    await policy.updateConfig({ missingConfidence: 'review' });
+    assert.strictEqual(policy.evaluate({ confidence: undefined, transactionType: 'deposit', category: 'Groceries' }).band, 'review');
+    await assert.rejects(() => policy.updateConfig({ missingConfidence: 'maybe' }), /missingConfidence must be one of/);
+
+    const missing = makeApp(t, null);
+    const applied = await missing.app.resolveCategoryForTest(makeWithdrawalTx(), makeCategoriesMap());
+    assert.strictEqual(applied.category, 'Groceries', 'the default band for a missing confidence is auto');
+    assert.strictEqual(applied.confidence, null);
+});
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import CsvProfileService, { CsvProfileException, parseCsvWithProfile } from '../src/CsvProfileService.js';
+import { ProfileException } from '../src/profiles.js';
+import TransactionExtractionService from '../src/TransactionExtractionService.js';
+import { GIRO_CSV, GIRO_PROFILE, CARD_CSV, CARD_PROFILE } from './fixtures/csvExports.js';
+
+const pick = items => items.map(({ destination_name, description, amount, date, direction }) => [destination_name, description, amount, date, direction]);
+
+test('csv-profiles-1-detect: the header signature picks the profile, its formats parse the rows', async () => {
+    const csvProfileService = CsvProfileService.createForTest();
+    await csvProfileService.saveProfile(GIRO_PROFILE);
+    await csvProfileService.saveProfile(CARD_PROFILE);
+    const service = TransactionExtractionService.createForTest({ csvProfileService });
+
+    const giro = await service.parseCsvFile(Buffer.from(GIRO_CSV, 'latin1'));
+    assert.deepStrictEqual(giro._profile, { id: 'musterbank-giro', name: 'Musterbank Giro', detectedBy: 'signature', defaultTag: 'giro-import' });
+    assert.deepStrictEqual(pick(giro), [
+        ['Wien Energie GmbH', 'Strom März', 42.5, '2026-03-02', 'out'],
+        ['Billa Filiale 1040', 'Einkauf', 1234.56, '2026-03-15', 'out'],
+        ['Muster & Co KG', 'Gehalt 03/2026', 2500, '2026-03-25', 'in'],
+    ], 'rows without an amount are skipped');
+    assert.strictEqual(giro[0].valueDate, '2026-03-03');
+
+    const card = await service.parseCsvFile(Buffer.from(CARD_CSV));
+    assert.strictEqual(card._profile.id, 'example-card');
+    assert.deepStrictEqual(pick(card), [
+        ['WHOLE FOODS MKT', 'WHOLE FOODS MKT', 1234.5, '2026-03-03', 'out'],
+        ['PAYMENT THANK YOU', 'PAYMENT THANK YOU', 500, '2026-03-09', 'in'],
+    ]);
+    assert.strictEqual(card[1].reference, 'R-2');
+
+    const indicator = parseCsvWithProfile(Buffer.from('Datum;Text;Betrag;S/H\n01.03.2026;Miete;850,00;S\n05.03.2026;Rückerstattung;12,00;H\n'), {
+        ...(await csvProfileService.getProfile('musterbank-giro')),
+        encoding: 'utf-8',
+        headerRow: 0,
+        columns: { date: 'Datum', description: 'Text', amount: 'Betrag', indicator: 'S/H' },
+        signMode: 'indicator',
+    });
+    assert.deepStrictEqual(indicator.map(i => [i.amount, i.direction]), [[850, 'out'], [12, 'in']]);
+
+    const guessed = await service.parseCsvFile(Buffer.from('Date,Description,Amount\n2026-03-01,Coffee,-3.50\n'));
+    assert.strictEqual(guessed._profile, undefined, 'no matching profile: columns are guessed');
+    assert.strictEqual(guessed[0].description, 'Coffee');
+
+    const manual = await service.parseCsvFile(Buffer.from(CARD_CSV), { profileId: 'example-card' });
+    assert.strictEqual(manual._profile.detectedBy, 'manual');
+    await assert.rejects(service.parseCsvFile(Buffer.from(CARD_CSV), { profileId: 'nope' }), { status: 404 });
+});
+
+test('csv-profiles-2-crud: profiles are validated, unique and editable', async () => {
+    const service = CsvProfileService.createForTest();
+    await assert.rejects(
+        service.saveProfile({ name: 'Broken', delimiter: ':', encoding: 'ebcdic', datePattern: 'dd.MM', signMode: 'debit_credit', columns: { description: 'Text' } }),
+        error => error instanceof CsvProfileException && error instanceof ProfileException && error.status === 400 && error.errors.length === 5
+    );
+
+    const created = await service.saveProfile(CARD_PROFILE);
+    assert.deepStrictEqual(
+        { id: created.id, encoding: created.encoding, headerRow: created.headerRow, debitIndicators: created.debitIndicators },
+        { id: 'example-card', encoding: 'utf-8', headerRow: 0, debitIndicators: ['S', 'D', 'DBIT', 'Soll', 'Debit'] }
+    );
+    await assert.rejects(service.saveProfile(CARD_PROFILE), { status: 409 });
+
+    const updated = await service.saveProfile({ delimiter: '\\t', headerSignature: 'Transaction Date\nPost Date' }, 'example-card');
+    assert.deepStrictEqual([updated.delimiter, updated.headerSignature, updated.signMode], ['\t', ['Transaction Date', 'Post Date'], 'inverted']);
+    await assert.rejects(service.saveProfile({}, 'missing'), { status: 404 });
+
+    await service.deleteProfile('example-card');
+    assert.deepStrictEqual(await service.listProfiles(), []);
+    await assert.rejects(service.deleteProfile('example-card'), { status: 404 });
+});
@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import App from '../src/App.js';
+import DecisionRecordService, { hashPrompt } from '../src/DecisionRecordService.js';
+import DryRunService from '../src/DryRunService.js';
+import { makeCategoriesMap } from './fixtures/categories.js';
+import { makeWithdrawalTx } from './fixtures/transactions.js';
+import {
+    makeAccountMappingStub,
+    makeAutoCatStub,
+    makePassthroughWordMapping,
+    makeCategoryMappingStub,
+} from './fixtures/stubs.js';
+
+test('decision-1-lookup: answers why a transaction is in a category, also after it was replaced', async () => {
+    let now = Date.parse('2026-03-01T10:00:00Z');
+    const decisions = DecisionRecordService.createForTest({ now: () => now });
+    await decisions.record([
+        { transactionId: 900, journalId: 1000, category: 'Groceries', decision: { stage: 'direct_assign', ruleId: 'm1', ruleName: 'Supermarkets', matchedKeyword: 'rewe', confidence: 1 } },
+        { transactionId: 900, journalId: 1001, category: 'Household', decision: { stage: 'llm', model: 'gpt-4o-mini', confidence: 0.82, promptHash: hashPrompt('p') } },
+        { transactionId: 900, journalId: 1002, category: null },
+    ], { source: 'batch' });
+    now += 60_000;
+    await decisions.record([{ transactionId: '900', category: 'Restaurants', decision: { stage: 'manual' } }], { source: 'manual', actor: 'alice' });
+
+    const groceries = await decisions.explain('900', 'groceries');
+    assert.strictEqual(groceries.found, true);
+    const [record] = groceries.explanations;
+    assert.deepStrictEqual(
+        { journalId: record.journalId, current: record.current, stage: record.decision.stage, ruleId: record.decision.ruleId, keyword: record.decision.matchedKeyword },
+        { journalId: '1000', current: false, stage: 'direct_assign', ruleId: 'm1', keyword: 'rewe' }
+    );
+    assert.strictEqual(record.summary, '[Categorizer] "Groceries" via batch; stage: direct_assign, rule: Supermarkets (m1), keyword: "rewe", confidence: 100%');
+
+    const current = await decisions.explain('900');
+    assert.deepStrictEqual(current.explanations.map(e => [e.category, e.actor, e.current]), [['Restaurants', 'alice', true]]);
+    assert.strictEqual(current.history.length, 3, 'journals without a category are not recorded');
+    assert.strictEqual((await decisions.explain('900', 'Travel')).found, false);
+    assert.strictEqual(await decisions.explain('901'), null);
+});
+
+test('decision-2-pipeline: the LLM decision carries hint rule, model and prompt hash into records and notes', async (t) => {
+    const firefly = {
+        updateTransactionCategory: t.mock.fn(async () => {}),
+        getCachedAccountHistory: async () => null,
+        getTransaction: async id => ({ data: { ...makeWithdrawalTx(), id } }),
+    };
+    const dryRunService = DryRunService.createForTest();
+    const decisionRecordService = DecisionRecordService.createForTest({ notesEnabled: true });
+    const app = App.createForTest({
+        accountCategoryMappingService: makeAccountMappingStub({ category: null }),
+        autoCategorizationService: makeAutoCatStub({ category: null }),
+        openAi: {
+            classify: async () => ({ category: 'Groceries', confidence: 0.9, prompt: 'classify REWE', response: 'r' }),
+            getModel: () => 'gpt-4o-mini',
+        },
+        wordMapping: makePassthroughWordMapping(),
+        categoryMappingService: makeCategoryMappingStub({
+            aiHint: { descriptionHint: 'rewe', suggestedCategory: 'Groceries', mappingId: 'm7', mappingName: 'Supermarkets', matchedKeyword: 'rewe' },
+        }),
+        firefly,
+        dryRunService,
+        decisionRecordService,
+    });
+
+    const run = await dryRunService.createRun({ type: 'all', totalCount: 1 });
+    await dryRunService.addProposals(run.id, await app.proposeTransactionForTest({ ...makeWithdrawalTx(), id: '10' }, makeCategoriesMap()));
+    await app.applyDryRunForTest(run.id);
+
+    const [{ decision, source }] = (await decisionRecordService.explain('10', 'Groceries')).explanations;
+    assert.strictEqual(source, 'dry_run');
+    assert.deepStrictEqual(decision, {
+        stage: 'llm',
+        ruleId: 'm7',
+        ruleName: 'Supermarkets',
+        matchedKeyword: 'rewe',
+        model: 'gpt-4o-mini',
+        confidence: 0.9,
+        promptHash: hashPrompt('classify REWE'),
+        detail: null,
+    });
+    const [transactionId, category, { note }] = firefly.updateTransactionCategory.mock.calls[0].arguments;
+    assert.deepStrictEqual([transactionId, category], ['10', 'Groceries']);
+    assert.match(note, /stage: llm, rule: Supermarkets \(m7\), keyword: "rewe", model: gpt-4o-mini, confidence: 90%, prompt: [0-9a-f]{16}$/);
+});
@@ -0,0 +1,174 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import App from '../src/App.js';
+import DryRunService from '../src/DryRunService.js';
+import { makeCategoriesMap } from './fixtures/categories.js';
+import { makeWithdrawalTx, makeSplitWithdrawalTx } from './fixtures/transactions.js';
+import {
+    makeAccountMappingStub,
+    makeAutoCatStub,
+    makePassthroughWordMapping,
+    makeNoHintCategoryMapping,
+} from './fixtures/stubs.js';
+import { resetDataDir } from '../src/storage.js';
+
+/** `stored` holds the transactions as Firefly has them when proposals are applied, by id. */
+function makeFirefly(t, history = null, stored = {}) {
+    return {
+        updateTransactionCategory: t.mock.fn(async () => {}),
+        updateSplitCategories: t.mock.fn(async () => {}),
+        getCachedAccountHistory: t.mock.fn(async () => history),
+        getTransaction: async id => ({ data: stored[id] }),
+    };
+}
+
+function makeApp(t, { classify, firefly, ...deps } = {}) {
+    return App.createForTest({
+        accountCategoryMappingService: makeAccountMappingStub({ category: null }),
+        autoCategorizationService: makeAutoCatStub({ category: null }),
+        openAi: { classify: classify ?? (async () => ({ category: 'Groceries', confidence: 0.9, prompt: 'p', response: 'r' })) },
+        wordMapping: makePassthroughWordMapping(),
+        categoryMappingService: makeNoHintCategoryMapping(),
+        firefly: firefly ?? makeFirefly(t),
+        ...deps,
+    });
+}
+
+test('dry-1-proposal: the full pipeline runs but nothing is written', async (t) => {
+    const firefly = makeFirefly(t);
+    const app = makeApp(t, { firefly });
+    const tx = { ...makeWithdrawalTx(), id: '77' };
+
+    const [proposal] = await app.proposeTransactionForTest(tx, makeCategoriesMap());
+
+    assert.strictEqual(proposal.transactionId, '77');
+    assert.strictEqual(proposal.proposedCategory, 'Groceries');
+    assert.strictEqual(proposal.source, 'ai');
+    assert.strictEqual(proposal.confidence, 0.9);
+    assert.strictEqual(firefly.updateTransactionCategory.mock.callCount(), 0);
+});
+
+test('dry-2-review: history/AI disagreement is flagged instead of queued', async (t) => {
+    const addReview = t.mock.fn(async () => {});
+    const app = makeApp(t, {
+        classify: async () => ({ category: 'Restaurants', confidence: 0.6, prompt: 'p', response: 'r' }),
+        firefly: makeFirefly(t, [{}]),
+        historyAnalysisService: {
+            analyzeAccountHistory: () => ({ dominantCategory: 'Groceries', confidence: 0.95 }),
+            getThreshold: () => 0.8,
+            findSimilarExamples: () => [],
+        },
+        pendingReviewService: { addReview },
+    });
+
+    const [proposal] = await app.proposeTransactionForTest({ ...makeWithdrawalTx(), id: '78' }, makeCategoriesMap());
+
+    assert.strictEqual(addReview.mock.callCount(), 0);
+    assert.strictEqual(proposal.reviewSuggested, true);
+    assert.strictEqual(proposal.proposedCategory, 'Groceries');
+    assert.strictEqual(proposal.source, 'history_vs_ai');
+});
+
+test('dry-3-filter-export: proposals filter by category, confidence and text; CSV escapes', async () => {
+    const svc = DryRunService.createForTest();
+    const run = await svc.createRun({ type: 'uncategorized', totalCount: 2 });
+    await svc.addProposals(run.id, [
+        { id: '1-0', transactionId: '1', description: 'REWE, Markt', proposedCategory: 'Groceries', source: 'ai', confidence: 0.95 },
+        { id: '2-0', transactionId: '2', description: 'Pizza', proposedCategory: 'Restaurants', source: 'ai', confidence: 0.4 },
+    ]);
+
+    const stored = await svc.getRun(run.id);
+    assert.deepStrictEqual(svc.filterProposals(stored, { minConfidence: 0.5 }).map(p => p.id), ['1-0']);
+    assert.deepStrictEqual(svc.filterProposals(stored, { category: 'Restaurants' }).map(p => p.id), ['2-0']);
+    assert.deepStrictEqual(svc.filterProposals(stored, { search: 'rewe' }).map(p => p.id), ['1-0']);
+
+    const csv = svc.toCsv(stored.proposals).split('\r\n');
+    assert.ok(csv[0].startsWith('id,transactionId,journalId'));
+    assert.ok(csv[1].includes('"REWE, Markt"'));
+});
+
+test('dry-4-apply-subset: selected proposals are written once, without the LLM', async (t) => {
+    const classify = t.mock.fn(async () => ({ category: 'Groceries', confidence: 0.9, prompt: 'p', response: 'r' }));
+    const single = { ...makeWithdrawalTx(), id: '10' };
+    const split = makeSplitWithdrawalTx();
+    const firefly = makeFirefly(t, null, { 10: single, 900: split });
+    const dryRunService = DryRunService.createForTest();
+    const app = makeApp(t, { classify, firefly, dryRunService });
+    const categories = makeCategoriesMap(new Map([['Household', '5']]));
+
+    const run = await dryRunService.createRun({ type: 'all', totalCount: 2 });
+    await dryRunService.addProposals(run.id, [
+        ...await app.proposeTransactionForTest(single, categories),
+        ...await app.proposeTransactionForTest(split, categories),
+    ]);
+    assert.strictEqual(classify.mock.callCount(), 3);
+
+    const result = await app.applyDryRunForTest(run.id, ['900-1000', '900-1001']);
+    assert.deepStrictEqual(result, { applied: 2, failed: 0, stale: 0 });
+    assert.strictEqual(firefly.updateTransactionCategory.mock.callCount(), 0);
+    assert.deepStrictEqual(firefly.updateSplitCategories.mock.calls[0].arguments, ['900', { 1000: 'Groceries', 1001: 'Groceries' }]);
+
+    const rest = await app.applyDryRunForTest(run.id);
+    assert.deepStrictEqual(rest, { applied: 1, failed: 0, stale: 0 });
+    assert.deepStrictEqual(firefly.updateTransactionCategory.mock.calls[0].arguments, ['10', 'Groceries']);
+    assert.strictEqual(classify.mock.callCount(), 3);
+});
+
+test('dry-5-journal: proposals are appended, not rewritten with every run, and survive a reload', async (t) => {
+    t.mock.method(console, 'info', () => {});
+    const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'dry-run-test-'));
+    const origDataDir = process.env.DATA_DIR;
+    resetDataDir();
+    process.env.DATA_DIR = tmpDir;
+    t.after(async () => {
+        if (origDataDir === undefined) delete process.env.DATA_DIR;
+        else process.env.DATA_DIR = origDataDir;
+        resetDataDir();
+        await fs.rm(tmpDir, { recursive: true, force: true });
+    });
+    const runsOnDisk = async () => JSON.parse(await fs.readFile(path.join(tmpDir, 'dry-runs.json'), 'utf8'));
+
+    const svc = new DryRunService();
+    const run = await svc.createRun({ type: 'uncategorized', totalCount: 2 });
+    await svc.addProposals(run.id, [{ id: '1-0', transactionId: '1', proposedCategory: 'Groceries' }]);
+    await svc.addProposals(run.id, [{ id: '2-0', transactionId: '2', proposedCategory: 'Restaurants' }]);
+    assert.strictEqual((await runsOnDisk())[0].proposals.length, 0, 'adding proposals leaves dry-runs.json alone');
+
+    const reloaded = new DryRunService();
+    assert.deepStrictEqual((await reloaded.getRun(run.id)).proposals.map(p => p.id), ['1-0', '2-0']);
+    assert.strictEqual((await reloaded.getRun(run.id)).status, 'interrupted');
+
+    await reloaded.finishRun(run.id);
+    assert.strictEqual((await runsOnDisk())[0].proposals.length, 2, 'writing the runs folds the journal in');
+    assert.strictEqual(await fs.readFile(path.join(tmpDir, 'dry-run-proposals.jsonl'), 'utf8'), '');
+    assert.strictEqual((await new DryRunService().getRun(run.id)).proposals.length, 2);
+});
+
+test('dry-6-apply-guards: apply-all leaves review-band proposals out and never overwrites a category set since the run', async (t) => {
+    t.mock.method(console, 'info', () => {});
+    const edited = { ...makeWithdrawalTx(), id: '11' };
+    const firefly = makeFirefly(t, null, {
+        10: { ...makeWithdrawalTx(), id: '10' },
+        11: { ...edited, attributes: { transactions: [{ ...edited.attributes.transactions[0], category_name: 'Restaurants' }] } },
+        12: { ...makeWithdrawalTx(), id: '12' },
+    });
+    const dryRunService = DryRunService.createForTest();
+    const app = makeApp(t, { firefly, dryRunService });
+    const proposal = (id, extra = {}) => ({ id: `${id}-0`, transactionId: id, journalId: null, splitCount: 1, currentCategory: null, proposedCategory: 'Groceries', ...extra });
+
+    const run = await dryRunService.createRun({ type: 'all', totalCount: 3 });
+    await dryRunService.addProposals(run.id, [proposal('10'), proposal('11'), proposal('12', { band: 'review', reviewSuggested: true })]);
+
+    assert.deepStrictEqual(await app.applyDryRunForTest(run.id), { applied: 1, failed: 0, stale: 1 });
+    assert.deepStrictEqual(firefly.updateTransactionCategory.mock.calls.map(c => c.arguments[0]), ['10']);
+    const stored = await dryRunService.getRun(run.id);
+    assert.strictEqual(stored.proposals[1].status, 'stale');
+    assert.match(stored.proposals[1].error, /now "Restaurants"/);
+    assert.strictEqual(stored.proposals[2].status, 'pending', 'a review-band proposal waits for an explicit selection');
+
+    assert.deepStrictEqual(await app.applyDryRunForTest(run.id, ['12-0']), { applied: 1, failed: 0, stale: 0 });
+    assert.deepStrictEqual(await dryRunService.getApplicableProposals(run.id), []);
+});
@@ -0,0 +1,115 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import App from '../src/App.js';
+import ConfidencePolicyService from '../src/ConfidencePolicyService.js';
+import { SpendCapException } from '../src/UsageService.js';
+import { makeCategoriesMap } from './fixtures/categories.js';
+import {
+    makeAccountMappingStub,
+    makeAutoCatStub,
+    makePassthroughWordMapping,
+    makeNoHintCategoryMapping,
+} from './fixtures/stubs.js';
+
+const extractionConfigStub = { getConfig: () => ({ accountCurrency: 'EUR' }) };
+
+function makeApp(t, confidence) {
+    const addReview = t.mock.fn(async () => {});
+    const app = App.createForTest({
+        accountCategoryMappingService: makeAccountMappingStub({ category: null }),
+        autoCategorizationService: makeAutoCatStub({ category: null }),
+        openAi: { classify: async () => ({ category: 'Groceries', confidence, prompt: 'p', response: 'Groceries' }) },
+        wordMapping: makePassthroughWordMapping(),
+        categoryMappingService: makeNoHintCategoryMapping(),
+        transactionExtractionService: extractionConfigStub,
+        pendingReviewService: { addReview },
+        confidencePolicyService: ConfidencePolicyService.createForTest({ autoApply: 0.7, review: 0.4 }),
+    });
+    return { app, addReview };
+}
+
+const line = { date: '2026-03-04', destination_name: 'BILLA', description: 'BILLA DANKT 1234', direction: 'out', amount: 23.4 };
+
+test('extract-cat-1-proposal: preview lines carry the pipeline category and band, review proposals queue nothing', async (t) => {
+    t.mock.method(console, 'info', () => {});
+    const high = makeApp(t, 0.92);
+    const [auto] = await high.app.proposeExtractionCategoriesForTest([line], makeCategoriesMap(), { currency_code: 'EUR' });
+    assert.strictEqual(auto.category, 'Groceries');
+    assert.strictEqual(auto.proposedCategory, 'Groceries');
+    assert.strictEqual(auto.categoryBand, 'auto');
+    assert.strictEqual(auto.categoryDecision.stage, 'llm');
+    assert.strictEqual(auto.amount, 23.4, 'the extracted fields are kept');
+
+    const middle = makeApp(t, 0.55);
+    const [review] = await middle.app.proposeExtractionCategoriesForTest([line], makeCategoriesMap());
+    assert.strictEqual(review.category, 'Groceries', 'the review recommendation is proposed for confirmation');
+    assert.strictEqual(review.categoryBand, 'review');
+    assert.strictEqual(middle.addReview.mock.callCount(), 0, 'a preview never queues a review');
+
+    const failing = App.createForTest({
+        accountCategoryMappingService: makeAccountMappingStub({ category: null }),
+        autoCategorizationService: makeAutoCatStub({ category: null }),
+        openAi: { classify: async () => { throw new Error('provider down'); } },
+        wordMapping: makePassthroughWordMapping(),
+        categoryMappingService: makeNoHintCategoryMapping(),
+        transactionExtractionService: extractionConfigStub,
+    });
+    t.mock.method(console, 'warn', () => {});
+    t.mock.method(console, 'error', () => {});
+    const [none] = await failing.proposeExtractionCategoriesForTest([line], makeCategoriesMap());
+    assert.strictEqual(none.category, null);
+    assert.strictEqual(none.description, line.description);
+});
+
+test('extract-cat-2-confirm: the confirmed category wins and is recorded as manual', async (t) => {
+    t.mock.method(console, 'info', () => {});
+    const { app } = makeApp(t, 0.55);
+    const categories = makeCategoriesMap();
+    const aiDecision = { stage: 'llm', confidence: 0.91, model: 'm' };
+
+    const kept = await app.extractionLineCategoryForTest({ ...line, category: 'Groceries', proposedCategory: 'Groceries', categoryDecision: aiDecision }, categories);
+    assert.strictEqual(kept.category, 'Groceries');
+    assert.strictEqual(kept.decision.stage, 'manual', 'a decision sent back by the client is not trusted');
+    assert.notStrictEqual(kept.decision.confidence, 0.91);
+
+    const edited = await app.extractionLineCategoryForTest({ ...line, category: 'Restaurants', proposedCategory: 'Groceries', categoryDecision: aiDecision }, categories);
+    assert.strictEqual(edited.category, 'Restaurants');
+    assert.strictEqual(edited.decision.stage, 'manual');
+
+    const cleared = await app.extractionLineCategoryForTest({ ...line, category: '', proposedCategory: 'Groceries' }, categories);
+    assert.deepStrictEqual(cleared, { category: null, decision: null });
+    const unknown = await app.extractionLineCategoryForTest({ ...line, category: 'Not in Firefly' }, categories);
+    assert.strictEqual(unknown.category, null);
+
+    const unconfirmedReview = await app.extractionLineCategoryForTest({ ...line }, categories);
+    assert.strictEqual(unconfirmedReview.category, null, 'without a preview only an auto-band proposal is written');
+    const unconfirmedAuto = await makeApp(t, 0.92).app.extractionLineCategoryForTest({ ...line }, categories);
+    assert.strictEqual(unconfirmedAuto.category, 'Groceries');
+});
+
+test('extract-cat-3-spend-cap: unconfirmed lines stop asking the pipeline once the spend cap is reached', async (t) => {
+    t.mock.method(console, 'info', () => {});
+    t.mock.method(console, 'warn', () => {});
+    t.mock.method(console, 'error', () => {});
+    const classify = t.mock.fn(async () => { throw new SpendCapException(5, 5); });
+    const app = App.createForTest({
+        accountCategoryMappingService: makeAccountMappingStub({ category: null }),
+        autoCategorizationService: makeAutoCatStub({ category: null }),
+        openAi: { classify },
+        wordMapping: makePassthroughWordMapping(),
+        categoryMappingService: makeNoHintCategoryMapping(),
+        transactionExtractionService: extractionConfigStub,
+    });
+    const categories = makeCategoriesMap();
+    const proposing = { stopped: false };
+
+    const first = await app.extractionLineCategoryForTest({ ...line }, categories, {}, proposing);
+    const second = await app.extractionLineCategoryForTest({ ...line, description: 'SPAR 99' }, categories, {}, proposing);
+    assert.deepStrictEqual(first, { category: null, decision: null });
+    assert.deepStrictEqual(second, { category: null, decision: null });
+    assert.strictEqual(proposing.stopped, true);
+    assert.strictEqual(classify.mock.callCount(), 1, 'the second line is not sent to the provider');
+
+    const confirmed = await app.extractionLineCategoryForTest({ ...line, category: 'Groceries' }, categories, {}, proposing);
+    assert.strictEqual(confirmed.category, 'Groceries', 'confirmed categories are still written');
+});
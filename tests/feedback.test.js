@@ -0,0 +1,105 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import App from '../src/App.js';
+import FeedbackService from '../src/FeedbackService.js';
+
+function correction(transactionId, overrides = {}) {
+    return {
+        transactionId,
+        originalCategory: 'Restaurants',
+        newCategory: 'Groceries',
+        transactionType: 'withdrawal',
+        sourceName: 'Checking',
+        sourceId: '1',
+        destinationName: 'SPAR',
+        destinationId: '77',
+        description: `SPAR DANKT ${transactionId}`,
+        origin: 'manual_update',
+        ...overrides,
+    };
+}
+
+test('feedback-1-manual-update: overriding an AI-tagged category records a feedback event', async () => {
+    const feedbackService = FeedbackService.createForTest();
+    const stored = {
+        '1': { type: 'withdrawal', category_name: 'Restaurants', tags: ['AI categorized'], source_name: 'Checking', source_id: '1', destination_name: 'SPAR', destination_id: '77', description: 'SPAR DANKT 1' },
+        '2': { category_name: 'Restaurants', tags: [], destination_name: 'SPAR', destination_id: '77', description: 'SPAR DANKT 2' },
+    };
+    const firefly = {
+        getTransaction: async id => ({ data: { attributes: { transactions: [stored[id]] } } }),
+        updateTransactionCategory: async () => {},
+    };
+    const app = App.createForTest({ firefly, feedbackService });
+
+    const result = await app.updateTransactionCategoriesForTest({ transactionIds: ['1', '2'], categoryName: 'Groceries' });
+
+    assert.strictEqual(result.successCount, 2);
+    const events = await feedbackService.getEvents();
+    assert.strictEqual(events.length, 1, 'untagged (manually categorized) transactions are not AI corrections');
+    assert.deepStrictEqual(
+        { id: events[0].transactionId, from: events[0].originalCategory, to: events[0].newCategory, payee: events[0].destinationName },
+        { id: '1', from: 'Restaurants', to: 'Groceries', payee: 'SPAR' }
+    );
+    assert.deepStrictEqual([events[0].transactionType, events[0].sourceId], ['withdrawal', '1']);
+});
+
+test('feedback-2-suggestions: repeated agreeing corrections suggest an account rule, else a keyword rule', async () => {
+    const feedbackService = FeedbackService.createForTest({ minEvents: 3, agreement: 0.8 });
+    for (const id of ['1', '2', '3']) await feedbackService.recordCorrection(correction(id));
+    // Two corrections of the same transaction count once
+    await feedbackService.recordCorrection(correction('3', { newCategory: 'Groceries', originalCategory: 'Utilities' }));
+    for (const id of ['10', '11', '12']) {
+        await feedbackService.recordCorrection(correction(id, { destinationName: 'Amazon', destinationId: `a${id}`, newCategory: 'Utilities' }));
+    }
+    await feedbackService.recordCorrection(correction('20', { destinationName: 'Cafe', destinationId: '5', newCategory: 'Restaurants', originalCategory: 'Groceries' }));
+
+    const suggestions = await feedbackService.getSuggestions();
+
+    assert.deepStrictEqual(
+        suggestions.map(s => [s.kind, s.payee, s.category, s.corrections]).sort(),
+        [['account', 'SPAR', 'Groceries', 3], ['keyword', 'Amazon', 'Utilities', 3]]
+    );
+    const spar = suggestions.find(s => s.kind === 'account');
+    assert.strictEqual(spar.accountId, '77');
+    assert.strictEqual(spar.accountType, 'expense');
+    assert.deepStrictEqual(spar.fromCategories, { Restaurants: 2, Utilities: 1 });
+});
+
+test('feedback-3-hidden: a suggestion is hidden once dismissed or covered by an existing rule', async () => {
+    const feedbackService = FeedbackService.createForTest({ minEvents: 2 });
+    for (const id of ['1', '2']) await feedbackService.recordCorrection(correction(id));
+    for (const id of ['3', '4']) await feedbackService.recordCorrection(correction(id, { destinationName: 'Lidl', destinationId: null }));
+
+    const [first, second] = await feedbackService.getSuggestions();
+    await feedbackService.markSuggestion(first.id, 'dismissed');
+    assert.deepStrictEqual((await feedbackService.getSuggestions()).map(s => s.id), [second.id]);
+
+    const covered = await feedbackService.getSuggestions({
+        accountMappings: [{ accountId: '77', targetCategory: 'Groceries', enabled: true }],
+        categoryMappings: [{ keywords: ['LIDL'], targetCategory: 'Groceries', enabled: true }],
+    });
+    assert.deepStrictEqual(covered, []);
+});
+
+test('feedback-4-counterparty: deposits suggest a rule on the revenue account, never on the own asset account', async () => {
+    const feedbackService = FeedbackService.createForTest({ minEvents: 2 });
+    const deposit = id => correction(id, {
+        transactionType: 'deposit',
+        originalCategory: 'Groceries',
+        newCategory: 'Salary',
+        sourceName: 'ACME GmbH',
+        sourceId: '300',
+        destinationName: 'Checking',
+        destinationId: '1',
+    });
+    for (const id of ['1', '2']) await feedbackService.recordCorrection(deposit(id));
+    const transfer = id => correction(id, { transactionType: 'transfer', sourceName: 'Checking', destinationName: 'Savings', destinationId: '2', newCategory: 'Savings' });
+    for (const id of ['3', '4']) await feedbackService.recordCorrection(transfer(id));
+
+    const suggestions = await feedbackService.getSuggestions();
+
+    assert.deepStrictEqual(
+        suggestions.map(s => [s.kind, s.payee, s.accountId, s.accountType, s.category]).sort(),
+        [['account', 'ACME GmbH', '300', 'revenue', 'Salary'], ['keyword', 'Savings', null, null, 'Savings']]
+    );
+});
@@ -0,0 +1,125 @@
+// One small export per native bank format (synthetic data, real structure)
+
+export const CAMT053_STATEMENT = `<?xml version="1.0" encoding="UTF-8"?>
+<Document xmlns="urn:iso:std:iso:20022:tech:xsd:camt.053.001.02">
+  <BkToCstmrStmt>
+    <GrpHdr><MsgId>STMT-2026-03</MsgId><CreDtTm>2026-04-01T06:00:00</CreDtTm></GrpHdr>
+    <Stmt>
+      <Acct><Id><IBAN>AT611904300234573201</IBAN></Id><Ccy>EUR</Ccy></Acct>
+      <Ntry>
+        <Amt Ccy="EUR">42.50</Amt>
+        <CdtDbtInd>DBIT</CdtDbtInd>
+        <Sts>BOOK</Sts>
+        <BookgDt><Dt>2026-03-02</Dt></BookgDt>
+        <ValDt><Dt>2026-03-03</Dt></ValDt>
+        <AcctSvcrRef>BANKREF-1</AcctSvcrRef>
+        <NtryDtls><TxDtls>
+          <Refs><EndToEndId>E2E-STROM-03</EndToEndId></Refs>
+          <RltdPties>
+            <Cdtr><Nm>Wien Energie GmbH</Nm></Cdtr>
+            <CdtrAcct><Id><IBAN>AT483200000012345864</IBAN></Id></CdtrAcct>
+          </RltdPties>
+          <RmtInf><Ustrd>Strom Abschlag M&#228;rz</Ustrd><Ustrd>Kundennr 4711</Ustrd></RmtInf>
+        </TxDtls></NtryDtls>
+      </Ntry>
+      <Ntry>
+        <Amt Ccy="EUR">2500.00</Amt>
+        <CdtDbtInd>CRDT</CdtDbtInd>
+        <Sts>BOOK</Sts>
+        <BookgDt><Dt>2026-03-25</Dt></BookgDt>
+        <ValDt><Dt>2026-03-25</Dt></ValDt>
+        <NtryDtls><TxDtls>
+          <RltdPties><Dbtr><Nm>Muster &amp; Co KG</Nm></Dbtr></RltdPties>
+          <RmtInf><Ustrd>Gehalt 03/2026</Ustrd></RmtInf>
+        </TxDtls></NtryDtls>
+      </Ntry>
+      <Ntry>
+        <Amt Ccy="EUR">30.00</Amt>
+        <CdtDbtInd>DBIT</CdtDbtInd>
+        <Sts>BOOK</Sts>
+        <BookgDt><Dt>2026-03-28</Dt></BookgDt>
+        <AddtlNtryInf>SAMMLER 2 Posten</AddtlNtryInf>
+        <NtryDtls>
+          <TxDtls>
+            <AmtDtls><TxAmt><Amt Ccy="EUR">10.00</Amt></TxAmt></AmtDtls>
+            <RltdPties><Cdtr><Nm>Sportverein Favoriten</Nm></Cdtr></RltdPties>
+            <RmtInf><Ustrd>Mitgliedsbeitrag</Ustrd></RmtInf>
+          </TxDtls>
+          <TxDtls>
+            <AmtDtls><TxAmt><Amt Ccy="EUR">20.00</Amt></TxAmt></AmtDtls>
+            <RltdPties><Cdtr><Nm>Musikschule Wien</Nm></Cdtr></RltdPties>
+            <RmtInf><Ustrd>Kursgebuehr</Ustrd></RmtInf>
+          </TxDtls>
+        </NtryDtls>
+      </Ntry>
+      <Ntry>
+        <Amt Ccy="EUR">9.99</Amt>
+        <CdtDbtInd>DBIT</CdtDbtInd>
+        <Sts>PDNG</Sts>
+        <BookgDt><Dt>2026-03-31</Dt></BookgDt>
+        <AddtlNtryInf>Vorgemerkt: Streaming</AddtlNtryInf>
+      </Ntry>
+    </Stmt>
+  </BkToCstmrStmt>
+</Document>`;
+
+export const MT940_STATEMENT = `:20:STARTUMS
+:25:12030000/1234567890
+:28C:00003/001
+:60F:C260301EUR1500,00
+:61:2603020302DR42,50NDDTNONREF//BANK-1
+:86:105?00SEPA-LASTSCHRIFT?20EREF+E2E-STROM-03?21SVWZ+Strom Abschlag Mae?22rz Kundennr 4711?30BKAUATWW?31AT483200000012345864?32Wien Energie GmbH
+:61:2603150315DR1351,05NDDTNONREF
+:86:Abbuchung Kartenabrechnung 02/2026
+:61:2603250325CR2500,NTRFNONREF
+:86:166?00GUTSCHRIFT?20Gehalt 03/2026?32Muster & Co KG
+:61:2603310401RC5,00NMSCNONREF
+:86:Storno Kontofuehrung
+:62F:C260331EUR3952,50
+-`;
+
+export const OFX_STATEMENT = `OFXHEADER:100
+DATA:OFXSGML
+VERSION:102
+CHARSET:1252
+
+<OFX>
+<BANKMSGSRSV1><STMTTRNRS><STMTRS>
+<CURDEF>USD
+<BANKTRANLIST>
+<DTSTART>20260301
+<DTEND>20260331
+<STMTTRN>
+<TRNTYPE>DEBIT
+<DTPOSTED>20260303120000[-5:EST]
+<TRNAMT>-1,234.50
+<FITID>202603030001
+<NAME>WHOLE FOODS MKT
+<MEMO>AUSTIN TX
+</STMTTRN>
+<STMTTRN>
+<TRNTYPE>CREDIT
+<DTPOSTED>20260309
+<TRNAMT>500.00
+<FITID>202603090002
+<NAME>PAYROLL ACME INC
+</STMTTRN>
+</BANKTRANLIST>
+</STMTRS></STMTTRNRS></BANKMSGSRSV1>
+</OFX>`;
+
+export const QIF_STATEMENT = `!Type:Bank
+D3/ 4'26
+T-42.10
+PSHELL OIL 5744
+MFuel
+N1001
+^
+D03/09/2026
+T1,000.00
+PTransfer from savings
+^
+!Type:Cat
+NGroceries
+E
+^`;
@@ -0,0 +1,39 @@
+// CSV exports as banks ship them (synthetic data, real layout)
+
+// Semicolon-separated, Windows-1252, four preamble lines, separate debit/credit columns
+export const GIRO_CSV = `Kontoumsätze;;;;;
+IBAN;AT611904300234573201;;;;
+Zeitraum;01.03.2026 - 31.03.2026;;;;
+
+Buchungstag;Valuta;Empfänger;Verwendungszweck;Soll;Haben
+02.03.2026;03.03.2026;Wien Energie GmbH;Strom März;-42,50;
+15.03.2026;15.03.2026;Billa Filiale 1040;Einkauf;1.234,56;
+25.03.2026;25.03.2026;Muster & Co KG;Gehalt 03/2026;;2.500,00
+31.03.2026;31.03.2026;;Kontoführung;;
+`;
+
+export const GIRO_PROFILE = {
+    name: 'Musterbank Giro',
+    delimiter: ';',
+    encoding: 'windows-1252',
+    headerRow: 4,
+    columns: { date: 'Buchungstag', valueDate: 'Valuta', description: 'Verwendungszweck', destination: 'Empfänger', debit: 'Soll', credit: 'Haben' },
+    datePattern: 'dd.MM.yyyy',
+    signMode: 'debit_credit',
+    defaultTag: 'giro-import',
+};
+
+// Comma-separated card export, US formats, charges positive
+export const CARD_CSV = `Transaction Date,Post Date,Description,Amount,Reference
+03/03/26,03/04/26,WHOLE FOODS MKT,"1,234.50",R-1
+03/09/26,03/09/26,PAYMENT THANK YOU,-500.00,R-2
+`;
+
+export const CARD_PROFILE = {
+    name: 'Example Card',
+    delimiter: ',',
+    columns: { date: 'Transaction Date', description: 'Description', amount: 'Amount', reference: 'Reference' },
+    datePattern: 'MM/dd/yy',
+    decimalSeparator: '.',
+    signMode: 'inverted',
+};
@@ -0,0 +1,35 @@
+// Text as pdf-parse returns it for one statement per profile (synthetic data, real layouts)
+
+/** German/Austrian card statement, one table row per line (`default` profile). */
+export const DEFAULT_STATEMENT = `Musterbank Kreditkarte
+Kartenabrechnung März 2026
+Umsatzdatum Buchungsdatum Beschreibung Betrag
+01.03.2026 02.03.2026 REWE Markt Wien EUR -23,40
+03.03.2026 04.03.2026 AMAZON EU SARL, LU EUR -59,99
+05.03.2026 06.03.2026 OPENAI *CHATGPT SUBSCR USD 20,00 0,9210 EUR -18,42
+10.03.2026 10.03.2026 Zahlung Vormonat EUR 250,00
+Seite 1 von 1
+Kontostand NEU EUR -101,81`;
+
+/** Raiffeisen CardService: the merchant line sits above its amount line, which carries both dates. */
+export const RAIFFEISEN_STATEMENT = `Raiffeisen CardService
+Kartenabrechnung
+Rechnungsbetrag von EUR 88,19
+Betrag Umsatzdatum Buchungsdatum
+BILLA DANKT 1234 WIEN
+EUR -45,20 01.03.2026 03.03.2026
+OMV TANKSTELLE GRAZ
+EUR -42,49 04.03.2026 05.03.2026
+Umrechnungsentgelt OMV TANKSTELLE
+EUR -0,50 04.03.2026 05.03.2026
+Seite 1 von 1`;
+
+/** US card statement for a custom profile: MM/DD/YYYY, `.` decimals, charges unsigned and payments negative. */
+export const US_STATEMENT = `FIRST EXAMPLE BANK
+Account ending 4242
+Trans Date Post Date Description Amount
+03/01/2026 03/02/2026 WHOLE FOODS MKT AUSTIN USD 1,234.50
+03/04/2026 03/05/2026 SHELL OIL 5744 USD 42.10
+03/09/2026 03/09/2026 PAYMENT THANK YOU USD -500.00
+Page 1 of 1
+New Balance USD 776.60`;
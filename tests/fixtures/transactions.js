@@ -20,3 +20,28 @@ export function makeWithdrawalTx({
         },
     };
 }
+
+export function makeSplitWithdrawalTx(splits = [
+    { description: 'REWE Lebensmittel', amount: '42.10', categoryId: null },
+    { description: 'REWE Haushalt Putzmittel', amount: '7.90', categoryId: null },
+], { id = '900', destinationName = 'REWE', groupTitle = 'REWE receipt' } = {}) {
+    return {
+        id,
+        attributes: {
+            group_title: groupTitle,
+            transactions: splits.map((split, index) => ({
+                transaction_journal_id: String(1000 + index),
+                type: 'withdrawal',
+                description: split.description,
+                amount: split.amount,
+                destination_name: destinationName,
+                source_id: '42',
+                source_name: 'Checking',
+                currency_code: 'EUR',
+                foreign_amount: null,
+                category_id: split.categoryId ?? null,
+                category_name: split.categoryName ?? null,
+            })),
+        },
+    };
+}
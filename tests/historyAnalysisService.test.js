@@ -98,6 +98,13 @@ test('hist-5-configurable-threshold: data/dominance-config.json overrides defaul
     // Reset storage state and set new DATA_DIR
     resetDataDir();
     process.env.DATA_DIR = tmpDir;
+    // Assigning undefined back would leave DATA_DIR set to the string "undefined"
+    t.after(async () => {
+        if (origDataDir === undefined) delete process.env.DATA_DIR;
+        else process.env.DATA_DIR = origDataDir;
+        resetDataDir();
+        await fs.rm(tmpDir, { recursive: true, force: true });
+    });
 
     // Write config with lower threshold (0.50) and lower minTx (5)
     await fs.writeFile(
@@ -125,8 +132,67 @@ test('hist-5-configurable-threshold: data/dominance-config.json overrides defaul
     assert.strictEqual(result.dominance, 0.6);
     assert.strictEqual(result.confidence, 0.6);
 
-    // Cleanup
-    process.env.DATA_DIR = origDataDir;
-    resetDataDir();
-    await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+function makeHistoryTx(destinationName, description, amount, categoryName) {
+    return {
+        attributes: {
+            transactions: [{
+                type: 'withdrawal',
+                destination_name: destinationName,
+                description,
+                amount,
+                category_id: categoryName ? '1' : null,
+                category_name: categoryName,
+            }]
+        }
+    };
+}
+
+test('hist-fewshot-1-ranking: payee, description tokens and amount band rank examples', () => {
+    const svc = new HistoryAnalysisService({ fewShotExamples: 2, fewShotTokenBudget: 1000 });
+    const history = [
+        makeHistoryTx('Shell', 'Fuel station 1234', '60.00', 'Car'),
+        makeHistoryTx('REWE', 'REWE SAGT DANKE 5521', '12.30', 'Groceries'),
+        makeHistoryTx('REWE', 'REWE SAGT DANKE 7781', '480.00', 'Household'),
+        makeHistoryTx('REWE', 'REWE SAGT DANKE 0001', '15.00', null),
+        makeHistoryTx('Amazon', 'Order 3391', '15.00', 'Shopping'),
+    ];
+
+    const examples = svc.findSimilarExamples(history, {
+        destinationName: 'REWE', description: 'REWE SAGT DANKE 9999', amount: '14.99', type: 'withdrawal',
+    });
+
+    assert.deepStrictEqual(examples.map(e => e.category), ['Groceries', 'Household']);
+    assert.ok(examples[0].score > examples[1].score, 'same amount band should rank higher');
+});
+
+test('hist-fewshot-2-limits: example count and token budget are respected', () => {
+    const history = Array.from({ length: 20 }, (_, i) =>
+        makeHistoryTx('REWE', `REWE SAGT DANKE market ${i} groceries weekly`, '20.00', `Cat ${i}`)
+    );
+    const target = { destinationName: 'REWE', description: 'REWE SAGT DANKE', amount: '20', type: 'withdrawal' };
+
+    assert.strictEqual(new HistoryAnalysisService({ fewShotExamples: 3 }).findSimilarExamples(history, target).length, 3);
+    assert.strictEqual(new HistoryAnalysisService({ fewShotExamples: 0 }).findSimilarExamples(history, target).length, 0);
+    const tight = new HistoryAnalysisService({ fewShotExamples: 10, fewShotTokenBudget: 30 });
+    assert.strictEqual(tight.findSimilarExamples(history, target).length, 1);
+});
+
+test('hist-fewshot-3-self-and-deposits: the target is no example of itself, deposits match on the source', () => {
+    const svc = new HistoryAnalysisService({ fewShotExamples: 5, fewShotTokenBudget: 1000 });
+    const own = { ...makeHistoryTx('REWE', 'REWE SAGT DANKE 5521', '12.30', 'Restaurants'), id: '42' };
+    const other = { ...makeHistoryTx('REWE', 'REWE SAGT DANKE 1234', '12.30', 'Groceries'), id: '43' };
+    const examples = svc.findSimilarExamples([own, other], {
+        destinationName: 'REWE', description: 'REWE SAGT DANKE 5521', amount: '12.30', type: 'withdrawal', transactionId: 42,
+    });
+    assert.deepStrictEqual(examples.map(e => e.category), ['Groceries']);
+
+    const deposit = (sourceName, categoryName) => ({
+        attributes: { transactions: [{ type: 'deposit', source_name: sourceName, destination_name: 'Checking', description: 'Transfer', category_id: '1', category_name: categoryName }] },
+    });
+    const salary = svc.findSimilarExamples([deposit('ACME GmbH', 'Salary'), deposit('Tax Office', 'Refunds')], {
+        sourceName: 'ACME GmbH', destinationName: 'Checking', description: 'Payroll', type: 'deposit',
+    });
+    assert.deepStrictEqual(salary.map(e => [e.payee, e.category]), [['ACME GmbH', 'Salary']]);
 });
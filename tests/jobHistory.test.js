@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import JobList from '../src/JobList.js';
+
+const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'job-history-'));
+process.env.DATA_DIR = dataDir;
+const historyFile = path.join(dataDir, 'job-history.jsonl');
+
+test('jobs-1-restart: history is replayed and running batches become interrupted', async () => {
+    const before = new JobList();
+    await before.ready();
+    const job = before.createJob({ description: 'REWE', destinationName: 'REWE' });
+    before.setJobFinished(job.id);
+    const batch = before.createBatchJob('uncategorized', 10);
+    before.updateBatchJobProgress(batch.id, { processed: 1, success: 1 });
+    const done = before.createBatchJob('all', 1);
+    before.finishBatchJob(done.id);
+    await before.flush();
+
+    const after = new JobList();
+    await after.ready();
+
+    assert.strictEqual(after.getJobs().get(job.id).status, 'finished');
+    const restored = after.getBatchJobs().get(batch.id);
+    assert.strictEqual(restored.status, 'interrupted');
+    assert.strictEqual(restored.processedCount, 1);
+    assert.strictEqual(after.getBatchJobs().get(done.id).status, 'finished');
+
+    // Replay compacts the log to one line per job
+    const lines = (await fs.readFile(historyFile, 'utf8')).trim().split('\n');
+    assert.strictEqual(lines.length, 3);
+});
+
+test('jobs-2-retention: old and surplus entries are dropped on load', async () => {
+    const old = new Date(Date.now() - 40 * 24 * 60 * 60 * 1000).toISOString();
+    const recent = index => new Date(Date.now() - index * 1000).toISOString();
+    const lines = [
+        { kind: 'job', record: { id: 'old', created: old, status: 'finished', data: {} } },
+        ...[1, 2, 3].map(i => ({ kind: 'job', record: { id: `new-${i}`, created: recent(i), status: 'finished', data: {} } })),
+        '{"kind":"job","record":{"id":"trunc',
+    ];
+    await fs.writeFile(historyFile, lines.map(l => (typeof l === 'string' ? l : JSON.stringify(l))).join('\n'));
+
+    const jobList = new JobList({ retentionDays: 30, maxEntries: 2 });
+    await jobList.ready();
+
+    assert.deepStrictEqual(Array.from(jobList.getJobs().keys()).sort(), ['new-1', 'new-2']);
+});
+
+test('jobs-3-query: history filters by status, autoRule, type and date with pagination', async () => {
+    const jobList = JobList.createForTest();
+    const a = jobList.createJob({ autoRule: 'account_category_mapping' });
+    const b = jobList.createJob({ autoRule: null });
+    jobList.createJob({ autoRule: null });
+    jobList.setJobFinished(a.id);
+    jobList.setJobFinished(b.id);
+    jobList.createBatchJob('uncategorized', 1);
+    jobList.createBatchJob('all', 1);
+
+    assert.strictEqual(jobList.queryJobs({ status: 'finished' }).total, 2);
+    assert.deepStrictEqual(jobList.queryJobs({ autoRule: 'account_category_mapping' }).items.map(j => j.id), [a.id]);
+    assert.strictEqual(jobList.queryJobs({ autoRule: 'ai' }).total, 2);
+    assert.strictEqual(jobList.queryJobs({ from: new Date(Date.now() + 60000).toISOString() }).total, 0);
+
+    const page = jobList.queryJobs({ offset: 1, limit: 1 });
+    assert.deepStrictEqual({ total: page.total, size: page.items.length }, { total: 3, size: 1 });
+    assert.deepStrictEqual(jobList.queryBatchJobs({ type: 'all' }).items.map(j => j.type), ['all']);
+});
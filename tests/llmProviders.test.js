@@ -0,0 +1,121 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import OpenAiService from '../src/OpenAiService.js';
+import RateLimiter from '../src/RateLimiter.js';
+import {
+    OpenAiCompatibleProvider,
+    AnthropicProvider,
+    validateJsonAgainstSchema,
+} from '../src/LlmProviders.js';
+
+function makeChatClient(t, content) {
+    let captured;
+    const create = t.mock.fn(async (request) => {
+        captured = request;
+        return { choices: [{ message: { content } }], usage: { prompt_tokens: 10, completion_tokens: 3 } };
+    });
+    return { client: { chat: { completions: { create } } }, getRequest: () => captured, create };
+}
+
+test('llm-1-json-mode: json_mode provider sends json_object and schema instruction', async (t) => {
+    const { client, getRequest } = makeChatClient(t, '{"category":"Groceries","confidence":0.8}');
+    const provider = new OpenAiCompatibleProvider({ name: 'ollama', client, structuredOutput: 'json_mode', defaultModel: 'llama3.1' });
+    const svc = OpenAiService.createForTest({ provider });
+
+    const result = await svc.classify(['Groceries', 'Travel'], 'REWE', 'groceries', 'withdrawal');
+
+    const request = getRequest();
+    assert.deepStrictEqual(request.response_format, { type: 'json_object' });
+    assert.strictEqual(request.model, 'llama3.1');
+    assert.ok(request.messages[0].content.includes('"enum":["Groceries","Travel","UNKNOWN"]'));
+    assert.strictEqual(result.category, 'Groceries');
+    assert.strictEqual(result.confidence, 0.8);
+    assert.ok(typeof result.prompt === 'string' && result.prompt.length > 0);
+});
+
+test('llm-2-json-mode-invalid: off-list category fails validation and maps to null', async (t) => {
+    const { client } = makeChatClient(t, 'Sure! ```json\n{"category":"Food","confidence":0.9}\n```');
+    const provider = new OpenAiCompatibleProvider({ name: 'openai-compatible', client, structuredOutput: 'json_mode' });
+    const svc = OpenAiService.createForTest({ provider });
+
+    const result = await svc.classify(['Groceries', 'Travel'], 'REWE', 'groceries', 'withdrawal');
+
+    assert.strictEqual(result.category, null);
+    assert.strictEqual(result.confidence, 0);
+    assert.ok(result.response.includes('Food'));
+});
+
+test('llm-3-anthropic: messages API request shape and contract mapping', async (t) => {
+    let captured;
+    const fetchImpl = t.mock.fn(async (url, init) => {
+        captured = { url, init };
+        return {
+            ok: true,
+            json: async () => ({
+                content: [{ type: 'text', text: '{"category":"Travel","confidence":0.7}' }],
+                usage: { input_tokens: 20, output_tokens: 5 },
+            }),
+        };
+    });
+    const provider = new AnthropicProvider({ apiKey: 'k', fetchImpl });
+    const svc = OpenAiService.createForTest({ provider });
+
+    const result = await svc.classify(['Groceries', 'Travel'], 'Hotel', 'stay', 'withdrawal');
+
+    assert.strictEqual(captured.url, 'https://api.anthropic.com/v1/messages');
+    const body = JSON.parse(captured.init.body);
+    assert.ok(body.system.includes('JSON schema'));
+    assert.ok(body.messages.every(m => m.role !== 'system'));
+    assert.strictEqual(result.category, 'Travel');
+    assert.strictEqual(result.confidence, 0.7);
+});
+
+test('llm-4-anthropic-429: provider errors keep status for retry handling', async () => {
+    const fetchImpl = async () => ({
+        ok: false,
+        status: 429,
+        headers: { get: (h) => (h === 'retry-after' ? '3' : null) },
+        text: async () => 'rate limited',
+    });
+    const svc = OpenAiService.createForTest({
+        provider: new AnthropicProvider({ apiKey: 'k', fetchImpl }),
+        rateLimiter: RateLimiter.createForTest({ maxRetries: 0 }),
+    });
+
+    await assert.rejects(
+        async () => svc.classify(['Groceries'], 'Store', 'purchase', 'withdrawal'),
+        (err) => {
+            assert.strictEqual(err.code, 429);
+            return true;
+        }
+    );
+});
+
+test('llm-5-schema-validator: enum, range and required checks', () => {
+    const schema = {
+        type: 'object',
+        properties: {
+            category: { type: 'string', enum: ['A', 'UNKNOWN'] },
+            confidence: { type: 'number', minimum: 0, maximum: 1 },
+        },
+        required: ['category', 'confidence'],
+    };
+    assert.deepStrictEqual(validateJsonAgainstSchema({ category: 'A', confidence: 0.5 }, schema), []);
+    assert.strictEqual(validateJsonAgainstSchema({ category: 'B', confidence: 0.5 }, schema).length, 1);
+    assert.strictEqual(validateJsonAgainstSchema({ category: 'A', confidence: 2 }, schema).length, 1);
+    assert.strictEqual(validateJsonAgainstSchema({ category: 'A' }, schema).length, 1);
+});
+
+test('llm-6-model-list: self-hosted providers accept any model, openai keeps its list', (t) => {
+    const { client } = makeChatClient(t, '{}');
+    const ollama = OpenAiService.createForTest({
+        provider: new OpenAiCompatibleProvider({ name: 'ollama', client, structuredOutput: 'json_mode', defaultModel: 'llama3.1' }),
+    });
+    ollama.setModel('qwen2.5:7b');
+    assert.strictEqual(ollama.getModel(), 'qwen2.5:7b');
+
+    const openai = OpenAiService.createForTest({ client });
+    openai.setModel('not-a-model');
+    assert.strictEqual(openai.getModel(), 'gpt-4o-mini');
+    assert.strictEqual(openai.getProviderInfo().structuredOutput, 'json_schema');
+});
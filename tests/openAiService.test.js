@@ -2,6 +2,7 @@ import { test } from 'node:test';
 import assert from 'node:assert/strict';
 import OpenAI from 'openai';
 import OpenAiService from '../src/OpenAiService.js';
+import RateLimiter from '../src/RateLimiter.js';
 
 test('oai-1-schema-enum: schema includes all categories + UNKNOWN with strict:true', async (t) => {
     let capturedRequest;
@@ -49,6 +50,20 @@ test('oai-2-valid-category: valid category returns { category, prompt, response
     assert.ok(result.prompt.length > 0);
 });
 
+test('oai-2b-confidence: a missing confidence stays null, a real 0 stays 0', async (t) => {
+    const categories = ['Groceries', 'Restaurants'];
+    const classifyWith = async (content) => {
+        const svc = OpenAiService.createForTest({
+            client: { chat: { completions: { create: t.mock.fn(async () => ({ choices: [{ message: { content } }] })) } } }
+        });
+        return svc.classify(categories, 'REWE', 'groceries', 'withdrawal');
+    };
+
+    assert.strictEqual((await classifyWith('{"category":"Groceries"}')).confidence, null);
+    assert.strictEqual((await classifyWith('{"category":"Groceries","confidence":0}')).confidence, 0);
+    assert.strictEqual((await classifyWith('{"category":"Groceries","confidence":0.83}')).confidence, 0.83);
+});
+
 test('oai-3-unknown-null: UNKNOWN response maps to { category: null, response: "UNKNOWN", prompt }', async (t) => {
     const mockCreate = t.mock.fn(async () => ({
         choices: [{ message: { content: '{"category":"UNKNOWN"}' } }]
@@ -84,7 +99,7 @@ test('oai-4-refusal: refusal maps to { category: null, response: refusal, prompt
     assert.ok(typeof result.prompt === 'string');
 });
 
-test('oai-5-429-exception: 429 APIError sets error.code = 429 for retryWithBackoff', async (t) => {
+test('oai-5-429-exception: 429 APIError sets error.code = 429 once retries are exhausted', async (t) => {
     const apiError = new OpenAI.APIError(
         429,
         { message: 'Rate limit exceeded', type: 'rate_limit_exceeded' },
@@ -97,7 +112,8 @@ test('oai-5-429-exception: 429 APIError sets error.code = 429 for retryWithBacko
     });
 
     const svc = OpenAiService.createForTest({
-        client: { chat: { completions: { create: mockCreate } } }
+        client: { chat: { completions: { create: mockCreate } } },
+        rateLimiter: RateLimiter.createForTest({ maxRetries: 0 }),
     });
 
     const categories = ['Groceries'];
@@ -109,3 +125,22 @@ test('oai-5-429-exception: 429 APIError sets error.code = 429 for retryWithBacko
         }
     );
 });
+
+test('oai-6-few-shot: examples are rendered into the prompt', async (t) => {
+    let capturedRequest;
+    const mockCreate = t.mock.fn(async (request) => {
+        capturedRequest = request;
+        return { choices: [{ message: { content: '{"category":"Groceries","confidence":0.9}' } }] };
+    });
+    const svc = OpenAiService.createForTest({
+        client: { chat: { completions: { create: mockCreate } } }
+    });
+
+    const result = await svc.classify(['Groceries', 'Household'], 'REWE', 'REWE SAGT DANKE', 'withdrawal', {
+        examples: [{ payee: 'REWE', description: 'REWE SAGT DANKE 5521', amount: '12.30', category: 'Groceries', score: 5 }],
+    });
+
+    const userMessage = capturedRequest.messages.find(m => m.role === 'user').content;
+    assert.ok(userMessage.includes('- "REWE" / "REWE SAGT DANKE 5521" (12.30) → Groceries'));
+    assert.ok(result.prompt.includes('REWE SAGT DANKE 5521'));
+});
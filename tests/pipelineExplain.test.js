@@ -0,0 +1,118 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import App from '../src/App.js';
+import ConfidencePolicyService from '../src/ConfidencePolicyService.js';
+import { makeCategoriesMap } from './fixtures/categories.js';
+import { makeWithdrawalTx } from './fixtures/transactions.js';
+import {
+    makeAccountMappingStub,
+    makeAutoCatStub,
+    makeCategoryMappingStub,
+    makeNoHintCategoryMapping,
+} from './fixtures/stubs.js';
+
+test('explain-1-no-short-circuit: later stages are traced after the account mapping decides; no LLM call', async (t) => {
+    const classify = t.mock.fn(async () => ({ category: 'Restaurants', confidence: 0.9, prompt: 'p', response: 'r' }));
+    const app = App.createForTest({
+        accountCategoryMappingService: makeAccountMappingStub({ category: 'Groceries' }),
+        autoCategorizationService: makeAutoCatStub({ category: null }),
+        openAi: {
+            classify,
+            buildClassifyPrompt: (categories, payee, description) => `PROMPT ${payee} / ${description}`,
+        },
+        wordMapping: { applyMappings: text => text.replace('SAGT DANKE', 'supermarket') },
+        categoryMappingService: makeCategoryMappingStub({
+            directAssignment: { assigned: true, category: 'Utilities', mappingName: 'Bills', matchedKeyword: 'rewe', reason: 'direct' },
+        }),
+    });
+
+    const trace = await app.explainPipelineForTest(makeWithdrawalTx(), makeCategoriesMap());
+
+    const byStage = Object.fromEntries(trace.stages.map(s => [s.stage, s]));
+    assert.strictEqual(byStage.account_mapping.verdict, 'match');
+    assert.strictEqual(byStage.direct_assign.verdict, 'match');
+    assert.strictEqual(byStage.direct_assign.keyword, 'rewe');
+    assert.strictEqual(byStage.llm.verdict, 'skipped');
+    assert.strictEqual(trace.mapped.description, 'REWE supermarket');
+    assert.strictEqual(trace.prompt, 'PROMPT REWE / REWE supermarket');
+    assert.deepStrictEqual(
+        { stage: trace.decision.stage, category: trace.decision.category },
+        { stage: 'account_mapping', category: 'Groceries' }
+    );
+    assert.strictEqual(classify.mock.callCount(), 0);
+});
+
+test('explain-2-run-llm: the confidence band is reported without queueing a review', async (t) => {
+    const addReview = t.mock.fn();
+    const app = App.createForTest({
+        accountCategoryMappingService: makeAccountMappingStub({ category: null }),
+        autoCategorizationService: makeAutoCatStub({ category: null }),
+        openAi: { classify: async () => ({ category: 'Restaurants', confidence: 0.5, prompt: 'p', response: 'Restaurants' }) },
+        wordMapping: { applyMappings: text => text },
+        categoryMappingService: makeNoHintCategoryMapping(),
+        confidencePolicyService: ConfidencePolicyService.createForTest({ autoApply: 0.7, review: 0.4 }),
+        pendingReviewService: { addReview },
+    });
+
+    const trace = await app.explainPipelineForTest(makeWithdrawalTx(), makeCategoriesMap(), { runLlm: true });
+
+    assert.strictEqual(trace.stages.find(s => s.stage === 'llm').category, 'Restaurants');
+    assert.strictEqual(trace.stages.find(s => s.stage === 'confidence_policy').verdict, 'review');
+    assert.deepStrictEqual(
+        { stage: trace.decision.stage, band: trace.decision.band, recommendation: trace.decision.recommendation },
+        { stage: 'llm', band: 'review', recommendation: 'Restaurants' }
+    );
+    assert.strictEqual(addReview.mock.callCount(), 0);
+});
+
+function makeHistoryApp(t, classify) {
+    const addReview = t.mock.fn();
+    const app = App.createForTest({
+        accountCategoryMappingService: makeAccountMappingStub({ category: null }),
+        autoCategorizationService: makeAutoCatStub({ category: null }),
+        openAi: { classify },
+        wordMapping: { applyMappings: text => text },
+        categoryMappingService: makeNoHintCategoryMapping(),
+        confidencePolicyService: ConfidencePolicyService.createForTest({ autoApply: 0.7, review: 0.4 }),
+        pendingReviewService: { addReview },
+        historyAnalysisService: {
+            analyzeAccountHistory: () => ({ dominantCategory: 'Groceries', confidence: 0.9 }),
+            getThreshold: () => 0.8,
+            findSimilarExamples: () => [],
+        },
+        firefly: { getCachedAccountHistory: async () => [] },
+    });
+    return { app, addReview };
+}
+
+test('explain-3-history: the review recommendation is the one the history comparison picks', async (t) => {
+    const { app, addReview } = makeHistoryApp(t, async () => ({ category: 'Restaurants', confidence: 0.5, prompt: 'p', response: 'Restaurants' }));
+
+    const trace = await app.explainPipelineForTest(makeWithdrawalTx(), makeCategoriesMap(), { runLlm: true });
+
+    assert.strictEqual(trace.stages.find(s => s.stage === 'history').verdict, 'match');
+    assert.deepStrictEqual(
+        { stage: trace.decision.stage, band: trace.decision.band, recommendation: trace.decision.recommendation },
+        { stage: 'history', band: 'review', recommendation: 'Groceries' },
+        'history confidence 90% beats the AI at 50%'
+    );
+    assert.strictEqual(addReview.mock.callCount(), 0);
+});
+
+test('explain-4-split: splits skip history and cache, and review-band results are rejected', async (t) => {
+    const classify = t.mock.fn(async () => ({ category: 'Restaurants', confidence: 0.5, prompt: 'p', response: 'Restaurants' }));
+    const { app } = makeHistoryApp(t, classify);
+    const split = { index: 1, count: 2, amount: '7.90', currencyCode: 'EUR', groupTitle: 'REWE receipt' };
+
+    const trace = await app.explainPipelineForTest(makeWithdrawalTx(), makeCategoriesMap(), { runLlm: true, split });
+
+    const byStage = Object.fromEntries(trace.stages.map(s => [s.stage, s]));
+    assert.strictEqual(byStage.history.verdict, 'skipped');
+    assert.strictEqual(byStage.classification_cache.verdict, 'skipped');
+    assert.strictEqual(byStage.confidence_policy.verdict, 'reject');
+    assert.deepStrictEqual(
+        { stage: trace.decision.stage, band: trace.decision.band, category: trace.decision.category },
+        { stage: 'llm', band: 'reject', category: null }
+    );
+    assert.deepStrictEqual(classify.mock.calls[0].arguments[4].split, split);
+});
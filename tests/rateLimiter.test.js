@@ -0,0 +1,110 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import App from '../src/App.js';
+import JobList from '../src/JobList.js';
+import BatchCheckpointStore from '../src/BatchCheckpointStore.js';
+import RateLimiter, { retryAfterMs } from '../src/RateLimiter.js';
+import { makeCategoriesMap } from './fixtures/categories.js';
+import { makeWithdrawalTx } from './fixtures/transactions.js';
+import {
+    makeAccountMappingStub,
+    makeAutoCatStub,
+    makePassthroughWordMapping,
+    makeNoHintCategoryMapping,
+} from './fixtures/stubs.js';
+
+function makeClock() {
+    const clock = { now: 0, slept: [] };
+    clock.deps = {
+        now: () => clock.now,
+        sleep: async (ms) => {
+            clock.slept.push(ms);
+            clock.now += ms;
+        },
+    };
+    return clock;
+}
+
+test('rl-1-rpm: requests beyond the per-minute budget wait for the bucket to refill', async () => {
+    const clock = makeClock();
+    const limiter = RateLimiter.createForTest({ requestsPerMinute: 2, tokensPerMinute: 0, ...clock.deps });
+
+    await limiter.acquire();
+    await limiter.acquire();
+    assert.deepStrictEqual(clock.slept, []);
+
+    await limiter.acquire();
+    assert.deepStrictEqual(clock.slept, [30000]);
+    assert.strictEqual(limiter.getStats().requests, 3);
+});
+
+test('rl-2-tpm: estimates are corrected with the reported usage', async () => {
+    const clock = makeClock();
+    const limiter = RateLimiter.createForTest({ requestsPerMinute: 0, tokensPerMinute: 1000, ...clock.deps });
+
+    await limiter.run(async () => ({ usage: { total_tokens: 900 } }), { estimatedTokens: 100 });
+    assert.strictEqual(limiter.getStats().availableTokens, 100);
+
+    await limiter.acquire(400);
+    assert.deepStrictEqual(clock.slept, [18000]);
+});
+
+test('rl-3-retry-after: a 429 pauses every caller for Retry-After, then retries', async () => {
+    const clock = makeClock();
+    const limiter = RateLimiter.createForTest({ requestsPerMinute: 100, tokensPerMinute: 0, maxRetries: 2, ...clock.deps });
+    let calls = 0;
+
+    const result = await limiter.run(async () => {
+        calls++;
+        if (calls === 1) {
+            throw Object.assign(new Error('rate limited'), { status: 429, headers: { 'retry-after': '5' } });
+        }
+        return { content: 'ok' };
+    });
+
+    assert.strictEqual(result.content, 'ok');
+    assert.deepStrictEqual(clock.slept, [5000]);
+    assert.deepStrictEqual({ hits: limiter.getStats().rateLimitHits, retries: limiter.getStats().retries }, { hits: 1, retries: 1 });
+    assert.strictEqual(retryAfterMs({ headers: { get: h => (h === 'retry-after-ms' ? '250' : null) } }), 250);
+});
+
+test('rl-4-batch-parallelism: batch workers run concurrently up to BATCH_CONCURRENCY', async (t) => {
+    // The batch loop logs every step; keep the runner output readable
+    t.mock.method(console, 'info', () => {});
+    t.mock.method(console, 'log', () => {});
+
+    let inFlight = 0;
+    let maxInFlight = 0;
+    const classify = t.mock.fn(async () => {
+        maxInFlight = Math.max(maxInFlight, ++inFlight);
+        await new Promise(resolve => setTimeout(resolve, 10));
+        inFlight--;
+        return { category: 'Groceries', confidence: 0.9, prompt: 'p', response: 'r' };
+    });
+    const jobList = JobList.createForTest();
+    const app = App.createForTest({
+        accountCategoryMappingService: makeAccountMappingStub({ category: null }),
+        autoCategorizationService: makeAutoCatStub({ category: null }),
+        openAi: { classify },
+        wordMapping: makePassthroughWordMapping(),
+        categoryMappingService: makeNoHintCategoryMapping(),
+        failedTransactionService: {
+            removeFailedTransactionByProperties: async () => {},
+            removeFailedTransactionByFireflyId: async () => {},
+        },
+        firefly: { updateTransactionCategory: async () => {}, getCachedAccountHistory: async () => null },
+        jobList,
+        checkpointStore: BatchCheckpointStore.createForTest(),
+        batchConcurrency: 3,
+    });
+    const transactions = Array.from({ length: 7 }, (_, i) => ({ ...makeWithdrawalTx(), id: String(i + 1) }));
+
+    await app.runBatchForTest('uncategorized', transactions, makeCategoriesMap());
+
+    assert.strictEqual(classify.mock.callCount(), 7);
+    assert.strictEqual(maxInFlight, 3);
+    const [batchJob] = jobList.getBatchJobs().values();
+    assert.strictEqual(batchJob.processedCount, 7);
+    assert.strictEqual(batchJob.cursor, 7);
+    assert.deepStrictEqual(batchJob.finishedAhead, []);
+});
@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import CategoryMappingService from '../src/CategoryMappingService.js';
+import RuleAuditService, { RuleAuditException } from '../src/RuleAuditService.js';
+
+function makeAudit() {
+    const mappings = CategoryMappingService.createForTest();
+    let config = { enabled: true, foreignKeywords: ['paris'] };
+    const audit = RuleAuditService.createForTest({
+        ruleSets: {
+            categoryMappings: {
+                list: () => mappings.getAllMappings(),
+                key: mapping => mapping.id,
+                restore: list => mappings.replaceMappings(list),
+            },
+            autoCategorization: {
+                config: () => config,
+                restore: next => { config = next; },
+            },
+        },
+    });
+    return { audit, mappings, setConfig: next => { config = next; }, getConfig: () => config };
+}
+
+test('audit-1-record: create, update and delete entries carry before/after, actor and route', async () => {
+    const { audit, mappings, setConfig } = makeAudit();
+    const context = { actor: 'alice', method: 'POST', route: '/api/category-mappings' };
+
+    let before = audit.capture(['categoryMappings']);
+    const rule = mappings.addMapping({ name: 'Fuel', targetCategory: 'Transport', keywords: 'bp', matchMode: 'word' });
+    const [created] = await audit.recordChanges(before, context);
+
+    before = audit.capture();
+    mappings.updateMapping(rule.id, { keywords: 'bp, shell' });
+    setConfig({ enabled: true, foreignKeywords: ['paris', 'rome'] });
+    const changes = await audit.recordChanges(before, { ...context, method: 'PUT' });
+
+    before = audit.capture(['categoryMappings']);
+    mappings.removeMapping(rule.id);
+    await audit.recordChanges(before, { ...context, method: 'DELETE' });
+    assert.deepStrictEqual(await audit.recordChanges(audit.capture(), context), [], 'nothing changed, nothing logged');
+
+    assert.deepStrictEqual(
+        { action: created.action, actor: created.actor, route: created.route, ruleId: created.ruleId, before: created.before, label: created.label },
+        { action: 'create', actor: 'alice', route: '/api/category-mappings', ruleId: rule.id, before: null, label: 'Fuel' }
+    );
+    assert.deepStrictEqual(changes.map(c => [c.ruleSet, c.action]), [['categoryMappings', 'update'], ['autoCategorization', 'update']]);
+    assert.deepStrictEqual(changes[1].after.foreignKeywords, ['paris', 'rome']);
+
+    const history = await audit.getEntries({ ruleSet: 'categoryMappings', ruleId: rule.id });
+    assert.deepStrictEqual(history.map(e => e.action), ['delete', 'update', 'create'], 'newest first');
+    assert.deepStrictEqual(history[0].before.keywords, ['bp', 'shell']);
+    assert.strictEqual(history[0].after, null);
+});
+
+test('audit-2-restore: any earlier version comes back and the restore is logged', async () => {
+    const { audit, mappings, getConfig, setConfig } = makeAudit();
+    const other = mappings.addMapping({ name: 'Other', targetCategory: 'Misc', keywords: 'x' });
+    let before = audit.capture();
+    const rule = mappings.addMapping({ name: 'Fuel', targetCategory: 'Transport', keywords: 'bp', matchMode: 'word' });
+    const [created] = await audit.recordChanges(before, { actor: 'alice' });
+    before = audit.capture();
+    mappings.updateMapping(rule.id, { targetCategory: 'Car' });
+    setConfig({ enabled: false, foreignKeywords: [] });
+    const [, configChange] = await audit.recordChanges(before, { actor: 'bob' });
+
+    const restored = await audit.restore(created.id, { actor: 'carol', route: '/api/rules/audit/x/restore' });
+    assert.strictEqual(mappings.getMappingById(rule.id).targetCategory, 'Transport');
+    assert.deepStrictEqual(
+        { action: restored.changes[0].action, actor: restored.changes[0].actor, revertOf: restored.changes[0].revertOf },
+        { action: 'update', actor: 'carol', revertOf: created.id }
+    );
+
+    await audit.restore(created.id, { version: 'before' });
+    assert.strictEqual(mappings.getAllMappings().map(m => m.name).join(), 'Other', 'before its creation the rule did not exist');
+    assert.strictEqual(mappings.getMappingById(other.id).name, 'Other');
+
+    await audit.restore(configChange.id, { version: 'before' });
+    assert.deepStrictEqual(getConfig(), { enabled: true, foreignKeywords: ['paris'] });
+
+    await assert.rejects(audit.restore('missing'), (error) => error instanceof RuleAuditException && error.status === 404);
+    assert.strictEqual((await audit.getEntries({ ruleId: rule.id })).length, 4);
+});
@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import App from '../src/App.js';
+import CategoryMappingService, { CategoryMappingException } from '../src/CategoryMappingService.js';
+import RuleBacktestService from '../src/RuleBacktestService.js';
+
+function group(id, splits) {
+    return {
+        id: String(id),
+        attributes: {
+            transactions: splits.map((split, index) => ({
+                type: 'withdrawal',
+                transaction_journal_id: `${id}${index}`,
+                date: '2026-01-15',
+                amount: '12.00',
+                source_name: 'Checking',
+                ...split,
+            })),
+        },
+    };
+}
+
+const history = [
+    group(1, [{ description: 'REWE 1234', destination_name: 'REWE', category_name: 'Groceries' }]),
+    group(2, [{ description: 'REWE 5678', destination_name: 'REWE', category_name: 'Groceries' }]),
+    group(3, [{ description: 'REWE Bistro', destination_name: 'REWE', category_name: 'Restaurants' }]),
+    group(4, [
+        { description: 'Stadtwerke Strom', destination_name: 'Stadtwerke', category_name: 'Utilities' },
+        { description: 'Stadtwerke Rewe-Gutschein', destination_name: 'Stadtwerke', category_name: null },
+    ]),
+];
+
+test('backtest-1-rule-set: per-rule precision and confusion, overall uses the first match by priority', () => {
+    const mappings = CategoryMappingService.createForTest();
+    mappings.addMapping({ name: 'Rewe', targetCategory: 'Groceries', keywords: 'rewe', matchMode: 'word', directAssign: true });
+    mappings.addMapping({ name: 'Bistro', targetCategory: 'Restaurants', keywords: 'bistro', matchMode: 'word', priority: 5 });
+
+    const result = new RuleBacktestService({ categoryMappingService: mappings })
+        .run(history, mappings.getOrderedRules());
+
+    assert.strictEqual(result.tested, 4, 'uncategorized splits are not samples');
+    const [bistro, rewe] = result.rules;
+    assert.strictEqual(bistro.name, 'Bistro');
+    assert.deepStrictEqual(
+        { matched: rewe.matched, agreed: rewe.agreed, precision: rewe.precision, coverage: rewe.coverage, confusion: rewe.confusion },
+        { matched: 3, agreed: 2, precision: 0.6667, coverage: 0.75, confusion: { Groceries: 2, Restaurants: 1 } }
+    );
+    assert.deepStrictEqual(rewe.conflicts.map(c => [c.transactionId, c.existingCategory, c.matchedKeyword]), [['3', 'Restaurants', 'rewe']]);
+    assert.deepStrictEqual(
+        { matched: result.overall.matched, agreed: result.overall.agreed, conflictCount: result.overall.conflictCount },
+        { matched: 3, agreed: 3, conflictCount: 0 }
+    );
+    assert.deepStrictEqual(result.overall.confusion, { Groceries: { Groceries: 2 }, Restaurants: { Restaurants: 1 } });
+});
+
+test('backtest-2-draft: a draft rule is validated and tested alone against Firefly history', async () => {
+    const mappings = CategoryMappingService.createForTest();
+    mappings.addMapping({ name: 'Existing', targetCategory: 'Utilities', keywords: 'stadtwerke' });
+    const app = App.createForTest({
+        categoryMappingService: mappings,
+        firefly: { getAllTransactions: async () => history },
+    });
+
+    const result = await app.backtestRulesForTest({
+        rule: { targetCategory: 'Groceries', keywords: 'rewe', matchMode: 'substring', field: 'description' },
+    });
+
+    assert.strictEqual(result.draft, true);
+    assert.deepStrictEqual(result.rules.map(r => [r.name, r.matched, r.agreed]), [['Draft rule', 3, 2]]);
+    assert.strictEqual(mappings.getAllMappings().length, 1, 'the draft is not saved');
+    await assert.rejects(
+        app.backtestRulesForTest({ rule: { targetCategory: 'X', keywords: '(open', matchMode: 'regex' } }),
+        CategoryMappingException
+    );
+    assert.strictEqual(await app.backtestRulesForTest({ ruleIds: ['nope'] }), null);
+});
@@ -0,0 +1,109 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import AccountCategoryMappingService from '../src/AccountCategoryMappingService.js';
+import CategoryMappingService from '../src/CategoryMappingService.js';
+import RuleBundleService, { RuleBundleException } from '../src/RuleBundleService.js';
+
+function makeServices(t, { words = [], accounts = [], auto = {}, dominance = {} } = {}) {
+    const categoryMappingService = CategoryMappingService.createForTest();
+    return {
+        wordMapping: { getAllMappings: () => words, replaceMappings: t.mock.fn(async () => {}) },
+        categoryMappingService,
+        accountCategoryMappingService: {
+            getAllMappings: () => accounts,
+            validateMapping: AccountCategoryMappingService.prototype.validateMapping,
+            replaceMappings: t.mock.fn(async () => {}),
+        },
+        autoCategorizationService: { getConfig: () => ({ enabled: true, foreignCategory: 'Travel & Foreign', ...auto }), updateConfig: t.mock.fn(async () => {}) },
+        historyAnalysisService: { getConfig: () => ({ dominanceThreshold: 0.8, minTransactionCount: 10, ...dominance }), updateConfig: t.mock.fn(async () => {}) },
+    };
+}
+
+const TARGET_CATEGORIES = ['Groceries', 'Travel & Foreign', 'Restaurants', 'Utilities'];
+
+test('bundle-1-merge: preview diff, category name resolution and account re-pointing before writing', async (t) => {
+    const source = makeServices(t, {
+        words: [{ from: 'sagt danke', to: 'supermarket' }],
+        accounts: [{ id: 'a1', name: 'Netflix', accountId: '501', accountName: 'Netflix', accountType: 'expense', targetCategory: 'Streaming', enabled: true }],
+        auto: { foreignCategory: 'Travel & foreign' },
+    });
+    source.categoryMappingService.addMapping({ name: 'Supermarkets', targetCategory: 'groceries', keywords: 'rewe, spar', matchMode: 'word' });
+    const bundle = JSON.parse(JSON.stringify(new RuleBundleService(source).exportBundle()));
+
+    const target = makeServices(t, { words: [{ from: 'sagt danke', to: 'shop' }, { from: 'kfz', to: 'car' }] });
+    target.categoryMappingService.addMapping({ name: 'Fuel', targetCategory: 'Utilities', keywords: 'bp', matchMode: 'word' });
+    const service = new RuleBundleService(target);
+    const options = {
+        categories: TARGET_CATEGORIES,
+        resolveAccount: async name => (name === 'Netflix' ? '77' : null),
+    };
+
+    const preview = await service.importBundle(bundle, { ...options, preview: true });
+    assert.strictEqual(preview.applied, false);
+    assert.deepStrictEqual(preview.categories.renamed, [
+        { from: 'groceries', to: 'Groceries', via: 'normalized' },
+        { from: 'Travel & foreign', to: 'Travel & Foreign', via: 'normalized' },
+    ]);
+    assert.deepStrictEqual(preview.categories.unresolved, ['Streaming']);
+    assert.deepStrictEqual(preview.accounts.remapped, [{ accountName: 'Netflix', from: '501', to: '77' }]);
+    assert.deepStrictEqual(preview.diff.wordMappings.updated, [{ from: 'sagt danke', to: 'supermarket', changes: ['to'] }]);
+    assert.deepStrictEqual(preview.diff.categoryMappings.added.map(r => r.name), ['Supermarkets']);
+    assert.deepStrictEqual(preview.diff.categoryMappings.removed, []);
+    assert.deepStrictEqual(preview.diff.dominance, { changes: [], unchanged: 2 });
+    assert.strictEqual(target.wordMapping.replaceMappings.mock.callCount(), 0);
+
+    await assert.rejects(service.importBundle(bundle, options), /Categories not found in Firefly: Streaming/);
+    assert.strictEqual(target.wordMapping.replaceMappings.mock.callCount(), 0, 'nothing is written when a category is missing');
+
+    const applied = await service.importBundle(bundle, { ...options, categoryMap: { Streaming: 'utilities' } });
+    assert.strictEqual(applied.applied, true);
+    assert.deepStrictEqual(
+        target.wordMapping.replaceMappings.mock.calls[0].arguments[0],
+        [{ from: 'sagt danke', to: 'supermarket' }, { from: 'kfz', to: 'car' }]
+    );
+    assert.deepStrictEqual(
+        target.categoryMappingService.getAllMappings().map(r => [r.name, r.targetCategory]),
+        [['Fuel', 'Utilities'], ['Supermarkets', 'Groceries']]
+    );
+    const [account] = target.accountCategoryMappingService.replaceMappings.mock.calls[0].arguments[0];
+    assert.deepStrictEqual([account.accountId, account.targetCategory], ['77', 'Utilities']);
+    assert.strictEqual(target.autoCategorizationService.updateConfig.mock.calls[0].arguments[0].foreignCategory, 'Travel & Foreign');
+});
+
+test('bundle-2-replace-and-validation: replace removes missing rules; invalid bundles are rejected with every error', async (t) => {
+    const target = makeServices(t);
+    const fuel = target.categoryMappingService.addMapping({ name: 'Fuel', targetCategory: 'Utilities', keywords: 'bp', matchMode: 'word' });
+    target.categoryMappingService.addMapping({ name: 'Old', targetCategory: 'Restaurants', keywords: 'cafe' });
+    const service = new RuleBundleService(target);
+
+    const result = await service.importBundle({
+        schemaVersion: 1,
+        rules: { categoryMappings: [{ ...fuel, id: 'other-instance', keywords: ['bp', 'shell'] }] },
+    }, { mode: 'replace', categories: TARGET_CATEGORIES });
+
+    assert.deepStrictEqual(result.sections, ['categoryMappings']);
+    assert.deepStrictEqual(result.diff.categoryMappings.updated.map(r => [r.name, r.changes]), [['Fuel', ['keywords']]]);
+    assert.deepStrictEqual(result.diff.categoryMappings.removed.map(r => r.name), ['Old']);
+    assert.deepStrictEqual(target.categoryMappingService.getAllMappings().map(r => [r.id, r.keywords]), [[fuel.id, ['bp', 'shell']]]);
+    assert.strictEqual(target.wordMapping.replaceMappings.mock.callCount(), 0, 'absent sections are untouched');
+
+    await assert.rejects(service.importBundle({ schemaVersion: 2, rules: {} }, { categories: TARGET_CATEGORIES }), /newer than supported/);
+    await assert.rejects(
+        service.importBundle({
+            schemaVersion: 1,
+            rules: {
+                categoryMappings: [{ name: 'Bad', targetCategory: 'Groceries', keywords: '(open', matchMode: 'regex' }],
+                dominance: { dominanceThreshold: 2 },
+                labels: [],
+            },
+        }, { categories: TARGET_CATEGORIES }),
+        (error) => {
+            assert.ok(error instanceof RuleBundleException);
+            assert.strictEqual(error.errors.length, 3);
+            assert.match(error.errors[0], /^categoryMappings\[0\]: .*Invalid regex/);
+            assert.match(error.errors[1], /^dominance\.dominanceThreshold/);
+            assert.strictEqual(error.errors[2], 'Unknown section "labels"');
+            return true;
+        }
+    );
+});
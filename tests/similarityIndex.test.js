@@ -0,0 +1,125 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import App from '../src/App.js';
+import SimilarityIndexService from '../src/SimilarityIndexService.js';
+import { makeCategoriesMap } from './fixtures/categories.js';
+import { makeWithdrawalTx } from './fixtures/transactions.js';
+import {
+    makeAccountMappingStub,
+    makeAutoCatStub,
+    makePassthroughWordMapping,
+    makeNoHintCategoryMapping,
+} from './fixtures/stubs.js';
+
+function makeGroup(id, destinationName, description, categoryName) {
+    return {
+        id,
+        attributes: {
+            transactions: [{
+                transaction_journal_id: `j${id}`,
+                type: 'withdrawal',
+                destination_name: destinationName,
+                description,
+                category_id: '1',
+                category_name: categoryName,
+            }],
+        },
+    };
+}
+
+const HISTORY = [
+    makeGroup('1', 'REWE', 'REWE SAGT DANKE 1234', 'Groceries'),
+    makeGroup('2', 'REWE', 'REWE SAGT DANKE 5678', 'Groceries'),
+    makeGroup('3', 'REWE', 'REWE Markt GmbH 9911', 'Groceries'),
+    makeGroup('4', 'REWE', 'REWE SAGT DANKE 4444', 'Groceries'),
+    makeGroup('5', 'Shell', 'Shell Tankstelle 01', 'Car'),
+    makeGroup('6', 'Netflix', 'Netflix.com subscription', 'Utilities'),
+];
+
+test('sim-1-hit: nearest neighbours agreeing above the threshold assign the category', async () => {
+    const svc = SimilarityIndexService.createForTest({ k: 5, minScore: 0.5, agreement: 0.8, minNeighbours: 3 });
+    const stats = await svc.rebuild(HISTORY);
+    assert.strictEqual(stats.documents, 6);
+    assert.strictEqual(stats.building, false);
+
+    const result = await svc.findCategory({ destinationName: 'REWE', description: 'REWE SAGT DANKE 0001', type: 'withdrawal' });
+
+    assert.strictEqual(result.category, 'Groceries');
+    assert.ok(result.agreement >= 0.8);
+    assert.ok(result.neighbours.length >= 3);
+    assert.strictEqual(svc.getStats().hits, 1);
+});
+
+test('sim-2-no-agreement: too few or disagreeing neighbours fall through', async () => {
+    const svc = SimilarityIndexService.createForTest({ k: 5, minScore: 0.5, agreement: 0.8, minNeighbours: 3 });
+    await svc.rebuild([
+        ...HISTORY,
+        makeGroup('7', 'REWE', 'REWE SAGT DANKE 7777', 'Household'),
+        makeGroup('8', 'REWE', 'REWE SAGT DANKE 8888', 'Household'),
+    ]);
+
+    const split = await svc.findCategory({ destinationName: 'REWE', description: 'REWE SAGT DANKE', type: 'withdrawal' });
+    assert.strictEqual(split, null);
+
+    const unseen = await svc.findCategory({ destinationName: 'Deutsche Bahn', description: 'Ticket Berlin', type: 'withdrawal' });
+    assert.strictEqual(unseen, null);
+    assert.strictEqual(svc.getStats().lookups, 2);
+});
+
+test('sim-3-pipeline-stage: neighbour hit skips the AI call with its own autoRule', async (t) => {
+    const svc = SimilarityIndexService.createForTest({ minScore: 0.5, minNeighbours: 3 });
+    await svc.rebuild(HISTORY);
+    const classify = t.mock.fn(async () => ({ category: 'Restaurants', prompt: 'p', response: 'r' }));
+    const app = App.createForTest({
+        accountCategoryMappingService: makeAccountMappingStub({ category: null }),
+        autoCategorizationService: makeAutoCatStub({ category: null }),
+        openAi: { classify },
+        wordMapping: makePassthroughWordMapping(),
+        categoryMappingService: makeNoHintCategoryMapping(),
+        similarityIndexService: svc,
+    });
+
+    const result = await app.resolveCategoryForTest(makeWithdrawalTx(), makeCategoriesMap());
+
+    assert.strictEqual(result.category, 'Groceries');
+    assert.strictEqual(result.autoRule, 'similarity_neighbours');
+    assert.strictEqual(classify.mock.callCount(), 0);
+});
+
+test('sim-4-embeddings: configured embeddings model vectorizes through the provider', async (t) => {
+    const vectorFor = (text) => (/rewe/i.test(text) ? [1, 0] : [0, 1]);
+    const embed = t.mock.fn(async (texts) => texts.map(vectorFor));
+    const svc = SimilarityIndexService.createForTest({
+        openAi: { embed },
+        embeddingsModel: 'text-embedding-3-small',
+        minScore: 0.9,
+        minNeighbours: 3,
+    });
+
+    const stats = await svc.rebuild(HISTORY);
+    const result = await svc.findCategory({ destinationName: 'REWE', description: 'anything', type: 'withdrawal' });
+
+    assert.strictEqual(stats.vectorizer, 'embeddings');
+    assert.strictEqual(embed.mock.calls[0].arguments[1], 'text-embedding-3-small');
+    assert.strictEqual(result.category, 'Groceries');
+});
+
+test('sim-5-unseen-terms: words the index never saw lower the score instead of being ignored', async () => {
+    const svc = SimilarityIndexService.createForTest({ k: 5, minScore: 0.5, agreement: 0.8, minNeighbours: 1 });
+    await svc.rebuild(HISTORY);
+
+    const oneSharedToken = await svc.findCategory({ destinationName: 'Shell', description: 'Hofbraeuhaus Muenchen Abendessen Gruppe', type: 'withdrawal' });
+    assert.strictEqual(oneSharedToken, null);
+
+    const close = await svc.findCategory({ destinationName: 'Shell', description: 'Shell Tankstelle 02', type: 'withdrawal' });
+    assert.strictEqual(close.category, 'Car');
+});
+
+test('sim-6-self: a categorized transaction is not its own neighbour', async () => {
+    const svc = SimilarityIndexService.createForTest({ k: 5, minScore: 0.9, agreement: 0.8, minNeighbours: 1 });
+    await svc.rebuild(HISTORY);
+
+    const target = { destinationName: 'Netflix', description: 'Netflix.com subscription', type: 'withdrawal' };
+    assert.strictEqual((await svc.findCategory(target))?.category, 'Utilities');
+    assert.strictEqual(await svc.findCategory({ ...target, transactionId: '6' }), null);
+});
@@ -0,0 +1,121 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import App from '../src/App.js';
+import JobList from '../src/JobList.js';
+import { SpendCapException } from '../src/UsageService.js';
+import { makeCategoriesMap } from './fixtures/categories.js';
+import { makeSplitWithdrawalTx } from './fixtures/transactions.js';
+import {
+    makeAccountMappingStub,
+    makeAutoCatStub,
+    makePassthroughWordMapping,
+    makeNoHintCategoryMapping,
+} from './fixtures/stubs.js';
+
+function makeApp(t, classifyImpl) {
+    const classify = t.mock.fn(classifyImpl);
+    const app = App.createForTest({
+        accountCategoryMappingService: makeAccountMappingStub({ category: null }),
+        autoCategorizationService: makeAutoCatStub({ category: null }),
+        openAi: { classify },
+        wordMapping: makePassthroughWordMapping(),
+        categoryMappingService: makeNoHintCategoryMapping(),
+    });
+    return { app, classify };
+}
+
+test('split-1-per-split: each split is classified on its own description and amount', async (t) => {
+    const categories = makeCategoriesMap(new Map([['Household', '5']]));
+    const { app, classify } = makeApp(t, async (names, dest, description) => ({
+        category: description.includes('Putzmittel') ? 'Household' : 'Groceries',
+        prompt: 'p',
+        response: 'r',
+    }));
+
+    const results = await app.resolveSplitCategoriesForTest(makeSplitWithdrawalTx(), categories);
+
+    assert.strictEqual(classify.mock.callCount(), 2);
+    assert.deepStrictEqual(results.map(r => r.category), ['Groceries', 'Household']);
+    assert.deepStrictEqual(results.map(r => r.journalId), ['1000', '1001']);
+
+    const splitOption = classify.mock.calls[1].arguments[4].split;
+    assert.deepStrictEqual(
+        { index: splitOption.index, count: splitOption.count, amount: splitOption.amount },
+        { index: 1, count: 2, amount: '7.90' }
+    );
+});
+
+test('split-2-only-uncategorized: categorized splits are skipped and keep their category', async (t) => {
+    const categories = makeCategoriesMap();
+    const { app, classify } = makeApp(t, async () => ({ category: 'Groceries', prompt: 'p', response: 'r' }));
+    const tx = makeSplitWithdrawalTx([
+        { description: 'Dinner', amount: '30', categoryId: '3', categoryName: 'Restaurants' },
+        { description: 'Groceries for home', amount: '12' },
+    ]);
+
+    const results = await app.resolveSplitCategoriesForTest(tx, categories, { onlyUncategorized: true });
+
+    assert.strictEqual(classify.mock.callCount(), 1);
+    assert.strictEqual(results[0].skipped, true);
+    assert.strictEqual(results[0].category, 'Restaurants');
+    assert.strictEqual(results[1].category, 'Groceries');
+});
+
+test('split-3-unclassified-split: one failing split does not block the others', async (t) => {
+    const categories = makeCategoriesMap();
+    const { app } = makeApp(t, async (names, dest, description) => ({
+        category: description.includes('Lebensmittel') ? 'Groceries' : null,
+        prompt: 'p',
+        response: 'UNKNOWN',
+    }));
+
+    const results = await app.resolveSplitCategoriesForTest(makeSplitWithdrawalTx(), categories);
+
+    assert.strictEqual(results[0].category, 'Groceries');
+    assert.strictEqual(results[1].category, null);
+    assert.strictEqual(results[1].response, 'UNKNOWN');
+});
+
+test('split-4-spend-cap: a reached cap on a split webhook fails the remaining splits and finishes the job', async (t) => {
+    t.mock.method(console, 'info', () => {});
+    t.mock.method(console, 'warn', () => {});
+    let calls = 0;
+    const classify = t.mock.fn(async () => {
+        if (calls++ > 0) throw new SpendCapException(1, 1);
+        return { category: 'Groceries', prompt: 'p', response: 'r' };
+    });
+    const addFailedTransaction = t.mock.fn(() => {});
+    const firefly = {
+        getCategories: async () => makeCategoriesMap(),
+        setSplitCategories: t.mock.fn(async () => {}),
+    };
+    const jobList = JobList.createForTest();
+    const app = App.createForTest({
+        accountCategoryMappingService: makeAccountMappingStub({ category: null }),
+        autoCategorizationService: makeAutoCatStub({ category: null }),
+        openAi: { classify },
+        wordMapping: makePassthroughWordMapping(),
+        categoryMappingService: makeNoHintCategoryMapping(),
+        failedTransactionService: { addFailedTransaction, removeFailedTransactionByFireflyId: () => {} },
+        jobList,
+        firefly,
+    });
+    const splits = makeSplitWithdrawalTx([
+        { description: 'REWE Lebensmittel', amount: '42.10' },
+        { description: 'REWE Haushalt Putzmittel', amount: '7.90' },
+        { description: 'REWE Pfand', amount: '1.00' },
+    ]);
+
+    await app.handleWebhookForTest({
+        trigger: 'STORE_TRANSACTION',
+        response: 'TRANSACTIONS',
+        content: { id: splits.id, transactions: splits.attributes.transactions },
+    });
+
+    assert.strictEqual(classify.mock.callCount(), 2, 'no LLM call after the cap is reached');
+    assert.deepStrictEqual(firefly.setSplitCategories.mock.calls[0].arguments[2], ['1', null, null]);
+    assert.strictEqual(addFailedTransaction.mock.callCount(), 1);
+    assert.match(addFailedTransaction.mock.calls[0].arguments[0].response, /spend cap/);
+    const [job] = jobList.getJobs().values();
+    assert.strictEqual(job.status, 'finished');
+});
@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import App from '../src/App.js';
+import JobList from '../src/JobList.js';
+import BatchCheckpointStore from '../src/BatchCheckpointStore.js';
+import DecisionRecordService from '../src/DecisionRecordService.js';
+import TransactionExtractionService from '../src/TransactionExtractionService.js';
+import { matchStatementItems } from '../src/statementImport.js';
+import { parseBankExport } from '../src/bankExports.js';
+import { makeCategoriesMap } from './fixtures/categories.js';
+import { CAMT053_STATEMENT } from './fixtures/bankExports.js';
+import {
+    makeAccountMappingStub,
+    makeAutoCatStub,
+    makePassthroughWordMapping,
+    makeNoHintCategoryMapping,
+} from './fixtures/stubs.js';
+
+const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'statement-import-'));
+process.env.DATA_DIR = dataDir;
+
+const booked = (id, split) => ({
+    id,
+    attributes: { transactions: [{ transaction_journal_id: `j${id}`, source_id: '7', destination_id: '90', type: 'withdrawal', ...split }] },
+});
+
+test('import-1-match: references, then amount and nearest date find rows already booked on the account', () => {
+    const existing = [
+        booked('100', { date: '2026-03-02T00:00:00+01:00', amount: '42.50', description: 'Wien Energie', external_id: 'E2E-STROM-03' }),
+        booked('101', { date: '2026-03-29T00:00:00+01:00', amount: '10.00', description: 'Sportverein' }),
+        booked('102', { date: '2026-03-25T00:00:00+01:00', amount: '10.00', description: 'Other club' }),
+        booked('103', { date: '2026-03-25T00:00:00+01:00', amount: '2500.00', description: 'Transfer out', source_id: '7' }),
+        booked('104', { date: '2026-03-28T00:00:00+01:00', amount: '20.00', description: 'Other account', source_id: '8' }),
+    ];
+    const rows = matchStatementItems([
+        { description: 'Strom', amount: 42.5, date: '2026-03-04', direction: 'out', reference: 'E2E-STROM-03' },
+        { description: 'Gehalt', amount: 2500, date: '2026-03-25', direction: 'in' },
+        { description: 'Mitgliedsbeitrag', amount: 10, date: '2026-03-28', direction: 'out' },
+        { description: 'Kursgebuehr', amount: 20, date: '2026-03-28', direction: 'out' },
+        { description: 'Kursgebuehr', amount: 10, date: '2026-03-28', direction: 'out' },
+        { description: 'No date', amount: 5, date: null, direction: 'out' },
+    ], existing, '7', { dateToleranceDays: 2 });
+
+    assert.deepStrictEqual(rows.map(r => [r.status, r.duplicateOf?.transactionId ?? null, r.duplicateOf?.matchedBy ?? null]), [
+        ['duplicate', '100', 'reference'],
+        ['new', null, null],
+        ['duplicate', '101', 'amount_date'],
+        ['new', null, null],
+        ['new', null, null],
+        ['invalid', null, null],
+    ], 'direction and account must agree; 102 is three days off; each booking matches one row');
+});
+
+test('import-2-create: only missing rows are created on the account and categorized in an import batch', async (t) => {
+    t.mock.method(console, 'info', () => {});
+    let nextId = 500;
+    const firefly = {
+        getAccount: async id => (id === '7' ? { id: '7', attributes: { type: 'asset', name: 'Giro', currency_code: 'EUR' } } : null),
+        getTransactionsByAccountId: t.mock.fn(async () => [
+            booked('100', { date: '2026-03-02T00:00:00+01:00', amount: '42.50', description: 'Wien Energie', external_id: 'E2E-STROM-03' }),
+        ]),
+        createTransactions: t.mock.fn(async ([tx]) => {
+            const id = String(nextId++);
+            return { data: { id, attributes: { transactions: [{ ...tx, transaction_journal_id: `j${id}`, destination_name: tx.destination_name || 'Giro' }] } } };
+        }),
+        getCategories: async () => makeCategoriesMap(),
+        updateTransactionCategory: t.mock.fn(async () => {}),
+        getCachedAccountHistory: async () => null,
+    };
+    const jobList = new JobList();
+    await jobList.ready();
+    const app = App.createForTest({
+        accountCategoryMappingService: makeAccountMappingStub({ category: null }),
+        autoCategorizationService: makeAutoCatStub({ category: null }),
+        openAi: { classify: async () => ({ category: 'Utilities', confidence: 0.95, prompt: 'p', response: 'r' }) },
+        wordMapping: makePassthroughWordMapping(),
+        categoryMappingService: makeNoHintCategoryMapping(),
+        failedTransactionService: {
+            removeFailedTransactionByProperties: async () => {},
+            removeFailedTransactionByFireflyId: async () => {},
+        },
+        decisionRecordService: DecisionRecordService.createForTest(),
+        transactionExtractionService: TransactionExtractionService.createForTest(),
+        firefly,
+        jobList,
+        checkpointStore: BatchCheckpointStore.createForTest(),
+    });
+
+    const items = parseBankExport(Buffer.from(CAMT053_STATEMENT), 'camt053');
+    const result = await app.importStatementForTest('7', items, { tag: 'March Giro' });
+
+    assert.deepStrictEqual(firefly.getTransactionsByAccountId.mock.calls[0].arguments, ['7', { type: 'all', start: '2026-02-28', end: '2026-03-30' }]);
+    assert.deepStrictEqual(result.duplicates.map(r => r.duplicateOf.transactionId), ['100']);
+    assert.deepStrictEqual(result.created.map(r => [r.id, r.destination_name]), [['500', 'Muster & Co KG'], ['501', 'Sportverein Favoriten'], ['502', 'Musikschule Wien']]);
+    const [[deposit], [withdrawal]] = firefly.createTransactions.mock.calls.map(c => c.arguments[0]);
+    assert.ok(firefly.createTransactions.mock.calls.every(c => c.arguments[1]?.fireWebhooks === false),
+        'the import batch categorizes, so the webhook must not fire for the new transactions');
+    assert.deepStrictEqual(deposit, {
+        type: 'deposit', date: '2026-03-25', description: 'Gehalt 03/2026', amount: '2500.00', currency_code: 'EUR',
+        tags: ['statement-import', 'march-giro'], source_name: 'Muster & Co KG', destination_id: '7',
+    });
+    assert.deepStrictEqual([withdrawal.source_id, withdrawal.destination_name, withdrawal.type], ['7', 'Sportverein Favoriten', 'withdrawal']);
+
+    assert.deepStrictEqual(firefly.updateTransactionCategory.mock.calls.map(c => c.arguments.slice(0, 2)).sort(), [['500', 'Utilities'], ['501', 'Utilities'], ['502', 'Utilities']]);
+    const [batch] = [...jobList.getBatchJobs().values()];
+    assert.deepStrictEqual([batch.type, batch.status, batch.processedCount], ['import', 'finished', 3]);
+    await jobList.flush();
+});
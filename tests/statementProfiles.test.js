@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import TransactionExtractionService from '../src/TransactionExtractionService.js';
+import StatementProfileService, { StatementProfileException } from '../src/StatementProfileService.js';
+import { DEFAULT_STATEMENT, RAIFFEISEN_STATEMENT, US_STATEMENT } from './fixtures/statements.js';
+
+const rows = items => items.map(i => [i.destination_name, i.amount, i.direction, i.date]);
+
+const US_PROFILE = {
+    name: 'First Example Bank',
+    fingerprints: ['first\\s+example\\s+bank'],
+    dateFormat: 'MM/DD/YYYY',
+    decimalSeparator: '.',
+    amountSign: 'minus_in',
+    layout: 'table',
+    columnAnchors: { start: ['^trans date'], end: ['^page \\d+ of'] },
+    settlementPatterns: ['payment thank you'],
+    currency: 'usd',
+    defaultTag: 'feb-card',
+};
+
+test('profiles-1-builtin: each built-in profile parses its fixture and is detected by fingerprint', async () => {
+    const service = TransactionExtractionService.createForTest();
+
+    const generic = await service.parseStatementText(DEFAULT_STATEMENT, null);
+    assert.deepStrictEqual(generic._profile, { id: 'default', name: 'Generic (German/Austrian card statement)', detectedBy: 'default', defaultTag: null });
+    assert.strictEqual(generic._statementTotal, 101.81);
+    assert.deepStrictEqual(rows(generic), [
+        ['REWE Markt Wien', 23.4, 'out', '2026-03-01'],
+        ['AMAZON EU SARL', 59.99, 'out', '2026-03-03'],
+        ['OPENAI *CHATGPT SUBSCR', 18.42, 'out', '2026-03-05'],
+        ['Zahlung Vormonat', 250, 'in', '2026-03-10'],
+    ]);
+
+    const raiffeisen = await service.parseStatementText(RAIFFEISEN_STATEMENT, null);
+    assert.deepStrictEqual([raiffeisen._profile.id, raiffeisen._profile.detectedBy], ['raiffeisen-cardservice', 'fingerprint']);
+    assert.strictEqual(raiffeisen._statementTotal, 88.19);
+    assert.deepStrictEqual(rows(raiffeisen), [
+        ['BILLA DANKT 1234 WIEN', 45.2, 'out', '2026-03-01'],
+        ['OMV TANKSTELLE GRAZ', 42.49, 'out', '2026-03-04'],
+        ['OMV TANKSTELLE', 0.5, 'out', '2026-03-04'],
+    ]);
+
+    const forced = await service.parseStatementText(RAIFFEISEN_STATEMENT, null, { profileId: 'default' });
+    assert.strictEqual(forced._profile.detectedBy, 'manual');
+    await assert.rejects(
+        service.parseStatementText(DEFAULT_STATEMENT, null, { profileId: 'missing' }),
+        (error) => error instanceof StatementProfileException && error.status === 404
+    );
+});
+
+test('profiles-2-custom: a custom profile sets date, decimal, sign, anchors, settlement and currency', async () => {
+    const profiles = StatementProfileService.createForTest();
+    const saved = await profiles.saveProfile(US_PROFILE);
+    assert.deepStrictEqual([saved.id, saved.currency, saved.builtin], ['first-example-bank', 'USD', false]);
+
+    const service = TransactionExtractionService.createForTest({ statementProfileService: profiles });
+    const items = await service.parseStatementText(US_STATEMENT, null);
+    assert.deepStrictEqual([items._profile.id, items._profile.detectedBy, items._profile.defaultTag], ['first-example-bank', 'fingerprint', 'feb-card']);
+    assert.strictEqual(items._statementTotal, 776.6);
+    assert.deepStrictEqual(rows(items), [
+        ['WHOLE FOODS MKT AUSTIN', 1234.5, 'out', '2026-03-01'],
+        ['SHELL OIL 5744', 42.1, 'out', '2026-03-04'],
+        ['PAYMENT THANK YOU', 500, 'in', '2026-03-09'],
+    ]);
+    assert.deepStrictEqual(items.map(i => i.settlementLine === true), [false, false, true]);
+});
+
+test('profiles-3-edit: validation, updates and resetting an edited built-in profile', async () => {
+    const profiles = StatementProfileService.createForTest();
+    await assert.rejects(
+        profiles.saveProfile({ name: 'Broken', dateFormat: 'YYYY/DD/MM', ignorePatterns: ['(unclosed'] }),
+        (error) => error instanceof StatementProfileException && error.status === 400 && error.errors.length === 2
+    );
+    await profiles.saveProfile(US_PROFILE);
+    await assert.rejects(profiles.saveProfile(US_PROFILE), (error) => error.status === 409);
+
+    const updated = await profiles.saveProfile({ defaultTag: 'us-card' }, 'first-example-bank');
+    assert.deepStrictEqual([updated.defaultTag, updated.dateFormat], ['us-card', 'MM/DD/YYYY']);
+
+    const edited = await profiles.saveProfile({ defaultTag: 'amex' }, 'default');
+    assert.deepStrictEqual([edited.builtin, edited.modified, edited.defaultTag], [true, true, 'amex']);
+    const reset = await profiles.deleteProfile('default');
+    assert.deepStrictEqual([reset.modified, reset.defaultTag], [false, null]);
+
+    assert.strictEqual(await profiles.deleteProfile('first-example-bank'), null);
+    assert.deepStrictEqual((await profiles.listProfiles()).map(p => p.id), ['default', 'raiffeisen-cardservice']);
+    await assert.rejects(profiles.deleteProfile('first-example-bank'), (error) => error.status === 404);
+});
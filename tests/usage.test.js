@@ -0,0 +1,131 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import App from '../src/App.js';
+import JobList from '../src/JobList.js';
+import OpenAiService from '../src/OpenAiService.js';
+import BatchCheckpointStore from '../src/BatchCheckpointStore.js';
+import UsageService, { SpendCapException } from '../src/UsageService.js';
+import { makeCategoriesMap } from './fixtures/categories.js';
+import { makeWithdrawalTx } from './fixtures/transactions.js';
+import {
+    makeAccountMappingStub,
+    makeAutoCatStub,
+    makePassthroughWordMapping,
+    makeNoHintCategoryMapping,
+} from './fixtures/stubs.js';
+
+const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'usage-'));
+process.env.DATA_DIR = dataDir;
+
+const JUNE = () => new Date('2026-06-15T10:00:00Z');
+
+test('usage-1-rollups: real tokens are priced and rolled up by day, month and source; persisted', async () => {
+    const usage = new UsageService({ now: JUNE, monthlyCap: 0 });
+    await usage.ready();
+    const attributed = [];
+
+    await usage.track({ source: 'batch', onUsage: entry => attributed.push(entry) }, async () => {
+        await usage.record({ model: 'gpt-4o-mini', operation: 'classify', usage: { prompt_tokens: 1000, completion_tokens: 500 } });
+    });
+    await usage.setMonthlyCap(5);
+
+    const after = new UsageService({ now: JUNE });
+    await after.ready();
+    const report = after.getUsage();
+
+    assert.strictEqual(attributed[0].cost, 0.00045);
+    assert.strictEqual(report.days[0].day, '2026-06-15');
+    assert.deepStrictEqual(report.months[0].bySource.batch, { requests: 1, promptTokens: 1000, completionTokens: 500, cost: 0.00045 });
+    assert.deepStrictEqual(report.currentMonth, { month: '2026-06', cost: 0.00045, cap: 5, capReached: false });
+});
+
+test('usage-2-openai: every call books the provider usage, not the estimate', async () => {
+    const usageService = UsageService.createForTest({ now: JUNE });
+    const create = async () => ({
+        choices: [{ message: { content: '{"category":"Groceries","confidence":0.9}' } }],
+        usage: { prompt_tokens: 321, completion_tokens: 9 },
+    });
+    const svc = OpenAiService.createForTest({ client: { chat: { completions: { create } } }, usageService });
+
+    await svc.classify(['Groceries'], 'REWE', 'groceries', 'withdrawal');
+    await svc.matchAccount(['REWE'], 'REWE', 'groceries');
+
+    assert.strictEqual(svc.getStats().totalTokens, 660);
+    const [day] = usageService.getUsage().days;
+    assert.deepStrictEqual(Object.keys(day.byOperation).sort(), ['classify', 'match_account']);
+    assert.strictEqual(day.byModel['gpt-4o-mini'].promptTokens, 642);
+});
+
+test('usage-3-cap: with the monthly cap reached no request is sent', async (t) => {
+    const usageService = UsageService.createForTest({ now: JUNE, monthlyCap: 0.0001 });
+    await usageService.record({ model: 'gpt-4o', operation: 'classify', usage: { prompt_tokens: 1000, completion_tokens: 0 } });
+    const create = t.mock.fn(async () => ({ choices: [{ message: { content: '{}' } }] }));
+    const svc = OpenAiService.createForTest({ client: { chat: { completions: { create } } }, usageService });
+
+    await assert.rejects(() => svc.classify(['Groceries'], 'REWE', 'groceries', 'withdrawal'), SpendCapException);
+    assert.strictEqual(create.mock.callCount(), 0);
+    assert.strictEqual(usageService.getUsage().currentMonth.capReached, true);
+});
+
+test('usage-4-batch-pause: the spend cap pauses a batch, which retries the transaction after resume', async (t) => {
+    // The batch loop logs every step; keep the runner output readable
+    t.mock.method(console, 'info', () => {});
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'warn', () => {});
+
+    let capReached = true;
+    const classify = t.mock.fn(async () => {
+        if (capReached) throw new SpendCapException(1, 1);
+        return { category: 'Groceries', confidence: 0.9, prompt: 'p', response: 'r' };
+    });
+    const jobList = JobList.createForTest();
+    jobList.on('batch job updated', ({ batchJob }) => {
+        if (batchJob.status === 'paused' && capReached) {
+            capReached = false;
+            setImmediate(() => jobList.resumeBatchJob(batchJob.id));
+        }
+    });
+    const app = App.createForTest({
+        accountCategoryMappingService: makeAccountMappingStub({ category: null }),
+        autoCategorizationService: makeAutoCatStub({ category: null }),
+        openAi: { classify },
+        wordMapping: makePassthroughWordMapping(),
+        categoryMappingService: makeNoHintCategoryMapping(),
+        failedTransactionService: {
+            removeFailedTransactionByProperties: async () => {},
+            removeFailedTransactionByFireflyId: async () => {},
+        },
+        firefly: { updateTransactionCategory: async () => {}, getCachedAccountHistory: async () => null },
+        jobList,
+        checkpointStore: BatchCheckpointStore.createForTest(),
+        batchConcurrency: 1,
+    });
+
+    await app.runBatchForTest('uncategorized', [{ ...makeWithdrawalTx(), id: '1' }], makeCategoriesMap());
+
+    const [batchJob] = jobList.getBatchJobs().values();
+    assert.strictEqual(classify.mock.callCount(), 2);
+    assert.strictEqual(batchJob.processedCount, 1);
+    assert.strictEqual(batchJob.successCount, 1);
+    assert.strictEqual(batchJob.errorCount, 0);
+    assert.ok(batchJob.pausedAt);
+});
+
+test('usage-5-early-record: a request booked while the stored usage still loads is kept', async () => {
+    const JULY = () => new Date('2026-07-01T10:00:00Z');
+    const before = new UsageService({ now: JULY });
+    await before.ready();
+    await before.record({ model: 'gpt-4o-mini', operation: 'classify', usage: { prompt_tokens: 100, completion_tokens: 0 } });
+
+    const restarted = new UsageService({ now: JULY });
+    const early = restarted.record({ model: 'gpt-4o-mini', operation: 'classify', usage: { prompt_tokens: 200, completion_tokens: 0 } });
+    await restarted.ready();
+    await early;
+
+    const july = restarted.getUsage({ from: '2026-07-01', to: '2026-07-01' }).days[0];
+    assert.strictEqual(july.promptTokens, 300);
+    assert.strictEqual(july.requests, 2);
+});
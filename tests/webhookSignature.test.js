@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import WebhookSignatureVerifier from '../src/WebhookSignatureVerifier.js';
+
+const SECRET = 'firefly-webhook-secret';
+const NOW = Date.UTC(2026, 0, 15, 12, 0, 0);
+const NOW_SECONDS = Math.floor(NOW / 1000);
+const BODY = Buffer.from(JSON.stringify({
+    trigger: 'STORE_TRANSACTION',
+    response: 'TRANSACTIONS',
+    content: { id: 1, transactions: [{ type: 'withdrawal', description: 'REWE', destination_name: 'REWE' }] },
+}));
+
+/** Independent of the verifier: mirrors Firefly's hash_hmac('sha3-256', "t.body", secret). */
+function fireflySignature(body, timestamp, secret = SECRET) {
+    const hash = crypto.createHmac('sha3-256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `t=${timestamp},v1=${hash}`;
+}
+
+test('webhook-1-valid: Firefly-style signature is accepted', () => {
+    const verifier = WebhookSignatureVerifier.createForTest({ secret: SECRET });
+    const result = verifier.verify(fireflySignature(BODY, NOW_SECONDS - 5), BODY, NOW);
+    assert.deepStrictEqual(result, { valid: true });
+});
+
+test('webhook-2-tampered: modified body or signature is rejected', () => {
+    const verifier = WebhookSignatureVerifier.createForTest({ secret: SECRET });
+    const header = fireflySignature(BODY, NOW_SECONDS);
+    const tamperedBody = Buffer.from(BODY.toString().replace('REWE', 'ALDI'));
+
+    const bodyResult = verifier.verify(header, tamperedBody, NOW);
+    assert.strictEqual(bodyResult.valid, false);
+    assert.strictEqual(bodyResult.reason, 'signature mismatch');
+
+    const wrongSecret = verifier.verify(fireflySignature(BODY, NOW_SECONDS, 'other'), BODY, NOW);
+    assert.strictEqual(wrongSecret.valid, false);
+
+    const missing = verifier.verify(undefined, BODY, NOW);
+    assert.strictEqual(missing.reason, 'missing Signature header');
+
+    const malformed = verifier.verify('v1=abc', BODY, NOW);
+    assert.match(malformed.reason, /malformed/);
+});
+
+test('webhook-3-replayed: reused signature and stale timestamp are rejected', () => {
+    const verifier = WebhookSignatureVerifier.createForTest({ secret: SECRET, toleranceSeconds: 300 });
+    const header = fireflySignature(BODY, NOW_SECONDS);
+
+    assert.strictEqual(verifier.verify(header, BODY, NOW).valid, true);
+    const replay = verifier.verify(header, BODY, NOW + 1000);
+    assert.strictEqual(replay.valid, false);
+    assert.match(replay.reason, /replayed/);
+
+    const stale = verifier.verify(fireflySignature(BODY, NOW_SECONDS - 301), BODY, NOW);
+    assert.strictEqual(stale.valid, false);
+    assert.match(stale.reason, /outside 300s window/);
+});
+
+test('webhook-4-disabled: without a secret every delivery passes', () => {
+    const verifier = WebhookSignatureVerifier.createForTest({ secret: '' });
+    assert.strictEqual(verifier.isEnabled(), false);
+    assert.strictEqual(verifier.verify(undefined, BODY, NOW).valid, true);
+});